@@ -11,60 +11,221 @@
  *
  * @description
  *   A real-time industrial SPC/MSPC monitoring prototype demonstrating:
- *     - Univariate Shewhart X̄ control charts (±3σ, WECO rules)
- *     - Hotelling T² multivariate control chart (χ², df=6, α=0.05)
+ *     - Univariate Shewhart X̄ control charts (±3σ) with Western Electric /
+ *       Nelson run rules N1–N8, selectable per parameter
+ *     - EWMA and tabular CUSUM charts selectable per parameter
+ *     - Hotelling T² multivariate control chart (χ²(1 − α; p) UCL for the
+ *       configured variable count p and α)
+ *     - User-defined variable set (limits, σ multipliers, spec limits) with
+ *       JSON import / export
+ *     - Process capability (Cp, Cpk, Pp, Ppk, expected and observed ppm)
+ *       over a selectable window with a histogram and normal fit, and an
+ *       out-of-spec alarm class ranked above out-of-control alarms
+ *     - Product recipes: per-grade overrides of the limits, spec limits and
+ *       model, switched on the running line with a changeover grace period
+ *       whose alarms are flagged or suppressed and never diagnosed as faults
+ *     - Phase I mean/covariance estimation from historical CSV with iterative
+ *       outlier trimming; full-covariance T² with Phase II F-based UCL
+ *     - MEWMA (Lowry et al., 1992) and MCUSUM (Crosier, 1988) charts with
+ *       ARL-calibrated limits, selectable as the diagnosis trigger
+ *     - PCA monitoring: T² in the retained-component space plus SPE / Q with
+ *       Jackson–Mudholkar limits, scree plot, loadings and contributions
  *     - T² Decomposition — variable contribution plots (Mason et al., 1995)
- *     - Reconstruction-Based Contribution (RBC) fault isolation
- *     - Rule-based Fault Diagnosis Engine with corrective action guidance
- *     - Fault injection simulator for six named extrusion failure modes
+ *     - Reconstruction-Based Contribution (RBC) fault isolation under full
+ *       covariance, with MYT unconditional / conditional T² terms
+ *     - Rule-based Fault Diagnosis Engine with corrective action guidance and
+ *       direction-aware signatures (expected HIGH / LOW per variable)
+ *     - Editable fault mode library (signatures, mechanisms, actions,
+ *       references) persisted in the browser with JSON import / export
+ *     - Signature calibration from labelled alarm episodes with leave-one-out
+ *       diagnosis accuracy before and after
+ *     - Bayesian fault ranking with a normal / unknown class, alarm evidence
+ *       and priors updated from operator-confirmed root causes
+ *     - Unrecognised-pattern threshold, with unexplained episodes clustered
+ *       by contribution pattern and promotable into new fault modes
+ *     - Diagnosis over a sliding window or the open alarm episode, with
+ *       persistence counts, onset ordering and a first-out variable
+ *     - Fault injection simulator for six named extrusion failure modes, with
+ *       step / ramp / drift / intermittent / oscillating profiles, coupled
+ *       secondary responses, up to two faults at once and Gaussian noise with
+ *       optional AR(1) autocorrelation
+ *     - Seeded fault scenarios: a JSON timeline of overlapping faults and
+ *       recipe changes, played deterministically with the replay transport
+ *     - Detection benchmark: seeded in-control and faulted runs scored for
+ *       ARL₀, false-alarm rate, ARL₁ and detection delay per fault mode and
+ *       chart, with a confusion matrix of injected fault vs diagnosis
+ *     - Historian CSV replay with column mapping, play / pause / step / seek
+ *       and 1×–100× speed on the recorded timestamps
+ *     - Offline scoring of historian CSV files from the command line
+ *       (server/score-historian.mjs), with the T², limit, spec, contribution,
+ *       RBC and diagnosis statistics mirrored in server/scoring.mjs
+ *     - ISA-18.2 alarm management: UNACK / ACKED / RTNUN states, acknowledge,
+ *       shelve with timeout, on-/off-delay and deadband per alarm, and flood
+ *       grouping into one summary alarm
+ *     - Incident export: alarm log, samples and per-alarm contribution / RBC /
+ *       hypothesis snapshots as CSV, or a JSON bundle re-importable for
+ *       offline review
  *
  * @methodology
  *   The T² statistic is decomposed into individual variable contributions
  *   using the standardized squared deviation method. Fault diagnosis maps
  *   contribution patterns to named failure modes via a weighted signature
  *   library, producing a ranked hypothesis list with confidence scores.
+ *   With PCA enabled, signatures can instead be matched against the PCA T²
+ *   or SPE contributions of the latest sample.
  *
  * @references
  *   Shewhart, W.A. (1931). Economic Control of Quality of Manufactured Product.
+ *   Western Electric (1956). Statistical Quality Control Handbook.
+ *   Nelson, L.S. (1984). The Shewhart Control Chart — Tests for Special Causes.
+ *     Journal of Quality Technology, 16(4), 237–239.
+ *   Page, E.S. (1954). Continuous Inspection Schemes. Biometrika, 41, 100–115.
+ *   Roberts, S.W. (1959). Control Chart Tests Based on Geometric Moving
+ *     Averages. Technometrics, 1(3), 239–250.
  *   Hotelling, H. (1947). Multivariate Quality Control. Techniques of Statistical
  *     Analysis, McGraw-Hill.
  *   Mason, R.L., Tracy, N.D., Young, J.C. (1995). Decomposition of T² for
  *     Multivariate Control Chart Interpretation. Journal of Quality Technology,
  *     27(2), 99–108.
+ *   Tracy, N.D., Young, J.C., Mason, R.L. (1992). Multivariate Control Charts
+ *     for Individual Observations. Journal of Quality Technology, 24(2), 88–95.
+ *   Alcala, C.F., Qin, S.J. (2009). Reconstruction-Based Contribution for
+ *     Process Monitoring. Automatica, 45(7), 1593–1600.
  *   Lowry, C.A., Woodall, W.H., Champ, C.W., Rigdon, S.E. (1992). A Multivariate
  *     Exponentially Weighted Moving Average Control Chart. Technometrics, 34(1).
+ *   Crosier, R.B. (1988). Multivariate Generalizations of Cumulative Sum
+ *     Quality-Control Schemes. Technometrics, 30(3), 291–303.
+ *   Jackson, J.E., Mudholkar, G.S. (1979). Control Procedures for Residuals
+ *     Associated With Principal Component Analysis. Technometrics, 21(3).
+ *   Qin, S.J. (2003). Statistical Process Monitoring: Basics and Beyond.
+ *     Journal of Chemometrics, 17(8–9), 480–502.
  *
  * @license  MIT License — Free to use, modify, and publish with attribution.
  *           Copyright (c) 2026 Krishna Malladi
  *
- * @note     This prototype uses simulated data. For production deployment,
- *           replace the generatePoint() function with live OPC-UA / SCADA feeds.
+ * @note     Samples come from a pluggable data source: the built-in simulator,
+ *           a historian CSV replay, or a WebSocket stream. For live deployment,
+ *           point the WebSocket source at server/opcua-bridge.mjs, which relays
+ *           OPC-UA tags with their quality codes (server/simulator-server.mjs
+ *           and server/opcua-simulation-server.mjs are offline stand-ins).
  * ============================================================================
  */
 
-import { useState, useEffect, useRef, useCallback } from "react";
+import { Fragment, useState, useEffect, useRef, useCallback } from "react";
 import {
   LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip,
-  ReferenceLine, ResponsiveContainer, BarChart, Bar, Cell,
+  ReferenceLine, ReferenceArea, ResponsiveContainer, BarChart, Bar, Cell, ComposedChart,
   RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis
 } from "recharts";
 
 // ─── Process Parameter Configuration ─────────────────────────────────────────
-const PARAMS = {
-  barrel_temp:    { label: "Barrel Temp",    unit: "°C",    mean: 200, std: 3,    ucl: 209,  lcl: 191,  color: "#FF6B35", short: "BT"  },
-  screw_speed:    { label: "Screw Speed",    unit: "RPM",   mean: 85,  std: 2,    ucl: 91,   lcl: 79,   color: "#00C9A7", short: "SS"  },
-  melt_pressure:  { label: "Melt Pressure",  unit: "bar",   mean: 280, std: 8,    ucl: 304,  lcl: 256,  color: "#4CC9F0", short: "MP"  },
-  line_speed:     { label: "Line Speed",     unit: "m/min", mean: 45,  std: 1.5,  ucl: 49.5, lcl: 40.5, color: "#FFD166", short: "LS"  },
-  die_pressure:   { label: "Die Pressure",   unit: "bar",   mean: 180, std: 5,    ucl: 195,  lcl: 165,  color: "#A78BFA", short: "DP"  },
-  wall_thickness: { label: "Wall Thickness", unit: "mm",    mean: 1.2, std: 0.05, ucl: 1.35, lcl: 1.05, color: "#F72585", short: "WT"  },
+// Default variable set: the six core parameters of a single-screw cable
+// extrusion line. Sites replace it in the Variables tab; everything downstream
+// reads the active set from the monitoring model (model.params / model.keys).
+const DEFAULT_PARAMS = {
+  barrel_temp:    { label: "Barrel Temp",    unit: "°C",    mean: 200, std: 3,    ucl: 209,  lcl: 191,  usl: 215,  lsl: 185,  color: "#FF6B35", short: "BT"  },
+  screw_speed:    { label: "Screw Speed",    unit: "RPM",   mean: 85,  std: 2,    ucl: 91,   lcl: 79,   usl: 93,   lsl: 77,   color: "#00C9A7", short: "SS"  },
+  melt_pressure:  { label: "Melt Pressure",  unit: "bar",   mean: 280, std: 8,    ucl: 304,  lcl: 256,  usl: 320,  lsl: 240,  color: "#4CC9F0", short: "MP"  },
+  line_speed:     { label: "Line Speed",     unit: "m/min", mean: 45,  std: 1.5,  ucl: 49.5, lcl: 40.5, usl: 51,   lsl: 39,   color: "#FFD166", short: "LS"  },
+  die_pressure:   { label: "Die Pressure",   unit: "bar",   mean: 180, std: 5,    ucl: 195,  lcl: 165,  usl: 200,  lsl: 160,  color: "#A78BFA", short: "DP"  },
+  // IEC 60502-1 minimum: the thinnest point of the insulation must reach 90 %
+  // of the nominal thickness less 0.1 mm, so 0.98 mm for 1.2 mm nominal
+  wall_thickness: { label: "Wall Thickness", unit: "mm",    mean: 1.2, std: 0.05, ucl: 1.35, lcl: 1.05, usl: null, lsl: 0.98, color: "#F72585", short: "WT"  },
 };
 
-const PARAM_KEYS = Object.keys(PARAMS);
-const T2_UCL = 12.6; // χ² critical value, df=6, α=0.05
+const DEFAULT_ALPHA = 0.05;
+
+// ─── Variable Set Configuration ──────────────────────────────────────────────
+// A variable set lists the monitored variables and the α used for the T²
+// limit. Each variable carries μ and σ, control limits given either explicitly
+// (ucl / lcl) or as a σ multiplier L (μ ± Lσ), and optional spec limits
+// (usl / lsl). Sets are persisted in the browser and exchanged as JSON.
+const VARIABLE_SET_FORMAT = "extrusion-variable-set";
+const VARIABLE_SET_STORAGE_KEY = "extrusion-anomaly.variable-set";
+const VARIABLE_COLORS = ["#FF6B35", "#00C9A7", "#4CC9F0", "#FFD166", "#A78BFA", "#F72585", "#10b981", "#f97316", "#60a5fa", "#e879f9"];
+
+const optionalNumber = v => (v === null || v === undefined || v === "" ? null : Number(v));
+
+// Validates one variable definition and derives its control limits
+function normalizeVariable(key, def, index = 0) {
+  const where = `Variable "${key}"`;
+  if (!/^[a-z][a-z0-9_]*$/.test(key)) throw new Error(`${where}: key must be lower-case letters, digits or _`);
+  const mean = optionalNumber(def.mean);
+  const std = optionalNumber(def.std);
+  if (!Number.isFinite(mean)) throw new Error(`${where}: mean must be a number`);
+  if (!(std > 0)) throw new Error(`${where}: σ must be positive`);
+  const sigmaMultiplier = optionalNumber(def.sigmaMultiplier);
+  if (sigmaMultiplier !== null && !(sigmaMultiplier > 0)) throw new Error(`${where}: σ multiplier must be positive`);
+  const ucl = sigmaMultiplier !== null ? mean + sigmaMultiplier * std : optionalNumber(def.ucl);
+  const lcl = sigmaMultiplier !== null ? mean - sigmaMultiplier * std : optionalNumber(def.lcl);
+  if (!Number.isFinite(ucl) || !Number.isFinite(lcl) || !(ucl > mean && lcl < mean)) {
+    throw new Error(`${where}: control limits must bracket the mean (give UCL/LCL or a σ multiplier)`);
+  }
+  const usl = optionalNumber(def.usl);
+  const lsl = optionalNumber(def.lsl);
+  if ([usl, lsl].some(v => v !== null && !Number.isFinite(v))) throw new Error(`${where}: spec limits must be numbers`);
+  if (usl !== null && lsl !== null && !(usl > lsl)) throw new Error(`${where}: USL must be above LSL`);
+  return {
+    label: String(def.label || key),
+    unit: String(def.unit ?? ""),
+    mean, std, ucl, lcl, sigmaMultiplier, usl, lsl,
+    color: def.color || VARIABLE_COLORS[index % VARIABLE_COLORS.length],
+    short: String(def.short || key.slice(0, 2).toUpperCase()),
+  };
+}
+
+// "HIGH" above the USL, "LOW" below the LSL, null inside the specification
+// or where the variable has no spec limit on that side
+const specViolation = (v, { usl, lsl }) => (usl != null && v > usl ? "HIGH" : lsl != null && v < lsl ? "LOW" : null);
+const hasSpecLimits = cfg => cfg.usl != null || cfg.lsl != null;
+
+// Builds a validated variable set from an ordered list of { key, ...definition }
+function buildVariableSet({ alpha = DEFAULT_ALPHA, variables }) {
+  if (!Array.isArray(variables) || variables.length < 2) throw new Error("A variable set needs at least two variables");
+  if (!(alpha > 0 && alpha < 0.5)) throw new Error("α must be between 0 and 0.5");
+  const params = {};
+  variables.forEach((v, i) => {
+    if (params[v.key]) throw new Error(`Duplicate variable key "${v.key}"`);
+    params[v.key] = normalizeVariable(v.key, v, i);
+  });
+  return { alpha: Number(alpha), params };
+}
+
+function serializeVariableSet({ alpha, params }) {
+  return {
+    format: VARIABLE_SET_FORMAT, version: 1, alpha,
+    variables: Object.entries(params).map(([key, def]) => ({ key, ...def })),
+  };
+}
+
+function deserializeVariableSet(obj) {
+  if (obj?.format !== VARIABLE_SET_FORMAT) throw new Error("Not a variable set file");
+  return buildVariableSet(obj);
+}
+
+const DEFAULT_VARIABLE_SET = buildVariableSet({
+  alpha: DEFAULT_ALPHA,
+  variables: Object.entries(DEFAULT_PARAMS).map(([key, def]) => ({ key, ...def })),
+});
+
+function loadStoredVariableSet() {
+  try {
+    const raw = typeof window !== "undefined" && window.localStorage?.getItem(VARIABLE_SET_STORAGE_KEY);
+    return raw ? deserializeVariableSet(JSON.parse(raw)) : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeVariableSet(set) {
+  window.localStorage.setItem(VARIABLE_SET_STORAGE_KEY, JSON.stringify(serializeVariableSet(set)));
+}
 
 // ─── Fault Mode Library ───────────────────────────────────────────────────────
-// Each fault has: primary driver, secondary correlated effects, duration,
-// a signature (normalized expected contribution pattern), and diagnosis metadata.
+// Each fault has: primary driver, temporal profile, secondary coupled effects,
+// duration, a signature (normalized expected contribution pattern), the
+// expected direction (HIGH / LOW) of the variables it moves, and diagnosis
+// metadata.
 const FAULT_MODES = [
   {
     name: "Die Wear",
@@ -73,8 +234,14 @@ const FAULT_MODES = [
     duration: 10,
     severity: "HIGH",
     color: "#ef4444",
-    // Normalized contribution signature across all 6 params (sums to 1.0)
+    // Normalized contribution signature across all 6 params (sums to 1.0),
+    // and the expected sign of the deviation where the physics fixes it.
+    // When injected, the driver follows the temporal profile and each coupled
+    // variable moves by its gain × the driver's deviation, both in σ units.
     signature: { die_pressure: 0.65, melt_pressure: 0.18, wall_thickness: 0.10, line_speed: 0.04, barrel_temp: 0.02, screw_speed: 0.01 },
+    directions: { die_pressure: "LOW", melt_pressure: "LOW", wall_thickness: "HIGH" },
+    profile: "drift",
+    effects: { melt_pressure: 0.4, wall_thickness: -0.3 },
     mechanism: "Progressive wear of die land increases die gap, causing die pressure drop. Downstream effect increases wall thickness variability.",
     actions: [
       "Schedule immediate die inspection and measurement",
@@ -93,6 +260,9 @@ const FAULT_MODES = [
     severity: "MEDIUM",
     color: "#f97316",
     signature: { screw_speed: 0.60, melt_pressure: 0.20, line_speed: 0.10, barrel_temp: 0.06, die_pressure: 0.03, wall_thickness: 0.01 },
+    directions: { screw_speed: "LOW", melt_pressure: "LOW" },
+    profile: "intermittent",
+    effects: { melt_pressure: 0.5 },
     mechanism: "Screw slippage in feed zone caused by bridging, overheating, or worn screw flight. Reduces throughput and melt pressure simultaneously.",
     actions: [
       "Inspect feed zone for material bridging or agglomeration",
@@ -111,6 +281,9 @@ const FAULT_MODES = [
     severity: "HIGH",
     color: "#FF6B35",
     signature: { barrel_temp: 0.70, melt_pressure: 0.15, screw_speed: 0.08, die_pressure: 0.04, line_speed: 0.02, wall_thickness: 0.01 },
+    directions: { barrel_temp: "HIGH", melt_pressure: "LOW" },
+    profile: "oscillation",
+    effects: { melt_pressure: -0.3 },
     mechanism: "Zone heater overshoot or thermocouple failure causes barrel temperature excursion. Reduces melt viscosity, alters pressure profile, and risks polymer degradation.",
     actions: [
       "Check PID setpoint and actual temperature for affected zone",
@@ -129,6 +302,9 @@ const FAULT_MODES = [
     severity: "HIGH",
     color: "#4CC9F0",
     signature: { melt_pressure: 0.62, barrel_temp: 0.14, die_pressure: 0.12, screw_speed: 0.07, wall_thickness: 0.03, line_speed: 0.02 },
+    directions: { melt_pressure: "HIGH", die_pressure: "HIGH" },
+    profile: "step",
+    effects: { die_pressure: 0.4 },
     mechanism: "Sudden melt pressure surge caused by screen pack blockage, cold plug, or abrupt screw speed increase. Risk of die swell instability and dimensional non-conformance.",
     actions: [
       "Check screen pack differential pressure — replace if blocked",
@@ -147,6 +323,9 @@ const FAULT_MODES = [
     severity: "MEDIUM",
     color: "#FFD166",
     signature: { line_speed: 0.58, wall_thickness: 0.22, die_pressure: 0.10, melt_pressure: 0.06, screw_speed: 0.03, barrel_temp: 0.01 },
+    directions: { line_speed: "LOW", wall_thickness: "HIGH" },
+    profile: "ramp",
+    effects: { wall_thickness: -0.5 },
     mechanism: "Capstan or haul-off speed reduction causes material to accumulate at die exit. Increases wall thickness, alters draw ratio and molecular orientation.",
     actions: [
       "Inspect haul-off belt tension and grip condition",
@@ -165,6 +344,9 @@ const FAULT_MODES = [
     severity: "CRITICAL",
     color: "#F72585",
     signature: { wall_thickness: 0.68, die_pressure: 0.14, line_speed: 0.10, melt_pressure: 0.05, screw_speed: 0.02, barrel_temp: 0.01 },
+    directions: { wall_thickness: "LOW", line_speed: "HIGH" },
+    profile: "step",
+    effects: { line_speed: -0.3 },
     mechanism: "Insulation wall below minimum specification. Caused by excessive line speed, die eccentricity, or material low viscosity. Directly impacts dielectric withstand voltage.",
     actions: [
       "IMMEDIATE: Flag all cable produced since alarm onset for HV test",
@@ -178,422 +360,6644 @@ const FAULT_MODES = [
   },
 ];
 
+// ─── Fault Library Configuration ─────────────────────────────────────────────
+// FAULT_MODES is the built-in library. Plants edit their own copy in the Fault
+// Library tab: entries are added, cloned, edited or retired (kept for the
+// record but no longer injected or ranked). Libraries are persisted in the
+// browser and exchanged as JSON in the format of server/fault-modes.json, so an
+// exported library can also be served by the OPC-UA simulation server or used
+// by the historian scoring CLI.
+const FAULT_LIBRARY_FORMAT = "extrusion-fault-modes";
+const FAULT_LIBRARY_STORAGE_KEY = "extrusion-anomaly.fault-library";
+const FAULT_SEVERITIES = ["CRITICAL", "HIGH", "MEDIUM", "LOW"];
+const SIGNATURE_SUM_TOLERANCE = 0.005;
+const FAULT_DIRECTIONS = ["HIGH", "LOW"];
+const FAULT_PROFILES = [
+  { id: "step", label: "Step" },
+  { id: "ramp", label: "Ramp" },
+  { id: "drift", label: "Exponential drift" },
+  { id: "intermittent", label: "Intermittent bursts" },
+  { id: "oscillation", label: "Oscillation" },
+];
+const MAX_EFFECT_GAIN = 5;   // |σ of response per σ of driver deviation|
+const DIRECTION_ARROWS = { HIGH: "↑", LOW: "↓" };
+
+// Validates one fault mode. Signature weights are the expected share of each
+// variable in the contribution pattern: non-negative and summing to 1.
+// Directions are optional, and only kept for variables in the signature.
+// Coupled effects are gains in σ of the variable per σ of driver deviation.
+function normalizeFaultMode(def, index = 0) {
+  const name = String(def.name ?? "").trim();
+  if (!name) throw new Error(`Fault mode ${index + 1}: name is required`);
+  const where = `Fault mode "${name}"`;
+  if (!/^[a-z][a-z0-9_]*$/.test(def.param ?? "")) throw new Error(`${where}: driver must be a variable key`);
+  const delta = optionalNumber(def.delta);
+  if (!Number.isFinite(delta) || delta === 0) throw new Error(`${where}: Δ must be a non-zero number`);
+  const duration = optionalNumber(def.duration);
+  if (!(Number.isInteger(duration) && duration >= 2)) throw new Error(`${where}: duration must be a whole number of samples ≥ 2`);
+  if (!FAULT_SEVERITIES.includes(def.severity)) throw new Error(`${where}: severity must be one of ${FAULT_SEVERITIES.join(", ")}`);
+  const signature = {};
+  Object.entries(def.signature ?? {}).forEach(([key, w]) => {
+    const weight = optionalNumber(w);
+    if (weight === null || weight === 0) return;
+    if (!(weight > 0)) throw new Error(`${where}: signature weight for "${key}" must be a non-negative number`);
+    signature[key] = weight;
+  });
+  const sum = Object.values(signature).reduce((s, w) => s + w, 0);
+  if (Math.abs(sum - 1) > SIGNATURE_SUM_TOLERANCE) {
+    throw new Error(`${where}: signature weights sum to ${sum.toFixed(3)} — they must sum to 1`);
+  }
+  const directions = {};
+  Object.entries(def.directions ?? {}).forEach(([key, dir]) => {
+    if (!dir) return;
+    if (!FAULT_DIRECTIONS.includes(dir)) throw new Error(`${where}: direction for "${key}" must be HIGH or LOW`);
+    if (signature[key]) directions[key] = dir;
+  });
+  const profile = def.profile ?? "step";
+  if (!FAULT_PROFILES.some(p => p.id === profile)) throw new Error(`${where}: unknown profile "${profile}"`);
+  const effects = {};
+  Object.entries(def.effects ?? {}).forEach(([key, g]) => {
+    const gain = optionalNumber(g);
+    if (gain === null || gain === 0 || key === def.param) return;
+    if (!(Math.abs(gain) <= MAX_EFFECT_GAIN)) throw new Error(`${where}: coupled gain for "${key}" must be a number within ±${MAX_EFFECT_GAIN}`);
+    effects[key] = gain;
+  });
+  if (!Array.isArray(def.actions)) throw new Error(`${where}: actions must be a list`);
+  return {
+    name, param: def.param, delta, duration, profile, effects,
+    severity: def.severity,
+    color: def.color || VARIABLE_COLORS[index % VARIABLE_COLORS.length],
+    signature, directions,
+    mechanism: String(def.mechanism ?? ""),
+    actions: def.actions.map(a => String(a).trim()).filter(Boolean),
+    references: String(def.references ?? ""),
+    retired: !!def.retired,
+  };
+}
+
+// Scales signature weights to sum to 1 at three decimals; the rounding
+// remainder goes to the largest weight.
+function normalizeSignature(signature) {
+  const entries = Object.entries(signature).map(([k, w]) => [k, Math.max(0, optionalNumber(w) || 0)]).filter(([, w]) => w > 0);
+  const sum = entries.reduce((s, [, w]) => s + w, 0);
+  if (!sum) return signature;
+  const scaled = Object.fromEntries(entries.map(([k, w]) => [k, Math.round((w / sum) * 1000) / 1000]));
+  const largest = entries.reduce((a, b) => (b[1] > a[1] ? b : a))[0];
+  const rest = Object.values(scaled).reduce((s, w) => s + w, 0) - scaled[largest];
+  scaled[largest] = Math.round((1 - rest) * 1000) / 1000;
+  return scaled;
+}
+
+function buildFaultLibrary(faults) {
+  if (!Array.isArray(faults) || faults.length === 0) throw new Error("A fault library needs at least one fault mode");
+  const names = new Set();
+  return faults.map((f, i) => {
+    const fault = normalizeFaultMode(f, i);
+    if (names.has(fault.name.toLowerCase())) throw new Error(`Duplicate fault mode name "${fault.name}"`);
+    names.add(fault.name.toLowerCase());
+    return fault;
+  });
+}
+
+function serializeFaultLibrary(faults) {
+  return { format: FAULT_LIBRARY_FORMAT, version: 1, faults };
+}
+
+function deserializeFaultLibrary(obj) {
+  if (obj?.format !== FAULT_LIBRARY_FORMAT) throw new Error("Not a fault library file");
+  return buildFaultLibrary(obj.faults);
+}
+
+const DEFAULT_FAULT_LIBRARY = buildFaultLibrary(FAULT_MODES);
+
+function loadStoredFaultLibrary() {
+  try {
+    const raw = typeof window !== "undefined" && window.localStorage?.getItem(FAULT_LIBRARY_STORAGE_KEY);
+    return raw ? deserializeFaultLibrary(JSON.parse(raw)) : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeFaultLibrary(faults) {
+  window.localStorage.setItem(FAULT_LIBRARY_STORAGE_KEY, JSON.stringify(serializeFaultLibrary(faults)));
+}
+
+// ─── Linear Algebra Helpers ──────────────────────────────────────────────────
+// Small dense-matrix routines for p×p covariance work. p is the number of
+// monitored parameters, so plain O(p³) algorithms are more than fast enough.
+function dot(a, b) {
+  return a.reduce((s, x, i) => s + x * b[i], 0);
+}
+
+function matVec(A, v) {
+  return A.map(row => dot(row, v));
+}
+
+// Gauss–Jordan elimination with partial pivoting
+function matInverse(A) {
+  const n = A.length;
+  const tol = 1e-12 * Math.max(...A.map((row, i) => Math.abs(row[i])), Number.MIN_VALUE);
+  const M = A.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) {
+      if (Math.abs(M[r][c]) > Math.abs(M[pivot][c])) pivot = r;
+    }
+    if (Math.abs(M[pivot][c]) < tol) {
+      throw new Error("Covariance matrix is singular — check for constant or perfectly collinear columns");
+    }
+    [M[c], M[pivot]] = [M[pivot], M[c]];
+    const d = M[c][c];
+    for (let j = 0; j < 2 * n; j++) M[c][j] /= d;
+    for (let r = 0; r < n; r++) {
+      const f = M[r][c];
+      if (r === c || !f) continue;
+      for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[c][j];
+    }
+  }
+  return M.map(row => row.slice(n));
+}
+
+// Cholesky factor L (lower triangular) with A = L·Lᵀ
+function cholesky(A) {
+  const n = A.length;
+  const L = A.map(() => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let s = A[i][j];
+      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+      L[i][j] = i === j ? Math.sqrt(Math.max(s, 0)) : (L[j][j] ? s / L[j][j] : 0);
+    }
+  }
+  return L;
+}
+
+// ─── Distribution Functions (Phase I / Phase II control limits) ──────────────
+// Lanczos approximation to ln Γ(x) (Press et al., Numerical Recipes, §6.1)
+function lnGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  let ser = 1.000000000190015;
+  c.forEach(ci => { y += 1; ser += ci / y; });
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Regularized incomplete beta Iₓ(a, b) by Lentz's continued fraction (NR §6.4)
+function betaInc(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  if (x > (a + 1) / (a + b + 2)) return 1 - betaInc(1 - x, b, a);
+  const front = Math.exp(lnGamma(a + b) - lnGamma(a) - lnGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  const TINY = 1e-30;
+  const clamp = v => (Math.abs(v) < TINY ? TINY : v);
+  let c = 1;
+  let d = 1 / clamp(1 - ((a + b) * x) / (a + 1));
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 / clamp(1 + aa * d);
+    c = clamp(1 + aa / c);
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 / clamp(1 + aa * d);
+    c = clamp(1 + aa / c);
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 3e-14) break;
+  }
+  return (front * h) / a;
+}
+
+// Regularized lower incomplete gamma P(a, x): series / continued fraction (NR §6.2)
+function gammaInc(a, x) {
+  if (x <= 0) return 0;
+  const lnFront = -x + a * Math.log(x) - lnGamma(a);
+  if (x < a + 1) {
+    let ap = a;
+    let del = 1 / a;
+    let sum = del;
+    for (let n = 0; n < 500 && Math.abs(del) > Math.abs(sum) * 3e-14; n++) {
+      ap += 1;
+      del *= x / ap;
+      sum += del;
+    }
+    return sum * Math.exp(lnFront);
+  }
+  const TINY = 1e-30;
+  let b = x + 1 - a;
+  let c = 1 / TINY;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i <= 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = b + an / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 3e-14) break;
+  }
+  return 1 - Math.exp(lnFront) * h;
+}
+
+// Inverts a monotone CDF on [lo, hi] by bisection
+function invertCdf(cdf, prob, lo, hi) {
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (cdf(mid) < prob) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+function betaQuantile(prob, a, b) {
+  return invertCdf(x => betaInc(x, a, b), prob, 0, 1);
+}
+
+// χ²(df) quantile from P(df/2, x/2)
+function chiSquareQuantile(prob, df) {
+  return invertCdf(x => gammaInc(df / 2, x / 2), prob, 0, Math.max(100, df * 10));
+}
+
+// F(d₁, d₂) quantile via X = d₂·B / (d₁·(1 − B)), B ~ Beta(d₁/2, d₂/2)
+function fQuantile(prob, d1, d2) {
+  const x = betaQuantile(prob, d1 / 2, d2 / 2);
+  return (d2 * x) / (d1 * (1 - x));
+}
+
+// ─── Phase I Model Estimation (Tracy, Young & Mason, 1992) ───────────────────
+// The monitoring model holds the in-control mean vector μ₀ and covariance Σ
+// used by every T² computation, together with the variable set it was built
+// for. The nominal model takes μ and σ from the variable set (diagonal Σ,
+// χ²(1 − α; p) UCL); a Phase I model replaces both with estimates from
+// uploaded in-control history.
+const MODEL_FORMAT = "extrusion-phase1-model";
+const MODEL_STORAGE_KEY = "extrusion-anomaly.phase1-model";
+
+function finalizeModel(model, params) {
+  const std = model.cov.map((row, i) => Math.sqrt(row[i]));
+  return {
+    ...model,
+    params,
+    keys: Object.keys(params),
+    std,
+    covInv: matInverse(model.cov),
+    chol: cholesky(model.cov),
+    corr: model.cov.map((row, i) => row.map((v, j) => v / (std[i] * std[j]))),
+  };
+}
+
+function buildNominalModel({ params, alpha } = DEFAULT_VARIABLE_SET) {
+  const keys = Object.keys(params);
+  return finalizeModel({
+    source: "nominal",
+    mean: keys.map(k => params[k].mean),
+    cov: keys.map((k, i) => keys.map((_, j) => (i === j ? params[k].std ** 2 : 0))),
+    n: null,
+    alpha,
+    ucl: chiSquareQuantile(1 - alpha, keys.length),
+  }, params);
+}
+
+// Phase I limit for retrospective screening of the m baseline samples:
+//   T² ~ ((m−1)² / m) · Beta(p/2, (m−p−1)/2)
+function phaseILimit(p, m, alpha) {
+  return ((m - 1) ** 2 / m) * betaQuantile(1 - alpha, p / 2, (m - p - 1) / 2);
+}
+
+// Phase II UCL for a new individual observation scored against estimates:
+//   UCL = p(m+1)(m−1) / (m(m−p)) · F(1−α; p, m−p)
+function phaseIIUcl(p, m, alpha) {
+  return ((p * (m + 1) * (m - 1)) / (m * (m - p))) * fQuantile(1 - alpha, p, m - p);
+}
+
+function sampleMeanCov(rows) {
+  const m = rows.length;
+  const p = rows[0].length;
+  const mean = new Array(p).fill(0);
+  rows.forEach(r => r.forEach((v, j) => { mean[j] += v / m; }));
+  const cov = mean.map(() => new Array(p).fill(0));
+  rows.forEach(r => {
+    const d = r.map((v, j) => v - mean[j]);
+    for (let i = 0; i < p; i++) {
+      for (let j = 0; j < p; j++) cov[i][j] += (d[i] * d[j]) / (m - 1);
+    }
+  });
+  return { mean, cov };
+}
+
+// Matches a CSV header cell to a parameter by key, label or short code
+function matchParamColumn(header, params) {
+  const norm = s => String(s).toLowerCase().replace(/[^a-z0-9]/g, "");
+  const h = norm(header);
+  return Object.keys(params).find(k => [k, params[k].label, params[k].short].some(n => norm(n) === h)) || null;
+}
+
+// Splits a CSV export into a header and cell rows. The delimiter is
+// auto-detected (comma, semicolon, tab); quotes around cells are stripped.
+function readCSVTable(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (lines.length < 2) throw new Error("CSV has no data rows");
+  const delim = [";", "\t"].reduce((best, d) =>
+    lines[0].split(d).length > lines[0].split(best).length ? d : best, ",");
+  const clean = s => s.trim().replace(/^"|"$/g, "");
+  return {
+    delim,
+    header: lines[0].split(delim).map(clean),
+    rows: lines.slice(1).map(line => line.split(delim).map(clean)),
+  };
+}
+
+// Semicolon-delimited exports may use decimal commas
+const parseCell = (cell = "", delim) => parseFloat(delim === ";" ? cell.replace(",", ".") : cell);
+
+// Parses a historian CSV export into numeric rows ordered as the variable set.
+// Rows with a missing or non-numeric value are skipped.
+function parseHistoricalCSV(text, params) {
+  const keys = Object.keys(params);
+  const { delim, header, rows: cells } = readCSVTable(text);
+  const colIndex = {};
+  header.forEach((h, i) => {
+    const k = matchParamColumn(h, params);
+    if (k && colIndex[k] === undefined) colIndex[k] = i;
+  });
+  const missing = keys.filter(k => colIndex[k] === undefined);
+  if (missing.length) throw new Error(`CSV is missing column(s): ${missing.join(", ")}`);
+
+  const rows = [];
+  let skipped = 0;
+  cells.forEach(line => {
+    const row = keys.map(k => parseCell(line[colIndex[k]], delim));
+    if (row.every(Number.isFinite)) rows.push(row); else skipped += 1;
+  });
+  return { rows, skipped };
+}
+
+// Iteratively estimates μ and Σ, removing samples whose T² exceeds the Phase I
+// Beta limit and re-estimating until no further samples are removed (or
+// maxIter is reached). The returned model carries the Phase II F-based UCL.
+function estimatePhaseIModel(rows, params, { trimAlpha = 0.01, alpha = DEFAULT_ALPHA, maxIter = 10 } = {}) {
+  const p = Object.keys(params).length;
+  const history = [];
+  let active = rows;
+  let stats = null;
+  for (let iteration = 1; iteration <= maxIter; iteration++) {
+    const m = active.length;
+    if (m < p + 2) throw new Error(`Phase I needs at least ${p + 2} in-control samples (${m} remain)`);
+    stats = sampleMeanCov(active);
+    const covInv = matInverse(stats.cov);
+    const limit = phaseILimit(p, m, trimAlpha);
+    const kept = active.filter(r => {
+      const d = r.map((v, j) => v - stats.mean[j]);
+      return dot(d, matVec(covInv, d)) <= limit;
+    });
+    history.push({ iteration, n: m, removed: m - kept.length, limit });
+    if (kept.length === m) break;
+    active = kept;
+    stats = null;
+  }
+  if (!stats) {
+    if (active.length < p + 2) throw new Error(`Phase I needs at least ${p + 2} in-control samples (${active.length} remain)`);
+    stats = sampleMeanCov(active);
+  }
+  const m = active.length;
+  return finalizeModel({
+    source: "phase1",
+    mean: stats.mean,
+    cov: stats.cov,
+    n: m,
+    nTotal: rows.length,
+    trimAlpha,
+    alpha,
+    history,
+    ucl: phaseIIUcl(p, m, alpha),
+    createdAt: new Date().toISOString(),
+  }, params);
+}
+
+const NOMINAL_MODEL = buildNominalModel();
+
+// ─── Hotelling T² Statistic ──────────────────────────────────────────────────
+// T² = (x − μ₀)ᵀ Σ⁻¹ (x − μ₀)   (Hotelling, 1947)
+function deviationVector(point, model) {
+  return model.keys.map((k, i) => point[k] - model.mean[i]);
+}
+
+function computeT2(point, model = NOMINAL_MODEL) {
+  const d = deviationVector(point, model);
+  return dot(d, matVec(model.covInv, d));
+}
+
+// ─── Model Persistence ───────────────────────────────────────────────────────
+function serializeModel(model) {
+  const { source, sourceName, keys, mean, cov, n, nTotal, trimAlpha, alpha, history, ucl, createdAt } = model;
+  return {
+    format: MODEL_FORMAT, version: 1, source, sourceName, keys, mean, cov,
+    n, nTotal, trimAlpha, alpha, history, ucl, createdAt,
+  };
+}
+
+// Accepts a serialized model in any key order and re-derives Σ⁻¹. The model
+// must cover exactly the variables of the given set, and a file from a later
+// format version is refused rather than misread.
+function deserializeModel(obj, params) {
+  const { format, version, keys, ...rest } = obj ?? {};
+  if (format !== MODEL_FORMAT) throw new Error("Not a Phase I model file");
+  if (version !== 1) throw new Error(`Unsupported Phase I model version ${version}`);
+  const setKeys = Object.keys(params);
+  const idx = setKeys.map(k => keys.indexOf(k));
+  const missing = setKeys.filter((k, i) => idx[i] < 0);
+  if (missing.length) throw new Error(`Model does not cover parameter(s): ${missing.join(", ")}`);
+  const extra = keys.filter(k => !params[k]);
+  if (extra.length) throw new Error(`Model has parameter(s) not in the variable set: ${extra.join(", ")}`);
+  return finalizeModel({
+    ...rest,
+    mean: idx.map(i => rest.mean[i]),
+    cov: idx.map(i => idx.map(j => rest.cov[i][j])),
+  }, params);
+}
+
+function loadStoredModel(params) {
+  try {
+    const raw = typeof window !== "undefined" && window.localStorage?.getItem(MODEL_STORAGE_KEY);
+    return raw ? deserializeModel(JSON.parse(raw), params) : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeModel(model) {
+  if (model.source === "nominal") window.localStorage.removeItem(MODEL_STORAGE_KEY);
+  else window.localStorage.setItem(MODEL_STORAGE_KEY, JSON.stringify(serializeModel(model)));
+}
+
+// ─── Product Recipes ─────────────────────────────────────────────────────────
+// A recipe is one product (conductor size, insulation thickness) run on the
+// line: per-variable overrides of the variable set's mean, σ, control limits
+// and spec limits, and optionally its own Phase I model. An override field
+// that is absent keeps the variable set's value; null clears a spec limit.
+// The book is persisted in the browser and exchanged as JSON.
+const RECIPE_BOOK_FORMAT = "extrusion-recipe-book";
+const RECIPE_BOOK_STORAGE_KEY = "extrusion-anomaly.recipe-book";
+const RECIPE_FIELDS = ["mean", "std", "sigmaMultiplier", "ucl", "lcl", "usl", "lsl"];
+const CHANGEOVER_LOG_LIMIT = 50;   // recipe changeovers kept per run
+
+// Checks the structure of a recipe book. Whether each recipe fits the active
+// variable set is checked by recipeModel(), since the set can change later.
+function buildRecipeBook(recipes) {
+  if (!Array.isArray(recipes)) throw new Error("recipes must be a list");
+  const names = new Set();
+  return recipes.map((r, i) => {
+    const name = String(r?.name ?? "").trim();
+    if (!name) throw new Error(`Recipe ${i + 1}: name is required`);
+    if (names.has(name.toLowerCase())) throw new Error(`Duplicate recipe name "${name}"`);
+    names.add(name.toLowerCase());
+    const variables = {};
+    Object.entries(r.variables ?? {}).forEach(([key, def]) => {
+      const fields = {};
+      RECIPE_FIELDS.filter(f => def?.[f] !== undefined && def[f] !== "").forEach((f) => {
+        const v = optionalNumber(def[f]);
+        if (v !== null && !Number.isFinite(v)) throw new Error(`Recipe "${name}": ${key}.${f} must be a number`);
+        fields[f] = v;
+      });
+      if (Object.keys(fields).length) variables[key] = fields;
+    });
+    if (r.model != null && r.model.format !== MODEL_FORMAT) throw new Error(`Recipe "${name}": model is not a Phase I model`);
+    // Its Phase II UCL needs the number of Phase I samples, more than the variables
+    if (r.model != null && !(Number.isInteger(r.model.n) && r.model.n > (r.model.keys?.length ?? Infinity))) {
+      throw new Error(`Recipe "${name}": model needs its Phase I sample count n, larger than its number of variables`);
+    }
+    return { name, description: String(r.description ?? ""), variables, model: r.model ?? null };
+  });
+}
+
+function serializeRecipeBook(recipes) {
+  return { format: RECIPE_BOOK_FORMAT, version: 1, recipes };
+}
+
+function deserializeRecipeBook(obj) {
+  if (obj?.format !== RECIPE_BOOK_FORMAT) throw new Error("Not a recipe book file");
+  return buildRecipeBook(obj.recipes);
+}
+
+// The variable set with a recipe's overrides applied. Explicit UCL / LCL in
+// a recipe take over from a σ multiplier in the set.
+function recipeVariableSet(set, recipe) {
+  const unknown = Object.keys(recipe.variables).filter(k => !set.params[k]);
+  if (unknown.length) throw new Error(`Recipe "${recipe.name}": ${unknown.join(", ")} not in the variable set`);
+  try {
+    return buildVariableSet({
+      alpha: set.alpha,
+      variables: Object.entries(set.params).map(([key, def]) => {
+        const override = recipe.variables[key] ?? {};
+        const explicit = override.sigmaMultiplier === undefined && (override.ucl !== undefined || override.lcl !== undefined);
+        return { key, ...def, ...(explicit && { sigmaMultiplier: null }), ...override };
+      }),
+    });
+  } catch (err) {
+    throw new Error(`Recipe "${recipe.name}": ${err.message}`);
+  }
+}
+
+// The monitoring model of a recipe: its own Phase I model, with the Phase II
+// UCL for the set's α, or else the nominal model of its variables
+function recipeModel(set, recipe) {
+  const recipeSet = recipeVariableSet(set, recipe);
+  if (!recipe.model) return buildNominalModel(recipeSet);
+  try {
+    const model = deserializeModel(recipe.model, recipeSet.params);
+    return { ...model, alpha: set.alpha, ucl: phaseIIUcl(model.keys.length, model.n, set.alpha) };
+  } catch (err) {
+    throw new Error(`Recipe "${recipe.name}": ${err.message}`);
+  }
+}
+
+// Two grades of the example scenario: the standard cable at the variable
+// set's values, and a larger jacket run slower with a thicker wall, whose
+// minimum thickness follows the same 90 % − 0.1 mm rule
+const DEFAULT_RECIPE_BOOK = buildRecipeBook([
+  { name: "Ø 10 mm standard", description: "The variable set as configured", variables: {} },
+  {
+    name: "Ø 12 mm jacket",
+    description: "Slower haul-off, 1.25 mm wall",
+    variables: {
+      line_speed: { mean: 43.5, sigmaMultiplier: 3, lsl: 37.5, usl: 49.5 },
+      wall_thickness: { mean: 1.25, sigmaMultiplier: 3, lsl: 1.025 },
+    },
+  },
+]);
+
+function loadStoredRecipeBook() {
+  try {
+    const raw = typeof window !== "undefined" && window.localStorage?.getItem(RECIPE_BOOK_STORAGE_KEY);
+    return raw ? deserializeRecipeBook(JSON.parse(raw)) : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeRecipeBook(recipes) {
+  window.localStorage.setItem(RECIPE_BOOK_STORAGE_KEY, JSON.stringify(serializeRecipeBook(recipes)));
+}
+
+function downloadJSON(filename, obj) {
+  downloadFile(filename, JSON.stringify(obj, null, 2), "application/json");
+}
+
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 // ─── T² Contribution Computation (Mason, Tracy & Young, 1995) ────────────────
-function computeContributions(point) {
-  return PARAM_KEYS.map(key => {
-    const cfg = PARAMS[key];
-    const z = (point[key] - cfg.mean) / cfg.std;
-    const contrib = z * z;
+// Cᵢ = (xᵢ − μᵢ) · [Σ⁻¹(x − μ)]ᵢ — sums exactly to T² and reduces to zᵢ²
+// under diagonal covariance. With correlated variables a term can be negative.
+function computeContributions(point, model = NOMINAL_MODEL) {
+  const d = deviationVector(point, model);
+  const w = matVec(model.covInv, d);
+  return contributionList(d.map((di, i) => di * w[i]), d.map((di, i) => di / model.std[i]), model);
+}
+
+// Shared shape for every per-variable contribution list (T², PCA T², SPE), so
+// the bar plots and diagnoseFault() accept any of them. Sorted largest first.
+// Keys and variable labels come from the model (or PCA model) passed last.
+function contributionList(values, zs, { keys, params }) {
+  return keys.map((key, i) => {
+    const cfg = params[key];
     return {
       key, label: cfg.short, fullLabel: cfg.label,
-      value: parseFloat(contrib.toFixed(4)),
-      z: parseFloat(z.toFixed(3)),
-      direction: z > 0 ? "HIGH" : "LOW",
+      value: parseFloat(values[i].toFixed(4)),
+      z: parseFloat(zs[i].toFixed(3)),
+      direction: zs[i] > 0 ? "HIGH" : "LOW",
       color: cfg.color
     };
   }).sort((a, b) => b.value - a.value);
 }
 
 // ─── Reconstruction-Based Contribution (RBC) ─────────────────────────────────
-// Ask: if we replaced each variable with its nominal mean, how much would T² drop?
-function computeRBC(point) {
-  const t2Full = PARAM_KEYS.reduce((sum, k) => {
-    const z = (point[k] - PARAMS[k].mean) / PARAMS[k].std;
-    return sum + z * z;
-  }, 0);
-
-  return PARAM_KEYS.map(key => {
-    const t2Without = PARAM_KEYS.reduce((sum, k) => {
-      if (k === key) return sum; // reconstruct this variable to nominal
-      const z = (point[k] - PARAMS[k].mean) / PARAMS[k].std;
-      return sum + z * z;
-    }, 0);
-    const rbc = t2Full - t2Without;
-    return { key, label: PARAMS[key].short, fullLabel: PARAMS[key].label,
-      rbc: parseFloat(rbc.toFixed(4)), color: PARAMS[key].color };
+// Ask: if we reconstructed each variable along its own direction ξᵢ to the value
+// that minimises T², how much would T² drop? (Alcala & Qin, 2009)
+//   RBCᵢ = (ξᵢᵀ Σ⁻¹ d)² / (ξᵢᵀ Σ⁻¹ ξᵢ) = [Σ⁻¹d]ᵢ² / [Σ⁻¹]ᵢᵢ
+//   x̂ᵢ   = xᵢ − [Σ⁻¹d]ᵢ / [Σ⁻¹]ᵢᵢ     (reconstructed value)
+// Under diagonal covariance this reduces to zᵢ², the simple decomposition.
+function computeRBC(point, model = NOMINAL_MODEL) {
+  const d = deviationVector(point, model);
+  const w = matVec(model.covInv, d);
+
+  return model.keys.map((key, i) => {
+    const cfg = model.params[key];
+    const rbc = (w[i] * w[i]) / model.covInv[i][i];
+    const reconstructed = point[key] - w[i] / model.covInv[i][i];
+    return { key, label: cfg.short, fullLabel: cfg.label,
+      rbc: parseFloat(rbc.toFixed(4)), reconstructed, color: cfg.color };
   }).sort((a, b) => b.rbc - a.rbc);
 }
 
+// ─── MYT Conditional Decomposition (Mason, Tracy & Young, 1995) ──────────────
+// For each variable i the MYT decomposition separates
+//   unconditional  T²ᵢ      = (xᵢ − μᵢ)² / σᵢᵢ          — out of range on its own
+//   conditional    T²ᵢ·rest = T² − T²₍₋ᵢ₎               — inconsistent with the others
+// where T²₍₋ᵢ₎ is T² of the remaining p−1 variables. The conditional term is
+// compared against the regression of xᵢ on the others:
+//   x̄ᵢ·rest = μᵢ + Σᵢ,ᵣ Σᵣᵣ⁻¹ (xᵣ − μᵣ),  sᵢ·rest² = σᵢᵢ − Σᵢ,ᵣ Σᵣᵣ⁻¹ Σᵣ,ᵢ
+// and, algebraically, T²ᵢ·rest = RBCᵢ. Each term is tested against a one-degree-
+// of-freedom limit: χ²(1) for the nominal model, or the F-based limits for
+// estimated parameters (m in-control samples, k conditioning variables):
+//   unconditional UCL = ((m+1)/m) · F(1−α; 1, m−1)
+//   conditional   UCL = ((m+1)(m−1) / (m(m−k−1))) · F(1−α; 1, m−k−1)
+function mytLimits(model) {
+  const alpha = model.alpha ?? DEFAULT_ALPHA;
+  const m = model.n;
+  const k = model.keys.length - 1;
+  if (!m) {
+    const limit = chiSquareQuantile(1 - alpha, 1);
+    return { unconditional: limit, conditional: limit };
+  }
+  return {
+    unconditional: ((m + 1) / m) * fQuantile(1 - alpha, 1, m - 1),
+    conditional: (((m + 1) * (m - 1)) / (m * (m - k - 1))) * fQuantile(1 - alpha, 1, m - k - 1),
+  };
+}
+
+function computeMYT(point, model = NOMINAL_MODEL) {
+  const d = deviationVector(point, model);
+  const limits = mytLimits(model);
+
+  return model.keys.map((key, i) => {
+    const cfg = model.params[key];
+    const rest = model.keys.map((_, j) => j).filter(j => j !== i);
+    const covRR = rest.map(r => rest.map(c => model.cov[r][c]));
+    const covIR = rest.map(r => model.cov[i][r]);
+    const beta = matVec(matInverse(covRR), covIR);   // regression of xᵢ on the others
+    const dR = rest.map(r => d[r]);
+    const condMean = model.mean[i] + dot(beta, dR);
+    const condVar = Math.max(model.cov[i][i] - dot(beta, covIR), Number.MIN_VALUE);
+    const unconditional = (d[i] * d[i]) / model.cov[i][i];
+    const conditional = (point[key] - condMean) ** 2 / condVar;
+    return {
+      key, label: cfg.short, fullLabel: cfg.label, color: cfg.color,
+      unconditional, conditional, condMean, condStd: Math.sqrt(condVar),
+      unconditionalSignal: unconditional > limits.unconditional,
+      conditionalSignal: conditional > limits.conditional,
+    };
+  });
+}
+
+// ─── Principal Component Analysis (Jackson & Mudholkar, 1979) ────────────────
+// PCA of the baseline correlation matrix R (from the active model's Σ) splits
+// the standardized deviation x̃ = (x − μ) / σ into a retained subspace of the
+// first a components and a residual:
+//   t = Pᵀx̃,  T²ₐ = Σ tⱼ² / λⱼ  (j ≤ a),  SPE = Q = ‖(I − PPᵀ) x̃‖²
+// T²ₐ watches variation along the usual correlation structure; SPE catches new
+// directions that the baseline never showed (Jackson, 1991; MacGregor & Kourti,
+// 1995). Each statistic has its own limit — see pcaLimits().
+const DEFAULT_PCA_SETTINGS = { varianceTarget: 0.85, components: null, alpha: 0.05 };
+
+// Cyclic Jacobi eigen-decomposition of a symmetric matrix (Golub & Van Loan,
+// 2013, §8.5). Returns eigenvalues in descending order and the matching unit
+// eigenvectors, each signed so that its largest-magnitude loading is positive.
+function symmetricEigen(A) {
+  const n = A.length;
+  const a = A.map(row => [...row]);
+  const v = A.map((_, i) => A.map((_, j) => (i === j ? 1 : 0)));
+  const rotate = (M, k, p, q, c, s) => {
+    const mp = M[k][p], mq = M[k][q];
+    M[k][p] = c * mp - s * mq;
+    M[k][q] = s * mp + c * mq;
+  };
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0;
+    for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) off += a[i][j] ** 2;
+    if (off < 1e-22) break;
+    for (let p = 0; p < n; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (Math.abs(a[p][q]) < 1e-300) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < n; k++) rotate(a, k, p, q, c, s);   // A ← A·J
+        for (let k = 0; k < n; k++) {                             // A ← Jᵀ·A
+          const ap = a[p][k], aq = a[q][k];
+          a[p][k] = c * ap - s * aq;
+          a[q][k] = s * ap + c * aq;
+        }
+        for (let k = 0; k < n; k++) rotate(v, k, p, q, c, s);   // V ← V·J
+      }
+    }
+  }
+  const order = a.map((_, i) => i).sort((i, j) => a[j][j] - a[i][i]);
+  return {
+    values: order.map(i => Math.max(a[i][i], 0)),
+    vectors: order.map(i => {
+      const vec = v.map(row => row[i]);
+      const lead = vec.reduce((m, x) => (Math.abs(x) > Math.abs(m) ? x : m), 0);
+      return lead < 0 ? vec.map(x => -x) : vec;
+    }),
+  };
+}
+
+// Standard normal quantile via χ²(1): P(|Z| ≤ z) = 2Φ(z) − 1.
+function normalQuantile(prob) {
+  if (prob === 0.5) return 0;
+  const z = Math.sqrt(chiSquareQuantile(Math.abs(2 * prob - 1), 1));
+  return prob > 0.5 ? z : -z;
+}
+
+// Control limits for the two PCA statistics.
+//   T²ₐ: χ²(1−α; a) for the nominal model, else the Phase II F limit with p = a
+//        (Tracy, Young & Mason, 1992)
+//   SPE: Jackson & Mudholkar (1979), with θᵢ = Σ_{j>a} λⱼⁱ over the residual
+//        eigenvalues and h₀ = 1 − 2θ₁θ₃ / (3θ₂²):
+//        Q_α = θ₁ [ c_α √(2θ₂h₀²) / θ₁ + 1 + θ₂h₀(h₀ − 1) / θ₁² ]^(1/h₀)
+function pcaLimits(eigenvalues, a, alpha, m) {
+  const t2Ucl = m ? phaseIIUcl(a, m, alpha) : chiSquareQuantile(1 - alpha, a);
+  const residual = eigenvalues.slice(a);
+  const theta = [1, 2, 3].map(i => residual.reduce((s, l) => s + l ** i, 0));
+  if (theta[0] < 1e-12) return { t2Ucl, speUcl: 0 };
+  const h0 = 1 - (2 * theta[0] * theta[2]) / (3 * theta[1] ** 2);
+  const ca = normalQuantile(1 - alpha);
+  const speUcl = theta[0] * Math.pow(
+    (ca * Math.sqrt(2 * theta[1] * h0 * h0)) / theta[0] + 1 + (theta[1] * h0 * (h0 - 1)) / theta[0] ** 2,
+    1 / h0);
+  return { t2Ucl, speUcl };
+}
+
+// Fit a PCA model on the active monitoring model's correlation structure.
+// Components are retained up to the cumulative-variance target unless a fixed
+// count is given; at least one component is always left in the residual.
+function buildPcaModel(model, settings = DEFAULT_PCA_SETTINGS) {
+  const { varianceTarget, components, alpha } = settings;
+  const p = model.keys.length;
+  const { values, vectors } = symmetricEigen(model.corr);
+  const total = values.reduce((s, l) => s + l, 0);
+  const cumulative = values.map((_, i) => values.slice(0, i + 1).reduce((s, l) => s + l, 0) / total);
+  const a = Math.min(p - 1, Math.max(1, components ?? cumulative.findIndex(c => c >= varianceTarget - 1e-9) + 1));
+  return {
+    settings, a, alpha,
+    source: model.source, n: model.n,
+    keys: model.keys, params: model.params,
+    mean: model.mean, std: model.std,
+    eigenvalues: values, eigenvectors: vectors, cumulative,
+    ...pcaLimits(values, a, alpha, model.n),
+  };
+}
+
+// Scores, reconstruction and residual of one observation in the PCA model.
+function pcaProject(point, pca) {
+  const x = pca.keys.map((k, i) => (point[k] - pca.mean[i]) / pca.std[i]);
+  const retained = pca.eigenvectors.slice(0, pca.a);
+  const scores = retained.map(vec => dot(vec, x));
+  const xHat = x.map((_, i) => retained.reduce((s, vec, j) => s + vec[i] * scores[j], 0));
+  return { x, scores, residual: x.map((xi, i) => xi - xHat[i]) };
+}
+
+// Write pca_t2 / spe and their alarm flags onto a generated point.
+function scorePca(point, pca) {
+  const { scores, residual } = pcaProject(point, pca);
+  point.pca_t2 = scores.reduce((s, t, j) => s + (t * t) / pca.eigenvalues[j], 0);
+  point.spe = dot(residual, residual);
+  point.pca_t2_anomaly = point.pca_t2 > pca.t2Ucl;
+  point.spe_anomaly = point.spe > pca.speUcl;
+  return point;
+}
+
+// Complete decomposition of T²ₐ: Cᵢ = x̃ᵢ · [P Λₐ⁻¹ t]ᵢ, summing to T²ₐ
+// (Qin, 2003). Like the full-covariance Cᵢ, terms may be negative.
+function computePcaT2Contributions(point, pca) {
+  const { x, scores } = pcaProject(point, pca);
+  const retained = pca.eigenvectors.slice(0, pca.a);
+  const w = x.map((_, i) => retained.reduce((s, vec, j) => s + (vec[i] * scores[j]) / pca.eigenvalues[j], 0));
+  return contributionList(x.map((xi, i) => xi * w[i]), x, pca);
+}
+
+// SPE contributions: the squared residual of each variable, eᵢ² (Miller,
+// Swanson & Heckler, 1998). Direction follows the sign of the residual.
+function computeSpeContributions(point, pca) {
+  const { residual } = pcaProject(point, pca);
+  return contributionList(residual.map(e => e * e), residual, pca);
+}
+
 // ─── Fault Diagnosis Engine ───────────────────────────────────────────────────
-function diagnoseFault(contributions) {
-  // Normalize contributions to sum=1 for pattern matching
-  const total = contributions.reduce((s, c) => s + c.value, 0) || 1;
+// Fault modes of the library that can occur with the given variable set
+function monitoredFaults(keys, library = DEFAULT_FAULT_LIBRARY) {
+  return library.filter(f => !f.retired && keys.includes(f.param));
+}
+
+function diagnoseFault(contributions, library = DEFAULT_FAULT_LIBRARY) {
+  // Normalize contributions to sum=1 for pattern matching. Negative
+  // cross-covariance terms carry no fault evidence and are floored at zero.
+  const total = contributions.reduce((s, c) => s + Math.max(0, c.value), 0) || 1;
   const norm = {};
-  contributions.forEach(c => { norm[c.key] = c.value / total; });
+  const sign = {};
+  contributions.forEach(c => {
+    norm[c.key] = Math.max(0, c.value) / total;
+    sign[c.key] = Math.sign(c.z ?? 0);
+  });
 
-  // Cosine similarity between observed pattern and each fault signature
-  const scores = FAULT_MODES.map(fault => {
+  // Cosine similarity between observed pattern and each fault signature,
+  // restricted to the monitored variables. A fault whose primary driver is
+  // not monitored cannot be recognised and is left out of the ranking.
+  // Squared contributions lose the sign of the deviation, so a variable that
+  // moved against the signature's expected direction enters the dot product
+  // negated: a pressure drop then scores against Pressure Surge rather than
+  // for it. Variables without an expected direction match either way, and
+  // a similarity below zero is reported as zero.
+  const keys = contributions.map(c => c.key);
+  const scores = monitoredFaults(keys, library).map(fault => {
     let dot = 0, magFault = 0, magObs = 0;
-    PARAM_KEYS.forEach(k => {
+    const mismatches = [];
+    keys.forEach(k => {
       const fo = fault.signature[k] || 0;
       const ob = norm[k] || 0;
-      dot += fo * ob;
+      const expected = fault.directions?.[k];
+      const against = expected && sign[k] && sign[k] !== (expected === "HIGH" ? 1 : -1);
+      if (against && fo) mismatches.push(k);
+      dot += (against ? -1 : 1) * fo * ob;
       magFault += fo * fo;
       magObs += ob * ob;
     });
     const similarity = magFault && magObs
-      ? dot / (Math.sqrt(magFault) * Math.sqrt(magObs))
+      ? Math.max(0, dot / (Math.sqrt(magFault) * Math.sqrt(magObs)))
       : 0;
-    return { ...fault, confidence: parseFloat((similarity * 100).toFixed(1)) };
+    return { ...fault, confidence: parseFloat((similarity * 100).toFixed(1)), mismatches };
   });
 
   return scores.sort((a, b) => b.confidence - a.confidence);
 }
 
-// ─── Data Generator ───────────────────────────────────────────────────────────
-function generatePoint(t, activeFault) {
-  const point = { t };
-  PARAM_KEYS.forEach(key => {
-    const cfg = PARAMS[key];
-    let val = cfg.mean + (Math.random() - 0.5) * 2 * cfg.std;
-    if (activeFault?.param === key) {
-      val += activeFault.delta * (0.75 + Math.random() * 0.5);
-    }
-    point[key] = parseFloat(val.toFixed(3));
-    point[`${key}_anomaly`] = val > cfg.ucl || val < cfg.lcl;
-  });
-  const t2 = PARAM_KEYS.reduce((s, k) => {
-    const z = (point[k] - PARAMS[k].mean) / PARAMS[k].std;
-    return s + z * z;
-  }, 0);
-  point.t2 = parseFloat(t2.toFixed(3));
-  point.t2_anomaly = t2 > T2_UCL;
-  return point;
+// ─── Unrecognised Patterns ───────────────────────────────────────────────────
+// Both engines always rank some fault first, however poorly it fits. When the
+// best pattern match (direction-aware cosine, in %) is below the configured
+// minimum, the alarm is labelled an unrecognised pattern instead. Cleared
+// episodes that the current library still cannot explain are clustered by
+// their signed contribution shares, so a recurring unknown fault shows up as
+// one group that can be promoted into a new fault mode.
+const UNRECOGNISED_PATTERN = "Unrecognised pattern";
+const UNRECOGNISED_COLOR = "#a3a3a3";
+const DEFAULT_MIN_MATCH = 60;
+const DEFAULT_CLUSTER_SIMILARITY = 0.85;
+const PROMOTED_DIRECTION_SHARE = 0.05;   // smallest share given an expected direction
+
+function assessMatch(contributions, diagnosis) {
+  const bestMatch = diagnoseFault(contributions, diagnosis.library)[0]?.confidence ?? 0;
+  return { bestMatch, unrecognised: bestMatch < diagnosis.minMatch };
 }
 
-// ─── Severity Badge ───────────────────────────────────────────────────────────
-const SEVERITY_COLORS = { CRITICAL: "#F72585", HIGH: "#ef4444", MEDIUM: "#f97316", LOW: "#FFD166" };
+// Name shown for a snapshot's or episode's diagnosis
+function topFaultName(record) {
+  return record.unrecognised ? UNRECOGNISED_PATTERN : record.hypotheses[0]?.name;
+}
 
-// ─── Sub-Components ───────────────────────────────────────────────────────────
-const fmt = (v, unit) => `${typeof v === "number" ? v.toFixed(unit === "mm" ? 3 : 1) : v}${unit}`;
+// Contribution shares carrying the sign of each variable's deviation
+function signedShares(contributions) {
+  const total = contributions.reduce((s, c) => s + Math.max(0, c.value), 0) || 1;
+  return Object.fromEntries(contributions.map(c => [c.key, (Math.max(0, c.value) / total) * (c.z < 0 ? -1 : 1)]));
+}
 
-const SectionBox = ({ title, subtitle, titleColor = "#94a3b8", children, style = {} }) => (
-  <div style={{ background: "#0c1428", border: "1px solid #1e293b", borderRadius: 10, padding: "16px 20px", ...style }}>
-    <div style={{ marginBottom: 12 }}>
-      <span style={{ color: "#475569", fontSize: 10, letterSpacing: 2, textTransform: "uppercase" }}>{title} — </span>
-      <span style={{ color: titleColor, fontWeight: 700, fontSize: 13 }}>{subtitle}</span>
-    </div>
-    {children}
-  </div>
-);
+function vectorCosine(a, b) {
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  const dot = keys.reduce((s, k) => s + (a[k] ?? 0) * (b[k] ?? 0), 0);
+  const mag = v => Math.sqrt(keys.reduce((s, k) => s + (v[k] ?? 0) ** 2, 0));
+  return mag(a) && mag(b) ? dot / (mag(a) * mag(b)) : 0;
+}
 
-function ParamCard({ paramKey, data, isActive, onClick }) {
-  const cfg = PARAMS[paramKey];
-  const latest = data[data.length - 1];
-  const val = latest?.[paramKey];
-  const anom = latest?.[`${paramKey}_anomaly`];
-  const pct = val ? Math.min(100, Math.max(0, ((val - cfg.lcl) / (cfg.ucl - cfg.lcl)) * 100)) : 50;
+// Cleared episodes whose best match against the library is below minMatch
+function unexplainedEpisodes(episodes, library, minMatch) {
+  return episodes.filter(e => e.clear && assessMatch(e.contributions, { library, minMatch }).unrecognised);
+}
 
-  return (
-    <div onClick={onClick} style={{
-      background: isActive ? "#1a2540" : "#0f172a",
-      border: `1px solid ${anom ? "#ef4444" : isActive ? cfg.color : "#1e293b"}`,
-      borderRadius: 8, padding: "12px 14px", cursor: "pointer",
-      transition: "all 0.2s", position: "relative", overflow: "hidden",
-      boxShadow: anom ? `0 0 20px ${cfg.color}44` : isActive ? `0 0 10px ${cfg.color}22` : "none"
-    }}>
-      {anom && (
-        <div style={{ position: "absolute", top: 0, right: 0, background: "#ef4444",
-          color: "#fff", fontSize: 9, fontWeight: 700, padding: "2px 6px",
-          borderRadius: "0 8px 0 6px", letterSpacing: 1 }}>ALARM</div>
-      )}
-      <div style={{ color: "#475569", fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 2 }}>
-        {cfg.label}
-      </div>
-      <div style={{ color: anom ? "#ef4444" : cfg.color, fontSize: 20, fontWeight: 800, fontFamily: "monospace" }}>
-        {val !== undefined ? fmt(val, cfg.unit) : "—"}
-      </div>
-      <div style={{ marginTop: 7, height: 3, background: "#1e293b", borderRadius: 2 }}>
-        <div style={{ width: `${pct}%`, height: "100%", background: anom ? "#ef4444" : cfg.color, borderRadius: 2, transition: "width 0.3s" }} />
-      </div>
-      <div style={{ display: "flex", justifyContent: "space-between", marginTop: 2, color: "#334155", fontSize: 9, fontFamily: "monospace" }}>
-        <span>LCL {cfg.lcl}</span><span>UCL {cfg.ucl}</span>
-      </div>
-      <div style={{ height: 32, marginTop: 4 }}>
-        <ResponsiveContainer width="100%" height="100%">
-          <LineChart data={data.slice(-30)}>
-            <Line type="monotone" dataKey={paramKey} stroke={anom ? "#ef4444" : cfg.color}
-              strokeWidth={1.5} dot={false} isAnimationActive={false} />
-            <ReferenceLine y={cfg.ucl} stroke="#ef444455" strokeDasharray="2 2" />
-            <ReferenceLine y={cfg.lcl} stroke="#ef444455" strokeDasharray="2 2" />
-          </LineChart>
-        </ResponsiveContainer>
-      </div>
-    </div>
-  );
+/**
+ * Agglomerative clustering of episodes by signed contribution shares:
+ * the two clusters with the most similar centroids merge until no pair is at
+ * least `similarity` (cosine) apart. Clusters come back largest first, each
+ * with its member episodes, centroid shares and the weakest member's
+ * similarity to the centroid.
+ */
+function clusterEpisodes(episodes, similarity = DEFAULT_CLUSTER_SIMILARITY) {
+  const centroid = members => {
+    const shares = members.map(e => signedShares(e.contributions));
+    const keys = [...new Set(shares.flatMap(Object.keys))];
+    return Object.fromEntries(keys.map(k => [k, shares.reduce((s, sh) => s + (sh[k] ?? 0), 0) / shares.length]));
+  };
+  let clusters = episodes.map(e => ({ members: [e], centroid: centroid([e]) }));
+  for (;;) {
+    let best = null;
+    clusters.forEach((a, i) => clusters.slice(i + 1).forEach((b, j) => {
+      const sim = vectorCosine(a.centroid, b.centroid);
+      if (sim >= similarity && (!best || sim > best.sim)) best = { i, j: i + 1 + j, sim };
+    }));
+    if (!best) break;
+    const members = [...clusters[best.i].members, ...clusters[best.j].members];
+    clusters = [...clusters.filter((_, k) => k !== best.i && k !== best.j), { members, centroid: centroid(members) }];
+  }
+  return clusters
+    .map(c => ({
+      ...c,
+      id: c.members.map(e => e.id).sort()[0],
+      cohesion: Math.min(...c.members.map(e => vectorCosine(signedShares(e.contributions), c.centroid))),
+    }))
+    .sort((a, b) => b.members.length - a.members.length || a.id.localeCompare(b.id));
 }
 
-// ─── Contribution Plot Panel ──────────────────────────────────────────────────
-function ContributionPanel({ latestPoint, isAnomalous }) {
-  if (!latestPoint) return (
-    <div style={{ color: "#334155", textAlign: "center", padding: "32px 0", fontSize: 12 }}>
-      Start the process to view contribution analysis
-    </div>
-  );
+// A new fault mode from a cluster: the centroid as signature, the centroid's
+// signs as expected directions, and the strongest variable as the driver,
+// injected as a step at its mean deviation for the members' mean duration,
+// with the other signature variables coupled at their mean z relative to it.
+function clusterFaultMode(cluster, params, name) {
+  const magnitude = Object.fromEntries(Object.entries(cluster.centroid).map(([k, v]) => [k, Math.abs(v)]));
+  const signature = normalizeSignature(magnitude);
+  const param = Object.keys(signature).reduce((a, b) => (signature[b] > signature[a] ? b : a));
+  const n = cluster.members.length;
+  const meanZ = key => cluster.members.reduce((s, e) => s + (e.contributions.find(c => c.key === key)?.z ?? 0), 0) / n;
+  const driverZ = meanZ(param);
+  return {
+    name, param,
+    delta: parseFloat((driverZ * params[param].std).toPrecision(3)) || params[param].std,
+    duration: Math.max(2, Math.round(cluster.members.reduce((s, e) => s + e.duration, 0) / n)),
+    profile: "step",
+    effects: driverZ ? Object.fromEntries(Object.keys(signature)
+      .filter(k => k !== param)
+      .map(k => [k, parseFloat(Math.max(-MAX_EFFECT_GAIN, Math.min(MAX_EFFECT_GAIN, meanZ(k) / driverZ)).toFixed(2))])) : {},
+    severity: "MEDIUM",
+    signature,
+    directions: Object.fromEntries(Object.entries(cluster.centroid)
+      .filter(([k, v]) => signature[k] && Math.abs(v) >= PROMOTED_DIRECTION_SHARE)
+      .map(([k, v]) => [k, v > 0 ? "HIGH" : "LOW"])),
+    mechanism: `Recurring unrecognised pattern promoted from ${n} alarm episode${n === 1 ? "" : "s"}. Describe the confirmed mechanism here.`,
+    actions: [],
+    references: "",
+  };
+}
 
-  const contributions = computeContributions(latestPoint);
-  const rbc = computeRBC(latestPoint);
-  const maxVal = Math.max(...contributions.map(c => c.value), 1);
+// ─── Temporal Diagnosis ──────────────────────────────────────────────────────
+// One sample's contribution pattern is mostly noise, so a ranking made from
+// it changes every sample. The diagnosis can instead average the
+// contributions over a sliding window or over the open alarm episode, count
+// how long each variable has stayed beyond ONSET_Z σ, and order the variables
+// by when they first went out. The first-out variable is often the best clue
+// to the root cause: the others are usually its downstream effects.
+const DIAGNOSIS_WINDOW_MODES = [
+  { id: "point", label: "Latest sample" },
+  { id: "window", label: "Sliding window" },
+  { id: "episode", label: "Alarm episode" },
+];
+const DEFAULT_DIAGNOSIS_WINDOW = { mode: "episode", size: 10 };
+const ONSET_Z = 2;          // |z| beyond which a variable counts as out
+const ONSET_CONFIRM = 2;    // consecutive same-side samples needed to call an onset
+const ONSET_LEAD_IN = 10;   // samples before an episode searched for onsets
 
-  return (
-    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
+// Standardized deviation of each variable in a raw sample
+function sampleZ(point, model) {
+  const d = deviationVector(point, model);
+  return Object.fromEntries(model.keys.map((k, i) => [k, d[i] / model.std[i]]));
+}
 
-      {/* T² Decomposition — Bar Chart */}
-      <div>
-        <div style={{ color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 10 }}>
-          T² Decomposition  <span style={{ color: "#334155" }}>(Mason et al., 1995)</span>
-        </div>
-        {contributions.map((c, i) => (
-          <div key={c.key} style={{ marginBottom: 7 }}>
-            <div style={{ display: "flex", justifyContent: "space-between", fontSize: 10, marginBottom: 2 }}>
-              <span style={{ color: c.color, fontWeight: 700 }}>{c.fullLabel}</span>
-              <span style={{ color: "#64748b", fontFamily: "monospace" }}>
-                z={c.z > 0 ? "+" : ""}{c.z}  [{c.direction}]  {c.value.toFixed(3)}
-              </span>
-            </div>
-            <div style={{ height: 12, background: "#1e293b", borderRadius: 3, overflow: "hidden" }}>
-              <div style={{
-                width: `${(c.value / maxVal) * 100}%`, height: "100%",
-                background: c.value > T2_UCL / 6 ? (isAnomalous ? "#ef4444" : c.color) : c.color,
-                opacity: 0.85, borderRadius: 3,
-                transition: "width 0.5s ease",
-                boxShadow: c.value > T2_UCL / 6 && isAnomalous ? `0 0 8px ${c.color}88` : "none"
-              }} />
-            </div>
-          </div>
-        ))}
+/**
+ * Finds each variable's onset in a stream of samples: the first of
+ * ONSET_CONFIRM consecutive samples beyond ±ONSET_Z on the same side.
+ * push() takes a sample's moment and z-scores; onsets() lists the variables
+ * that went out, earliest first (ties by the larger |z|).
+ */
+function createOnsetDetector(keys) {
+  const runs = {};
+  const found = {};
+  return {
+    push(moment, zs) {
+      keys.forEach(k => {
+        const z = zs[k];
+        if (found[k] || !(Math.abs(z) >= ONSET_Z)) { runs[k] = null; return; }
+        const sign = Math.sign(z);
+        runs[k] = runs[k]?.sign === sign ? { ...runs[k], count: runs[k].count + 1 } : { start: { ...moment, z }, sign, count: 1 };
+        if (runs[k].count >= ONSET_CONFIRM) {
+          const { start } = runs[k];
+          found[k] = { key: k, ...start, z: parseFloat(start.z.toFixed(3)), direction: sign > 0 ? "HIGH" : "LOW" };
+        }
+      });
+    },
+    onsets: () => Object.values(found).sort((a, b) => a.t - b.t || Math.abs(b.z) - Math.abs(a.z)),
+  };
+}
+
+// Samples the diagnosis averages over, and the samples searched for onsets,
+// oldest first. Episode mode starts at the open episode's onset and searches
+// ONSET_LEAD_IN samples before it; without an open episode it falls back to
+// the sliding window.
+function diagnosisFrames(data, { mode, size }, episodeOnsetT = null) {
+  if (mode === "point") return { averaged: data.slice(-1), searched: data.slice(-size) };
+  if (mode === "episode" && episodeOnsetT != null) {
+    const start = data.findIndex(pt => pt.t >= episodeOnsetT);
+    if (start >= 0) return { averaged: data.slice(start), searched: data.slice(Math.max(0, start - ONSET_LEAD_IN)) };
+  }
+  const recent = data.slice(-size);
+  return { averaged: recent, searched: recent };
+}
+
+// Mean of per-sample contribution lists, with the number of samples each
+// variable spent beyond ±ONSET_Z
+function averageContributions(lists, { keys, params }) {
+  const n = lists.length || 1;
+  const byKey = lists.map(list => Object.fromEntries(list.map(c => [c.key, c])));
+  const mean = field => keys.map(k => byKey.reduce((s, l) => s + (l[k]?.[field] ?? 0), 0) / n);
+  return {
+    contributions: contributionList(mean("value"), mean("z"), { keys, params }),
+    persistence: Object.fromEntries(keys.map(k => [k, byKey.filter(l => Math.abs(l[k]?.z ?? 0) >= ONSET_Z).length])),
+  };
+}
+
+// ─── Bayesian Fault Diagnosis ────────────────────────────────────────────────
+// The cosine score is a similarity, not a probability, and ignores how often
+// each fault occurs. The Bayesian engine turns it into posterior probabilities
+// over the monitored fault modes plus a "normal / unknown" class:
+//   P(c | x, alarm) ∝ P(c) · exp(κ · cos(x, s_c)) · P(alarm | c)
+// The pattern likelihood is von Mises–Fisher-like in the share vector x with
+// concentration κ; the normal / unknown class matches every pattern at the
+// fixed cosine c₀. The alarm term weighs the detector's evidence: a fault
+// alarms with the detection power, normal operation at the false-alarm rate α.
+// Priors are Laplace-smoothed frequencies of operator-confirmed root causes.
+const NORMAL_CLASS = "Normal / unknown";
+const NORMAL_CLASS_COLOR = "#64748b";
+const DIAGNOSIS_ENGINES = [
+  { id: "cosine", label: "Cosine similarity" },
+  { id: "bayes", label: "Bayesian posterior" },
+];
+const DEFAULT_BAYES_SETTINGS = { concentration: 20, unknownMatch: 0.7, power: 0.9 };
+const DIAGNOSIS_FORMAT = "extrusion-diagnosis";
+const DIAGNOSIS_STORAGE_KEY = "extrusion-anomaly.diagnosis";
+
+// Confirmed root causes per class
+function confirmationCounts(confirmations) {
+  const counts = {};
+  confirmations.forEach(c => { counts[c.fault] = (counts[c.fault] ?? 0) + 1; });
+  return counts;
+}
+
+// Prior probability of each monitored fault mode and of the normal / unknown
+// class: (1 + confirmed count) / Σ(1 + confirmed count)
+function faultPriors(faults, counts) {
+  const classes = [...faults.map(f => f.name), NORMAL_CLASS];
+  const total = classes.reduce((s, c) => s + 1 + (counts[c] ?? 0), 0);
+  return Object.fromEntries(classes.map(c => [c, (1 + (counts[c] ?? 0)) / total]));
+}
+
+function diagnoseFaultBayes(contributions, library, { counts = {}, settings = DEFAULT_BAYES_SETTINGS, alarmed = true, falseAlarmRate = DEFAULT_ALPHA }) {
+  const { concentration: kappa, unknownMatch, power } = settings;
+  const cosine = diagnoseFault(contributions, library);
+  const priors = faultPriors(cosine, counts);
+  const faultAlarm = Math.log(alarmed ? power : 1 - power);
+  const normalAlarm = Math.log(alarmed ? falseAlarmRate : 1 - falseAlarmRate);
+  const classes = [
+    ...cosine.map(f => ({ ...f, similarity: f.confidence, logPost: Math.log(priors[f.name]) + kappa * (f.confidence / 100) + faultAlarm })),
+    { name: NORMAL_CLASS, normal: true, color: NORMAL_CLASS_COLOR, similarity: null,
+      logPost: Math.log(priors[NORMAL_CLASS]) + kappa * unknownMatch + normalAlarm },
+  ];
+  const max = Math.max(...classes.map(c => c.logPost));
+  const z = classes.reduce((s, c) => s + Math.exp(c.logPost - max), 0);
+  return classes
+    .map(({ logPost, ...c }) => {
+      const posterior = Math.exp(logPost - max) / z;
+      return { ...c, prior: priors[c.name], posterior, confidence: parseFloat((posterior * 100).toFixed(1)) };
+    })
+    .sort((a, b) => b.posterior - a.posterior);
+}
+
+// Ranks hypotheses with the selected engine. `diagnosis` is the monitor's
+// diagnosis configuration ({ library, engine, bayes, counts }); `evidence`
+// says whether the matched statistic alarms and at what false-alarm rate.
+function rankHypotheses(contributions, diagnosis, evidence = {}) {
+  if (diagnosis.engine !== "bayes") return diagnoseFault(contributions, diagnosis.library);
+  return diagnoseFaultBayes(contributions, diagnosis.library, { counts: diagnosis.counts, settings: diagnosis.bayes, ...evidence });
+}
+
+// Design false-alarm rate per sample of the trigger statistic
+function triggerFalseAlarmRate(settings, model) {
+  return settings.trigger === "t2" ? model.alpha : 1 / settings.arl0;
+}
+
+function serializeDiagnosis(diagnosis) {
+  const { engine, bayes, minMatch, confirmations } = diagnosis;
+  return { format: DIAGNOSIS_FORMAT, version: 1, engine, bayes, minMatch, window: diagnosis.window, confirmations };
+}
+
+function deserializeDiagnosis(obj) {
+  if (obj?.format !== DIAGNOSIS_FORMAT) throw new Error("Not a diagnosis settings file");
+  return {
+    engine: DIAGNOSIS_ENGINES.some(e => e.id === obj.engine) ? obj.engine : "cosine",
+    bayes: { ...DEFAULT_BAYES_SETTINGS, ...obj.bayes },
+    minMatch: Number.isFinite(obj.minMatch) ? obj.minMatch : DEFAULT_MIN_MATCH,
+    window: {
+      mode: DIAGNOSIS_WINDOW_MODES.some(m => m.id === obj.window?.mode) ? obj.window.mode : DEFAULT_DIAGNOSIS_WINDOW.mode,
+      size: Number.isInteger(obj.window?.size) && obj.window.size >= 2 ? obj.window.size : DEFAULT_DIAGNOSIS_WINDOW.size,
+    },
+    confirmations: Array.isArray(obj.confirmations) ? obj.confirmations.filter(c => typeof c?.fault === "string") : [],
+  };
+}
+
+const DEFAULT_DIAGNOSIS = {
+  engine: "cosine", bayes: DEFAULT_BAYES_SETTINGS, minMatch: DEFAULT_MIN_MATCH, window: DEFAULT_DIAGNOSIS_WINDOW, confirmations: [],
+};
+
+function loadStoredDiagnosis() {
+  try {
+    const raw = typeof window !== "undefined" && window.localStorage?.getItem(DIAGNOSIS_STORAGE_KEY);
+    return raw ? deserializeDiagnosis(JSON.parse(raw)) : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeDiagnosis(diagnosis) {
+  window.localStorage.setItem(DIAGNOSIS_STORAGE_KEY, JSON.stringify(serializeDiagnosis(diagnosis)));
+}
+
+// Contribution lists the signature library can be matched against. The PCA
+// bases are offered only while a PCA model is fitted, and always decompose the
+// raw sample rather than the MEWMA / MCUSUM analysis point.
+const DIAGNOSIS_BASES = [
+  { id: "statistic", label: "Trigger statistic" },
+  { id: "pca_t2", label: "PCA T²ₐ" },
+  { id: "spe", label: "SPE / Q" },
+];
+
+function basisContributions(basis, point, rawPoint, model, pca) {
+  if (pca && basis === "pca_t2") return computePcaT2Contributions(rawPoint, pca);
+  if (pca && basis === "spe") return computeSpeContributions(rawPoint, pca);
+  return computeContributions(point, model);
+}
+
+// ─── Run Rules (Western Electric, 1956; Nelson, 1984) ────────────────────────
+// Sensitizing rules for the individuals charts. Zones are measured from the
+// centre line in σ units: C = within 1σ, B = 1–2σ, A = 2–3σ. Each test sees
+// the last n standardized values z (oldest first) and fires on the point that
+// completes the pattern. Rule N2 uses the WECO run length of 8 (Nelson: 9).
+// At least `count` values beyond `beyond` σ on the side of the last one,
+// the last included
+const lastSideBeyond = (z, count, beyond) => {
+  const side = Math.sign(z[z.length - 1]);
+  return z[z.length - 1] * side > beyond && z.filter(v => v * side > beyond).length >= count;
+};
+
+const RUN_RULES = [
+  { id: "N1", n: 1,  label: "1 point beyond 3σ (control limit)",
+    test: (z, v, cfg) => v[0] > cfg.ucl || v[0] < cfg.lcl },
+  { id: "N2", n: 8,  label: "8 in a row on one side of CL",
+    test: z => z.every(x => x > 0) || z.every(x => x < 0) },
+  { id: "N3", n: 6,  label: "6 in a row steadily increasing or decreasing",
+    test: z => z.slice(1).every((x, i) => x > z[i]) || z.slice(1).every((x, i) => x < z[i]) },
+  { id: "N4", n: 14, label: "14 in a row alternating up and down",
+    test: z => z.slice(2).every((x, i) => (z[i + 1] - z[i]) * (x - z[i + 1]) < 0) },
+  { id: "N5", n: 3,  label: "2 of 3 beyond 2σ on the same side (zone A)",
+    test: z => lastSideBeyond(z, 2, 2) },
+  { id: "N6", n: 5,  label: "4 of 5 beyond 1σ on the same side (zone B)",
+    test: z => lastSideBeyond(z, 4, 1) },
+  { id: "N7", n: 15, label: "15 in a row within 1σ (stratification)",
+    test: z => z.every(x => Math.abs(x) < 1) },
+  { id: "N8", n: 8,  label: "8 in a row beyond 1σ on both sides (mixture)",
+    test: z => z.every(x => Math.abs(x) > 1) && z.some(x => x > 0) && z.some(x => x < 0) },
+];
+
+const RUN_RULE_WINDOW = Math.max(...RUN_RULES.map(r => r.n));
+
+// All rules enabled for every variable; `current` keeps existing choices for
+// variables that survive a change of variable set.
+function defaultRuleConfig(keys, current = {}) {
+  return Object.fromEntries(keys.map(k => [k, current[k] ?? Object.fromEntries(RUN_RULES.map(r => [r.id, true]))]));
+}
+
+// Returns the IDs of enabled rules violated by the window ending at the last value
+function evaluateRunRules(values, cfg, enabled) {
+  const z = values.map(v => (v - cfg.mean) / cfg.std);
+  return RUN_RULES.filter(rule => enabled[rule.id] && values.length >= rule.n &&
+    rule.test(z.slice(-rule.n), values.slice(-rule.n), cfg)).map(rule => rule.id);
+}
+
+// ─── EWMA & CUSUM Charts (Roberts, 1959; Page, 1954) ─────────────────────────
+// Both statistics are carried forward on each point so any chart type can be
+// displayed at any time; the chart type selected for a parameter decides which
+// signal is raised as an alarm.
+//   EWMA:  zₜ = λxₜ + (1−λ)zₜ₋₁,  z₀ = μ
+//          limits μ ± Lσ·√(λ/(2−λ)·[1 − (1−λ)²ᵗ])   (time-varying)
+//   CUSUM: C⁺ₜ = max(0, xₜ − (μ + kσ) + C⁺ₜ₋₁)
+//          C⁻ₜ = max(0, (μ − kσ) − xₜ + C⁻ₜ₋₁)      signal when C > hσ,
+//          after which both sums restart from zero
+// Defaults λ=0.2, L=3 and k=0.5, h=5 follow Montgomery (2019), §9.
+const CHART_TYPES = [
+  { id: "shewhart", label: "Shewhart" },
+  { id: "ewma", label: "EWMA" },
+  { id: "cusum", label: "CUSUM" },
+];
+
+const DEFAULT_CHART_SETTINGS = { type: "shewhart", lambda: 0.2, L: 3, k: 0.5, h: 5 };
+
+const SIGNAL_LABELS = {
+  ...Object.fromEntries(RUN_RULES.map(r => [r.id, r.label])),
+  EWMA: "EWMA statistic beyond its time-varying limit",
+  "CUSUM+": "Upper CUSUM C⁺ exceeded h·σ (upward shift)",
+  "CUSUM−": "Lower CUSUM C⁻ exceeded h·σ (downward shift)",
+};
+
+function defaultChartSettings(keys, current = {}) {
+  return Object.fromEntries(keys.map(k => [k, current[k] ?? { ...DEFAULT_CHART_SETTINGS }]));
+}
+
+// Advances the EWMA and CUSUM statistics of every parameter from prev to point
+function updateSmoothedCharts(prev, point, chartSettings, params) {
+  Object.keys(params).forEach(k => {
+    const cfg = params[k];
+    const { lambda, L, k: refK, h } = chartSettings[k];
+    const x = point[k];
+
+    const n = (prev?.[`${k}_ewma_n`] ?? 0) + 1;
+    const z = lambda * x + (1 - lambda) * (prev?.[`${k}_ewma`] ?? cfg.mean);
+    const half = L * cfg.std * Math.sqrt((lambda / (2 - lambda)) * (1 - (1 - lambda) ** (2 * n)));
+    point[`${k}_ewma`] = z;
+    point[`${k}_ewma_n`] = n;
+    point[`${k}_ewma_ucl`] = cfg.mean + half;
+    point[`${k}_ewma_lcl`] = cfg.mean - half;
+    point[`${k}_ewma_alarm`] = z > cfg.mean + half || z < cfg.mean - half;
+
+    const restart = prev?.[`${k}_cusum_alarm`];
+    const pos = Math.max(0, x - (cfg.mean + refK * cfg.std) + (restart ? 0 : prev?.[`${k}_cusum_pos`] ?? 0));
+    const neg = Math.max(0, cfg.mean - refK * cfg.std - x + (restart ? 0 : prev?.[`${k}_cusum_neg`] ?? 0));
+    point[`${k}_cusum_pos`] = pos;
+    point[`${k}_cusum_neg`] = neg;
+    point[`${k}_cusum_h`] = h * cfg.std;
+    point[`${k}_cusum_alarm`] = pos > h * cfg.std || neg > h * cfg.std;
+  });
+}
+
+// Signals raised by the chart type selected for one parameter
+function chartSignals(point, key, settings, ruleIds) {
+  if (settings.type === "ewma") return point[`${key}_ewma_alarm`] ? ["EWMA"] : [];
+  if (settings.type === "cusum") {
+    const hLimit = point[`${key}_cusum_h`];
+    return [
+      ...(point[`${key}_cusum_pos`] > hLimit ? ["CUSUM+"] : []),
+      ...(point[`${key}_cusum_neg`] > hLimit ? ["CUSUM−"] : []),
+    ];
+  }
+  return ruleIds;
+}
+
+// ─── Seeded Random Numbers ───────────────────────────────────────────────────
+// mulberry32 — small, fast 32-bit generator; used wherever a run must be
+// reproducible (e.g. Monte Carlo calibration with common random numbers).
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ─── Multivariate EWMA & CUSUM (Lowry et al., 1992; Crosier, 1988) ───────────
+// MEWMA:  Zₜ = λ(xₜ − μ₀) + (1 − λ)Zₜ₋₁,  Z₀ = 0
+//         T²ₜ = Zₜᵀ Σ_Z⁻¹ Zₜ,  Σ_Z = λ/(2 − λ)·[1 − (1 − λ)²ᵗ]·Σ
+// MCUSUM: Cₜ = √((Sₜ₋₁ + xₜ − μ₀)ᵀ Σ⁻¹ (Sₜ₋₁ + xₜ − μ₀))
+//         Sₜ = 0 if Cₜ ≤ k, else (Sₜ₋₁ + xₜ − μ₀)(1 − k/Cₜ)
+//         Yₜ = √(Sₜᵀ Σ⁻¹ Sₜ), restarting from S = 0 after a signal
+// Both statistics are invariant to Σ once standardized, so the in-control
+// run length depends only on p, the tuning constant and the limit h. The limit
+// for a target in-control ARL is found by bisection on a Monte Carlo ARL
+// estimate that reuses the same random streams for every trial h.
+const MULTIVARIATE_CHARTS = [
+  { id: "t2", label: "Hotelling T²" },
+  { id: "mewma", label: "MEWMA" },
+  { id: "mcusum", label: "MCUSUM" },
+];
+
+const DEFAULT_MULTIVARIATE_SETTINGS = { trigger: "t2", lambda: 0.1, k: 0.5, arl0: 200 };
+
+function mewmaScale(lambda, n) {
+  return (2 - lambda) / (lambda * (1 - (1 - lambda) ** (2 * n)));
+}
+
+// One MEWMA / MCUSUM step in whitened coordinates (Σ = I) for calibration
+function mewmaStepper(lambda) {
+  let z = null;
+  let n = 0;
+  return (u) => {
+    n += 1;
+    z = z ? z.map((zi, i) => lambda * u[i] + (1 - lambda) * zi) : u.map(ui => lambda * ui);
+    return mewmaScale(lambda, n) * dot(z, z);
+  };
+}
+
+function mcusumStepper(k) {
+  let sv = null;
+  return (u) => {
+    const acc = sv ? sv.map((v, i) => v + u[i]) : u;
+    const c = Math.sqrt(dot(acc, acc));
+    sv = c <= k ? acc.map(() => 0) : acc.map(v => v * (1 - k / c));
+    return Math.sqrt(dot(sv, sv));
+  };
+}
+
+function gaussianVector(p, rng) {
+  return Array.from({ length: p }, () => gaussian(rng));
+}
+
+// Each calibration run is simulated once for cap = 4·ARL₀ samples, keeping only
+// its record highs, so the run length at any trial h is the first record above
+// h. The censored estimate Σ min(RLᵢ, cap) / #signalled is exact for
+// geometric run lengths and avoids re-simulating inside the bisection.
+const CALIBRATION_RUNS = 400;
+const CALIBRATION_SEED = 20260220;
+const limitCache = new Map();
+
+function calibrateLimit(type, tuning, arl0, p) {
+  const cacheKey = `${type}|${tuning}|${arl0}|${p}`;
+  if (limitCache.has(cacheKey)) return limitCache.get(cacheKey);
+  const rng = mulberry32(CALIBRATION_SEED);
+  const cap = arl0 * 4;
+  const runs = Array.from({ length: CALIBRATION_RUNS }, () => {
+    const step = type === "mewma" ? mewmaStepper(tuning) : mcusumStepper(tuning);
+    const records = [];
+    let best = -Infinity;
+    for (let t = 1; t <= cap; t++) {
+      const v = step(gaussianVector(p, rng));
+      if (v > best) { best = v; records.push([t, v]); }
+    }
+    return records;
+  });
+  const arlAt = (h) => {
+    let total = 0;
+    let signalled = 0;
+    runs.forEach(records => {
+      const hit = records.find(([, v]) => v > h);
+      total += hit ? hit[0] : cap;
+      if (hit) signalled += 1;
+    });
+    return signalled ? total / signalled : Infinity;
+  };
+  let lo = 0;
+  let hi = Math.max(...runs.map(records => records[records.length - 1][1]));
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (arlAt(mid) < arl0) lo = mid; else hi = mid;
+  }
+  const h = parseFloat(((lo + hi) / 2).toFixed(3));
+  limitCache.set(cacheKey, h);
+  return h;
+}
+
+function withMultivariateLimits(settings, p) {
+  return {
+    ...settings,
+    mewmaH: calibrateLimit("mewma", settings.lambda, settings.arl0, p),
+    mcusumH: calibrateLimit("mcusum", settings.k, settings.arl0, p),
+  };
+}
+
+// Advances MEWMA and MCUSUM from prev to point. The stored vectors are scaled
+// so that computeT2(μ₀ + vec) equals the plotted statistic (T² for MEWMA, Y²
+// for MCUSUM), which lets the contribution tools decompose them directly.
+function updateMultivariateCharts(prev, point, model, settings) {
+  const { lambda, k, mewmaH, mcusumH } = settings;
+  const d = deviationVector(point, model);
+  const quad = v => dot(v, matVec(model.covInv, v));
+
+  const n = (prev?.mewma_n ?? 0) + 1;
+  const z = d.map((di, i) => lambda * di + (1 - lambda) * (prev?.mewma_z?.[i] ?? 0));
+  const scale = mewmaScale(lambda, n);
+  point.mewma_n = n;
+  point.mewma_z = z;
+  point.mewma_vec = z.map(v => v * Math.sqrt(scale));
+  point.mewma = scale * quad(z);
+  point.mewma_anomaly = point.mewma > mewmaH;
+
+  const prevS = prev && !prev.mcusum_anomaly ? prev.mcusum_vec : null;
+  const acc = prevS ? prevS.map((v, i) => v + d[i]) : d;
+  const c = Math.sqrt(quad(acc));
+  const sv = c <= k ? acc.map(() => 0) : acc.map(v => v * (1 - k / c));
+  point.mcusum_vec = sv;
+  point.mcusum = Math.sqrt(quad(sv));
+  point.mcusum_anomaly = point.mcusum > mcusumH;
+}
+
+// Statistic currently used as the multivariate trigger, on the T² scale
+function triggerStatistic(point, settings, model) {
+  if (settings.trigger === "mewma") {
+    return { id: "mewma", label: "MEWMA T²", value: point?.mewma ?? 0, ucl: settings.mewmaH, anomaly: !!point?.mewma_anomaly };
+  }
+  if (settings.trigger === "mcusum") {
+    return { id: "mcusum", label: "MCUSUM Y²", value: (point?.mcusum ?? 0) ** 2, ucl: settings.mcusumH ** 2, anomaly: !!point?.mcusum_anomaly };
+  }
+  return { id: "t2", label: "T²", value: point?.t2 ?? 0, ucl: model.ucl, anomaly: !!point?.t2_anomaly };
+}
+
+// Expresses the vector behind the trigger statistic as a point (μ₀ + vec) so
+// computeContributions / computeRBC / diagnoseFault apply unchanged
+function analysisPoint(point, settings, model) {
+  if (!point || settings.trigger === "t2" || !point[`${settings.trigger}_vec`]) return point;
+  const vec = point[`${settings.trigger}_vec`];
+  const stat = triggerStatistic(point, settings, model);
+  const pt = { ...point, t2: stat.value, t2_anomaly: stat.anomaly };
+  model.keys.forEach((k, i) => { pt[k] = model.mean[i] + vec[i]; });
+  return pt;
+}
+
+// ─── Data Generator ───────────────────────────────────────────────────────────
+// Standard normal deviate (Box–Muller)
+function gaussian(rng = Math.random) {
+  return Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+}
+
+// Correlated in-control draw from N(μ̂, Σ̂) via x = μ̂ + L·u
+function sampleBaseline(model, u = model.keys.map(() => gaussian())) {
+  return model.mean.map((m, i) => m + dot(model.chol[i], u));
+}
+
+// In-control noise is Gaussian with σ scaled by noiseScale. Autocorrelation φ
+// makes the standard-normal innovations an AR(1) series,
+// uₜ = φ·uₜ₋₁ + √(1 − φ²)·eₜ, which keeps their variance at 1 but lets the
+// process wander like a real line with thermal and mechanical inertia.
+const DEFAULT_SIMULATOR_SETTINGS = { noiseScale: 1, autocorrelation: 0 };
+const MAX_NOISE_SCALE = 5;
+const MAX_AUTOCORRELATION = 0.95;
+const MAX_SIMULTANEOUS_FAULTS = 2;
+const CHANGEOVER_RAMP_SAMPLES = 20;   // samples the simulated line takes to settle on a new recipe
+const INTERMITTENT_SWITCH = 0.35;   // chance per sample that an intermittent fault toggles on / off
+const OSCILLATION_PERIOD = 4;       // samples per cycle
+
+// Validates noise settings from the settings panel or a scenario file; a
+// missing field takes its default
+function normalizeSimulatorSettings(obj) {
+  const noiseScale = optionalNumber(obj?.noiseScale ?? DEFAULT_SIMULATOR_SETTINGS.noiseScale);
+  const autocorrelation = optionalNumber(obj?.autocorrelation ?? DEFAULT_SIMULATOR_SETTINGS.autocorrelation);
+  if (!(Number.isFinite(noiseScale) && noiseScale >= 0 && noiseScale <= MAX_NOISE_SCALE)) {
+    throw new Error(`Noise scale must be between 0 and ${MAX_NOISE_SCALE}`);
+  }
+  if (!(Number.isFinite(autocorrelation) && autocorrelation >= 0 && autocorrelation <= MAX_AUTOCORRELATION)) {
+    throw new Error(`Autocorrelation φ must be between 0 and ${MAX_AUTOCORRELATION}`);
+  }
+  return { noiseScale, autocorrelation };
+}
+
+// Fraction of the full Δ a profile applies n samples into a fault, at
+// progress p ∈ (0, 1]. Bursts and oscillation keep the sign of Δ, so the
+// fault never reads as its opposite; both start at full Δ.
+const PROFILE_SHAPES = {
+  step: () => 1,
+  ramp: ({ p }) => p,
+  drift: ({ p }) => (1 - Math.exp(-3 * p)) / (1 - Math.exp(-3)),
+  intermittent: ({ on }) => (on ? 1 : 0),
+  oscillation: ({ n }) => 0.5 * (1 + Math.cos(2 * Math.PI * n / OSCILLATION_PERIOD)),
+};
+
+// Offset of each variable from in-control for the faults in progress. The
+// driver moves by Δ × profile × U(0.75, 1.25); each coupled variable moves by
+// gain × the driver offset, both in σ units.
+function faultOffsets(faults, model, rng = Math.random) {
+  const offsets = {};
+  const add = (key, v) => { if (model.params[key]) offsets[key] = (offsets[key] ?? 0) + v; };
+  faults.forEach(f => {
+    const n = f.duration - f.remaining - 1;
+    const shape = (PROFILE_SHAPES[f.profile] ?? PROFILE_SHAPES.step)({ n, p: (n + 1) / Math.max(f.duration - 1, 1), on: f.on });
+    const driver = model.params[f.param];
+    if (!driver || shape === 0) return;
+    const offset = f.delta * shape * (0.75 + rng() * 0.5);
+    add(f.param, offset);
+    Object.entries(f.effects ?? {}).forEach(([key, gain]) => {
+      if (model.params[key]) add(key, gain * (offset / driver.std) * model.params[key].std);
+    });
+  });
+  return offsets;
+}
+
+// One simulated sample. With a Phase I model active, in-control noise follows
+// the estimated mean and correlation structure so the simulated process
+// matches the baseline. `u` is the standard-normal innovation vector for this
+// sample (AR(1) when autocorrelated), `faults` are the faults in progress,
+// `setpoints` move variables' in-control level away from the model mean and
+// `transition` adds what is left of a recipe changeover's offsets.
+function simulateSample(model, {
+  faults = [], settings = DEFAULT_SIMULATOR_SETTINGS, setpoints = {}, transition = {}, rng = Math.random,
+  u = model.keys.map(() => gaussian(rng)),
+} = {}) {
+  const values = {};
+  const scaled = u.map(v => v * settings.noiseScale);
+  const baseline = model.source === "nominal" ? null : sampleBaseline(model, scaled);
+  const offsets = faultOffsets(faults, model, rng);
+  model.keys.forEach((key, i) => {
+    const cfg = model.params[key];
+    const level = key in setpoints ? setpoints[key] - cfg.mean : 0;
+    const val = (baseline ? baseline[i] : cfg.mean + scaled[i] * cfg.std) + level + (transition[key] ?? 0) + (offsets[key] ?? 0);
+    values[key] = parseFloat(val.toFixed(3));
+  });
+  return { values };
+}
+
+// Process state between samples: the AR(1) noise, the recipe setpoints, a
+// recipe changeover in progress and up to MAX_SIMULTANEOUS_FAULTS injected
+// faults. Each fault runs for fault.duration − 1 samples; re-injecting a fault
+// restarts it, and one on its last count makes room for a new one. A changeover starts the line at the old recipe's level and
+// ramps it onto the new one over `samples`. All random draws come from rng, so
+// a seeded rng makes the run reproducible.
+function createProcessSimulator(rng = Math.random) {
+  let faults = [];
+  let noise = null;
+  let setpoints = {};
+  let changeover = null;   // { offsets, samples, n }
+  return {
+    inject(fault) {
+      faults = [...faults.filter(f => f.name !== fault.name && f.remaining > 1), { ...fault, remaining: fault.duration, on: true }]
+        .slice(-MAX_SIMULTANEOUS_FAULTS);
+    },
+    setSetpoints(next) { setpoints = { ...next }; },
+    changeover(offsets, samples = CHANGEOVER_RAMP_SAMPLES) { changeover = { offsets, samples, n: 0 }; },
+    faults: () => faults,
+    // Advances the countdowns, then draws the next sample
+    next(model, settings = DEFAULT_SIMULATOR_SETTINGS) {
+      faults = faults
+        .map(f => ({
+          ...f,
+          remaining: f.remaining - 1,
+          on: f.profile === "intermittent" && f.remaining < f.duration && rng() < INTERMITTENT_SWITCH ? !f.on : f.on,
+        }))
+        .filter(f => f.remaining > 0);
+      const phi = settings.autocorrelation;
+      const e = model.keys.map(() => gaussian(rng));
+      noise = noise && noise.length === e.length && phi > 0
+        ? noise.map((prev, i) => phi * prev + Math.sqrt(1 - phi * phi) * e[i])
+        : e;
+      let transition = {};
+      if (changeover) {
+        const left = 1 - changeover.n / changeover.samples;
+        transition = Object.fromEntries(Object.entries(changeover.offsets).map(([k, v]) => [k, v * left]));
+        changeover = ++changeover.n < changeover.samples ? changeover : null;
+      }
+      return simulateSample(model, { faults, settings, setpoints, transition, rng, u: noise });
+    },
+  };
+}
+
+// Flags individual control and spec limit violations and scores T² for a
+// sample whose values are filled in, whether simulated or replayed from a
+// historian export
+function scorePoint(point, model = NOMINAL_MODEL) {
+  model.keys.forEach(key => {
+    const cfg = model.params[key];
+    point[`${key}_anomaly`] = point[key] > cfg.ucl || point[key] < cfg.lcl;
+    point[`${key}_spec`] = specViolation(point[key], cfg);
+  });
+  point.spec_alarm = model.keys.some(key => point[`${key}_spec`]);
+  const t2 = computeT2(point, model);
+  point.t2 = parseFloat(t2.toFixed(3));
+  point.t2_anomaly = t2 > model.ucl;
+  return point;
+}
+
+// ─── Fault Scenarios ─────────────────────────────────────────────────────────
+// A scenario is a scripted, seeded simulator run: a JSON timeline of fault
+// injections and recipe changes over a fixed number of samples. The run is
+// generated up front from mulberry32(seed), so every play of a scenario
+// against the same model gives the same samples — the same sequence for every
+// operator trained on it, and identical data for every detector setting.
+
+const SCENARIO_FORMAT = "extrusion-fault-scenario";
+const MAX_SCENARIO_LENGTH = 20000;
+
+const EXAMPLE_SCENARIO = {
+  format: SCENARIO_FORMAT,
+  version: 1,
+  name: "Shift training A",
+  description: "Die wear, an overlapping temperature spike and pressure surge, a recipe change and a line slowdown on the new recipe.",
+  seed: 20261018,
+  length: 260,
+  noise: { noiseScale: 1, autocorrelation: 0.3 },
+  events: [
+    { t: 40, fault: "Die Wear" },
+    { t: 90, fault: "Temp Spike", scale: 1.2 },
+    { t: 93, fault: "Pressure Surge", scale: 0.8 },
+    { t: 140, recipe: "Ø 12 mm jacket", setpoints: { line_speed: 43.5, wall_thickness: 1.25 } },
+    { t: 190, fault: "Line Slowdown", scale: 0.8, duration: 12 },
+    { t: 230, recipe: "Ø 10 mm standard", setpoints: {} },
+  ],
+};
+
+// Validates a scenario file against the fault library and the variables.
+// Fault events are { t, fault, scale?, duration? } — Δ × scale, and the
+// library's duration unless given — and recipe events are
+// { t, recipe, setpoints: { <key>: <value>, … } }, moving the listed variables'
+// in-control level until the next recipe event. Each fault event is resolved
+// to a copy of its fault mode here, so later library edits leave the run alone.
+// Faults may overlap, but no more than MAX_SIMULTANEOUS_FAULTS at once: the
+// simulator would drop the oldest, so such a scenario is rejected.
+function deserializeScenario(obj, library, params) {
+  if (obj?.format !== SCENARIO_FORMAT) throw new Error("Not a fault scenario file");
+  const seed = obj.seed;
+  if (!(Number.isInteger(seed) && seed >= 0 && seed < 2 ** 32)) throw new Error("seed must be a whole number from 0 to 4294967295");
+  const length = obj.length;
+  if (!(Number.isInteger(length) && length >= 1 && length <= MAX_SCENARIO_LENGTH)) {
+    throw new Error(`length must be a whole number of samples from 1 to ${MAX_SCENARIO_LENGTH}`);
+  }
+  let noise;
+  try {
+    noise = normalizeSimulatorSettings(obj.noise);
+  } catch (err) {
+    throw new Error(`noise: ${err.message}`);
+  }
+  if (!Array.isArray(obj.events)) throw new Error("events must be a list");
+  const events = obj.events.map((e, i) => {
+    const where = `Event ${i + 1}`;
+    if (!(Number.isInteger(e?.t) && e.t >= 1 && e.t <= length)) throw new Error(`${where}: t must be a sample number from 1 to ${length}`);
+    if (typeof e.fault === "string") {
+      const mode = library.find(f => !f.retired && f.name.toLowerCase() === e.fault.trim().toLowerCase());
+      if (!mode) throw new Error(`${where}: no active fault mode named "${e.fault}"`);
+      const scale = e.scale ?? 1;
+      if (!(Number.isFinite(scale) && scale > 0)) throw new Error(`${where}: scale must be a positive number`);
+      const duration = e.duration ?? mode.duration;
+      if (!(Number.isInteger(duration) && duration >= 2)) throw new Error(`${where}: duration must be a whole number of samples ≥ 2`);
+      return { t: e.t, fault: mode.name, scale, duration, mode: { ...mode, delta: mode.delta * scale, duration } };
+    }
+    if (typeof e.recipe === "string") {
+      const setpoints = {};
+      Object.entries(e.setpoints ?? {}).forEach(([key, v]) => {
+        if (!params[key]) throw new Error(`${where}: "${key}" is not a monitored variable`);
+        if (!Number.isFinite(v)) throw new Error(`${where}: setpoint for "${key}" must be a number`);
+        setpoints[key] = v;
+      });
+      return { t: e.t, recipe: e.recipe.trim() || "(unnamed recipe)", setpoints };
+    }
+    throw new Error(`${where}: needs a "fault" or a "recipe"`);
+  });
+  // A fault injected at t moves samples t … t + duration − 2, the simulator's
+  // countdown, so it is still in progress at t' while t + duration − 1 > t'.
+  // A fault re-injected by name replaces itself (createProcessSimulator).
+  let running = [];
+  events.map((e, i) => ({ ...e, i })).sort((a, b) => a.t - b.t).filter(e => e.mode).forEach((e) => {
+    running = running.filter(f => f.fault !== e.fault);
+    const overlapping = running.filter(f => f.t + f.duration - 1 > e.t);
+    if (overlapping.length >= MAX_SIMULTANEOUS_FAULTS) {
+      throw new Error(`Event ${e.i + 1}: "${e.fault}" at t=${e.t} would be fault ${overlapping.length + 1} in progress ` +
+        `(with ${overlapping.map(f => f.fault).join(", ")}); at most ${MAX_SIMULTANEOUS_FAULTS} may overlap`);
+    }
+    running.push(e);
+  });
+  return {
+    name: String(obj.name ?? "").trim() || "Unnamed scenario",
+    description: String(obj.description ?? ""),
+    seed, length, noise,
+    events: events.sort((a, b) => a.t - b.t),
+  };
+}
+
+function serializeScenario({ name, description, seed, length, noise, events }) {
+  return {
+    format: SCENARIO_FORMAT, version: 1, name, description, seed, length, noise,
+    events: events.map(({ mode, ...e }) => e),
+  };
+}
+
+// Generates the scenario's samples against a model. Each sample carries the
+// faults in progress and the recipe in force, for the fault banner and the
+// episode labels. Events at sample t act on sample t.
+function runScenario(scenario, model) {
+  const simulated = createProcessSimulator(mulberry32(scenario.seed));
+  const samples = [];
+  let recipe = null;
+  let next = 0;
+  for (let t = 1; t <= scenario.length; t++) {
+    for (; next < scenario.events.length && scenario.events[next].t === t; next++) {
+      const e = scenario.events[next];
+      if (e.mode) {
+        simulated.inject(e.mode);
+      } else {
+        simulated.setSetpoints(e.setpoints);
+        recipe = e.recipe;
+      }
+    }
+    const { values } = simulated.next(model, scenario.noise);
+    samples.push({ values, faults: simulated.faults(), recipe });
+  }
+  return { name: scenario.name, keys: model.keys, samples };
+}
+
+const describeScenarioEvent = (e, params) => (e.mode
+  ? `${e.fault}${e.scale !== 1 ? ` × ${e.scale}` : ""} for ${e.duration} samples`
+  : `Recipe "${e.recipe}": ${Object.entries(e.setpoints)
+    .map(([k, v]) => `${params[k]?.short ?? k} ${v}${params[k]?.unit ? ` ${params[k].unit}` : ""}`).join(", ") || "all at the model mean"}`);
+
+// ─── Historian Replay ────────────────────────────────────────────────────────
+// Replays a timestamped historian CSV export through the same pipeline as the
+// simulator. Columns are mapped to variables explicitly, and the mapping is
+// remembered by header name so later exports from the same line map
+// themselves.
+
+const REPLAY_MAPPING_STORAGE_KEY = "extrusion-anomaly.replay-mapping";
+const TIMESTAMP_HEADERS = ["timestamp", "time", "datetime", "date", "ts", "zeit"];
+const REPLAY_SPEEDS = [1, 2, 5, 10, 25, 50, 100];
+const REPLAY_FRAME_MS = 50;        // shortest interval between rendered frames
+const REPLAY_MAX_WAIT_MS = 5000;   // historian gaps (line stops, outages) are not waited out in full
+const REPLAY_MAX_LAG_MS = 1000;    // playback behind the clock by more than this drops the backlog
+
+// Parses a historian timestamp to epoch milliseconds. Accepts ISO 8601 with a
+// space or "T" separator (read as local time when no offset is given) and
+// numeric Unix epochs in seconds or milliseconds. Returns NaN otherwise.
+function parseTimestamp(cell = "") {
+  const s = cell.trim();
+  if (/^\d+(\.\d+)?$/.test(s)) {
+    const n = Number(s);
+    return n < 1e11 ? n * 1000 : n;
+  }
+  return Date.parse(s.replace(/^(\d{4}-\d{2}-\d{2}) (?=\d)/, "$1T"));
+}
+
+const pad2 = n => String(n).padStart(2, "0");
+const formatClock = ms => {
+  const d = new Date(ms);
+  return `${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+};
+const formatTimestamp = ms => {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())} ${formatClock(ms)}`;
+};
+
+// Sample position for logs and tooltips: wall-clock time for replayed
+// samples, the tick counter for simulated ones
+const sampleTimeLabel = ({ t, time }) => (time != null ? formatTimestamp(time) : `t=${t}s`);
+
+// Proposes a column for the timestamp and for each variable: first the header
+// names remembered from the last replay, then timestamp-like headers and the
+// key / label / short-code match used for Phase I uploads. -1 = unmapped.
+function guessReplayMapping(header, params, remembered = null) {
+  const norm = s => String(s).toLowerCase().replace(/[^a-z0-9]/g, "");
+  const find = name => (name == null ? -1 : header.indexOf(name));
+  let timestamp = find(remembered?.timestamp);
+  if (timestamp < 0) timestamp = header.findIndex(h => TIMESTAMP_HEADERS.includes(norm(h)));
+  const columns = {};
+  Object.keys(params).forEach(k => {
+    let i = find(remembered?.columns?.[k]);
+    if (i < 0) i = header.findIndex(h => matchParamColumn(h, params) === k);
+    columns[k] = i;
+  });
+  return { timestamp, columns };
+}
+
+function loadReplayMapping() {
+  try {
+    return JSON.parse(localStorage.getItem(REPLAY_MAPPING_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+// Mappings are remembered by header name, not position, so a re-ordered
+// export from the same historian still maps
+function storeReplayMapping(header, mapping) {
+  const columns = {};
+  Object.entries(mapping.columns).forEach(([k, i]) => { columns[k] = header[i]; });
+  localStorage.setItem(REPLAY_MAPPING_STORAGE_KEY, JSON.stringify({ timestamp: header[mapping.timestamp], columns }));
+}
+
+// Builds the replay from a parsed table and a column mapping: one sample per
+// complete row, sorted by timestamp. Rows with an unreadable timestamp or a
+// missing value are skipped.
+function buildReplay({ delim, rows }, mapping, params) {
+  const keys = Object.keys(params);
+  if (mapping.timestamp < 0) throw new Error("Map a timestamp column");
+  const unmapped = keys.filter(k => !(mapping.columns[k] >= 0));
+  if (unmapped.length) throw new Error(`No column mapped for: ${unmapped.map(k => params[k].label).join(", ")}`);
+
+  const samples = [];
+  let skipped = 0;
+  rows.forEach(cells => {
+    const time = parseTimestamp(cells[mapping.timestamp]);
+    const values = {};
+    keys.forEach(k => { values[k] = parseCell(cells[mapping.columns[k]], delim); });
+    if (Number.isFinite(time) && keys.every(k => Number.isFinite(values[k]))) samples.push({ time, values });
+    else skipped += 1;
+  });
+  if (!samples.length) throw new Error("No complete rows with a readable timestamp");
+  samples.sort((a, b) => a.time - b.time);
+  return { samples, skipped };
+}
+
+// ─── Data Sources ────────────────────────────────────────────────────────────
+// The monitor consumes one data source at a time. A source is a plain object
+// made by one of the factories below, bound to a sink on creation:
+//   start()        begin delivering: sink.sample({ time?, values, recipe? }) per
+//                  sample, sink.status(patch) for connection, fault and position
+//                  state
+//   stop()         stop delivering; safe to call twice, and start() resumes
+//   inject(fault)  optional — present only when the source can simulate faults
+//   changeover(previous)  optional — the simulated line follows a recipe switch
+// Samples carry raw values keyed by variable, and the recipe in force when the
+// source knows it (a scenario run). Scoring, charts and alarms stay with the
+// monitor, so any source works with any model.
+
+const SIMULATOR_INTERVAL_MS = 800;
+
+// Monitoring point for sample number t, scored against the active model
+function samplePoint({ time, values }, t, model) {
+  const point = time != null ? { t, time } : { t };
+  model.keys.forEach(k => { point[k] = values[k]; });
+  return scorePoint(point, model);
+}
+
+// The built-in simulator. Injected faults follow their profile and coupled
+// effects (see createProcessSimulator) and are reported through
+// sink.status({ faults }) whenever the set in progress changes or counts down.
+// changeover(previous) is called after the monitor has switched to a new
+// recipe's model, and moves the simulated line over from the previous one.
+function createSimulatorSource(sink, getModel, getSettings = () => DEFAULT_SIMULATOR_SETTINGS) {
+  let timer = null;
+  const simulated = createProcessSimulator();
+  const report = () => sink.status({ faults: simulated.faults() });
+  const tick = () => {
+    const hadFaults = simulated.faults().length > 0;
+    const sample = simulated.next(getModel(), getSettings());
+    if (hadFaults) report();
+    sink.sample(sample);
+  };
+  return {
+    kind: "simulator",
+    start() { if (timer === null) timer = setInterval(tick, SIMULATOR_INTERVAL_MS); },
+    stop() { clearInterval(timer); timer = null; },
+    inject(next) { simulated.inject(next); report(); },
+    changeover(previous) {
+      const model = getModel();
+      simulated.changeover(Object.fromEntries(model.keys.map((k, i) => [k, previous.mean[previous.keys.indexOf(k)] - model.mean[i]])));
+    },
+  };
+}
+
+// Historian replay at `speed` × the recorded sample interval. Samples closer
+// together than one frame are delivered in the same frame; a frame that falls
+// behind the wall clock (slow rendering at high speed) is followed by a larger
+// batch, with at most REPLAY_MAX_LAG_MS of backlog kept. Samples without
+// timestamps (a scenario run) are spaced at the simulator's interval.
+function createReplaySource(sink, { samples }, speed = 1) {
+  const interval = (a, b) => (a.time != null && b.time != null ? b.time - a.time : SIMULATOR_INTERVAL_MS);
+  let cursor = 0;
+  let timer = null;
+  const report = () => sink.status({ position: cursor, ended: cursor >= samples.length });
+
+  // Delivers samples until the next one is at least budgetMs of wall-clock
+  // time away (always at least one). Returns the wall-clock time from the
+  // first delivered sample to the next undelivered one.
+  const advance = (budgetMs) => {
+    let wait = 0;
+    do {
+      sink.sample(samples[cursor]);
+      cursor += 1;
+      if (cursor < samples.length) {
+        wait += Math.min(interval(samples[cursor - 1], samples[cursor]) / speed, REPLAY_MAX_WAIT_MS);
+      }
+    } while (cursor < samples.length && wait < budgetMs);
+    return wait;
+  };
+
+  return {
+    kind: "replay",
+    start() {
+      if (timer !== null) return;
+      let due = Date.now();   // wall-clock time the next sample is due
+      const frame = () => {
+        if (cursor < samples.length) {
+          due = Math.max(due, Date.now() - REPLAY_MAX_LAG_MS);
+          due += advance(Date.now() - due + REPLAY_FRAME_MS);
+        }
+        report();
+        timer = cursor < samples.length ? setTimeout(frame, Math.max(0, due - Date.now())) : null;
+      };
+      timer = setTimeout(frame, 0);
+    },
+    stop() { clearTimeout(timer); timer = null; },
+    step() {
+      if (cursor >= samples.length) return;
+      advance(0);
+      report();
+    },
+    seek(index) { cursor = index; report(); },
+    setSpeed(next) { speed = next; },
+  };
+}
+
+// A scenario run, played like a replay (speed, step, seek). Each sample
+// reports the faults in progress and the recipe in force through
+// sink.status({ faults, recipe }) before it is delivered, and carries the
+// recipe so the monitor can follow recipe events.
+function createScenarioSource(sink, run, speed = 1) {
+  const report = at => sink.status({ faults: at?.faults ?? [], recipe: at?.recipe ?? null });
+  const playback = createReplaySource({
+    sample(at) {
+      report(at);
+      sink.sample({ values: at.values, ...(at.recipe && { recipe: at.recipe }) });
+    },
+    status: patch => sink.status(patch),
+  }, run, speed);
+  return {
+    ...playback,
+    kind: "scenario",
+    seek(index) {
+      playback.seek(index);
+      report(run.samples[index - 1]);
+    },
+  };
+}
+
+// WebSocket stream, one JSON object per message:
+//   server → monitor  { "type": "sample", "time": 1771596185000, "values": { "barrel_temp": 200.4, … },
+//                       "quality": { "barrel_temp": "Good", … } }
+//                     { "type": "status", "faults": [{ "name", "param", "delta", "remaining", … }, …] }
+//                       (or a single "fault": { … } | null)
+//                     { "type": "status", "error": "<rejected control message>" }
+//   monitor → server  { "type": "configure", "variables": <variable set JSON> }
+//                     { "type": "inject", "fault": { "name", "param", "delta", "duration", "profile", "effects" } }
+// time is epoch ms, epoch s or ISO 8601 and defaults to the receive time.
+// Samples must carry every monitored variable; extra values are ignored, as
+// are unknown message types. quality is optional and holds OPC-UA status code
+// names per variable (missing means Good): a sample with any Bad variable is
+// dropped, Uncertain ones are used but flagged. Monitor → server control
+// messages are only sent when enabled, for servers that accept them (the
+// stand-in simulator and the OPC-UA bridge do).
+const WS_DEFAULT_SETTINGS = { url: "ws://localhost:8765", staleAfterMs: 5000, controlMessages: true };
+const WS_BACKOFF_BASE_MS = 500;
+const WS_BACKOFF_MAX_MS = 30000;
+const WS_STALE_CHECK_MS = 500;
+
+// Exponential backoff with jitter, so a restarted gateway is not hit by every
+// client at the same instant
+const reconnectDelay = attempt =>
+  Math.round(Math.min(WS_BACKOFF_MAX_MS, WS_BACKOFF_BASE_MS * 2 ** attempt) * (0.5 + Math.random() * 0.5));
+
+const toNumber = v => (typeof v === "number" ? v : typeof v === "string" ? parseFloat(v) : NaN);
+
+// OPC-UA status code names start with their severity — Good, Uncertain or Bad
+// (OPC UA Part 4, StatusCode)
+const qualitySeverity = code => (/^Bad/.test(code) ? "bad" : /^Uncertain/.test(code) ? "uncertain" : "good");
+
+// The monitored variables a sample flags as not Good, with their status codes
+function sampleQuality(msg, keys) {
+  const flagged = {};
+  keys.forEach((k) => {
+    const code = msg.quality?.[k];
+    if (code != null && qualitySeverity(String(code)) !== "good") flagged[k] = String(code);
+  });
+  return flagged;
+}
+
+// Validates a "sample" message against the monitored variables; throws with
+// the reason when it cannot be used
+function parseSampleMessage(msg, keys, receivedAt) {
+  if (!msg.values || typeof msg.values !== "object") throw new Error("sample has no values object");
+  const values = {};
+  keys.forEach(k => { values[k] = toNumber(msg.values[k]); });
+  const missing = keys.filter(k => !Number.isFinite(values[k]));
+  if (missing.length) throw new Error(`sample is missing ${missing.join(", ")}`);
+  const time = msg.time == null ? receivedAt : parseTimestamp(String(msg.time));
+  if (!Number.isFinite(time)) throw new Error(`sample time "${msg.time}" is not readable`);
+  return { time, values };
+}
+
+// WebSocket client source. Reconnects with backoff until stopped, and reports
+// stale data when no valid sample has arrived for staleAfterMs, whether the
+// socket is down or open but silent. Variables whose quality is not Good are
+// reported whenever the set changes.
+function createWebSocketSource(sink, { url, staleAfterMs, controlMessages }, variableSet) {
+  const keys = Object.keys(variableSet.params);
+  let socket = null;
+  let active = false;
+  let attempt = 0;
+  let retryTimer = null;
+  let staleTimer = null;
+  let lastSampleAt = 0;
+  let stale = false;
+  let received = 0;
+  let rejected = 0;
+  let badQuality = 0;
+  let quality = {};   // monitored variables whose last reported quality is not Good
+
+  const send = (msg) => {
+    if (socket?.readyState === WebSocket.OPEN) socket.send(JSON.stringify(msg));
+  };
+  const reject = (reason) => {
+    rejected += 1;
+    sink.status({ rejected, error: reason });
+  };
+
+  const handleMessage = (event) => {
+    let msg;
+    try {
+      msg = JSON.parse(event.data);
+    } catch {
+      reject("message is not JSON");
+      return;
+    }
+    if (msg?.type === "status") {
+      // Servers report every fault in progress, or (older ones) only the latest
+      if (Array.isArray(msg.faults)) sink.status({ faults: msg.faults });
+      else if ("fault" in msg) sink.status({ faults: msg.fault ? [msg.fault] : [] });
+      if (typeof msg.error === "string") sink.status({ error: msg.error });
+      return;
+    }
+    if (msg?.type !== "sample") return;
+    const flagged = sampleQuality(msg, keys);
+    if (JSON.stringify(flagged) !== JSON.stringify(quality)) {
+      quality = flagged;
+      sink.status({ quality });
+    }
+    if (keys.some(k => qualitySeverity(quality[k]) === "bad")) {
+      badQuality += 1;
+      sink.status({ badQuality });
+      return;
+    }
+    let sample;
+    try {
+      sample = parseSampleMessage(msg, keys, Date.now());
+    } catch (err) {
+      reject(err.message);
+      return;
+    }
+    lastSampleAt = Date.now();
+    received += 1;
+    sink.status(stale ? { received, stale: (stale = false) } : { received });
+    sink.sample(sample);
+  };
+
+  const connect = () => {
+    retryTimer = null;
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch (err) {
+      sink.status({ connection: "closed", error: err.message });   // malformed URL — retrying cannot help
+      return;
+    }
+    socket = ws;
+    sink.status({ connection: attempt ? "reconnecting" : "connecting", retryIn: null });
+    ws.onopen = () => {
+      attempt = 0;
+      sink.status({ connection: "open", attempt, error: null });
+      if (controlMessages) send({ type: "configure", variables: serializeVariableSet(variableSet) });
+    };
+    ws.onmessage = handleMessage;
+    ws.onclose = (event) => {
+      if (socket !== ws) return;
+      socket = null;
+      const delay = reconnectDelay(attempt);
+      attempt += 1;
+      sink.status({ connection: "reconnecting", attempt, retryIn: delay,
+        error: event.reason || `connection closed (code ${event.code})` });
+      retryTimer = setTimeout(connect, delay);
+    };
+  };
+
+  const checkStale = () => {
+    if (!stale && Date.now() - lastSampleAt > staleAfterMs) {
+      stale = true;
+      sink.status({ stale, lastSampleAt });
+    }
+  };
+
+  return {
+    kind: "websocket",
+    start() {
+      if (active) return;
+      active = true;
+      lastSampleAt = Date.now();
+      staleTimer = setInterval(checkStale, WS_STALE_CHECK_MS);
+      connect();
+    },
+    stop() {
+      if (!active) return;
+      active = false;
+      clearTimeout(retryTimer);
+      clearInterval(staleTimer);
+      retryTimer = staleTimer = null;
+      const ws = socket;
+      socket = null;
+      ws?.close(1000, "monitor stopped");
+      stale = false;
+      quality = {};
+      sink.status({ connection: "closed", stale, retryIn: null, quality });
+    },
+    inject: controlMessages
+      ? (fault) => send({ type: "inject", fault: {
+        name: fault.name, param: fault.param, delta: fault.delta, duration: fault.duration,
+        profile: fault.profile, effects: fault.effects,
+      } })
+      : undefined,
+  };
+}
+
+// ─── Monitoring Pipeline ─────────────────────────────────────────────────────
+const DATA_WINDOW = 120;   // samples kept for charts, run rules and Phase I reuse
+const ALARM_LOG_LIMIT = 80;
+
+// The samples after the last recipe changeover sample. Chart recursions, run
+// rules, windowed diagnosis and capability start afresh on them, so the
+// transition to a new recipe does not carry into its monitoring.
+function samplesSinceChangeover(data) {
+  for (let i = data.length - 1; i >= 0; i--) {
+    if (data[i].changeover) return data.slice(i + 1);
+  }
+  return data;
+}
+
+// Runs one scored sample through PCA, the smoothed and multivariate chart
+// recursions and the run rules, given the samples before it. Annotates the
+// point in place and returns one alarm condition per alarm point for the
+// alarm manager (createAlarmManager): each variable's control limits, its
+// spec limits where it has any, and the multivariate statistics. margin is
+// how far the value sits inside its limit, in σ for a variable and as a
+// fraction of the UCL for a statistic, and is what the alarm deadband is
+// measured against.
+function processSample(pt, history, { model, pca, ruleConfig, chartSettings, mvSettings }) {
+  const { keys, params } = model;
+  if (pca) scorePca(pt, pca);
+  const recent = [...history.slice(1 - RUN_RULE_WINDOW), pt];
+  const prevPoint = history[history.length - 1];
+  updateSmoothedCharts(prevPoint, pt, chartSettings, params);
+  updateMultivariateCharts(prevPoint, pt, model, mvSettings);
+  keys.forEach(k => {
+    const settings = chartSettings[k];
+    const ruleIds = settings.type === "shewhart"
+      ? evaluateRunRules(recent.map(p => p[k]), params[k], ruleConfig[k])
+      : [];
+    pt[`${k}_signals`] = chartSignals(pt, k, settings, ruleIds);
+  });
+  pt.univariate_alarm = keys.some(k => pt[`${k}_signals`].length > 0);
+
+  const conditions = keys.map((k) => {
+    const cfg = params[k];
+    return {
+      point: `var:${k}`, param: cfg.label, val: fmt(pt[k], cfg.unit), signals: pt[`${k}_signals`],
+      active: pt[`${k}_signals`].length > 0, margin: Math.min(cfg.ucl - pt[k], pt[k] - cfg.lcl) / cfg.std,
+    };
+  });
+  keys.filter(k => hasSpecLimits(params[k])).forEach((k) => {
+    const cfg = params[k];
+    conditions.push({
+      point: `spec:${k}`, param: `${cfg.label} Out of Spec`, val: fmt(pt[k], cfg.unit), active: !!pt[`${k}_spec`],
+      margin: Math.min(cfg.usl != null ? cfg.usl - pt[k] : Infinity, cfg.lsl != null ? pt[k] - cfg.lsl : Infinity) / cfg.std,
+    });
+  });
+  const stat = triggerStatistic(pt, mvSettings, model);
+  const label = stat.id === "t2" ? "T²" : MULTIVARIATE_CHARTS.find(c => c.id === stat.id).label;
+  conditions.push({
+    point: "stat:trigger", param: `${label} Multivariate`, val: stat.value.toFixed(2),
+    active: stat.anomaly, margin: 1 - stat.value / stat.ucl,
+  });
+  if (pca) {
+    conditions.push(
+      { point: "stat:pca_t2", param: "PCA T²ₐ", val: pt.pca_t2.toFixed(2), active: pt.pca_t2_anomaly, margin: 1 - pt.pca_t2 / pca.t2Ucl },
+      { point: "stat:spe", param: "SPE / Q Residual", val: pt.spe.toFixed(3), active: pt.spe_anomaly, margin: 1 - pt.spe / pca.speUcl },
+    );
+  }
+  return conditions;
+}
+
+// The explanation of one alarmed sample as it stood when the alarm was raised:
+// the trigger statistic, its decomposition (computeContributions), the RBC
+// breakdown (computeRBC) and the ranked fault hypotheses (diagnoseFault).
+// Kept with the alarm so it survives the sample leaving the chart window.
+function diagnosisSnapshot(pt, model, mvSettings, diagnosis) {
+  const explained = analysisPoint(pt, mvSettings, model);
+  const { id, label, value, ucl, anomaly } = triggerStatistic(pt, mvSettings, model);
+  const contributions = computeContributions(explained, model);
+  return {
+    t: pt.t,
+    ...(pt.time != null && { time: pt.time }),
+    statistic: { id, label, value: parseFloat(value.toFixed(4)), ucl: parseFloat(ucl.toFixed(4)) },
+    contributions: contributions.map(({ key, value: v, z, direction }) => ({ key, value: v, z, direction })),
+    rbc: computeRBC(explained, model).map(({ key, rbc, reconstructed }) => ({
+      key, rbc, reconstructed: parseFloat(reconstructed.toFixed(4)),
+    })),
+    engine: diagnosis.engine,
+    hypotheses: rankHypotheses(contributions, diagnosis, { alarmed: anomaly, falseAlarmRate: triggerFalseAlarmRate(mvSettings, model) })
+      .map(({ name, confidence }) => ({ name, confidence })),
+    ...assessMatch(contributions, diagnosis),
+  };
+}
+
+// ─── Process Capability (Montgomery, 2019) ───────────────────────────────────
+// Capability of each variable against its specification limits over a window
+// of n individual samples with mean x̄:
+//   within σ̂   = MR̄ / d₂, d₂ = 1.128 — short-term, from the moving range
+//   overall s   = sample standard deviation — long-term
+//   Cp = (USL − LSL) / 6σ̂      Cpk = min(USL − x̄, x̄ − LSL) / 3σ̂
+//   Pp = (USL − LSL) / 6s      Ppk = min(USL − x̄, x̄ − LSL) / 3s
+// With one spec limit, Cp and Pp are undefined and Cpk / Ppk are the one-sided
+// index. Expected ppm out of spec assumes a normal distribution:
+//   ppm = 10⁶ · [Φ((LSL − x̄) / σ) + 1 − Φ((USL − x̄) / σ)]
+// for σ̂ and for s; the observed ppm counts the samples outside.
+const MOVING_RANGE_D2 = 1.128;
+const MIN_CAPABILITY_SAMPLES = 10;
+const CAPABILITY_TARGET = 1.33;   // common minimum Cpk for an established process
+
+// Standard normal CDF from erf(x) = P(½, x²), accurate far enough into the
+// tails for ppm estimates
+function normalCdf(z) {
+  const half = 0.5 * gammaInc(0.5, (z * z) / 2);
+  return z >= 0 ? 0.5 + half : 0.5 - half;
+}
+
+// Capability indices for the values of one variable, or null when it has no
+// spec limits or the window is too short
+function computeCapability(values, { usl, lsl }) {
+  const n = values.length;
+  if ((usl == null && lsl == null) || n < MIN_CAPABILITY_SAMPLES) return null;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const overall = Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1));
+  const movingRange = values.slice(1).reduce((a, v, i) => a + Math.abs(v - values[i]), 0) / (n - 1);
+  const within = movingRange / MOVING_RANGE_D2;
+  const indices = (sigma) => {
+    if (!(sigma > 0)) return { potential: null, actual: null, ppm: null };
+    const upper = usl != null ? (usl - mean) / (3 * sigma) : Infinity;
+    const lower = lsl != null ? (mean - lsl) / (3 * sigma) : Infinity;
+    return {
+      potential: usl != null && lsl != null ? (usl - lsl) / (6 * sigma) : null,
+      actual: Math.min(upper, lower),
+      ppm: 1e6 * ((lsl != null ? normalCdf((lsl - mean) / sigma) : 0) + (usl != null ? 1 - normalCdf((usl - mean) / sigma) : 0)),
+    };
+  };
+  const w = indices(within);
+  const o = indices(overall);
+  const outside = values.filter(v => specViolation(v, { usl, lsl })).length;
+  return {
+    n, mean, sigmaWithin: within, sigmaOverall: overall, usl, lsl,
+    cp: w.potential, cpk: w.actual, pp: o.potential, ppk: o.actual,
+    ppmWithin: w.ppm, ppmOverall: o.ppm, ppmObserved: (outside / n) * 1e6, outside,
+  };
+}
+
+// Histogram bins (√n of them, 6–25) spanning the data and the spec limits,
+// each with the count expected from the normal fit N(x̄, s²)
+function capabilityHistogram(values, capability) {
+  const { n, mean, sigmaOverall: s, usl, lsl } = capability;
+  const lo = Math.min(...values, lsl ?? Infinity);
+  const hi = Math.max(...values, usl ?? -Infinity);
+  const bins = Math.min(25, Math.max(6, Math.round(Math.sqrt(n))));
+  const width = (hi - lo) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  values.forEach((v) => { counts[Math.min(bins - 1, Math.floor((v - lo) / width))] += 1; });
+  return counts.map((count, i) => {
+    const x = lo + (i + 0.5) * width;
+    const density = s > 0 ? Math.exp(-0.5 * ((x - mean) / s) ** 2) / (s * Math.sqrt(2 * Math.PI)) : 0;
+    return { x, lo: lo + i * width, hi: lo + (i + 1) * width, count, fit: n * width * density };
+  });
+}
+
+// ─── Alarm Management (ISA-18.2) ─────────────────────────────────────────────
+// Sample conditions become alarms through a per-point state machine
+// (ANSI/ISA-18.2-2016, §11):
+//   NORM ──active──▶ UNACK ──ack──▶ ACKED ──return──▶ NORM
+//                      └──return──▶ RTNUN ──ack──▶ NORM
+// A point activates after its condition holds for on-delay samples and
+// returns after off-delay samples clear by more than its deadband, so a
+// fault is annunciated once however long it lasts. An alarm that re-activates
+// before it is acknowledged goes back to UNACK on the same log entry.
+// Shelving removes a point from annunciation for a number of samples. When
+// flood-count annunciations fall within the flood window, further ones are
+// grouped into one Alarm Flood entry until the rate drops below half of that.
+const ALARM_STATES = {
+  unack:   { label: "UNACK", text: "Active, unacknowledged",   color: "#ef4444" },
+  acked:   { label: "ACKED", text: "Active, acknowledged",     color: "#f97316" },
+  rtnun:   { label: "RTNUN", text: "Returned, unacknowledged", color: "#FFD166" },
+  cleared: { label: "NORM",  text: "Cleared",                  color: "#475569" },
+  shelved: { label: "SHLVD", text: "Shelved",                  color: "#64748b" },
+};
+
+// Alarm classes, most severe first. A value outside its specification limits
+// means non-conforming product, so it outranks an out-of-control signal: it is
+// listed first, and neither counts towards nor is folded into an Alarm Flood.
+// An alarm raised during a recipe changeover's grace period is an expected
+// part of the grade change: it ranks last, is not diagnosed and does not count
+// towards a flood either.
+const ALARM_CLASSES = {
+  spec:       { label: "SPEC", text: "Out of specification", color: "#e879f9", icon: "⛔" },
+  control:    { label: "CTRL", text: "Out of control",       color: "#ef4444", icon: "⚠" },
+  source:     { label: "DATA", text: "Data source",          color: "#f97316", icon: "⚠" },
+  changeover: { label: "CHG",  text: "Recipe changeover",    color: "#60a5fa", icon: "🔄" },
+};
+const pointClassOf = point => (point.startsWith("spec:") ? "spec"
+  : point.startsWith("source:") || point.startsWith("quality:") ? "source" : "control");
+const alarmClassOf = ({ point, changeover }) => (changeover ? "changeover" : pointClassOf(point));
+const alarmClassRank = a => Object.keys(ALARM_CLASSES).indexOf(alarmClassOf(a));
+const floodsOf = cls => cls === "control" || cls === "source";
+// An alarm's name is drawn in its class colour where that sets it apart
+const alarmNameColor = (a, otherwise) => (floodsOf(alarmClassOf(a)) ? otherwise : ALARM_CLASSES[alarmClassOf(a)].color);
+
+// Deadband is in σ for a variable (control or spec limit) and a fraction of
+// the UCL for a statistic
+const DEFAULT_ALARM_POINT_SETTINGS = {
+  variable: { onDelay: 1, offDelay: 3, deadband: 0.25 },
+  statistic: { onDelay: 1, offDelay: 3, deadband: 0.1 },
+};
+const DEFAULT_FLOOD_SETTINGS = { count: 10, window: 600 };   // 10 alarms per 10 min at 1 s samples
+const DEFAULT_SHELVE_SAMPLES = 300;
+const STATISTIC_ALARM_POINTS = ["stat:trigger", "stat:pca_t2", "stat:spe"];
+
+// Grace period after a recipe switch, in samples. Its process alarms are
+// either flagged as changeover alarms or suppressed (held clear).
+const CHANGEOVER_MODES = [
+  { id: "flag", label: "flagged as changeover" },
+  { id: "suppress", label: "suppressed" },
+];
+const DEFAULT_CHANGEOVER_SETTINGS = { graceSamples: 30, mode: "flag" };
+
+// The alarm conditions of a changeover sample (processSample). Data-source
+// alarms are raised by the sink and are not affected.
+function changeoverConditions(conditions, { to, mode }) {
+  return conditions.map(c => (mode === "suppress" ? { ...c, active: false, margin: Infinity } : { ...c, changeover: to }));
+}
+
+// `current` keeps existing settings for points that survive a change of
+// variable set
+function defaultAlarmConfig(keys, current = {}) {
+  return {
+    points: Object.fromEntries([
+      ...keys.map(k => [`var:${k}`, current.points?.[`var:${k}`] ?? { ...DEFAULT_ALARM_POINT_SETTINGS.variable }]),
+      ...keys.map(k => [`spec:${k}`, current.points?.[`spec:${k}`] ?? { ...DEFAULT_ALARM_POINT_SETTINGS.variable }]),
+      ...STATISTIC_ALARM_POINTS.map(id => [id, current.points?.[id] ?? { ...DEFAULT_ALARM_POINT_SETTINGS.statistic }]),
+    ]),
+    flood: current.flood ?? { ...DEFAULT_FLOOD_SETTINGS },
+    shelveSamples: current.shelveSamples ?? DEFAULT_SHELVE_SAMPLES,
+    changeover: current.changeover ?? { ...DEFAULT_CHANGEOVER_SETTINGS },
+  };
+}
+
+const isStandingAlarm = a => a.state === "unack" || a.state === "acked" || a.state === "rtnun";
+
+/**
+ * Alarm state for one monitoring run. evaluate() takes the conditions of
+ * each sample (processSample) and raise() the data-source alarms, which have
+ * no delays; `at` is { t, time } of the moment. Operator actions are ack(),
+ * ackAll(), shelve() and unshelve(). endChangeover() returns the alarms of a
+ * recipe changeover when its grace period ends, so a condition that is still
+ * active is annunciated afresh as a process alarm. log() returns the
+ * annunciated alarms, newest first, and shelved() the shelved points. Alarm
+ * settings are read through getConfig on every call, so edits apply
+ * immediately.
+ */
+function createAlarmManager(getConfig) {
+  const points = new Map();   // point → { active, onCount, offCount, shelvedUntil, info, entry }
+  let log = [];
+  let recent = [];            // { t, param } of annunciations inside the flood window
+  let flood = null;           // open Alarm Flood entry
+  let seq = 0;
+
+  const pointState = (id) => {
+    if (!points.has(id)) points.set(id, { active: false, onCount: 0, offCount: 0, shelvedUntil: null, info: null, entry: null });
+    return points.get(id);
+  };
+
+  const addEntry = (entry) => {
+    log = [entry, ...log].slice(0, ALARM_LOG_LIMIT);
+    return entry;
+  };
+
+  const annunciate = (id, p, at, snapshot) => {
+    const { param, val, signals, changeover } = p.info;
+    const floods = floodsOf(alarmClassOf({ point: id, changeover }));
+    if (floods) recent.push({ t: at.t, param });
+    const previous = p.entry;
+    if (previous?.state === "rtnun" && previous.point !== "flood" && previous.changeover === changeover) {
+      Object.assign(previous, { state: "unack", count: previous.count + 1, val, returnT: null });
+    } else if (flood && floods) {
+      flood.count += 1;
+      if (!flood.grouped.includes(param)) flood.grouped.push(param);
+      p.entry = flood;
+    } else {
+      p.entry = addEntry({
+        id: `${at.t}-${id}-${seq++}`, point: id, t: at.t, ...(at.time != null && { time: at.time }),
+        param, val, ...(signals?.length && { signals }), ...(changeover && { changeover }),
+        ...(snapshot && { snapshot: snapshot() }), state: "unack", count: 1,
+      });
+    }
+    const { count, window } = getConfig().flood;
+    recent = recent.filter(r => r.t > at.t - window);
+    if (!flood && recent.length >= count) {
+      flood = addEntry({
+        id: `${at.t}-flood-${seq++}`, point: "flood", t: at.t, ...(at.time != null && { time: at.time }),
+        param: "Alarm Flood", val: `${recent.length} in ${window} samples`,
+        grouped: [...new Set(recent.map(r => r.param))], state: "unack", count: recent.length,
+      });
+    }
+  };
+
+  const activate = (id, p, at, snapshot) => {
+    p.active = true;
+    if (p.shelvedUntil == null) annunciate(id, p, at, snapshot);
+  };
+
+  const deactivate = (p, at) => {
+    p.active = false;
+    const entry = p.entry;
+    if (!entry || entry.point === "flood") {
+      p.entry = null;
+    } else if (entry.state === "unack") {
+      Object.assign(entry, { state: "rtnun", returnT: at.t });
+    } else if (entry.state === "acked") {
+      Object.assign(entry, { state: "cleared", clearT: at.t });
+      p.entry = null;
+    }
+  };
+
+  const endFlood = (at) => {
+    if (!flood) return;
+    const { count, window } = getConfig().flood;
+    recent = recent.filter(r => r.t > at.t - window);
+    if (recent.length >= count / 2) return;
+    Object.assign(flood, flood.state === "acked" ? { state: "cleared", clearT: at.t } : { state: "rtnun", returnT: at.t });
+    flood = null;
+  };
+
+  const acknowledge = (entry, t) => {
+    if (entry.state === "unack") {
+      Object.assign(entry, { state: "acked", ackT: t });
+    } else if (entry.state === "rtnun") {
+      Object.assign(entry, { state: "cleared", ackT: t, clearT: t });
+      points.forEach((p) => { if (p.entry === entry) p.entry = null; });
+    }
+  };
+
+  const unshelve = (id, p, at, snapshot) => {
+    p.shelvedUntil = null;
+    if (p.active) annunciate(id, p, at, snapshot);
+  };
+
+  return {
+    evaluate(at, conditions, snapshot) {
+      const settings = getConfig().points;
+      let snap = null;
+      const once = snapshot && (() => snap ?? (snap = snapshot()));
+      conditions.forEach(({ point: id, active, margin, ...info }) => {
+        const p = pointState(id);
+        const cfg = settings[id] ?? DEFAULT_ALARM_POINT_SETTINGS[id.startsWith("stat:") ? "statistic" : "variable"];
+        p.info = info;
+        if (p.shelvedUntil != null && at.t >= p.shelvedUntil) unshelve(id, p, at, once);
+        p.onCount = active ? p.onCount + 1 : 0;
+        p.offCount = !active && margin >= cfg.deadband ? p.offCount + 1 : 0;
+        if (!p.active && p.onCount >= cfg.onDelay) activate(id, p, at, once);
+        else if (p.active && p.offCount >= cfg.offDelay) deactivate(p, at);
+      });
+      endFlood(at);
+    },
+    raise(id, active, info, at) {
+      const p = pointState(id);
+      p.info = info;
+      if (active && !p.active) activate(id, p, at, null);
+      else if (!active && p.active) deactivate(p, at);
+    },
+    ack(entryId, t) {
+      const entry = log.find(a => a.id === entryId);
+      if (entry) acknowledge(entry, t);
+    },
+    ackAll(t) {
+      log.forEach(entry => acknowledge(entry, t));
+    },
+    shelve(id, at) {
+      const p = pointState(id);
+      p.shelvedUntil = at.t + getConfig().shelveSamples;
+      if (p.entry && p.entry.point !== "flood") {
+        Object.assign(p.entry, { state: "shelved", shelvedT: at.t });
+      }
+      p.entry = null;
+    },
+    unshelve(id, at) {
+      const p = points.get(id);
+      if (p?.shelvedUntil != null) unshelve(id, p, at, null);
+    },
+    endChangeover(at) {
+      points.forEach((p) => {
+        if (!p.entry?.changeover) return;
+        deactivate(p, at);
+        Object.assign(p, { onCount: 0, offCount: 0, entry: null });
+      });
+    },
+    log: () => log.map(a => ({ ...a })),
+    shelved: () => [...points].filter(([, p]) => p.shelvedUntil != null)
+      .map(([id, p]) => ({ point: id, param: p.info.param, until: p.shelvedUntil, active: p.active })),
+  };
+}
+
+// Annunciated alarms per 10 minutes over the last 10 minutes of samples, the
+// ISA-18.2 operator-load measure: about 1 is manageable, 10 or more a flood
+function alarmRate(alarmLog, latest) {
+  if (!latest) return 0;
+  const byTime = latest.time != null;
+  const now = byTime ? latest.time : latest.t;
+  const span = byTime ? 600000 : 600;
+  return alarmLog.filter((a) => {
+    const at = byTime ? a.time : a.t;
+    return at != null && at > now - span;
+  }).reduce((n, a) => n + (a.point === "flood" ? 1 : a.count), 0);
+}
+
+// ─── Alarm Episodes ──────────────────────────────────────────────────────────
+// An episode runs from the first sample on which a multivariate statistic (the
+// diagnosis trigger, or PCA T²ₐ / SPE) alarms until EPISODE_CLEAR_SAMPLES
+// in-control samples follow its last alarmed sample. Over its alarmed samples
+// it averages the contributions behind the trigger statistic, and that mean
+// profile is matched against the fault library like a single sample's, so the
+// explanation of an excursion survives the process returning in control. The
+// order in which variables went out is searched from ONSET_LEAD_IN samples
+// before the onset, since the root cause often deviates before T² alarms.
+const EPISODE_CLEAR_SAMPLES = 5;
+const EPISODE_LIMIT = 50;
+const EPISODE_TRACE_LIMIT = 240;
+
+const momentOf = ({ t, time }) => ({ t, ...(time != null && { time }) });
+
+// The reportable form of an episode: plain data, safe to export
+function summarizeEpisode(ep, diagnosis) {
+  const { keys, params } = ep.model;
+  const n = ep.samples || 1;
+  const contributions = contributionList(keys.map(k => ep.sums[k] / n), keys.map(k => ep.zSums[k] / n), ep.model);
+  const hot = ep.peak.ucl / keys.length;
+  return {
+    id: ep.id,
+    onset: ep.onset, end: ep.end, clear: ep.clear,
+    duration: ep.end.t - ep.onset.t + 1,
+    samples: ep.samples,
+    peak: ep.peak,
+    triggers: [...ep.triggers],
+    injected: [...ep.injected],
+    variables: keys.filter(k => ep.signals[k].size || contributions.find(c => c.key === k).value > hot).map(k => ({
+      key: k, label: params[k].label, signals: [...ep.signals[k]],
+    })),
+    contributions: contributions.map(({ key, value, z, direction }) => ({ key, value, z, direction })),
+    engine: diagnosis.engine,
+    hypotheses: rankHypotheses(contributions, diagnosis, { alarmed: true, falseAlarmRate: ep.falseAlarmRate })
+      .map(({ name, confidence }) => ({ name, confidence })),
+    ...assessMatch(contributions, diagnosis),
+    trace: ep.trace,
+    onsets: ep.onsets.onsets(),
+  };
+}
+
+/**
+ * Segments the monitored stream into alarm episodes. update() takes each
+ * sample with its alarm conditions (processSample) and the names of the faults
+ * being injected, and returns whether the episode list changed;
+ * list() returns the episode summaries, newest first. Episodes are diagnosed
+ * with the diagnosis configuration (getDiagnosis) current when they close.
+ */
+function createEpisodeTracker(getDiagnosis) {
+  let episodes = [];   // { summary } once cleared, the running state while open
+  let open = null;
+  let lead = [];       // the last ONSET_LEAD_IN samples' z-scores, searched for onsets
+  let seq = 0;
+  const session = Date.now().toString(36);   // keeps ids unique across resets
+
+  return {
+    update(pt, conditions, model, mvSettings, injected = []) {
+      const alarmed = conditions.filter(c => c.point.startsWith("stat:") && c.active);
+      const zs = sampleZ(pt, model);
+      if (!open && !alarmed.length) {
+        lead = [...lead, { moment: momentOf(pt), zs }].slice(-ONSET_LEAD_IN);
+        return false;
+      }
+      const stat = triggerStatistic(pt, mvSettings, model);
+      if (!open) {
+        const zeros = () => Object.fromEntries(model.keys.map(k => [k, 0]));
+        open = {
+          id: `episode-${session}-${pt.t}-${seq++}`, model, onset: momentOf(pt), end: momentOf(pt), clear: null, quiet: 0,
+          samples: 0, sums: zeros(), zSums: zeros(), peak: null, triggers: new Set(), injected: new Set(),
+          falseAlarmRate: triggerFalseAlarmRate(mvSettings, model),
+          signals: Object.fromEntries(model.keys.map(k => [k, new Set()])), trace: [],
+          onsets: createOnsetDetector(model.keys),
+        };
+        lead.forEach(s => open.onsets.push(s.moment, s.zs));
+        lead = [];
+        episodes = [open, ...episodes].slice(0, EPISODE_LIMIT);
+      }
+      open.onsets.push(momentOf(pt), zs);
+      open.trace = [...open.trace, { t: pt.t, value: parseFloat(stat.value.toFixed(4)) }].slice(-EPISODE_TRACE_LIMIT);
+      model.keys.forEach(k => pt[`${k}_signals`].forEach(id => open.signals[k].add(id)));
+      if (alarmed.length) {
+        open.quiet = 0;
+        open.end = momentOf(pt);
+        open.samples += 1;
+        alarmed.forEach(c => open.triggers.add(c.param));
+        injected.forEach(name => open.injected.add(name));
+        computeContributions(analysisPoint(pt, mvSettings, model), model).forEach((c) => {
+          open.sums[c.key] += c.value;
+          open.zSums[c.key] += c.z;
+        });
+        if (!open.peak || stat.value > open.peak.value) {
+          open.peak = { ...momentOf(pt), label: stat.label, value: parseFloat(stat.value.toFixed(4)), ucl: parseFloat(stat.ucl.toFixed(4)) };
+        }
+      } else if (++open.quiet >= EPISODE_CLEAR_SAMPLES) {
+        open.clear = momentOf(pt);
+        const closed = open;
+        episodes = episodes.map(ep => (ep === closed ? { summary: summarizeEpisode(closed, getDiagnosis()) } : ep));
+        open = null;
+      }
+      return true;
+    },
+    list: () => episodes.map(ep => ep.summary ?? summarizeEpisode(ep, getDiagnosis())),
+  };
+}
+
+// ─── Signature Calibration ───────────────────────────────────────────────────
+// The built-in signatures come from physical reasoning. Calibration learns
+// them from labelled alarm episodes instead: each example is an episode's
+// mean contribution profile with the fault mode that caused it, labelled by
+// the simulator's injected fault or by hand for replayed history. A fault
+// mode's learned signature is the mean of its examples' contribution shares,
+// with the per-variable standard deviation as its spread. Leave-one-out
+// accuracy of diagnoseFault() tells whether the learned signatures help.
+const CALIBRATION_FORMAT = "extrusion-calibration-set";
+const CALIBRATION_STORAGE_KEY = "extrusion-anomaly.calibration-set";
+
+// Normalized shares of the positive contributions, as diagnoseFault() sees them
+function contributionShares(contributions) {
+  const total = contributions.reduce((s, c) => s + Math.max(0, c.value), 0) || 1;
+  return Object.fromEntries(contributions.map(c => [c.key, Math.max(0, c.value) / total]));
+}
+
+// A calibration example from a cleared episode summary
+function calibrationExample(episode, fault, source) {
+  return {
+    id: episode.id, fault, source,
+    onset: episode.onset,
+    contributions: episode.contributions.map(({ key, value, z }) => ({ key, value, z })),
+  };
+}
+
+// Learned signature and spread per fault mode, over the given examples
+function learnSignatures(examples) {
+  const byFault = new Map();
+  examples.forEach(ex => byFault.set(ex.fault, [...(byFault.get(ex.fault) ?? []), contributionShares(ex.contributions)]));
+  return new Map([...byFault].map(([fault, shares]) => {
+    const keys = [...new Set(shares.flatMap(Object.keys))];
+    const mean = k => shares.reduce((s, sh) => s + (sh[k] ?? 0), 0) / shares.length;
+    const signature = Object.fromEntries(keys.map(k => [k, mean(k)]));
+    const spread = Object.fromEntries(keys.map(k => [k,
+      Math.sqrt(shares.reduce((s, sh) => s + ((sh[k] ?? 0) - signature[k]) ** 2, 0) / Math.max(1, shares.length - 1))]));
+    return [fault, { n: shares.length, signature, spread }];
+  }));
+}
+
+// The library with each learned fault mode's signature replaced
+function withLearnedSignatures(library, learned) {
+  return library.map(f => (learned.has(f.name) ? { ...f, signature: learned.get(f.name).signature } : f));
+}
+
+// Cosine similarity of two signatures, as diagnoseFault() scores a pattern
+function signatureSimilarity(a, b) {
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  const dotAB = keys.reduce((s, k) => s + (a[k] ?? 0) * (b[k] ?? 0), 0);
+  const mag = sig => Math.sqrt(keys.reduce((s, k) => s + (sig[k] ?? 0) ** 2, 0));
+  return mag(a) && mag(b) ? dotAB / (mag(a) * mag(b)) : 0;
+}
+
+// Top-ranked diagnosis accuracy over the examples labelled with an active
+// library fault mode. "Before" scores the library as it is; "after" holds out
+// each example in turn and learns the signatures from the rest, so no example
+// is diagnosed by a signature it helped to learn.
+function leaveOneOutAccuracy(examples, library) {
+  const usable = examples.filter(ex => library.some(f => f.name === ex.fault && !f.retired));
+  const top = (ex, lib) => diagnoseFault(ex.contributions, lib)[0]?.name;
+  const perFault = {};
+  usable.forEach((ex, i) => {
+    const score = (perFault[ex.fault] ??= { n: 0, before: 0, after: 0 });
+    score.n += 1;
+    if (top(ex, library) === ex.fault) score.before += 1;
+    const learned = learnSignatures(usable.filter((_, j) => j !== i));
+    if (top(ex, withLearnedSignatures(library, learned)) === ex.fault) score.after += 1;
+  });
+  const sum = key => Object.values(perFault).reduce((s, f) => s + f[key], 0);
+  return { n: usable.length, before: sum("before"), after: sum("after"), perFault };
+}
+
+function serializeCalibrationSet(examples) {
+  return { format: CALIBRATION_FORMAT, version: 1, examples };
+}
+
+function deserializeCalibrationSet(obj) {
+  if (obj?.format !== CALIBRATION_FORMAT) throw new Error("Not a calibration set file");
+  if (!Array.isArray(obj.examples)) throw new Error("Calibration set has no examples");
+  obj.examples.forEach((ex, i) => {
+    if (typeof ex?.fault !== "string" || !Array.isArray(ex.contributions)
+      || ex.contributions.some(c => typeof c?.key !== "string" || !Number.isFinite(c.value))) {
+      throw new Error(`Calibration example ${i + 1} needs a fault label and a contribution profile`);
+    }
+  });
+  return obj.examples;
+}
+
+function loadStoredCalibrationSet() {
+  try {
+    const raw = typeof window !== "undefined" && window.localStorage?.getItem(CALIBRATION_STORAGE_KEY);
+    return raw ? deserializeCalibrationSet(JSON.parse(raw)) : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeCalibrationSet(examples) {
+  window.localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(serializeCalibrationSet(examples)));
+}
+
+// ─── Incident Export ─────────────────────────────────────────────────────────
+// The alarm log, the sample window and the alarm snapshots leave the monitor
+// as CSV tables for spreadsheets, or as one JSON bundle that also carries the
+// variable set, model, fault library and chart settings, so the incident can
+// be re-imported and reviewed offline exactly as it was monitored.
+const INCIDENT_FORMAT = "extrusion-incident";
+
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const toCSV = rows => rows.map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+const isoTime = time => (time != null ? new Date(time).toISOString() : "");
+
+// Unique snapshots of the logged alarms, oldest first
+function alarmSnapshots(alarmLog) {
+  const byT = new Map();
+  alarmLog.forEach((a) => { if (a.snapshot) byT.set(a.snapshot.t, a.snapshot); });
+  return [...byT.values()].sort((a, b) => a.t - b.t);
+}
+
+function alarmLogCSV(alarmLog) {
+  return toCSV([
+    ["sample", "timestamp", "alarm", "class", "value", "signals", "state", "activations", "acked_sample", "returned_sample",
+      "cleared_sample", "grouped_alarms", "diagnosis", "best_match_pct", "top_fault", "top_confidence_pct"],
+    ...[...alarmLog].reverse().map(a => [
+      a.t, isoTime(a.time), a.param, ALARM_CLASSES[alarmClassOf(a)].text, a.val, a.signals?.join(" ") ?? "",
+      ALARM_STATES[a.state]?.label ?? "", a.count ?? "", a.ackT ?? "", a.returnT ?? "", a.clearT ?? "",
+      a.grouped?.join("; ") ?? "", (a.snapshot && topFaultName(a.snapshot)) ?? "", a.snapshot?.bestMatch ?? "",
+      a.snapshot?.hypotheses[0]?.name ?? "", a.snapshot?.hypotheses[0]?.confidence ?? "",
+    ]),
+  ]);
+}
+
+// Raw values plus the monitoring statistics present in the window. The
+// timestamp and variable-key columns make the file loadable as a replay.
+function samplesCSV(data, { keys }) {
+  const stats = ["t2", "mewma", "mcusum", "pca_t2", "spe"].filter(s => data.some(pt => pt[s] != null));
+  return toCSV([
+    ["sample", "timestamp", ...keys, ...stats, "alarm", "out_of_spec"],
+    ...data.map(pt => [
+      pt.t, isoTime(pt.time), ...keys.map(k => pt[k]), ...stats.map(s => (pt[s] != null ? parseFloat(pt[s].toFixed(4)) : "")),
+      pt.univariate_alarm || pt.t2_anomaly || pt.mewma_anomaly || pt.mcusum_anomaly || pt.pca_t2_anomaly || pt.spe_anomaly ? 1 : 0,
+      pt.spec_alarm ? 1 : 0,
+    ]),
+  ]);
+}
+
+function contributionsCSV(snapshots) {
+  return toCSV([
+    ["sample", "timestamp", "statistic", "statistic_value", "ucl", "variable", "contribution", "z", "direction", "rbc", "reconstructed"],
+    ...snapshots.flatMap(s => s.contributions.map((c) => {
+      const r = s.rbc.find(x => x.key === c.key);
+      return [s.t, isoTime(s.time), s.statistic.label, s.statistic.value, s.statistic.ucl,
+        c.key, c.value, c.z, c.direction, r.rbc, r.reconstructed];
+    })),
+  ]);
+}
+
+function hypothesesCSV(snapshots) {
+  return toCSV([
+    ["sample", "timestamp", "engine", "rank", "fault", "confidence_pct"],
+    ...snapshots.flatMap(s => s.hypotheses.map((h, i) => [s.t, isoTime(s.time), s.engine ?? "cosine", i + 1, h.name, h.confidence])),
+  ]);
+}
+
+// One row per episode, oldest first, with the mean contribution profile as
+// one column per variable — the shift handover table
+function episodesCSV(episodes, { keys }) {
+  return toCSV([
+    ["episode", "onset_sample", "onset_timestamp", "end_sample", "cleared_sample", "duration_samples", "alarmed_samples",
+      "peak_statistic", "peak_value", "ucl", "peak_sample", "triggers", "variables", "injected_fault",
+      "first_out", "onset_order", "diagnosis", "best_match_pct", "top_fault", "top_confidence_pct", "second_fault", "second_confidence_pct",
+      ...keys.map(k => `contribution_${k}`)],
+    ...[...episodes].reverse().map((e, i) => [
+      i + 1, e.onset.t, isoTime(e.onset.time), e.end.t, e.clear?.t ?? "", e.duration, e.samples,
+      e.peak.label, e.peak.value, e.peak.ucl, e.peak.t, e.triggers.join("; "), e.variables.map(v => v.key).join("; "),
+      e.injected?.join("; ") ?? "",
+      e.onsets?.[0]?.key ?? "", e.onsets?.map(o => `${o.key} ${o.direction} @${o.t}`).join("; ") ?? "",
+      topFaultName(e) ?? "", e.bestMatch ?? "",
+      e.hypotheses[0]?.name ?? "", e.hypotheses[0]?.confidence ?? "", e.hypotheses[1]?.name ?? "", e.hypotheses[1]?.confidence ?? "",
+      ...keys.map(k => e.contributions.find(c => c.key === k)?.value ?? ""),
+    ]),
+  ]);
+}
+
+// Snapshots are stored once and re-attached to their alarms by sample number.
+// Under a recipe the bundle carries the variable set with the recipe applied,
+// which is what the model and the samples were scored against.
+function buildIncidentBundle({
+  variableSet, model, faultLibrary, diagnosis, ruleConfig, chartSettings, mvSettings, alarmConfig, pca, data, alarmLog, episodes,
+  sourceKind, recipe = null, changeovers = [],
+}) {
+  return {
+    format: INCIDENT_FORMAT, version: 1,
+    exportedAt: new Date().toISOString(),
+    source: sourceKind,
+    variableSet: serializeVariableSet({ alpha: variableSet.alpha, params: model.params }),
+    recipe,
+    changeovers,
+    model: serializeModel(model),
+    faultLibrary: serializeFaultLibrary(faultLibrary),
+    settings: {
+      ruleConfig, chartSettings, multivariate: mvSettings, alarms: alarmConfig, pca: pca?.settings ?? null,
+      diagnosis: { engine: diagnosis.engine, bayes: diagnosis.bayes, minMatch: diagnosis.minMatch, window: diagnosis.window },
+    },
+    samples: data,
+    alarms: alarmLog.map(({ snapshot, ...a }) => a),
+    snapshots: alarmSnapshots(alarmLog),
+    episodes,
+  };
+}
+
+// The MEWMA/MCUSUM limits the incident was monitored with; a bundle without
+// them gets limits calibrated for its settings
+const multivariateLimitsOf = (settings, p) =>
+  (settings.mewmaH > 0 && settings.mcusumH > 0 ? settings : withMultivariateLimits(settings, p));
+
+// Validates a bundle and rebuilds everything the monitor needs to show it
+function readIncidentBundle(obj) {
+  if (obj?.format !== INCIDENT_FORMAT) throw new Error("Not an incident bundle");
+  if (obj.version !== 1) throw new Error(`Unsupported incident bundle version ${obj.version}`);
+  const variableSet = deserializeVariableSet(obj.variableSet);
+  const model = deserializeModel(obj.model, variableSet.params);
+  const { keys } = model;
+  if (!Array.isArray(obj.samples) || !obj.samples.length) throw new Error("Bundle has no samples");
+  const bad = obj.samples.find(pt => !Number.isFinite(pt?.t) || keys.some(k => !Number.isFinite(pt[k])));
+  if (bad) throw new Error(`Sample ${bad?.t ?? "?"} is missing values for the bundle's variables`);
+  const snapshots = new Map((obj.snapshots ?? []).map(s => [s.t, s]));
+  const settings = obj.settings ?? {};
+  return {
+    exportedAt: obj.exportedAt,
+    source: obj.source,
+    variableSet,
+    model,
+    faultLibrary: obj.faultLibrary ? deserializeFaultLibrary(obj.faultLibrary) : null,
+    ruleConfig: defaultRuleConfig(keys, settings.ruleConfig),
+    chartSettings: defaultChartSettings(keys, settings.chartSettings),
+    mvSettings: multivariateLimitsOf({ ...DEFAULT_MULTIVARIATE_SETTINGS, ...settings.multivariate }, keys.length),
+    alarmConfig: defaultAlarmConfig(keys, settings.alarms),
+    pca: settings.pca ? buildPcaModel(model, settings.pca) : null,
+    diagnosis: settings.diagnosis ? deserializeDiagnosis({ format: DIAGNOSIS_FORMAT, ...settings.diagnosis }) : null,
+    data: obj.samples.slice(-DATA_WINDOW),
+    alarmLog: (obj.alarms ?? []).map(a => (snapshots.has(a.t) ? { ...a, snapshot: snapshots.get(a.t) } : a)),
+    episodes: obj.episodes ?? [],
+    recipe: obj.recipe ?? null,
+    changeovers: obj.changeovers ?? [],
+  };
+}
+
+// ─── Detection Benchmark ─────────────────────────────────────────────────────
+// Runs seeded simulated sequences through the monitoring pipeline without
+// rendering, against the active model, chart settings, PCA model and fault
+// library, and measures every detector at once:
+//   in-control   runs of fixed length; ARL₀ = Σ min(RL, length) / #signalled
+//                (the censored estimate calibrateLimit() uses) and the share
+//                of in-control samples flagged
+//   fault        per monitored fault mode, `warmup` in-control samples, then the
+//                fault; the delay is the number of samples from the first
+//                faulty sample to the first alarm, censored at `horizon`;
+//                ARL₁ = Σ min(delay, horizon) / #detected
+// The diagnosis is the alarm snapshot (diagnosisSnapshot) at the trigger
+// statistic's first alarm — after the onset for faulted runs, anywhere for
+// in-control ones — and fills the confusion matrix.
+
+const DEFAULT_BENCHMARK_SETTINGS = { inControlRuns: 100, inControlLength: 500, faultRuns: 50, warmup: 30, horizon: 40, seed: 1 };
+const BENCHMARK_LIMITS = {
+  inControlRuns: [0, 5000], inControlLength: [10, 10000], faultRuns: [0, 5000], warmup: [0, 1000], horizon: [2, 1000],
+  seed: [0, 2 ** 32 - 1],
+};
+const BENCHMARK_FORMAT = "extrusion-benchmark";
+const IN_CONTROL_ROW = "In control";
+const NOT_DETECTED = "Not detected";
+
+const BENCHMARK_DETECTORS = [
+  { id: "univariate", label: "Univariate charts", flag: pt => pt.univariate_alarm },
+  { id: "t2", label: "Hotelling T²", flag: pt => pt.t2_anomaly },
+  { id: "mewma", label: "MEWMA", flag: pt => pt.mewma_anomaly },
+  { id: "mcusum", label: "MCUSUM", flag: pt => pt.mcusum_anomaly },
+  { id: "pca_t2", label: "PCA T²ₐ", flag: pt => pt.pca_t2_anomaly, pca: true },
+  { id: "spe", label: "SPE / Q", flag: pt => pt.spe_anomaly, pca: true },
+];
+
+function validateBenchmarkSettings(settings) {
+  Object.entries(BENCHMARK_LIMITS).forEach(([name, [lo, hi]]) => {
+    const v = settings[name];
+    if (!(Number.isInteger(v) && v >= lo && v <= hi)) throw new Error(`${name} must be a whole number from ${lo} to ${hi}`);
+  });
+  if (!settings.inControlRuns && !settings.faultRuns) throw new Error("Nothing to run — set in-control or fault runs above 0");
+  return settings;
+}
+
+// The in-control ARL each detector is designed for, where one is defined
+function expectedArl0(id, { model, mvSettings, pca }) {
+  if (id === "t2") return 1 / model.alpha;
+  if (id === "mewma" || id === "mcusum") return mvSettings.arl0;
+  if ((id === "pca_t2" || id === "spe") && pca) return 1 / pca.alpha;
+  return null;
+}
+
+/**
+ * A benchmark that runs in slices, so the page stays responsive: step(ms)
+ * simulates samples for about ms milliseconds and returns whether every run
+ * is done; progress() is { done, total } in samples; result() summarises the
+ * runs finished so far. config is { model, pca, ruleConfig, chartSettings,
+ * mvSettings, noise, diagnosis } with diagnosis as rankHypotheses() takes it.
+ */
+function createBenchmark(settings, config) {
+  const { model, pca, noise, diagnosis } = config;
+  const rng = mulberry32(settings.seed);
+  const detectors = BENCHMARK_DETECTORS.filter(d => !d.pca || pca);
+  const faults = monitoredFaults(model.keys, diagnosis.library);
+  const jobs = [
+    ...Array.from({ length: settings.inControlRuns }, () => ({ fault: null, length: settings.inControlLength })),
+    ...faults.flatMap(fault => Array.from({ length: settings.faultRuns }, () => ({ fault, length: settings.warmup + settings.horizon }))),
+  ];
+  const total = jobs.reduce((s, j) => s + j.length, 0);
+  const records = [];
+  let done = 0;
+  let run = null;
+
+  const begin = (job) => ({
+    job, t: 0, history: [], simulated: createProcessSimulator(rng),
+    first: {}, flagged: Object.fromEntries(detectors.map(d => [d.id, 0])), diagnosis: null,
+  });
+
+  const advance = () => {
+    if (!run) run = begin(jobs[records.length]);
+    const { job } = run;
+    run.t += 1;
+    if (job.fault && run.t === settings.warmup + 1) run.simulated.inject(job.fault);
+    const pt = samplePoint(run.simulated.next(model, noise), run.t, model);
+    processSample(pt, run.history, config);
+    run.history = [...run.history.slice(1 - RUN_RULE_WINDOW), pt];
+    const onset = job.fault ? settings.warmup + 1 : 1;
+    if (run.t >= onset) {
+      detectors.forEach(d => {
+        if (!d.flag(pt)) return;
+        run.flagged[d.id] += 1;
+        if (!(d.id in run.first)) run.first[d.id] = run.t - onset + 1;
+      });
+      if (!run.diagnosis && triggerStatistic(pt, config.mvSettings, model).anomaly) {
+        run.diagnosis = topFaultName(diagnosisSnapshot(pt, model, config.mvSettings, diagnosis)) ?? UNRECOGNISED_PATTERN;
+      }
+    }
+    done += 1;
+    if (run.t === job.length) {
+      records.push({ fault: job.fault?.name ?? null, length: job.length - onset + 1, first: run.first, flagged: run.flagged, diagnosis: run.diagnosis });
+      run = null;
+    }
+  };
+
+  return {
+    step(ms) {
+      const until = Date.now() + ms;
+      while (records.length < jobs.length && Date.now() < until) {
+        for (let i = 0; i < 50 && records.length < jobs.length; i++) advance();
+      }
+      return records.length === jobs.length;
+    },
+    progress: () => ({ done, total }),
+    result: () => summariseBenchmark(records, { settings, detectors, faults, config }),
+  };
+}
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+function summariseBenchmark(records, { settings, detectors, faults, config }) {
+  const inControl = records.filter(r => !r.fault);
+  const censoredArl = (runs, id) => {
+    const signalled = runs.filter(r => id in r.first);
+    return signalled.length ? runs.reduce((s, r) => s + (r.first[id] ?? r.length), 0) / signalled.length : null;
+  };
+  const samples = inControl.reduce((s, r) => s + r.length, 0);
+  const names = faults.map(f => f.name);
+  // The Bayesian ranking can put the normal / unknown class on top
+  const normal = config.diagnosis.engine === "bayes" ? [NORMAL_CLASS] : [];
+  const columns = [...names, ...normal, UNRECOGNISED_PATTERN, NOT_DETECTED];
+  const confusion = {};
+  records.forEach(r => {
+    const row = (confusion[r.fault ?? IN_CONTROL_ROW] ??= Object.fromEntries(columns.map(c => [c, 0])));
+    const col = r.diagnosis == null ? NOT_DETECTED : columns.includes(r.diagnosis) ? r.diagnosis : UNRECOGNISED_PATTERN;
+    row[col] += 1;
+  });
+  const diagnosed = records.filter(r => r.fault);
+  return {
+    settings,
+    configuration: {
+      model: config.model.source, alpha: config.model.alpha, trigger: config.mvSettings.trigger, arl0: config.mvSettings.arl0,
+      engine: config.diagnosis.engine, minMatch: config.diagnosis.minMatch, pca: !!config.pca, noise: config.noise,
+    },
+    detectors: detectors.map(({ id, label }) => ({ id, label, trigger: id === config.mvSettings.trigger })),
+    inControl: detectors.map(({ id }) => ({
+      id,
+      runs: inControl.length,
+      signalled: inControl.filter(r => id in r.first).length,
+      arl0: censoredArl(inControl, id),
+      expectedArl0: expectedArl0(id, config),
+      falseAlarmRate: samples ? inControl.reduce((s, r) => s + r.flagged[id], 0) / samples : null,
+    })),
+    faults: names.map(name => {
+      const runs = records.filter(r => r.fault === name);
+      return {
+        name,
+        runs: runs.length,
+        detectors: detectors.map(({ id }) => {
+          const delays = runs.filter(r => id in r.first).map(r => r.first[id]);
+          return {
+            id,
+            detectionRate: runs.length ? delays.length / runs.length : null,
+            arl1: censoredArl(runs, id),
+            medianDelay: median(delays),
+          };
+        }),
+      };
+    }).filter(f => f.runs),
+    confusion: { rows: [IN_CONTROL_ROW, ...names].filter(r => confusion[r]), columns, counts: confusion },
+    accuracy: diagnosed.length ? diagnosed.filter(r => r.diagnosis === r.fault).length / diagnosed.length : null,
+  };
+}
+
+function serializeBenchmark(result) {
+  return { format: BENCHMARK_FORMAT, version: 1, createdAt: new Date().toISOString(), ...result };
+}
+
+const round = (v, digits) => (v == null ? "" : parseFloat(v.toFixed(digits)));
+
+// One table for spreadsheets: a row per detector for in-control runs and per
+// fault mode × detector for faulted runs, then the confusion matrix
+function benchmarkCSV(result) {
+  const label = id => result.detectors.find(d => d.id === id).label;
+  return toCSV([
+    ["section", "fault", "detector", "runs", "signalled_runs", "arl", "expected_arl0", "false_alarm_rate", "detection_rate", "median_delay"],
+    ...result.inControl.map(d => [
+      "in_control", "", label(d.id), d.runs, d.signalled, round(d.arl0, 2), round(d.expectedArl0, 2), round(d.falseAlarmRate, 5), "", "",
+    ]),
+    ...result.faults.flatMap(f => f.detectors.map(d => [
+      "fault", f.name, label(d.id), f.runs, Math.round((d.detectionRate ?? 0) * f.runs), round(d.arl1, 2), "", "",
+      round(d.detectionRate, 4), d.medianDelay ?? "",
+    ])),
+    [],
+    ["confusion", "true \\ diagnosed", ...result.confusion.columns],
+    ...result.confusion.rows.map(row => ["confusion", row, ...result.confusion.columns.map(c => result.confusion.counts[row][c])]),
+  ]);
+}
+
+// ─── Severity Badge ───────────────────────────────────────────────────────────
+const SEVERITY_COLORS = { CRITICAL: "#F72585", HIGH: "#ef4444", MEDIUM: "#f97316", LOW: "#FFD166" };
+
+// ─── Sub-Components ───────────────────────────────────────────────────────────
+const fmt = (v, unit) => `${typeof v === "number" ? v.toFixed(unit === "mm" ? 3 : 1) : v}${unit}`;
+const limitText = v => +v.toFixed(4);   // limits derived as μ ± Lσ carry float noise
+
+// Time axis for the sample charts: replayed samples are placed at their real
+// timestamps, simulated ones at their tick
+const timeAxisProps = data => (data[0]?.time != null
+  ? { dataKey: "time", type: "number", scale: "time", domain: ["dataMin", "dataMax"], tickFormatter: formatClock }
+  : { dataKey: "t" });
+const timeTooltipLabel = data => (data[0]?.time != null ? formatTimestamp : l => `t=${l}s`);
+
+// Shaded spans of recipe changeover samples, labelled with the new recipe,
+// for the charts of the sample window
+function changeoverAreas(data) {
+  const { dataKey } = timeAxisProps(data);
+  const spans = [];
+  data.forEach((pt, i) => {
+    if (!pt.changeover) return;
+    const last = spans[spans.length - 1];
+    if (last && last.endIndex === i - 1 && last.recipe === pt.changeover) Object.assign(last, { end: pt, endIndex: i });
+    else spans.push({ recipe: pt.changeover, start: pt, end: pt, endIndex: i });
+  });
+  const { color } = ALARM_CLASSES.changeover;
+  return spans.map(s => (
+    <ReferenceArea key={`changeover-${s.start.t}`} x1={s.start[dataKey]} x2={s.end[dataKey]}
+      fill={color} fillOpacity={0.08} stroke="none" ifOverflow="hidden"
+      label={{ value: `🔄 ${s.recipe}`, fill: color, fontSize: 9, position: "insideTopLeft" }} />
+  ));
+}
+
+const INPUT_STYLE = {
+  background: "#0f172a", color: "#94a3b8", border: "1px solid #1e293b", borderRadius: 4,
+  padding: "4px 6px", fontSize: 10, fontFamily: "inherit", width: 64
+};
+
+const ACTION_BUTTON_STYLE = (color, enabled = true) => ({
+  background: "#0f172a", color: enabled ? color : "#1e293b",
+  border: `1px solid ${enabled ? `${color}66` : "#1e293b"}`, borderRadius: 6,
+  padding: "6px 10px", cursor: enabled ? "pointer" : "not-allowed",
+  fontSize: 10, fontFamily: "inherit", transition: "all 0.2s"
+});
+
+const SectionBox = ({ title, subtitle, titleColor = "#94a3b8", children, style = {} }) => (
+  <div style={{ background: "#0c1428", border: "1px solid #1e293b", borderRadius: 10, padding: "16px 20px", ...style }}>
+    <div style={{ marginBottom: 12 }}>
+      <span style={{ color: "#475569", fontSize: 10, letterSpacing: 2, textTransform: "uppercase" }}>{title} — </span>
+      <span style={{ color: titleColor, fontWeight: 700, fontSize: 13 }}>{subtitle}</span>
+    </div>
+    {children}
+  </div>
+);
+
+function ParamCard({ paramKey, cfg, data, isActive, onClick }) {
+  const latest = data[data.length - 1];
+  const val = latest?.[paramKey];
+  const anom = latest?.[`${paramKey}_anomaly`];
+  const spec = latest?.[`${paramKey}_spec`];
+  const signals = latest?.[`${paramKey}_signals`] ?? [];
+  const pct = val ? Math.min(100, Math.max(0, ((val - cfg.lcl) / (cfg.ucl - cfg.lcl)) * 100)) : 50;
+
+  return (
+    <div onClick={onClick} style={{
+      background: isActive ? "#1a2540" : "#0f172a",
+      border: `1px solid ${spec ? ALARM_CLASSES.spec.color : anom ? "#ef4444" : isActive ? cfg.color : "#1e293b"}`,
+      borderRadius: 8, padding: "12px 14px", cursor: "pointer",
+      transition: "all 0.2s", position: "relative", overflow: "hidden",
+      boxShadow: anom ? `0 0 20px ${cfg.color}44` : isActive ? `0 0 10px ${cfg.color}22` : "none"
+    }}>
+      {(spec || anom) && (
+        <div style={{ position: "absolute", top: 0, right: 0, background: spec ? ALARM_CLASSES.spec.color : "#ef4444",
+          color: "#fff", fontSize: 9, fontWeight: 700, padding: "2px 6px",
+          borderRadius: "0 8px 0 6px", letterSpacing: 1 }}>{spec ? `${spec === "HIGH" ? ">USL" : "<LSL"} SPEC` : "ALARM"}</div>
+      )}
+      {!spec && !anom && signals.length > 0 && (
+        <div title={signals.map(id => `${id}: ${SIGNAL_LABELS[id]}`).join("\n")} style={{
+          position: "absolute", top: 0, right: 0, background: "#FFD166",
+          color: "#080e1a", fontSize: 9, fontWeight: 700, padding: "2px 6px",
+          borderRadius: "0 8px 0 6px", letterSpacing: 1 }}>{signals.join(" ")}</div>
+      )}
+      <div style={{ color: "#475569", fontSize: 10, letterSpacing: 2, textTransform: "uppercase", marginBottom: 2 }}>
+        {cfg.label}
+      </div>
+      <div style={{ color: anom ? "#ef4444" : cfg.color, fontSize: 20, fontWeight: 800, fontFamily: "monospace" }}>
+        {val !== undefined ? fmt(val, cfg.unit) : "—"}
+      </div>
+      <div style={{ marginTop: 7, height: 3, background: "#1e293b", borderRadius: 2 }}>
+        <div style={{ width: `${pct}%`, height: "100%", background: anom ? "#ef4444" : cfg.color, borderRadius: 2, transition: "width 0.3s" }} />
+      </div>
+      <div style={{ display: "flex", justifyContent: "space-between", marginTop: 2, color: "#334155", fontSize: 9, fontFamily: "monospace" }}>
+        <span>LCL {limitText(cfg.lcl)}</span><span>UCL {limitText(cfg.ucl)}</span>
+      </div>
+      <div style={{ height: 32, marginTop: 4 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data.slice(-30)}>
+            <Line type="monotone" dataKey={paramKey} stroke={anom ? "#ef4444" : cfg.color}
+              strokeWidth={1.5} dot={false} isAnimationActive={false} />
+            <ReferenceLine y={cfg.ucl} stroke="#ef444455" strokeDasharray="2 2" />
+            <ReferenceLine y={cfg.lcl} stroke="#ef444455" strokeDasharray="2 2" />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+// ─── Run Rule Selector ───────────────────────────────────────────────────────
+// Per-parameter rule toggles with the number of violations in the current window
+function RunRuleSelector({ paramKey, config, data, onChange }) {
+  const enabled = config[paramKey];
+  const counts = Object.fromEntries(RUN_RULES.map(r => [r.id, 0]));
+  data.forEach(pt => (pt[`${paramKey}_signals`] ?? []).forEach(id => { if (id in counts) counts[id] += 1; }));
+
+  const toggle = (id) => onChange({ ...config, [paramKey]: { ...enabled, [id]: !enabled[id] } });
+  const applyToAll = () => onChange(Object.fromEntries(Object.keys(config).map(k => [k, { ...enabled }])));
+
+  return (
+    <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginBottom: 8 }}>
+      <span style={{ color: "#334155", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>Run Rules:</span>
+      {RUN_RULES.map(rule => (
+        <button key={rule.id} onClick={() => toggle(rule.id)} title={rule.label} style={{
+          background: enabled[rule.id] ? "#1a2540" : "#0f172a",
+          color: enabled[rule.id] ? (counts[rule.id] ? "#FFD166" : "#94a3b8") : "#334155",
+          border: `1px solid ${enabled[rule.id] ? (counts[rule.id] ? "#FFD16666" : "#334155") : "#1e293b"}`,
+          borderRadius: 4, padding: "3px 7px", cursor: "pointer", fontSize: 10, fontFamily: "inherit",
+          textDecoration: enabled[rule.id] ? "none" : "line-through"
+        }}>
+          {rule.id}{counts[rule.id] ? ` ·${counts[rule.id]}` : ""}
+        </button>
+      ))}
+      <button onClick={applyToAll} style={{ ...ACTION_BUTTON_STYLE("#64748b"), padding: "3px 8px" }}>
+        Apply to all parameters
+      </button>
+    </div>
+  );
+}
+
+// ─── Univariate Control Chart ────────────────────────────────────────────────
+// Shewhart individuals chart with run-rule zones, or the EWMA / tabular CUSUM
+// statistic for the same parameter, selectable per parameter. Spec limits,
+// when the variable has them, are drawn on the Shewhart chart and samples
+// outside them ringed in the out-of-spec colour. Recipe changeovers are
+// shaded.
+function UnivariateChart({ paramKey, cfg, data, chartSettings, onChartSettingsChange, ruleConfig, onRuleConfigChange }) {
+  const settings = chartSettings[paramKey];
+  const update = (patch) => onChartSettingsChange({ ...chartSettings, [paramKey]: { ...settings, ...patch } });
+  const numberField = (key, label, step, min, max) => (
+    <label key={key} style={{ color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center" }}>
+      {label}
+      <input type="number" step={step} min={min} max={max} value={settings[key]} style={INPUT_STYLE}
+        onChange={e => {
+          const v = parseFloat(e.target.value);
+          if (Number.isFinite(v) && v >= min && v <= max) update({ [key]: v });
+        }} />
+    </label>
+  );
+  const tooltipStyle = { background: "#0f172a", border: "1px solid #334155", fontSize: 10, fontFamily: "monospace" };
+  const signalDot = (color) => (props) => {
+    const { cx, cy, payload } = props;
+    const signals = payload[`${paramKey}_signals`] ?? [];
+    const spec = payload[`${paramKey}_spec`] && settings.type === "shewhart";
+    const anom = payload[`${paramKey}_anomaly`] && settings.type === "shewhart";
+    if (!spec && !anom && !signals.length) return <circle key={props.key} cx={cx} cy={cy} r={2} fill={color} opacity={0.6} />;
+    const ring = spec ? ALARM_CLASSES.spec.color : anom ? "#ef4444" : "#FFD166";
+    return <g key={props.key}>
+      <circle cx={cx} cy={cy} r={7} fill={`${ring}22`} stroke={ring} strokeWidth={1.5} />
+      <circle cx={cx} cy={cy} r={3} fill={ring} />
+      {signals.length > 0 && (
+        <text x={cx} y={cy - 10} fill={ring} fontSize={8} textAnchor="middle">{signals.join(" ")}</text>
+      )}
+    </g>;
+  };
+  const asymptote = settings.L * cfg.std * Math.sqrt(settings.lambda / (2 - settings.lambda));
+  const specs = [["USL", cfg.usl], ["LSL", cfg.lsl]].filter(([, v]) => v !== null && v !== undefined);
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8, marginBottom: 8, flexWrap: "wrap", alignItems: "center" }}>
+        {CHART_TYPES.map(ct => (
+          <button key={ct.id} onClick={() => update({ type: ct.id })} style={{
+            background: settings.type === ct.id ? "#1e3a5f" : "#0f172a",
+            color: settings.type === ct.id ? "#4CC9F0" : "#475569",
+            border: `1px solid ${settings.type === ct.id ? "#4CC9F066" : "#1e293b"}`,
+            borderRadius: 4, padding: "3px 10px", cursor: "pointer", fontSize: 10, fontFamily: "inherit"
+          }}>{ct.label}</button>
+        ))}
+        {settings.type === "ewma" && [
+          numberField("lambda", "λ", 0.05, 0.01, 1),
+          numberField("L", "L", 0.1, 0.5, 6),
+        ]}
+        {settings.type === "cusum" && [
+          numberField("k", "k", 0.1, 0, 3),
+          numberField("h", "h", 0.5, 0.5, 20),
+        ]}
+      </div>
+
+      <div style={{ display: "flex", gap: 16, marginBottom: 8, fontSize: 10 }}>
+        {settings.type === "shewhart" && ["UCL", "CL", "LCL"].map((l, i) => (
+          <span key={l} style={{ color: i === 1 ? "#475569" : "#ef4444" }}>
+            {l} = {limitText(i === 0 ? cfg.ucl : i === 1 ? cfg.mean : cfg.lcl)} {cfg.unit}
+          </span>
+        ))}
+        {settings.type === "shewhart" && specs.map(([l, v]) => (
+          <span key={l} style={{ color: "#e879f9" }}>{l} = {limitText(v)} {cfg.unit}</span>
+        ))}
+        {settings.type === "ewma" && (
+          <span style={{ color: "#ef4444" }}>
+            Limits → {fmt(cfg.mean - asymptote, cfg.unit)} … {fmt(cfg.mean + asymptote, cfg.unit)} (steady state)
+          </span>
+        )}
+        {settings.type === "cusum" && (
+          <span style={{ color: "#ef4444" }}>
+            K = μ ± {settings.k}σ = {fmt(cfg.mean - settings.k * cfg.std, cfg.unit)} / {fmt(cfg.mean + settings.k * cfg.std, cfg.unit)}
+            &emsp;H = {settings.h}σ = {fmt(settings.h * cfg.std, cfg.unit)}
+          </span>
+        )}
+        <span style={{ color: "#334155" }}>σ = {cfg.std} {cfg.unit} | Last 120 samples</span>
+      </div>
+
+      {settings.type === "shewhart" && (
+        <RunRuleSelector paramKey={paramKey} config={ruleConfig} data={data} onChange={onRuleConfigChange} />
+      )}
+
+      <ResponsiveContainer width="100%" height={200}>
+        {settings.type === "shewhart" ? (
+          <LineChart data={data} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
+            <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
+            <XAxis {...timeAxisProps(data)} stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} />
+            <YAxis stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }}
+              domain={[Math.min(cfg.lcl, ...specs.map(([, v]) => v)) - cfg.std * 2.5, Math.max(cfg.ucl, ...specs.map(([, v]) => v)) + cfg.std * 2.5]} />
+            <Tooltip contentStyle={tooltipStyle} formatter={(v) => [fmt(v, cfg.unit), cfg.label]} labelFormatter={timeTooltipLabel(data)} />
+            {[[2, 3, "#ef4444", "A"], [1, 2, "#FFD166", "B"], [-1, 1, "#00C9A7", "C"], [-2, -1, "#FFD166", "B"], [-3, -2, "#ef4444", "A"]].map(([lo, hi, fill, zone]) => (
+              <ReferenceArea key={lo} y1={cfg.mean + lo * cfg.std} y2={cfg.mean + hi * cfg.std}
+                fill={fill} fillOpacity={0.05} stroke="none" ifOverflow="hidden"
+                label={{ value: zone, fill: "#334155", fontSize: 8, position: "insideLeft" }} />
+            ))}
+            <ReferenceLine y={cfg.ucl} stroke="#ef4444" strokeDasharray="4 4" label={{ value: "UCL", fill: "#ef4444", fontSize: 9, position: "insideTopRight" }} />
+            <ReferenceLine y={cfg.mean} stroke="#1e3a5f" strokeDasharray="4 4" label={{ value: "CL", fill: "#334155", fontSize: 9, position: "insideTopRight" }} />
+            <ReferenceLine y={cfg.lcl} stroke="#ef4444" strokeDasharray="4 4" label={{ value: "LCL", fill: "#ef4444", fontSize: 9, position: "insideBottomRight" }} />
+            {specs.map(([l, v]) => (
+              <ReferenceLine key={l} y={v} stroke="#e879f9" strokeDasharray="8 3 2 3"
+                label={{ value: l, fill: "#e879f9", fontSize: 9, position: l === "USL" ? "insideTopLeft" : "insideBottomLeft" }} />
+            ))}
+            {changeoverAreas(data)}
+            <Line type="monotone" dataKey={paramKey} stroke={cfg.color} strokeWidth={2}
+              dot={signalDot(cfg.color)} isAnimationActive={false} />
+          </LineChart>
+        ) : settings.type === "ewma" ? (
+          <LineChart data={data} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
+            <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
+            <XAxis {...timeAxisProps(data)} stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} />
+            <YAxis stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} domain={[cfg.mean - asymptote * 3, cfg.mean + asymptote * 3]} />
+            <Tooltip contentStyle={tooltipStyle} labelFormatter={timeTooltipLabel(data)}
+              formatter={(v, n) => [fmt(v, cfg.unit), n]} />
+            <ReferenceLine y={cfg.mean} stroke="#1e3a5f" strokeDasharray="4 4" label={{ value: "CL", fill: "#334155", fontSize: 9, position: "insideTopRight" }} />
+            <Line type="monotone" dataKey={paramKey} name="xₜ" stroke={cfg.color} strokeOpacity={0.25} strokeWidth={1} dot={false} isAnimationActive={false} />
+            <Line type="stepAfter" dataKey={`${paramKey}_ewma_ucl`} name="UCL" stroke="#ef4444" strokeDasharray="4 4" strokeWidth={1} dot={false} isAnimationActive={false} />
+            <Line type="stepAfter" dataKey={`${paramKey}_ewma_lcl`} name="LCL" stroke="#ef4444" strokeDasharray="4 4" strokeWidth={1} dot={false} isAnimationActive={false} />
+            <Line type="monotone" dataKey={`${paramKey}_ewma`} name="EWMA zₜ" stroke={cfg.color} strokeWidth={2}
+              dot={signalDot(cfg.color)} isAnimationActive={false} />
+          </LineChart>
+        ) : (
+          <LineChart data={data} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
+            <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
+            <XAxis {...timeAxisProps(data)} stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} />
+            <YAxis stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} domain={[0, dataMax => Math.max(dataMax, settings.h * cfg.std * 1.5)]} />
+            <Tooltip contentStyle={tooltipStyle} labelFormatter={timeTooltipLabel(data)}
+              formatter={(v, n) => [fmt(v, cfg.unit), n]} />
+            <ReferenceLine y={settings.h * cfg.std} stroke="#ef4444" strokeDasharray="4 4" label={{ value: `H = ${settings.h}σ`, fill: "#ef4444", fontSize: 9, position: "insideTopRight" }} />
+            <Line type="monotone" dataKey={`${paramKey}_cusum_pos`} name="C⁺ (upward)" stroke={cfg.color} strokeWidth={2}
+              dot={signalDot(cfg.color)} isAnimationActive={false} />
+            <Line type="monotone" dataKey={`${paramKey}_cusum_neg`} name="C⁻ (downward)" stroke="#94a3b8" strokeWidth={1.5}
+              strokeDasharray="3 2" dot={false} isAnimationActive={false} />
+          </LineChart>
+        )}
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+// ─── Statistic Chart ─────────────────────────────────────────────────────────
+// One-sided chart of a monitoring statistic against its UCL, with alarm points
+// ringed. Shared by the MEWMA / MCUSUM and PCA charts.
+function StatisticChart({ data, dataKey, anomalyKey, limit, label, color, height = 120 }) {
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <LineChart data={data} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
+        <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
+        <XAxis {...timeAxisProps(data)} stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} />
+        <YAxis stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} domain={[0, dataMax => Math.max(dataMax, limit * 1.5)]} />
+        <Tooltip contentStyle={{ background: "#0f172a", border: "1px solid #334155", fontSize: 10, fontFamily: "monospace" }}
+          formatter={(v) => [v.toFixed(3), label]} labelFormatter={timeTooltipLabel(data)} />
+        <ReferenceLine y={limit} stroke="#ef4444" strokeDasharray="4 4" label={{ value: `UCL ${+limit.toFixed(3)}`, fill: "#ef4444", fontSize: 9, position: "insideTopRight" }} />
+        <Line type="monotone" dataKey={dataKey} stroke={color} strokeWidth={2}
+          dot={(props) => {
+            const { cx, cy, payload } = props;
+            if (!payload[anomalyKey]) return <circle key={props.key} cx={cx} cy={cy} r={2} fill={color} opacity={0.5} />;
+            return <g key={props.key}>
+              <circle cx={cx} cy={cy} r={7} fill="#ef444422" stroke="#ef4444" strokeWidth={1.5} />
+              <circle cx={cx} cy={cy} r={3} fill={color} />
+            </g>;
+          }}
+          isAnimationActive={false} />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+}
+
+// ─── Multivariate EWMA / CUSUM Charts ────────────────────────────────────────
+// MEWMA and MCUSUM plotted beside the T² chart, with the statistic that drives
+// the contribution and diagnosis tabs selectable as the trigger.
+function MultivariateChartPanel({ data, settings, onSettingsChange }) {
+  const [draft, setDraft] = useState({ lambda: settings.lambda, k: settings.k, arl0: settings.arl0 });
+  const dirty = draft.lambda !== settings.lambda || draft.k !== settings.k || draft.arl0 !== settings.arl0;
+  const field = (key, label, step, min, max) => (
+    <label key={key} style={{ color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center" }}>
+      {label}
+      <input type="number" step={step} min={min} max={max} value={draft[key]} style={INPUT_STYLE}
+        onChange={e => {
+          const v = parseFloat(e.target.value);
+          if (Number.isFinite(v) && v >= min && v <= max) setDraft(prev => ({ ...prev, [key]: v }));
+        }} />
+    </label>
+  );
+  const charts = [
+    { id: "mewma", label: "MEWMA T²", dataKey: "mewma", limit: settings.mewmaH, color: "#4CC9F0",
+      note: `λ = ${settings.lambda} · UCL h = ${settings.mewmaH} for in-control ARL ≈ ${settings.arl0}` },
+    { id: "mcusum", label: "MCUSUM Y", dataKey: "mcusum", limit: settings.mcusumH, color: "#00C9A7",
+      note: `k = ${settings.k} · UCL h = ${settings.mcusumH} for in-control ARL ≈ ${settings.arl0}` },
+  ];
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8, marginBottom: 10, flexWrap: "wrap", alignItems: "center" }}>
+        <span style={{ color: "#334155", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>Diagnosis trigger:</span>
+        {MULTIVARIATE_CHARTS.map(c => (
+          <button key={c.id} onClick={() => onSettingsChange({ ...settings, trigger: c.id })} style={{
+            background: settings.trigger === c.id ? "#1e3a5f" : "#0f172a",
+            color: settings.trigger === c.id ? "#4CC9F0" : "#475569",
+            border: `1px solid ${settings.trigger === c.id ? "#4CC9F066" : "#1e293b"}`,
+            borderRadius: 4, padding: "3px 10px", cursor: "pointer", fontSize: 10, fontFamily: "inherit"
+          }}>{c.label}</button>
+        ))}
+        <div style={{ width: 1, height: 20, background: "#1e293b" }} />
+        {field("lambda", "MEWMA λ", 0.05, 0.01, 1)}
+        {field("k", "MCUSUM k", 0.1, 0, 3)}
+        {field("arl0", "Target ARL₀", 50, 20, 2000)}
+        <button onClick={() => onSettingsChange({ ...settings, ...draft })} disabled={!dirty}
+          style={ACTION_BUTTON_STYLE("#00C9A7", dirty)}>↻ Recalibrate Limits</button>
+      </div>
+
+      {charts.map(c => (
+        <div key={c.id} style={{ marginBottom: 8 }}>
+          <div style={{ fontSize: 10, color: "#334155", marginBottom: 4 }}>
+            <span style={{ color: c.color, fontWeight: 700 }}>{c.label}</span>
+            {settings.trigger === c.id && <span style={{ color: "#4CC9F0", marginLeft: 8 }}>● TRIGGER</span>}
+            <span style={{ marginLeft: 8 }}>{c.note}</span>
+          </div>
+          <StatisticChart data={data} dataKey={c.dataKey} anomalyKey={`${c.id}_anomaly`}
+            limit={c.limit} label={c.label} color={c.color} />
+        </div>
+      ))}
+      <div style={{ fontSize: 10, color: "#334155", lineHeight: 1.6 }}>
+        MEWMA and MCUSUM accumulate evidence over time, so a shift of about one σ that the T² chart
+        rarely flags is signalled within a few samples. Selecting either as the trigger makes the
+        Contribution and Diagnosis tabs decompose the accumulated vector instead of the single point.
+      </div>
+    </div>
+  );
+}
+
+// ─── PCA Monitoring Charts ───────────────────────────────────────────────────
+// T²ₐ in the retained-component space and SPE / Q on the residual, each with
+// its own limit. The two answer different questions, so both are shown.
+function PcaMonitoringCharts({ data, pca }) {
+  const charts = [
+    { id: "pca_t2", label: "T²ₐ", limit: pca.t2Ucl, color: "#A78BFA",
+      note: `${pca.a} retained component(s) · ${pca.n ? `Phase II F limit, m=${pca.n}` : `χ²(df=${pca.a})`}, α=${pca.alpha}` },
+    { id: "spe", label: "SPE / Q", limit: pca.speUcl, color: "#F72585",
+      note: `${pca.keys.length - pca.a} residual component(s) · Jackson–Mudholkar limit, α=${pca.alpha}` },
+  ];
+
+  return (
+    <div>
+      {charts.map(c => (
+        <div key={c.id} style={{ marginBottom: 8 }}>
+          <div style={{ fontSize: 10, color: "#334155", marginBottom: 4 }}>
+            <span style={{ color: c.color, fontWeight: 700 }}>{c.label}</span>
+            <span style={{ marginLeft: 8 }}>{c.note}</span>
+          </div>
+          <StatisticChart data={data} dataKey={c.id} anomalyKey={`${c.id}_anomaly`}
+            limit={c.limit} label={c.label} color={c.color} />
+        </div>
+      ))}
+      <div style={{ fontSize: 10, color: "#334155", lineHeight: 1.6 }}>
+        T²ₐ flags unusually large moves along the correlation structure seen in the baseline.
+        SPE flags samples that break that structure — a sensor drift or a decoupled loop —
+        even when every variable is still inside its own limits.
+      </div>
+    </div>
+  );
+}
+
+// ─── Contribution Plot Panel ──────────────────────────────────────────────────
+// Horizontal bars for one contribution list; bars above hotThreshold turn red
+// while the statistic is in alarm. `zLabel` names what the signed column is.
+function ContributionBars({ contributions, hotThreshold, isAnomalous, zLabel = "z" }) {
+  const maxVal = Math.max(...contributions.map(c => c.value), 1);
+  return contributions.map(c => (
+    <div key={c.key} style={{ marginBottom: 7 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 10, marginBottom: 2 }}>
+        <span style={{ color: c.color, fontWeight: 700 }}>{c.fullLabel}</span>
+        <span style={{ color: "#64748b", fontFamily: "monospace" }}>
+          {zLabel}={c.z > 0 ? "+" : ""}{c.z}  [{c.direction}]  {c.value.toFixed(3)}
+        </span>
+      </div>
+      <div style={{ height: 12, background: "#1e293b", borderRadius: 3, overflow: "hidden" }}>
+        <div style={{
+          width: `${(Math.max(0, c.value) / maxVal) * 100}%`, height: "100%",
+          background: c.value > hotThreshold ? (isAnomalous ? "#ef4444" : c.color) : c.color,
+          opacity: 0.85, borderRadius: 3,
+          transition: "width 0.5s ease",
+          boxShadow: c.value > hotThreshold && isAnomalous ? `0 0 8px ${c.color}88` : "none"
+        }} />
+      </div>
+    </div>
+  ));
+}
+
+function ContributionPanel({ latestPoint, rawPoint, isAnomalous, model, statistic, pca }) {
+  if (!latestPoint) return (
+    <div style={{ color: "#334155", textAlign: "center", padding: "32px 0", fontSize: 12 }}>
+      Start the process to view contribution analysis
+    </div>
+  );
+
+  const contributions = computeContributions(latestPoint, model);
+  const rbc = computeRBC(latestPoint, model);
+  const myt = computeMYT(latestPoint, model);
+  const hotThreshold = statistic.ucl / model.keys.length;
+  const diagonal = model.cov.every((row, i) => row.every((v, j) => i === j || v === 0));
+  const limits = mytLimits(model);
+  // Rescored rather than read from the point: it may predate the current PCA fit.
+  const scored = pca && rawPoint ? scorePca({ ...rawPoint }, pca) : null;
+
+  return (
+    <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
+
+      {/* T² Decomposition — Bar Chart */}
+      <div>
+        <div style={{ color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 10 }}>
+          {statistic.label} Decomposition  <span style={{ color: "#334155" }}>(Mason et al., 1995)</span>
+        </div>
+        <ContributionBars contributions={contributions} hotThreshold={hotThreshold} isAnomalous={isAnomalous} />
         <div style={{ marginTop: 10, padding: "8px 10px", background: "#0f172a", borderRadius: 6, fontSize: 10, color: "#475569" }}>
-          Total T² = <span style={{ color: isAnomalous ? "#ef4444" : "#A78BFA", fontWeight: 700, fontFamily: "monospace" }}>
-            {latestPoint.t2?.toFixed(3)}
+          Total {statistic.label} = <span style={{ color: isAnomalous ? "#ef4444" : "#A78BFA", fontWeight: 700, fontFamily: "monospace" }}>
+            {statistic.value.toFixed(3)}
           </span>
-          <span style={{ marginLeft: 8 }}>UCL = {T2_UCL}</span>
+          <span style={{ marginLeft: 8 }}>UCL = {+statistic.ucl.toFixed(2)}</span>
           {isAnomalous && <span style={{ color: "#ef4444", marginLeft: 8 }}>⚠ OUT OF CONTROL</span>}
         </div>
       </div>
 
-      {/* Reconstruction-Based Contribution */}
-      <div>
-        <div style={{ color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 10 }}>
-          Reconstruction-Based (RBC)  <span style={{ color: "#334155" }}>Fault Isolation</span>
+      {/* Reconstruction-Based Contribution */}
+      <div>
+        <div style={{ color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 10 }}>
+          Reconstruction-Based (RBC)  <span style={{ color: "#334155" }}>Fault Isolation</span>
+        </div>
+        <div style={{ height: 200 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={rbc} layout="vertical" margin={{ left: 10, right: 20, top: 0, bottom: 0 }}>
+              <CartesianGrid stroke="#1e293b" strokeDasharray="2 2" horizontal={false} />
+              <XAxis type="number" domain={[0, "auto"]} tick={{ fontSize: 9, fill: "#475569" }} stroke="#1e293b" />
+              <YAxis type="category" dataKey="label" tick={{ fontSize: 10, fill: "#64748b" }} stroke="none" width={24} />
+              <Tooltip
+                contentStyle={{ background: "#0f172a", border: "1px solid #334155", fontSize: 10, fontFamily: "monospace" }}
+                formatter={(v, n, p) => [`ΔT² = ${v.toFixed(4)}`, p.payload.fullLabel]}
+                labelFormatter={() => "RBC — if reconstructed"}
+              />
+              <Bar dataKey="rbc" radius={[0, 3, 3, 0]}>
+                {rbc.map(entry => (
+                  <Cell key={entry.key} fill={entry.color} opacity={0.85} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+        <div style={{ fontSize: 10, color: "#334155", marginTop: 6, lineHeight: 1.6 }}>
+          RBC measures how much T² drops if each variable is individually
+          reconstructed along its own direction to the value that best fits the
+          covariance model. Highest bar = primary fault driver.
+        </div>
+      </div>
+
+      {/* RBC vs MYT Conditional Terms */}
+      <div style={{ gridColumn: "1 / -1" }}>
+        <div style={{ color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 8 }}>
+          RBC vs MYT Decomposition  <span style={{ color: "#334155" }}>unconditional T²ᵢ · conditional T²ᵢ·rest (Mason, Tracy &amp; Young, 1995)</span>
+        </div>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10, fontFamily: "monospace" }}>
+          <thead>
+            <tr style={{ color: "#334155", textAlign: "right" }}>
+              {["Variable", "Cᵢ", "RBCᵢ", "x̂ᵢ (recon.)", `T²ᵢ  (UCL ${limits.unconditional.toFixed(2)})`,
+                `T²ᵢ·rest  (UCL ${limits.conditional.toFixed(2)})`, "x̄ᵢ·rest ± s", "Reading"].map((h, i) => (
+                <th key={h} style={{ fontWeight: 400, padding: "0 6px 4px", textAlign: i === 0 || i === 7 ? "left" : "right" }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rbc.map((r, i) => {
+              const c = contributions.find(x => x.key === r.key);
+              const t = myt.find(x => x.key === r.key);
+              const unit = model.params[r.key].unit;
+              const reading = t.unconditionalSignal && t.conditionalSignal ? "Out of range and off-correlation"
+                : t.unconditionalSignal ? "Out of range, consistent with others"
+                : t.conditionalSignal ? "Breaks correlation with others"
+                : "—";
+              return (
+                <tr key={r.key} style={{ textAlign: "right", color: "#94a3b8", background: i % 2 === 0 ? "#0f172a" : "transparent" }}>
+                  <td style={{ textAlign: "left", color: r.color, fontWeight: 700, padding: "4px 6px" }}>{r.fullLabel}</td>
+                  <td style={{ padding: "4px 6px", color: c.value < 0 ? "#4CC9F0" : "#94a3b8" }}>{c.value.toFixed(3)}</td>
+                  <td style={{ padding: "4px 6px", fontWeight: 700, color: r.color }}>{r.rbc.toFixed(3)}</td>
+                  <td style={{ padding: "4px 6px" }}>{fmt(r.reconstructed, unit)}</td>
+                  <td style={{ padding: "4px 6px", color: t.unconditionalSignal ? "#ef4444" : "#94a3b8" }}>{t.unconditional.toFixed(3)}</td>
+                  <td style={{ padding: "4px 6px", color: t.conditionalSignal ? "#ef4444" : "#94a3b8" }}>{t.conditional.toFixed(3)}</td>
+                  <td style={{ padding: "4px 6px" }}>{fmt(t.condMean, unit)} ± {fmt(t.condStd, unit)}</td>
+                  <td style={{ textAlign: "left", padding: "4px 6px", color: reading === "—" ? "#334155" : "#FFD166" }}>{reading}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <div style={{ fontSize: 10, color: "#334155", marginTop: 6, lineHeight: 1.6 }}>
+          {diagonal
+            ? "Under diagonal covariance Cᵢ, RBCᵢ, T²ᵢ and T²ᵢ·rest coincide. Apply a Phase I model to separate variables that are out of range on their own from variables that only break the correlation structure."
+            : "T²ᵢ tests each variable against its own limits; T²ᵢ·rest tests it against the value predicted from the other variables (x̄ᵢ·rest) and equals RBCᵢ. A high conditional term with a low unconditional term points to a broken relationship, e.g. die pressure no longer tracking melt pressure."}
+        </div>
+      </div>
+
+      {/* PCA T²ₐ and SPE Contributions */}
+      {scored && (
+        <div style={{ gridColumn: "1 / -1", display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
+          {[
+            { id: "pca_t2", title: "PCA T²ₐ Contributions", ref: "Qin, 2003", value: scored.pca_t2, ucl: pca.t2Ucl,
+              zLabel: "z", contributions: computePcaT2Contributions(rawPoint, pca) },
+            { id: "spe", title: "SPE / Q Contributions", ref: "Miller et al., 1998", value: scored.spe, ucl: pca.speUcl,
+              zLabel: "e", contributions: computeSpeContributions(rawPoint, pca) },
+          ].map(block => {
+            const alarm = scored[`${block.id}_anomaly`];
+            return (
+              <div key={block.id}>
+                <div style={{ color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 10 }}>
+                  {block.title}  <span style={{ color: "#334155" }}>({block.ref})</span>
+                </div>
+                <ContributionBars contributions={block.contributions} hotThreshold={block.ucl / pca.keys.length}
+                  isAnomalous={alarm} zLabel={block.zLabel} />
+                <div style={{ marginTop: 10, padding: "8px 10px", background: "#0f172a", borderRadius: 6, fontSize: 10, color: "#475569" }}>
+                  Total = <span style={{ color: alarm ? "#ef4444" : "#A78BFA", fontWeight: 700, fontFamily: "monospace" }}>
+                    {block.value.toFixed(3)}
+                  </span>
+                  <span style={{ marginLeft: 8 }}>UCL = {+block.ucl.toFixed(3)}</span>
+                  {alarm && <span style={{ color: "#ef4444", marginLeft: 8 }}>⚠ OUT OF CONTROL</span>}
+                </div>
+              </div>
+            );
+          })}
+          <div style={{ gridColumn: "1 / -1", fontSize: 10, color: "#334155", lineHeight: 1.6 }}>
+            PCA contributions are always taken from the latest sample. T²ₐ terms split the score across
+            variables in the standardized space; SPE terms are the squared residuals eᵢ² left after
+            projecting onto the {pca.a} retained component(s), so the largest bar is the variable the
+            baseline correlation structure cannot explain.
+          </div>
+        </div>
+      )}
+
+      {/* Radar — Process State */}
+      <div style={{ gridColumn: "1 / -1" }}>
+        <div style={{ color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 8 }}>
+          Process State Radar  <span style={{ color: "#334155" }}>|z| normalized deviation from nominal</span>
+        </div>
+        <div style={{ height: 180 }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <RadarChart data={contributions.map(c => ({ param: c.label, deviation: Math.abs(c.z), limit: 3 }))}>
+              <PolarGrid stroke="#1e293b" />
+              <PolarAngleAxis dataKey="param" tick={{ fontSize: 10, fill: "#64748b" }} />
+              <PolarRadiusAxis angle={30} domain={[0, 4]} tick={{ fontSize: 8, fill: "#334155" }} />
+              <Radar name="Current" dataKey="deviation" stroke="#4CC9F0" fill="#4CC9F0" fillOpacity={0.2} />
+              <Radar name="3σ Limit" dataKey="limit" stroke="#ef444455" fill="none" strokeDasharray="4 4" />
+              <Tooltip
+                contentStyle={{ background: "#0f172a", border: "1px solid #334155", fontSize: 10, fontFamily: "monospace" }}
+                formatter={(v) => [`|z| = ${v}`, "Std. Deviations"]}
+              />
+            </RadarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Fault Diagnosis Panel ────────────────────────────────────────────────────
+// What the monitor recorded for an alarmed sample: its trigger statistic,
+// T² contributions, RBC isolation order and hypothesis ranking at that time
+function AlarmSnapshot({ snapshot, params }) {
+  const { statistic, rbc, hypotheses } = snapshot;
+  const contributions = snapshot.contributions.map(c => ({
+    ...c, fullLabel: params[c.key]?.label ?? c.key, color: params[c.key]?.color ?? "#94a3b8",
+  }));
+  const heading = { color: "#64748b", fontSize: 9, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 };
+  return (
+    <div style={{ background: "#080e1a", border: "1px solid #1e3a5f", borderRadius: 6, padding: "10px 12px", margin: "2px 0 6px" }}>
+      <div style={{ fontSize: 10, color: "#94a3b8", marginBottom: 8 }}>
+        {statistic.label} = <span style={{ color: "#fca5a5", fontFamily: "monospace", fontWeight: 700 }}>{statistic.value}</span>
+        {" "}against UCL <span style={{ fontFamily: "monospace" }}>{statistic.ucl}</span>
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr 1fr", gap: 14 }}>
+        <div>
+          <div style={heading}>T² Contributions</div>
+          <ContributionBars contributions={contributions} hotThreshold={statistic.ucl / contributions.length} isAnomalous />
+        </div>
+        <div>
+          <div style={heading}>RBC Isolation</div>
+          {rbc.map((r, i) => (
+            <div key={r.key} style={{ display: "flex", justifyContent: "space-between", fontSize: 10, marginBottom: 4 }}>
+              <span style={{ color: params[r.key]?.color ?? "#94a3b8" }}>{i + 1}. {params[r.key]?.short ?? r.key}</span>
+              <span style={{ color: "#64748b", fontFamily: "monospace" }}>{r.rbc.toFixed(3)} → {r.reconstructed}</span>
+            </div>
+          ))}
+        </div>
+        <div>
+          <div style={heading}>Hypotheses</div>
+          {snapshot.unrecognised && (
+            <div style={{ color: UNRECOGNISED_COLOR, fontSize: 10, marginBottom: 4 }}>
+              ? {UNRECOGNISED_PATTERN} (best match {snapshot.bestMatch}%)
+            </div>
+          )}
+          {hypotheses.length === 0 && <div style={{ color: "#334155", fontSize: 10 }}>None monitored</div>}
+          {hypotheses.map((h, i) => (
+            <div key={h.name} style={{ display: "flex", justifyContent: "space-between", fontSize: 10, marginBottom: 4 }}>
+              <span style={{ color: i === 0 && !snapshot.unrecognised ? "#e2e8f0" : "#64748b" }}>{i + 1}. {h.name}</span>
+              <span style={{ color: "#64748b", fontFamily: "monospace" }}>{h.confidence}%</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function FaultDiagnosisPanel({ latestPoint, rawPoint, samples, episodeOnset, alarmLog, model, diagnosis, statistic, pca, mvSettings,
+  falseAlarmRate, onDiagnosisChange, onConfirm }) {
+  const [expanded, setExpanded] = useState(null);
+  const [openAlarm, setOpenAlarm] = useState(null);
+  const [basis, setBasis] = useState("statistic");
+
+  if (!latestPoint) return (
+    <div style={{ color: "#334155", textAlign: "center", padding: "32px 0", fontSize: 12 }}>
+      Start the process to activate fault diagnosis
+    </div>
+  );
+
+  const activeBasis = pca ? basis : "statistic";
+  const { keys, params } = model;
+  const frames = diagnosisFrames(samples, diagnosis.window, episodeOnset);
+  const averaged = frames.averaged.length ? frames.averaged : [rawPoint];
+  const lists = averaged.map(pt => basisContributions(activeBasis, analysisPoint(pt, mvSettings, model), pt, model, pca));
+  const { contributions, persistence } = averageContributions(lists, model);
+  const detector = createOnsetDetector(keys);
+  frames.searched.forEach(pt => detector.push(momentOf(pt), sampleZ(pt, model)));
+  const onsets = detector.onsets();
+  const scored = pca ? scorePca({ ...rawPoint }, pca) : {};
+  const basisAlarm = activeBasis === "statistic" ? latestPoint.t2_anomaly : scored[`${activeBasis}_anomaly`];
+  // A recipe changeover moves the process on purpose; its samples are not diagnosed
+  const { changeover } = rawPoint;
+  const isAnomalous = !changeover && (basisAlarm || latestPoint.univariate_alarm);
+  const bayes = diagnosis.engine === "bayes";
+  const evidence = { alarmed: !!basisAlarm, falseAlarmRate: activeBasis === "statistic" ? falseAlarmRate : pca.settings.alpha };
+  const diagnoses = rankHypotheses(contributions, diagnosis, evidence);
+  // How many of the averaged samples rank the same hypothesis first on their own
+  const held = lists.length > 1 ? lists.filter(l => rankHypotheses(l, diagnosis, evidence)[0]?.name === diagnoses[0]?.name).length : null;
+  const match = assessMatch(contributions, diagnosis);
+  const recognised = isAnomalous && !match.unrecognised;
+  const at = { t: latestPoint.t, time: latestPoint.time };
+  const confirmed = diagnosis.confirmations.find(c => !c.episode && c.t === latestPoint.t)?.fault;
+  const priors = faultPriors(monitoredFaults(keys, diagnosis.library), diagnosis.counts);
+  const setBayes = patch => onDiagnosisChange({ bayes: { ...diagnosis.bayes, ...patch } });
+  const setWindow = patch => onDiagnosisChange({ window: { ...diagnosis.window, ...patch } });
+  const toggleStyle = active => ({
+    background: active ? "#1e3a5f" : "#0f172a", color: active ? "#4CC9F0" : "#475569",
+    border: `1px solid ${active ? "#4CC9F066" : "#1e293b"}`,
+    borderRadius: 4, padding: "3px 10px", cursor: "pointer", fontSize: 10, fontFamily: "inherit"
+  });
+  const bayesField = (field, label, step, min, max) => (
+    <label style={{ color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center" }}>
+      {label}
+      <input type="number" step={step} min={min} max={max} value={diagnosis.bayes[field]} style={{ ...INPUT_STYLE, width: 56 }}
+        onChange={e => { const v = optionalNumber(e.target.value); if (v !== null && v >= min && v <= max) setBayes({ [field]: v }); }} />
+    </label>
+  );
+  const triggers = [
+    ...(latestPoint.t2_anomaly ? [statistic.label] : []),
+    ...(scored.pca_t2_anomaly ? ["PCA T²ₐ"] : []),
+    ...(scored.spe_anomaly ? ["SPE / Q"] : []),
+    ...keys.filter(k => latestPoint[`${k}_signals`]?.length)
+      .map(k => `${params[k].label} [${latestPoint[`${k}_signals`].join(" ")}]`),
+  ];
+
+  return (
+    <div>
+      {/* Confidence Ranking */}
+      <div style={{ color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 12 }}>
+        Fault Hypothesis Ranking  <span style={{ color: "#334155" }}>
+          {bayes ? "— posterior probability given pattern, alarm state and confirmed root causes" : "— cosine similarity to fault signature library"}
+        </span>
+      </div>
+
+      <div style={{ display: "flex", gap: 8, marginBottom: 12, alignItems: "center", flexWrap: "wrap" }}>
+        <span style={{ color: "#334155", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>Ranking:</span>
+        {DIAGNOSIS_ENGINES.map(e => (
+          <button key={e.id} onClick={() => onDiagnosisChange({ engine: e.id })} style={{
+            background: diagnosis.engine === e.id ? "#1e3a5f" : "#0f172a",
+            color: diagnosis.engine === e.id ? "#4CC9F0" : "#475569",
+            border: `1px solid ${diagnosis.engine === e.id ? "#4CC9F066" : "#1e293b"}`,
+            borderRadius: 4, padding: "3px 10px", cursor: "pointer", fontSize: 10, fontFamily: "inherit"
+          }}>{e.label}</button>
+        ))}
+        <label title="Below this best pattern match the alarm is labelled an unrecognised pattern"
+          style={{ color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center" }}>
+          min match %
+          <input type="number" step={5} min={0} max={100} value={diagnosis.minMatch} style={{ ...INPUT_STYLE, width: 56 }}
+            onChange={e => { const v = optionalNumber(e.target.value); if (v !== null && v >= 0 && v <= 100) onDiagnosisChange({ minMatch: v }); }} />
+        </label>
+        {bayes && bayesField("concentration", "κ", 1, 1, 200)}
+        {bayes && bayesField("unknownMatch", "unknown c₀", 0.05, 0, 1)}
+        {bayes && bayesField("power", "detection power", 0.05, 0.05, 0.99)}
+      </div>
+
+      <div style={{ display: "flex", gap: 8, marginBottom: 12, alignItems: "center", flexWrap: "wrap" }}>
+        <span style={{ color: "#334155", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>Diagnose over:</span>
+        {DIAGNOSIS_WINDOW_MODES.map(m => (
+          <button key={m.id} onClick={() => setWindow({ mode: m.id })} style={toggleStyle(diagnosis.window.mode === m.id)}>{m.label}</button>
+        ))}
+        <label title="Sliding window length, and the window used in episode mode while no episode is open"
+          style={{ color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center" }}>
+          window
+          <input type="number" step={1} min={2} max={120} value={diagnosis.window.size} style={{ ...INPUT_STYLE, width: 56 }}
+            onChange={e => { const v = optionalNumber(e.target.value); if (Number.isInteger(v) && v >= 2 && v <= 120) setWindow({ size: v }); }} />
+          samples
+        </label>
+      </div>
+
+      {bayes && (
+        <div style={{ background: "#0f172a", borderRadius: 8, padding: "8px 12px", marginBottom: 12 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+            <span style={{ color: "#64748b", fontSize: 9, letterSpacing: 1.5, textTransform: "uppercase" }}>
+              Priors — {diagnosis.confirmations.length} confirmed root cause{diagnosis.confirmations.length === 1 ? "" : "s"}
+            </span>
+            <button onClick={() => onDiagnosisChange({ confirmations: [] })} disabled={!diagnosis.confirmations.length}
+              style={{ ...ACTION_BUTTON_STYLE("#f97316", diagnosis.confirmations.length > 0), padding: "2px 8px" }}>↺ Reset Priors</button>
+          </div>
+          <div style={{ display: "flex", height: 14, borderRadius: 3, overflow: "hidden" }}>
+            {Object.entries(priors).map(([name, p]) => (
+              <div key={name} title={`${name}: prior ${(p * 100).toFixed(1)}% (${diagnosis.counts[name] ?? 0} confirmed)`}
+                style={{ width: `${p * 100}%`, background: diagnosis.library.find(f => f.name === name)?.color ?? NORMAL_CLASS_COLOR, opacity: 0.75 }} />
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginTop: 4, fontSize: 9, color: "#475569" }}>
+            {Object.entries(priors).map(([name, p]) => (
+              <span key={name}>{name} {(p * 100).toFixed(0)}% ({diagnosis.counts[name] ?? 0})</span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {pca && (
+        <div style={{ display: "flex", gap: 8, marginBottom: 12, alignItems: "center" }}>
+          <span style={{ color: "#334155", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>Match against:</span>
+          {DIAGNOSIS_BASES.map(b => (
+            <button key={b.id} onClick={() => setBasis(b.id)} style={{
+              background: activeBasis === b.id ? "#1e3a5f" : "#0f172a",
+              color: activeBasis === b.id ? "#4CC9F0" : "#475569",
+              border: `1px solid ${activeBasis === b.id ? "#4CC9F066" : "#1e293b"}`,
+              borderRadius: 4, padding: "3px 10px", cursor: "pointer", fontSize: 10, fontFamily: "inherit"
+            }}>{b.id === "statistic" ? `${statistic.label} contributions` : `${b.label} contributions`}</button>
+          ))}
+        </div>
+      )}
+
+      {changeover && (
+        <div style={{ background: `${ALARM_CLASSES.changeover.color}11`, border: `1px solid ${ALARM_CLASSES.changeover.color}66`,
+          borderRadius: 8, padding: "10px 14px", marginBottom: 12, fontSize: 11, color: ALARM_CLASSES.changeover.color }}>
+          🔄 Recipe changeover to {changeover} — the line is moving to the new recipe, so deviations are expected and not
+          diagnosed as faults. Diagnosis resumes when the grace period ends.
+        </div>
+      )}
+
+      {!isAnomalous && !changeover && (
+        <div style={{ background: "#0a2a1a", border: "1px solid #10b981", borderRadius: 8,
+          padding: "10px 14px", marginBottom: 12, fontSize: 11, color: "#6ee7b7" }}>
+          ✓ Process currently in statistical control — diagnosis scores reflect baseline noise pattern.
+          Inject a fault to see active diagnosis.
+        </div>
+      )}
+
+      {isAnomalous && (
+        <div style={{ background: "#2d0a0a", border: "1px solid #ef444466", borderRadius: 8,
+          padding: "8px 14px", marginBottom: 12, fontSize: 11, color: "#fca5a5",
+          display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+          <span>⚠ Triggered by: {triggers.join(" · ")}</span>
+          {confirmed
+            ? <span style={{ color: "#6ee7b7", fontSize: 10 }}>✓ Confirmed: {confirmed}</span>
+            : <button onClick={() => onConfirm(NORMAL_CLASS, at)} style={{ ...ACTION_BUTTON_STYLE("#64748b"), padding: "2px 8px" }}>
+                ✓ Confirm no known fault
+              </button>}
+        </div>
+      )}
+
+      {/* Temporal Evidence */}
+      <div style={{ background: "#0f172a", borderRadius: 8, padding: "8px 12px", marginBottom: 12, fontSize: 10 }}>
+        <div style={{ color: "#64748b", marginBottom: 6 }}>
+          {averaged.length === 1
+            ? `Latest sample (${sampleTimeLabel(averaged[0])})`
+            : `Mean of ${averaged.length} samples, ${sampleTimeLabel(averaged[0])} – ${sampleTimeLabel(averaged[averaged.length - 1])}`}
+          {diagnosis.window.mode === "episode" && episodeOnset != null && " · open alarm episode"}
+          {held != null && diagnoses[0] && ` · ${diagnoses[0].name} ranks first in ${held} of ${lists.length} samples on its own`}
+        </div>
+        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 6 }}>
+          {onsets.length > 0 ? (
+            <>
+              <span title="First variable to stay beyond ±2σ for two samples — often closest to the root cause"
+                style={{ color: "#FFD166", fontWeight: 700 }}>
+                ⚑ First out: <span style={{ color: params[onsets[0].key].color }}>{params[onsets[0].key].label}</span>
+                {" "}{DIRECTION_ARROWS[onsets[0].direction]} at {sampleTimeLabel(onsets[0])}
+              </span>
+              {onsets.length > 1 && (
+                <span style={{ color: "#475569" }}>
+                  then {onsets.slice(1).map(o => `${params[o.key].short} ${DIRECTION_ARROWS[o.direction]} ${sampleTimeLabel(o)}`).join(" → ")}
+                </span>
+              )}
+            </>
+          ) : (
+            <span style={{ color: "#334155" }}>
+              No variable stayed beyond ±{ONSET_Z}σ for {ONSET_CONFIRM} samples in the last {frames.searched.length}
+            </span>
+          )}
+        </div>
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap", color: "#475569", fontSize: 9 }}>
+          <span>Beyond ±{ONSET_Z}σ:</span>
+          {keys.map(k => (
+            <span key={k} style={{ color: persistence[k] ? params[k].color : "#334155" }}>
+              {params[k].short} {persistence[k]}/{lists.length}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {isAnomalous && match.unrecognised && (
+        <div style={{ background: "#1c1c1c", border: `1px solid ${UNRECOGNISED_COLOR}66`, borderRadius: 8,
+          padding: "8px 14px", marginBottom: 12, fontSize: 11, color: UNRECOGNISED_COLOR }}>
+          ? {UNRECOGNISED_PATTERN} — the best library match is {match.bestMatch}%, below the {diagnosis.minMatch}% minimum.
+          The ranking below is shown for reference only. Recurring unrecognised episodes are grouped under
+          Fault Library → Unexplained Alarms.
+        </div>
+      )}
+
+      {diagnoses.every(d => d.normal) && (
+        <div style={{ color: "#334155", fontSize: 11, padding: "8px 0" }}>
+          No active fault mode in the library is driven by a monitored variable — extend the variable set or
+          add fault modes in the Fault Library tab to enable diagnosis.
+        </div>
+      )}
+
+      {diagnoses.map((d, i) => (
+        <div key={d.name} style={{ marginBottom: 8 }}>
+          <div
+            onClick={() => !d.normal && setExpanded(expanded === d.name ? null : d.name)}
+            style={{
+              display: "flex", alignItems: "center", gap: 10,
+              background: expanded === d.name ? "#1a2540" : "#0f172a",
+              border: `1px solid ${i === 0 && recognised ? d.color : "#1e293b"}`,
+              borderRadius: 8, padding: "10px 14px", cursor: d.normal ? "default" : "pointer",
+              transition: "all 0.2s",
+              boxShadow: i === 0 && recognised ? `0 0 12px ${d.color}33` : "none"
+            }}>
+            {/* Rank Badge */}
+            <div style={{
+              width: 22, height: 22, borderRadius: "50%", display: "flex", alignItems: "center",
+              justifyContent: "center", fontSize: 11, fontWeight: 800, flexShrink: 0,
+              background: i === 0 && recognised ? d.color : "#1e293b",
+              color: i === 0 && recognised ? "#fff" : "#475569"
+            }}>{i + 1}</div>
+
+            {/* Fault Name + Severity */}
+            <div style={{ flex: 1 }}>
+              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <span style={{ color: i === 0 && recognised ? d.color : "#94a3b8", fontWeight: 700, fontSize: 12 }}>
+                  {d.name}
+                </span>
+                {!d.normal && <span style={{
+                  fontSize: 9, padding: "1px 6px", borderRadius: 3, fontWeight: 700, letterSpacing: 1,
+                  background: `${SEVERITY_COLORS[d.severity]}22`,
+                  color: SEVERITY_COLORS[d.severity],
+                  border: `1px solid ${SEVERITY_COLORS[d.severity]}44`
+                }}>{d.severity}</span>}
+                {confirmed === d.name && <span style={{ color: "#6ee7b7", fontSize: 9 }}>✓ CONFIRMED</span>}
+              </div>
+              <div style={{ color: "#475569", fontSize: 10, marginTop: 2 }}>
+                {d.normal
+                  ? `In-control noise, or a fault not in the library (matches every pattern at c₀ = ${diagnosis.bayes.unknownMatch})`
+                  : <>Primary driver: <span style={{ color: params[d.param].color }}>{params[d.param].label}</span></>}
+              </div>
+            </div>
+
+            {/* Confidence Bar */}
+            <div style={{ width: 120, textAlign: "right" }}>
+              <div style={{ color: i === 0 && recognised ? d.color : "#475569", fontFamily: "monospace", fontSize: 13, fontWeight: 700 }}>
+                {bayes ? "P = " : ""}{d.confidence}%
+              </div>
+              {bayes && (
+                <div style={{ color: "#334155", fontSize: 9, fontFamily: "monospace" }}>
+                  prior {(d.prior * 100).toFixed(0)}%{d.normal ? "" : ` · cos ${d.similarity}%`}
+                </div>
+              )}
+              <div style={{ height: 4, background: "#1e293b", borderRadius: 2, marginTop: 4 }}>
+                <div style={{
+                  width: `${d.confidence}%`, height: "100%", borderRadius: 2,
+                  background: i === 0 && recognised ? d.color : "#334155",
+                  transition: "width 0.6s ease"
+                }} />
+              </div>
+            </div>
+            <span style={{ color: "#334155", fontSize: 12, visibility: d.normal ? "hidden" : "visible" }}>{expanded === d.name ? "▲" : "▼"}</span>
+          </div>
+
+          {/* Expanded Detail */}
+          {expanded === d.name && (
+            <div style={{
+              background: "#080e1a", border: `1px solid ${d.color}44`,
+              borderRadius: "0 0 8px 8px", padding: "14px 16px", marginTop: -4,
+              borderTop: "none"
+            }}>
+              {/* Mechanism */}
+              <div style={{ marginBottom: 12 }}>
+                <div style={{ color: d.color, fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 4 }}>
+                  Root Cause Mechanism
+                </div>
+                <div style={{ color: "#94a3b8", fontSize: 11, lineHeight: 1.7 }}>{d.mechanism}</div>
+              </div>
+
+              {/* Expected vs Observed Signature */}
+              <div style={{ marginBottom: 12 }}>
+                <div style={{ color: "#64748b", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 }}>
+                  Signature Comparison — Expected vs Observed
+                </div>
+                <div style={{ display: "grid", gridTemplateColumns: `repeat(${Math.min(keys.length, 6)}, 1fr)`, gap: 4 }}>
+                  {keys.map(k => {
+                    const expected = (d.signature[k] || 0) * 100;
+                    const total = contributions.reduce((s, c) => s + Math.max(0, c.value), 0) || 1;
+                    const c = contributions.find(c => c.key === k);
+                    const observed = (Math.max(0, c?.value) / total) * 100 || 0;
+                    const mismatch = d.mismatches.includes(k);
+                    return (
+                      <div key={k} style={{ background: mismatch ? "#ef444418" : "#0f172a", border: `1px solid ${mismatch ? "#ef444488" : "transparent"}`,
+                        borderRadius: 6, padding: "8px 6px", textAlign: "center" }}>
+                        <div style={{ color: params[k].color, fontSize: 9, fontWeight: 700, marginBottom: 4 }}>{params[k].short}</div>
+                        <div style={{ height: 40, display: "flex", alignItems: "flex-end", justifyContent: "center", gap: 3 }}>
+                          <div style={{ width: 8, background: "#334155", height: `${expected}%`, borderRadius: 2, minHeight: 2 }} title="Expected" />
+                          <div style={{ width: 8, background: mismatch ? "#ef4444" : params[k].color, height: `${Math.min(observed, 100)}%`, borderRadius: 2, minHeight: 2, opacity: 0.85 }} title="Observed" />
+                        </div>
+                        <div style={{ color: "#334155", fontSize: 8, marginTop: 3 }}>
+                          E:{expected.toFixed(0)}% O:{observed.toFixed(0)}%
+                        </div>
+                        <div style={{ color: mismatch ? "#ef4444" : "#475569", fontSize: 9, fontFamily: "monospace", marginTop: 2 }}
+                          title={`Expected ${d.directions[k] ?? "either direction"}, observed ${c?.direction ?? "—"} (z = ${c?.z ?? "—"})`}>
+                          {DIRECTION_ARROWS[d.directions[k]] ?? "↕"} {DIRECTION_ARROWS[c?.direction] ?? "·"}{mismatch ? " ✗" : ""}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+                <div style={{ fontSize: 9, color: "#334155", marginTop: 4 }}>
+                  Gray = Expected signature | Colored = Observed contribution | Arrows = expected, observed direction (↕ either)
+                  {d.mismatches.length > 0 && (
+                    <span style={{ color: "#ef4444" }}>
+                      {" "}| ✗ moved against the signature: {d.mismatches.map(k => params[k].short).join(", ")}
+                    </span>
+                  )}
+                </div>
+              </div>
+
+              {/* Corrective Actions */}
+              <div style={{ marginBottom: 10 }}>
+                <div style={{ color: "#64748b", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 }}>
+                  Recommended Corrective Actions
+                </div>
+                {d.actions.map((action, ai) => (
+                  <div key={ai} style={{ display: "flex", gap: 8, marginBottom: 5, alignItems: "flex-start" }}>
+                    <span style={{ color: d.color, fontWeight: 700, fontSize: 11, minWidth: 18, marginTop: 1 }}>{ai + 1}.</span>
+                    <span style={{ color: "#94a3b8", fontSize: 11, lineHeight: 1.5 }}>{action}</span>
+                  </div>
+                ))}
+              </div>
+
+              {/* Reference */}
+              <div style={{ borderTop: "1px solid #1e293b", paddingTop: 8, display: "flex", justifyContent: "space-between", gap: 12 }}>
+                <span>
+                  <span style={{ color: "#334155", fontSize: 9, letterSpacing: 1 }}>REFERENCE: </span>
+                  <span style={{ color: "#475569", fontSize: 9 }}>{d.references}</span>
+                </span>
+                {isAnomalous && confirmed !== d.name && (
+                  <button onClick={() => onConfirm(d.name, at)} title="Counts towards this fault mode's Bayesian prior"
+                    style={{ ...ACTION_BUTTON_STYLE(d.color), padding: "2px 8px", flexShrink: 0 }}>✓ Confirm as Root Cause</button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {/* Alarm Summary */}
+      {alarmLog.length > 0 && (
+        <div style={{ marginTop: 16, background: "#0f172a", borderRadius: 8, padding: "10px 14px" }}>
+          <div style={{ color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 8 }}>
+            Alarm Event Log ({alarmLog.length})
+            <span style={{ color: "#334155", textTransform: "none", letterSpacing: 0 }}>  — click an alarm to see its snapshot</span>
+          </div>
+          <div style={{ maxHeight: 320, overflowY: "auto" }}>
+            {alarmLog.map((a, i) => (
+              <Fragment key={a.id}>
+                <div onClick={() => a.snapshot && setOpenAlarm(openAlarm === a.id ? null : a.id)} style={{
+                  display: "flex", gap: 12, padding: "5px 8px", cursor: a.snapshot ? "pointer" : "default",
+                  background: openAlarm === a.id ? "#1a2540" : i % 2 === 0 ? "#0c1428" : "transparent", borderRadius: 4, fontSize: 10
+                }}>
+                  {a.state && <AlarmStateBadge state={a.state} />}
+                  <span style={{ color: "#334155", minWidth: 55, fontFamily: "monospace" }}>{sampleTimeLabel(a)}</span>
+                  <span style={{ color: alarmNameColor(a, "#ef4444"), minWidth: 140 }}>
+                    {ALARM_CLASSES[alarmClassOf(a)].icon} {a.param}{a.count > 1 && a.point !== "flood" ? ` ×${a.count}` : ""}
+                  </span>
+                  <span style={{ color: "#fca5a5", fontWeight: 700, fontFamily: "monospace", minWidth: 70 }}>{a.val}</span>
+                  {a.signals && (
+                    <span title={a.signals.map(id => `${id}: ${SIGNAL_LABELS[id]}`).join("\n")}
+                      style={{ color: "#FFD166", fontFamily: "monospace" }}>[{a.signals.join(" ")}]</span>
+                  )}
+                  {a.snapshot && (
+                    <span style={{ marginLeft: "auto", color: "#475569" }}>
+                      {topFaultName(a.snapshot) ?? ""} {openAlarm === a.id ? "▲" : "▼"}
+                    </span>
+                  )}
+                </div>
+                {openAlarm === a.id && <AlarmSnapshot snapshot={a.snapshot} params={model.params} />}
+              </Fragment>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Alarm Episode Panel ─────────────────────────────────────────────────────
+// Episode list for the shift handover: a timeline strip of the session, one
+// row per episode with a mini trace of the trigger statistic, and on
+// selection the episode's mean contribution profile and fault hypotheses,
+// where the root cause found by the shift can be confirmed.
+function AlarmEpisodePanel({ episodes, params, library, currentT, confirmations, onConfirm }) {
+  const [selected, setSelected] = useState(null);
+  const [rootCauses, setRootCauses] = useState({});
+
+  if (!episodes.length) return (
+    <div style={{ color: "#334155", textAlign: "center", padding: "20px 0", fontSize: 11 }}>
+      No alarm episodes yet — an episode opens when T², MEWMA / MCUSUM or a PCA statistic alarms
+    </div>
+  );
+
+  const first = episodes[episodes.length - 1].onset.t;
+  const span = Math.max(currentT, episodes[0].end.t) - first + 1;
+  const faultColor = name => (name === NORMAL_CLASS ? NORMAL_CLASS_COLOR : name === UNRECOGNISED_PATTERN ? UNRECOGNISED_COLOR
+    : library.find(f => f.name === name)?.color ?? "#ef4444");
+  const heading = { color: "#64748b", fontSize: 9, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 };
+  const confirmedOf = e => confirmations.find(c => c.episode === e.id)?.fault;
+  const causes = [...library.filter(f => !f.retired).map(f => f.name), NORMAL_CLASS];
+
+  return (
+    <div>
+      {/* Session Timeline */}
+      <div style={{ position: "relative", height: 16, background: "#0f172a", borderRadius: 4, marginBottom: 4 }}>
+        {episodes.map(e => (
+          <div key={e.id} onClick={() => setSelected(selected === e.id ? null : e.id)}
+            title={`${sampleTimeLabel(e.onset)} · ${topFaultName(e) ?? "no hypothesis"}`}
+            style={{
+              position: "absolute", top: 2, bottom: 2, cursor: "pointer", borderRadius: 2,
+              left: `${((e.onset.t - first) / span) * 100}%`, width: `max(3px, ${(e.duration / span) * 100}%)`,
+              background: faultColor(topFaultName(e)), opacity: selected && selected !== e.id ? 0.35 : 0.9,
+              animation: e.clear ? "none" : "pulse 1.2s infinite"
+            }} />
+        ))}
+      </div>
+      <div style={{ display: "flex", justifyContent: "space-between", color: "#334155", fontSize: 9, marginBottom: 10 }}>
+        <span>{sampleTimeLabel(episodes[episodes.length - 1].onset)}</span>
+        <span>{episodes.length} episode{episodes.length > 1 ? "s" : ""}</span>
+        <span>now</span>
+      </div>
+
+      {episodes.map((e, i) => {
+        const top = e.hypotheses[0];
+        const diagnosed = topFaultName(e);
+        const isOpen = selected === e.id;
+        const confirmed = confirmedOf(e);
+        const cause = rootCauses[e.id] ?? confirmed ?? (e.unrecognised ? "" : top?.name ?? "");
+        const contributions = e.contributions.map(c => ({
+          ...c, fullLabel: params[c.key]?.label ?? c.key, color: params[c.key]?.color ?? "#94a3b8",
+        }));
+        return (
+          <div key={e.id} style={{ marginBottom: 4 }}>
+            <div onClick={() => setSelected(isOpen ? null : e.id)} style={{
+              display: "flex", gap: 12, alignItems: "center", padding: "6px 10px", cursor: "pointer", fontSize: 10,
+              background: isOpen ? "#1a2540" : "#0c1428", border: `1px solid ${isOpen ? `${faultColor(diagnosed)}66` : "#1e293b"}`,
+              borderRadius: 6
+            }}>
+              <span style={{ color: "#475569", fontFamily: "monospace", minWidth: 22 }}>#{episodes.length - i}</span>
+              <span style={{
+                fontSize: 9, padding: "1px 6px", borderRadius: 3, fontWeight: 700, letterSpacing: 1, minWidth: 52, textAlign: "center",
+                color: e.clear ? "#475569" : "#ef4444", border: `1px solid ${e.clear ? "#1e293b" : "#ef444466"}`
+              }}>{e.clear ? "CLEARED" : "OPEN"}</span>
+              <span style={{ color: "#64748b", fontFamily: "monospace", minWidth: 130 }}>{sampleTimeLabel(e.onset)}</span>
+              <span style={{ color: "#94a3b8", minWidth: 80 }}>
+                {e.duration} samples{e.onset.time != null ? ` · ${Math.round((e.end.time - e.onset.time) / 1000)} s` : ""}
+              </span>
+              <span style={{ color: "#fca5a5", fontFamily: "monospace", minWidth: 120 }}>
+                {e.peak.label} {e.peak.value.toFixed(2)} / {e.peak.ucl.toFixed(2)}
+              </span>
+              <span style={{ color: faultColor(diagnosed), fontWeight: 700, flex: 1 }}>
+                {e.unrecognised ? `${UNRECOGNISED_PATTERN} (best ${e.bestMatch}%)` : top ? `${top.name} ${top.confidence}%` : "—"}
+                {confirmed && <span style={{ color: "#6ee7b7", fontWeight: 400 }}> · ✓ {confirmed}</span>}
+              </span>
+              {e.onsets?.[0] && (
+                <span title="First variable out" style={{ color: "#FFD166" }}>
+                  ⚑ {params[e.onsets[0].key]?.short ?? e.onsets[0].key}{DIRECTION_ARROWS[e.onsets[0].direction]}
+                </span>
+              )}
+              <span style={{ display: "flex", gap: 4 }}>
+                {e.variables.map(v => (
+                  <span key={v.key} style={{ color: params[v.key]?.color ?? "#94a3b8", fontWeight: 700 }}>{params[v.key]?.short ?? v.key}</span>
+                ))}
+              </span>
+              <LineChart width={120} height={26} data={e.trace} margin={{ top: 2, right: 0, bottom: 2, left: 0 }}>
+                <YAxis hide domain={[0, Math.max(e.peak.value, e.peak.ucl) * 1.1]} />
+                <ReferenceLine y={e.peak.ucl} stroke="#ef4444" strokeDasharray="2 2" />
+                <Line type="monotone" dataKey="value" stroke="#A78BFA" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+              </LineChart>
+            </div>
+
+            {isOpen && (
+              <div style={{ background: "#080e1a", border: "1px solid #1e3a5f", borderTop: "none", borderRadius: "0 0 6px 6px",
+                padding: "12px 14px", display: "grid", gridTemplateColumns: "3fr 2fr", gap: 16 }}>
+                <div>
+                  <div style={heading}>Mean contribution over {e.samples} alarmed sample{e.samples > 1 ? "s" : ""}</div>
+                  <ContributionBars contributions={contributions} hotThreshold={e.peak.ucl / contributions.length} isAnomalous />
+                </div>
+                <div>
+                  <div style={heading}>Fault hypotheses</div>
+                  {e.hypotheses.slice(0, 4).map(h => (
+                    <div key={h.name} style={{ marginBottom: 6 }}>
+                      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 10 }}>
+                        <span style={{ color: faultColor(h.name) }}>{h.name}</span>
+                        <span style={{ color: "#64748b", fontFamily: "monospace" }}>{h.confidence}%</span>
+                      </div>
+                      <div style={{ height: 3, background: "#1e293b", borderRadius: 2, marginTop: 2 }}>
+                        <div style={{ width: `${h.confidence}%`, height: "100%", background: faultColor(h.name), borderRadius: 2 }} />
+                      </div>
+                    </div>
+                  ))}
+                  <div style={{ ...heading, marginTop: 10 }}>Variables involved</div>
+                  {e.variables.length === 0 && <div style={{ color: "#334155", fontSize: 10 }}>None above the hot threshold</div>}
+                  {e.variables.map(v => (
+                    <div key={v.key} style={{ fontSize: 10, marginBottom: 3 }}>
+                      <span style={{ color: params[v.key]?.color ?? "#94a3b8" }}>{v.label}</span>
+                      {v.signals.length > 0 && <span style={{ color: "#FFD166", fontFamily: "monospace" }}> [{v.signals.join(" ")}]</span>}
+                    </div>
+                  ))}
+                  <div style={{ ...heading, marginTop: 10 }}>Onset order</div>
+                  {!e.onsets?.length && <div style={{ color: "#334155", fontSize: 10 }}>No variable stayed beyond ±{ONSET_Z}σ</div>}
+                  {e.onsets?.map((o, oi) => (
+                    <div key={o.key} style={{ fontSize: 10, marginBottom: 3, display: "flex", gap: 6 }}>
+                      <span style={{ color: oi === 0 ? "#FFD166" : "#475569", minWidth: 14 }}>{oi === 0 ? "⚑" : `${oi + 1}.`}</span>
+                      <span style={{ color: params[o.key]?.color ?? "#94a3b8" }}>{params[o.key]?.label ?? o.key} {DIRECTION_ARROWS[o.direction]}</span>
+                      <span style={{ color: "#64748b", fontFamily: "monospace" }}>{sampleTimeLabel(o)} · z = {o.z}</span>
+                    </div>
+                  ))}
+                  <div style={{ ...heading, marginTop: 10 }}>Triggered by</div>
+                  <div style={{ color: "#94a3b8", fontSize: 10 }}>{e.triggers.join(" · ")}</div>
+                  <div style={{ color: "#334155", fontSize: 10, marginTop: 8 }}>
+                    Peak at {sampleTimeLabel(e.peak)} · {e.clear ? `cleared ${sampleTimeLabel(e.clear)}` : "still open"}
+                  </div>
+                  <div style={{ ...heading, marginTop: 10 }}>Root cause{confirmed ? ` — confirmed ${confirmed}` : ""}</div>
+                  <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                    <select value={cause} style={{ ...INPUT_STYLE, width: 150 }}
+                      onChange={ev => setRootCauses(prev => ({ ...prev, [e.id]: ev.target.value }))}>
+                      {!causes.includes(cause) && <option value={cause}>{cause || "—"}</option>}
+                      {causes.map(n => <option key={n} value={n}>{n}</option>)}
+                    </select>
+                    <button onClick={() => onConfirm(cause, { t: e.onset.t, time: e.onset.time, episode: e.id })}
+                      disabled={!causes.includes(cause) || cause === confirmed}
+                      title="Counts towards the root cause's Bayesian prior"
+                      style={{ ...ACTION_BUTTON_STYLE("#00C9A7", causes.includes(cause) && cause !== confirmed), padding: "2px 8px" }}>
+                      ✓ Confirm
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ─── Alarm Management Panel ──────────────────────────────────────────────────
+const AlarmStateBadge = ({ state }) => (
+  <span title={ALARM_STATES[state].text} style={{
+    fontSize: 9, padding: "1px 6px", borderRadius: 3, fontWeight: 700, letterSpacing: 1, minWidth: 38, textAlign: "center",
+    background: `${ALARM_STATES[state].color}22`, color: ALARM_STATES[state].color,
+    border: `1px solid ${ALARM_STATES[state].color}44`,
+    animation: state === "unack" ? "pulse 1.2s infinite" : "none"
+  }}>{ALARM_STATES[state].label}</span>
+);
+
+const AlarmClassTag = ({ alarm }) => {
+  const cls = ALARM_CLASSES[alarmClassOf(alarm)];
+  return <span title={cls.text} style={{ color: cls.color, fontSize: 9, fontWeight: 700, letterSpacing: 1, minWidth: 30 }}>{cls.label}</span>;
+};
+
+// Standing and shelved alarms with the operator actions, and the per-alarm
+// delay / deadband, flood and shelving settings
+function AlarmManagementPanel({ alarmLog, shelved, config, onConfigChange, onAck, onAckAll, onShelve, onUnshelve,
+  params, pca, statistic, currentT, readOnly }) {
+  const standing = alarmLog.filter(isStandingAlarm).sort((a, b) => alarmClassRank(a) - alarmClassRank(b));
+  const flood = alarmLog.find(a => a.point === "flood" && (a.state === "unack" || a.state === "acked"));
+  const unacked = standing.filter(a => a.state !== "acked").length;
+  const small = { ...ACTION_BUTTON_STYLE("#64748b"), padding: "2px 8px", fontSize: 9 };
+  const heading = { color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 8 };
+  const cell = { padding: "5px 8px", fontSize: 10 };
+
+  const pointRows = [
+    ...Object.entries(params).map(([k, cfg]) => ({ id: `var:${k}`, label: cfg.label, color: cfg.color, unit: "σ", scale: 1 })),
+    ...Object.entries(params).filter(([, cfg]) => hasSpecLimits(cfg))
+      .map(([k, cfg]) => ({ id: `spec:${k}`, label: `${cfg.label} spec`, color: ALARM_CLASSES.spec.color, unit: "σ", scale: 1 })),
+    { id: "stat:trigger", label: `${statistic.label} (trigger)`, color: "#A78BFA", unit: "% UCL", scale: 100 },
+    ...(pca ? [
+      { id: "stat:pca_t2", label: "PCA T²ₐ", color: "#F72585", unit: "% UCL", scale: 100 },
+      { id: "stat:spe", label: "SPE / Q", color: "#F72585", unit: "% UCL", scale: 100 },
+    ] : []),
+  ];
+  const setPoint = (id, patch) => onConfigChange({ ...config, points: { ...config.points, [id]: { ...config.points[id], ...patch } } });
+  const numberInput = (value, min, step, onValue) => (
+    <input type="number" min={min} step={step} value={value} style={INPUT_STYLE}
+      onChange={e => {
+        const v = parseFloat(e.target.value);
+        if (Number.isFinite(v) && v >= min && (step < 1 || Number.isInteger(v))) onValue(v);
+      }} />
+  );
+
+  return (
+    <div>
+      {flood && (
+        <div style={{ background: "#2d0a0a", border: "1px solid #ef444466", borderRadius: 8,
+          padding: "8px 14px", marginBottom: 12, fontSize: 11, color: "#fca5a5" }}>
+          ⚠ ALARM FLOOD since {sampleTimeLabel(flood)} — {flood.count} alarms grouped: {flood.grouped.join(", ")}
+        </div>
+      )}
+
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <div style={{ ...heading, marginBottom: 0 }}>Standing Alarms ({standing.length})</div>
+        {!readOnly && (
+          <button onClick={onAckAll} disabled={!unacked} style={ACTION_BUTTON_STYLE("#00C9A7", unacked > 0)}>
+            ✓ Acknowledge All ({unacked})
+          </button>
+        )}
+      </div>
+      {standing.length === 0 && shelved.length === 0 && (
+        <div style={{ color: "#334155", fontSize: 11, padding: "8px 0 12px" }}>No standing alarms</div>
+      )}
+      <div style={{ display: "flex", flexDirection: "column", gap: 2, marginBottom: 16 }}>
+        {standing.map(a => (
+          <div key={a.id} style={{ display: "flex", gap: 12, alignItems: "center", background: "#0c1428", borderRadius: 4, ...cell }}>
+            <AlarmStateBadge state={a.state} />
+            <AlarmClassTag alarm={a} />
+            <span style={{ color: "#334155", minWidth: 130, fontFamily: "monospace" }}>{sampleTimeLabel(a)}</span>
+            <span style={{ color: alarmNameColor(a, "#e2e8f0"), minWidth: 150 }}>{a.param}</span>
+            <span style={{ color: "#fca5a5", fontFamily: "monospace", flex: 1 }}>
+              {a.val}{a.point === "flood" ? ` · ${a.grouped.join(", ")}` : ""}
+            </span>
+            {a.count > 1 && a.point !== "flood" && <span style={{ color: "#FFD166" }}>×{a.count}</span>}
+            {!readOnly && a.state !== "acked" && <button onClick={() => onAck(a.id)} style={small}>✓ Ack</button>}
+            {!readOnly && a.point !== "flood" && (
+              <button onClick={() => onShelve(a.point)} style={small} title={`Shelve for ${config.shelveSamples} samples`}>⏸ Shelve</button>
+            )}
+          </div>
+        ))}
+        {shelved.map(s => (
+          <div key={s.point} style={{ display: "flex", gap: 12, alignItems: "center", borderRadius: 4, ...cell }}>
+            <AlarmStateBadge state="shelved" />
+            <AlarmClassTag alarm={s} />
+            <span style={{ color: "#334155", minWidth: 130, fontFamily: "monospace" }}>
+              {Math.max(0, s.until - currentT)} samples left
+            </span>
+            <span style={{ color: "#64748b", minWidth: 150 }}>{s.param}</span>
+            <span style={{ color: "#475569", flex: 1 }}>{s.active ? "condition still active" : "condition clear"}</span>
+            {!readOnly && <button onClick={() => onUnshelve(s.point)} style={small}>▶ Unshelve</button>}
+          </div>
+        ))}
+      </div>
+
+      <div style={heading}>Alarm Settings</div>
+      <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr 1fr 1fr", gap: "4px 12px", alignItems: "center", marginBottom: 12 }}>
+        {["Alarm", "On-delay (samples)", "Off-delay (samples)", "Deadband"].map(h => (
+          <span key={h} style={{ color: "#334155", fontSize: 9, letterSpacing: 1, textTransform: "uppercase" }}>{h}</span>
+        ))}
+        {pointRows.map(row => {
+          const settings = config.points[row.id];
+          return (
+            <Fragment key={row.id}>
+              <span style={{ color: row.color, fontSize: 10, fontWeight: 700 }}>{row.label}</span>
+              {numberInput(settings.onDelay, 1, 1, v => setPoint(row.id, { onDelay: v }))}
+              {numberInput(settings.offDelay, 1, 1, v => setPoint(row.id, { offDelay: v }))}
+              <span style={{ display: "flex", gap: 4, alignItems: "center", color: "#475569", fontSize: 10 }}>
+                {numberInput(+(settings.deadband * row.scale).toFixed(4), 0, row.scale === 1 ? 0.05 : 1,
+                  v => setPoint(row.id, { deadband: v / row.scale }))}
+                {row.unit}
+              </span>
+            </Fragment>
+          );
+        })}
+      </div>
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "center", color: "#475569", fontSize: 10, marginBottom: 10 }}>
+        <label style={{ display: "flex", gap: 4, alignItems: "center" }}>
+          Flood at
+          {numberInput(config.flood.count, 2, 1, v => onConfigChange({ ...config, flood: { ...config.flood, count: v } }))}
+          alarms within
+          {numberInput(config.flood.window, 1, 1, v => onConfigChange({ ...config, flood: { ...config.flood, window: v } }))}
+          samples
+        </label>
+        <label style={{ display: "flex", gap: 4, alignItems: "center" }}>
+          Shelve for
+          {numberInput(config.shelveSamples, 1, 1, v => onConfigChange({ ...config, shelveSamples: v }))}
+          samples
+        </label>
+        <label style={{ display: "flex", gap: 4, alignItems: "center" }}>
+          Recipe changeover: grace
+          {numberInput(config.changeover.graceSamples, 0, 1,
+            v => onConfigChange({ ...config, changeover: { ...config.changeover, graceSamples: v } }))}
+          samples, alarms
+          <select value={config.changeover.mode} style={{ ...INPUT_STYLE, width: 150 }}
+            onChange={e => onConfigChange({ ...config, changeover: { ...config.changeover, mode: e.target.value } })}>
+            {CHANGEOVER_MODES.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+          </select>
+        </label>
+      </div>
+      <div style={{ fontSize: 10, color: "#334155", lineHeight: 1.6 }}>
+        An alarm is raised once its condition has held for the on-delay and returns once the value has been back inside
+        its limit by more than the deadband for the off-delay, so a persistent fault is one alarm. Alarms follow the
+        ISA-18.2 states UNACK → ACKED → NORM, or UNACK → RTNUN → NORM when the condition returns before it is
+        acknowledged. A shelved alarm is not annunciated until its shelf time runs out. Data-source alarms (stale data,
+        bad quality) have no delays. Out-of-specification alarms (SPEC), raised when a value leaves its LSL / USL, rank
+        above out-of-control ones (CTRL): they are listed first and are never grouped into an alarm flood. For the
+        grace period after a recipe switch, control and spec alarms are either raised as changeover alarms (CHG) —
+        logged but not diagnosed, and not counted towards a flood — or suppressed; when it ends, any that are still
+        active are raised again as process alarms. Settings apply immediately and are kept in incident bundles.
+      </div>
+    </div>
+  );
+}
+
+// ─── Capability Panel ────────────────────────────────────────────────────────
+// Cp / Cpk / Pp / Ppk and ppm out of spec for every variable with spec limits
+// over the last N samples of the chart window, and the histogram of the
+// selected variable with its normal fit and the spec and control limits
+function CapabilityPanel({ data, params }) {
+  const specKeys = Object.keys(params).filter(k => hasSpecLimits(params[k]));
+  const [selected, setSelected] = useState(specKeys[0] ?? null);
+  const [windowSize, setWindowSize] = useState(DATA_WINDOW);
+  const key = specKeys.includes(selected) ? selected : specKeys[0];
+  const samples = data.slice(-windowSize);
+  const results = Object.fromEntries(specKeys.map(k => [k, computeCapability(samples.map(pt => pt[k]), params[k])]));
+
+  const th = { fontWeight: 400, padding: "0 14px 4px 0", textAlign: "left" };
+  const td = { padding: "3px 14px 3px 0", fontFamily: "monospace", color: "#94a3b8" };
+  const indexColor = v => (v == null ? "#334155" : v >= CAPABILITY_TARGET ? "#00C9A7" : v >= 1 ? "#FFD166" : "#ef4444");
+  const index = v => (v == null ? "—" : v.toFixed(2));
+  const ppm = v => (v == null ? "—" : v < 0.1 ? "< 0.1" : v >= 100 ? Math.round(v).toLocaleString() : v.toFixed(1));
+
+  if (!specKeys.length) {
+    return (
+      <div style={{ color: "#334155", fontSize: 11 }}>
+        No variable has specification limits. Enter LSL / USL in the <strong>Variables</strong> tab to analyse capability.
+      </div>
+    );
+  }
+
+  const cfg = params[key];
+  const capability = results[key];
+  const values = samples.map(pt => pt[key]);
+  const bins = capability && capabilityHistogram(values, capability);
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 10, alignItems: "center", marginBottom: 10, color: "#475569", fontSize: 10 }}>
+        Window: last
+        <input type="range" min={MIN_CAPABILITY_SAMPLES} max={DATA_WINDOW} value={windowSize}
+          onChange={e => setWindowSize(parseInt(e.target.value, 10))} style={{ width: 180 }} />
+        <span style={{ fontFamily: "monospace", color: "#94a3b8" }}>{Math.min(windowSize, data.length)}</span> samples
+        {samples.length > 0 && (
+          <span style={{ color: "#334155" }}>({sampleTimeLabel(samples[0])} → {sampleTimeLabel(samples[samples.length - 1])})</span>
+        )}
+      </div>
+
+      <table style={{ borderCollapse: "collapse", fontSize: 10, marginBottom: 14 }}>
+        <thead>
+          <tr style={{ color: "#334155" }}>
+            {["Variable", "LSL", "USL", "x̄", "σ within", "σ overall", "Cp", "Cpk", "Pp", "Ppk",
+              "ppm within", "ppm overall", "ppm observed"].map(h => <th key={h} style={th}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {specKeys.map((k) => {
+            const c = results[k];
+            const p = params[k];
+            return (
+              <tr key={k} onClick={() => setSelected(k)} style={{ cursor: "pointer", background: k === key ? "#1a2540" : "transparent" }}>
+                <td style={{ ...td, fontFamily: "inherit", color: p.color, paddingLeft: 6 }}>{p.label}</td>
+                <td style={td}>{p.lsl != null ? limitText(p.lsl) : "—"}</td>
+                <td style={td}>{p.usl != null ? limitText(p.usl) : "—"}</td>
+                {c ? (
+                  <>
+                    <td style={td}>{c.mean.toPrecision(5)}</td>
+                    <td style={td}>{c.sigmaWithin.toPrecision(3)}</td>
+                    <td style={td}>{c.sigmaOverall.toPrecision(3)}</td>
+                    {[c.cp, c.cpk, c.pp, c.ppk].map((v, i) => (
+                      <td key={i} style={{ ...td, color: indexColor(v), fontWeight: i % 2 ? 700 : 400 }}>{index(v)}</td>
+                    ))}
+                    <td style={td}>{ppm(c.ppmWithin)}</td>
+                    <td style={td}>{ppm(c.ppmOverall)}</td>
+                    <td style={{ ...td, color: c.outside ? ALARM_CLASSES.spec.color : "#94a3b8" }}>{ppm(c.ppmObserved)}</td>
+                  </>
+                ) : (
+                  <td colSpan={10} style={{ ...td, color: "#334155" }}>needs at least {MIN_CAPABILITY_SAMPLES} samples</td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {bins && (
+        <>
+          <div style={{ color: "#64748b", fontSize: 9, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 }}>
+            {cfg.label} — {capability.n} samples · normal fit N({capability.mean.toPrecision(5)}, {capability.sigmaOverall.toPrecision(3)}²) {cfg.unit}
+          </div>
+          <ResponsiveContainer width="100%" height={220}>
+            <ComposedChart data={bins} margin={{ top: 14, right: 10, bottom: 0, left: 0 }} barCategoryGap={1}>
+              <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
+              <XAxis dataKey="x" type="number" domain={[bins[0].lo, bins[bins.length - 1].hi]} stroke="#334155"
+                tick={{ fontSize: 9, fill: "#475569" }} tickFormatter={v => limitText(v)} />
+              <YAxis stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} allowDecimals={false} />
+              <Tooltip contentStyle={{ background: "#0f172a", border: "1px solid #334155", fontSize: 10, fontFamily: "monospace" }}
+                labelFormatter={x => {
+                  const b = bins.find(bin => bin.x === x);
+                  return b ? `${fmt(b.lo, cfg.unit)} – ${fmt(b.hi, cfg.unit)}` : x;
+                }}
+                formatter={(v, n) => [n === "fit" ? v.toFixed(1) : v, n === "fit" ? "Normal fit" : "Samples"]} />
+              <Bar dataKey="count" fill={cfg.color} fillOpacity={0.55} isAnimationActive={false} />
+              <Line type="monotone" dataKey="fit" stroke="#e2e8f0" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+              {[["LSL", cfg.lsl], ["USL", cfg.usl]].filter(([, v]) => v != null).map(([l, v]) => (
+                <ReferenceLine key={l} x={v} stroke={ALARM_CLASSES.spec.color} strokeDasharray="8 3 2 3" ifOverflow="extendDomain"
+                  label={{ value: l, fill: ALARM_CLASSES.spec.color, fontSize: 9, position: "top" }} />
+              ))}
+              {[["LCL", cfg.lcl], ["UCL", cfg.ucl]].map(([l, v]) => (
+                <ReferenceLine key={l} x={v} stroke="#ef444488" strokeDasharray="4 4" ifOverflow="hidden"
+                  label={{ value: l, fill: "#ef4444", fontSize: 9, position: "insideTop" }} />
+              ))}
+              <ReferenceLine x={capability.mean} stroke="#475569" label={{ value: "x̄", fill: "#94a3b8", fontSize: 9, position: "top" }} />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </>
+      )}
+
+      <div style={{ fontSize: 10, color: "#334155", marginTop: 10, lineHeight: 1.6 }}>
+        Cp and Cpk use the within-subgroup σ̂ = MR̄ / 1.128 from the moving range of consecutive samples, Pp and Ppk the
+        overall standard deviation s of the window. With only one spec limit Cp and Pp are undefined and Cpk and Ppk are
+        one-sided. Green is at least {CAPABILITY_TARGET}, amber at least 1. Expected ppm out of spec assume normality; the
+        observed ppm counts samples outside the spec limits. Indices are only meaningful for a process in statistical
+        control, so check the control charts for the same window first.
+      </div>
+    </div>
+  );
+}
+
+// ─── Phase I Model Panel ─────────────────────────────────────────────────────
+// Upload in-control history, estimate μ̂ / Σ̂ with outlier trimming, review the
+// result, then apply it as the monitoring model and persist it across sessions.
+function PhaseIModelPanel({ model, samples, onApply }) {
+  const [history, setHistory] = useState(null);      // { name, rows, skipped }
+  const [candidate, setCandidate] = useState(null);  // estimated/imported, not yet applied
+  const { keys, params } = model;
+  const [settings, setSettings] = useState({ trimAlpha: 0.01, alpha: model.alpha ?? DEFAULT_ALPHA, maxIter: 10 });
+  const [message, setMessage] = useState(null);
+
+  const report = (ok, text) => setMessage({ ok, text });
+
+  const loadCsv = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      const parsed = parseHistoricalCSV(text, params);
+      setHistory({ name: file.name, ...parsed });
+      setCandidate(null);
+      report(true, `Loaded ${parsed.rows.length} rows from ${file.name}` +
+        (parsed.skipped ? ` (${parsed.skipped} incomplete rows skipped)` : ""));
+    }).catch(err => report(false, err.message));
+  };
+
+  const useSampleWindow = () => {
+    setHistory({ name: "live sample window", rows: samples.map(pt => keys.map(k => pt[k])), skipped: 0 });
+    setCandidate(null);
+    report(true, `Using the last ${samples.length} monitored samples as Phase I data`);
+  };
+
+  const estimate = () => {
+    try {
+      const est = estimatePhaseIModel(history.rows, params, settings);
+      setCandidate({ ...est, sourceName: history.name });
+      report(true, `Estimated from ${est.n} of ${est.nTotal} samples after ${est.history.length} iteration(s)`);
+    } catch (err) {
+      report(false, err.message);
+    }
+  };
+
+  const importModel = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      setCandidate(deserializeModel(JSON.parse(text), params));
+      report(true, `Imported model from ${file.name} — review and apply`);
+    }).catch(err => report(false, err.message));
+  };
+
+  const save = () => {
+    try {
+      storeModel(model);
+      report(true, model.source === "nominal"
+        ? "Saved baseline cleared — the nominal model will be used next session"
+        : "Active model saved — it will be restored next session");
+    } catch (err) {
+      report(false, `Could not save model: ${err.message}`);
+    }
+  };
+
+  const apply = (next) => {
+    onApply(next);
+    setCandidate(null);
+    report(true, next.source === "nominal"
+      ? "Reverted to nominal diagonal model"
+      : "Phase I model applied — all T² scoring now uses Σ̂⁻¹");
+  };
+
+  const setSetting = (key, parse) => (e) => {
+    const v = parse(e.target.value);
+    if (Number.isFinite(v)) setSettings(prev => ({ ...prev, [key]: v }));
+  };
+
+  const shown = candidate ?? model;
+  const labelStyle = { color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 8 };
+
+  return (
+    <div>
+      {/* Data Source + Estimation Settings */}
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+        <label style={ACTION_BUTTON_STYLE("#4CC9F0")}>
+          ⬆ Upload Historical CSV
+          <input type="file" accept=".csv,text/csv,text/plain" hidden
+            onChange={e => { loadCsv(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+        <button onClick={useSampleWindow} disabled={samples.length < keys.length + 2}
+          style={ACTION_BUTTON_STYLE("#4CC9F0", samples.length >= keys.length + 2)}>
+          Use Live Window ({samples.length})
+        </button>
+        <div style={{ width: 1, height: 20, background: "#1e293b" }} />
+        {[
+          { key: "trimAlpha", label: "Trim α", step: 0.005, parse: parseFloat },
+          { key: "alpha", label: "Monitor α", step: 0.005, parse: parseFloat },
+          { key: "maxIter", label: "Max iter", step: 1, parse: v => parseInt(v, 10) },
+        ].map(f => (
+          <label key={f.key} style={{ color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center" }}>
+            {f.label}
+            <input type="number" step={f.step} min={f.step} value={settings[f.key]}
+              onChange={setSetting(f.key, f.parse)} style={INPUT_STYLE} />
+          </label>
+        ))}
+        <button onClick={estimate} disabled={!history} style={ACTION_BUTTON_STYLE("#00C9A7", !!history)}>
+          ∑ Estimate μ̂, Σ̂
+        </button>
+      </div>
+
+      <div style={{ fontSize: 10, color: "#334155", marginBottom: 10 }}>
+        CSV needs one column per parameter, headed by key, label or short code
+        ({keys.map(k => params[k].short).join(", ")}); other columns are ignored.
+        {history && <span style={{ color: "#64748b" }}> Loaded: {history.name} — {history.rows.length} rows.</span>}
+      </div>
+
+      {message && (
+        <div style={{
+          background: message.ok ? "#0a2a1a" : "#2d0a0a", border: `1px solid ${message.ok ? "#10b981" : "#ef4444"}`,
+          borderRadius: 8, padding: "8px 12px", marginBottom: 12, fontSize: 11,
+          color: message.ok ? "#6ee7b7" : "#fca5a5"
+        }}>{message.ok ? "✓" : "⚠"} {message.text}</div>
+      )}
+
+      {/* Model Summary */}
+      <div style={{ ...labelStyle, color: candidate ? "#FFD166" : "#475569" }}>
+        {candidate ? "Candidate Model — not yet applied" : "Active Monitoring Model"}
+      </div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(4,1fr)", gap: 8, marginBottom: 14 }}>
+        {[
+          { label: "Source", val: shown.source === "nominal" ? "Nominal" : "Phase I", color: shown.source === "nominal" ? "#64748b" : "#00C9A7" },
+          { label: "Samples Used", val: shown.n ? `${shown.n} / ${shown.nTotal}` : "—", color: "#4CC9F0" },
+          { label: "Trimmed", val: shown.n ? shown.nTotal - shown.n : "—", color: "#FFD166" },
+          { label: "T² UCL", val: shown.ucl.toFixed(2), color: "#A78BFA" },
+        ].map(kpi => (
+          <div key={kpi.label} style={{ background: "#0f172a", borderRadius: 6, padding: "8px 12px" }}>
+            <div style={{ color: "#334155", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>{kpi.label}</div>
+            <div style={{ color: kpi.color, fontSize: 16, fontWeight: 800, marginTop: 2, fontFamily: "monospace" }}>{kpi.val}</div>
+          </div>
+        ))}
+      </div>
+      <div style={{ fontSize: 10, color: "#334155", marginBottom: 14 }}>
+        {shown.source === "nominal"
+          ? `Nominal variable-set means and σ with diagonal covariance — UCL = χ²(α=${shown.alpha}, df=${keys.length}).`
+          : `${shown.sourceName ?? "Imported"} · estimated ${shown.createdAt?.slice(0, 19).replace("T", " ")} · ` +
+            `trim α=${shown.trimAlpha} · UCL = F-based Phase II limit, p=${keys.length}, m=${shown.n}, α=${shown.alpha}`}
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16, marginBottom: 14 }}>
+        {/* Mean / σ vs Nominal */}
+        <div>
+          <div style={labelStyle}>Mean Vector &amp; σ  <span style={{ color: "#334155" }}>(vs nominal)</span></div>
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10, fontFamily: "monospace" }}>
+            <thead>
+              <tr style={{ color: "#334155", textAlign: "right" }}>
+                <th style={{ textAlign: "left", fontWeight: 400 }}>Param</th>
+                <th style={{ fontWeight: 400 }}>μ nom</th><th style={{ fontWeight: 400 }}>μ̂</th>
+                <th style={{ fontWeight: 400 }}>σ nom</th><th style={{ fontWeight: 400 }}>σ̂</th>
+              </tr>
+            </thead>
+            <tbody>
+              {keys.map((k, i) => (
+                <tr key={k} style={{ textAlign: "right", color: "#94a3b8" }}>
+                  <td style={{ textAlign: "left", color: params[k].color, fontWeight: 700, padding: "3px 0" }}>{params[k].short}</td>
+                  <td style={{ color: "#475569" }}>{params[k].mean}</td>
+                  <td>{shown.mean[i].toFixed(params[k].unit === "mm" ? 4 : 2)}</td>
+                  <td style={{ color: "#475569" }}>{params[k].std}</td>
+                  <td>{shown.std[i].toFixed(params[k].unit === "mm" ? 4 : 3)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Correlation Heatmap */}
+        <div>
+          <div style={labelStyle}>Correlation Matrix  <span style={{ color: "#334155" }}>from Σ̂</span></div>
+          <div style={{ display: "grid", gridTemplateColumns: `28px repeat(${keys.length}, 1fr)`, gap: 2, fontSize: 9, fontFamily: "monospace" }}>
+            <div />
+            {keys.map(k => <div key={k} style={{ color: params[k].color, textAlign: "center", fontWeight: 700 }}>{params[k].short}</div>)}
+            {keys.map((rk, i) => [
+              <div key={`${rk}-label`} style={{ color: params[rk].color, fontWeight: 700, alignSelf: "center" }}>{params[rk].short}</div>,
+              ...keys.map((ck, j) => {
+                const r = shown.corr[i][j];
+                return (
+                  <div key={`${rk}-${ck}`} title={`r(${params[rk].short}, ${params[ck].short}) = ${r.toFixed(3)}`} style={{
+                    background: r >= 0 ? `rgba(239,68,68,${Math.abs(r) * 0.8})` : `rgba(76,201,240,${Math.abs(r) * 0.8})`,
+                    color: Math.abs(r) > 0.5 ? "#f8fafc" : "#64748b",
+                    textAlign: "center", padding: "5px 0", borderRadius: 2
+                  }}>{r.toFixed(2)}</div>
+                );
+              })
+            ])}
+          </div>
+          <div style={{ fontSize: 9, color: "#334155", marginTop: 4 }}>Red = positive correlation | Blue = negative correlation</div>
+        </div>
+      </div>
+
+      {/* Trimming History */}
+      {shown.history?.length > 0 && (
+        <div style={{ marginBottom: 14 }}>
+          <div style={labelStyle}>Outlier Trimming Iterations  <span style={{ color: "#334155" }}>Beta-distribution Phase I limit</span></div>
+          {shown.history.map(h => (
+            <div key={h.iteration} style={{ display: "flex", gap: 16, fontSize: 10, fontFamily: "monospace", color: "#64748b", padding: "2px 0" }}>
+              <span style={{ minWidth: 50 }}>iter {h.iteration}</span>
+              <span style={{ minWidth: 70 }}>m = {h.n}</span>
+              <span style={{ minWidth: 110 }}>limit = {h.limit.toFixed(2)}</span>
+              <span style={{ color: h.removed ? "#FFD166" : "#00C9A7" }}>{h.removed ? `${h.removed} removed` : "converged"}</span>
+            </div>
+          ))}
         </div>
-        <div style={{ height: 200 }}>
-          <ResponsiveContainer width="100%" height="100%">
-            <BarChart data={rbc} layout="vertical" margin={{ left: 10, right: 20, top: 0, bottom: 0 }}>
-              <CartesianGrid stroke="#1e293b" strokeDasharray="2 2" horizontal={false} />
-              <XAxis type="number" domain={[0, "auto"]} tick={{ fontSize: 9, fill: "#475569" }} stroke="#1e293b" />
-              <YAxis type="category" dataKey="label" tick={{ fontSize: 10, fill: "#64748b" }} stroke="none" width={24} />
-              <Tooltip
-                contentStyle={{ background: "#0f172a", border: "1px solid #334155", fontSize: 10, fontFamily: "monospace" }}
-                formatter={(v, n, p) => [`ΔT² = ${v.toFixed(4)}`, p.payload.fullLabel]}
-                labelFormatter={() => "RBC — if removed from T²"}
-              />
-              <Bar dataKey="rbc" radius={[0, 3, 3, 0]}>
-                {rbc.map(entry => (
-                  <Cell key={entry.key} fill={entry.color} opacity={0.85} />
+      )}
+
+      {/* Model Actions */}
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", borderTop: "1px solid #1e293b", paddingTop: 12 }}>
+        {candidate && <button onClick={() => apply(candidate)} style={ACTION_BUTTON_STYLE("#00C9A7")}>✓ Apply Candidate</button>}
+        {candidate && <button onClick={() => setCandidate(null)} style={ACTION_BUTTON_STYLE("#64748b")}>✕ Discard Candidate</button>}
+        <button onClick={save} style={ACTION_BUTTON_STYLE("#4CC9F0")}>💾 Save Active Model</button>
+        <button onClick={() => downloadJSON(`phase1-model-${(shown.createdAt ?? "nominal").slice(0, 10)}.json`, serializeModel(shown))}
+          style={ACTION_BUTTON_STYLE("#4CC9F0")}>⬇ Export JSON</button>
+        <label style={ACTION_BUTTON_STYLE("#4CC9F0")}>
+          ⬆ Import JSON
+          <input type="file" accept=".json,application/json" hidden
+            onChange={e => { importModel(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+        <button onClick={() => apply(buildNominalModel({ params, alpha: model.alpha }))} disabled={model.source === "nominal"}
+          style={ACTION_BUTTON_STYLE("#f97316", model.source !== "nominal")}>↺ Revert to Nominal</button>
+      </div>
+    </div>
+  );
+}
+
+// ─── PCA Model Panel ─────────────────────────────────────────────────────────
+// Choose how many principal components to retain, inspect the scree plot and
+// loadings, then switch T²ₐ / SPE monitoring on. The fit always follows the
+// active monitoring model, so it is only informative once a Phase I model with
+// real correlation structure has been applied.
+function PcaModelPanel({ model, pca, onApply }) {
+  const [draft, setDraft] = useState(() => ({ mode: pca?.settings.components ? "count" : "variance",
+    ...DEFAULT_PCA_SETTINGS, ...pca?.settings, components: pca?.settings.components ?? 2 }));
+  const settings = {
+    varianceTarget: draft.varianceTarget,
+    components: draft.mode === "count" ? draft.components : null,
+    alpha: draft.alpha,
+  };
+  const preview = buildPcaModel(model, settings);
+  const { keys, params } = model;
+  const p = keys.length;
+  const labelStyle = { color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 8 };
+  const setField = (key, parse, min, max) => (e) => {
+    const v = parse(e.target.value);
+    if (Number.isFinite(v) && v >= min && v <= max) setDraft(prev => ({ ...prev, [key]: v }));
+  };
+  const modeButton = (mode, label) => (
+    <button key={mode} onClick={() => setDraft(prev => ({ ...prev, mode }))} style={{
+      background: draft.mode === mode ? "#1e3a5f" : "#0f172a",
+      color: draft.mode === mode ? "#4CC9F0" : "#475569",
+      border: `1px solid ${draft.mode === mode ? "#4CC9F066" : "#1e293b"}`,
+      borderRadius: 4, padding: "3px 10px", cursor: "pointer", fontSize: 10, fontFamily: "inherit"
+    }}>{label}</button>
+  );
+  const scree = preview.eigenvalues.map((l, j) => ({
+    pc: `PC${j + 1}`, eigenvalue: l, cumulative: preview.cumulative[j] * 100, retained: j < preview.a,
+  }));
+
+  return (
+    <div>
+      {/* Retention + Limit Settings */}
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+        <span style={{ color: "#334155", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>Retain by:</span>
+        {modeButton("variance", "Cumulative variance")}
+        {modeButton("count", "Fixed count")}
+        <div style={{ width: 1, height: 20, background: "#1e293b" }} />
+        {draft.mode === "variance" ? (
+          <label style={{ color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center" }}>
+            Target %
+            <input type="number" step={5} min={10} max={99} value={Math.round(draft.varianceTarget * 100)}
+              onChange={setField("varianceTarget", v => parseFloat(v) / 100, 0.1, 0.99)} style={INPUT_STYLE} />
+          </label>
+        ) : (
+          <label style={{ color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center" }}>
+            Components
+            <input type="number" step={1} min={1} max={p - 1} value={draft.components}
+              onChange={setField("components", v => parseInt(v, 10), 1, p - 1)} style={INPUT_STYLE} />
+          </label>
+        )}
+        <label style={{ color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center" }}>
+          α
+          <input type="number" step={0.005} min={0.001} max={0.2} value={draft.alpha}
+            onChange={setField("alpha", parseFloat, 0.001, 0.2)} style={INPUT_STYLE} />
+        </label>
+        <button onClick={() => onApply(preview)} style={ACTION_BUTTON_STYLE("#00C9A7")}>
+          {pca ? "↻ Refit PCA Monitoring" : "✓ Enable PCA Monitoring"}
+        </button>
+        <button onClick={() => onApply(null)} disabled={!pca} style={ACTION_BUTTON_STYLE("#f97316", !!pca)}>
+          ✕ Disable
+        </button>
+      </div>
+
+      {model.source === "nominal" && (
+        <div style={{ background: "#2a1f0a", border: "1px solid #FFD16666", borderRadius: 8,
+          padding: "8px 12px", marginBottom: 12, fontSize: 11, color: "#FFD166" }}>
+          ⚠ The nominal model has no correlation between parameters, so every component explains the
+          same variance and the split between T²ₐ and SPE is arbitrary. Apply a Phase I model first.
+        </div>
+      )}
+
+      {/* Summary */}
+      <div style={labelStyle}>{pca ? "PCA Monitoring Active" : "Preview — not yet enabled"}</div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(4,1fr)", gap: 8, marginBottom: 14 }}>
+        {[
+          { label: "Retained", val: `${preview.a} / ${p}`, color: "#4CC9F0" },
+          { label: "Variance Explained", val: `${(preview.cumulative[preview.a - 1] * 100).toFixed(1)}%`, color: "#00C9A7" },
+          { label: "T²ₐ UCL", val: preview.t2Ucl.toFixed(2), color: "#A78BFA" },
+          { label: "SPE UCL", val: preview.speUcl.toFixed(3), color: "#F72585" },
+        ].map(kpi => (
+          <div key={kpi.label} style={{ background: "#0f172a", borderRadius: 6, padding: "8px 12px" }}>
+            <div style={{ color: "#334155", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>{kpi.label}</div>
+            <div style={{ color: kpi.color, fontSize: 16, fontWeight: 800, marginTop: 2, fontFamily: "monospace" }}>{kpi.val}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 16 }}>
+        {/* Scree Plot */}
+        <div>
+          <div style={labelStyle}>Scree Plot  <span style={{ color: "#334155" }}>eigenvalues of R</span></div>
+          <div style={{ height: 180 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={scree} margin={{ left: 0, right: 10, top: 5, bottom: 0 }}>
+                <CartesianGrid stroke="#1e293b" strokeDasharray="2 2" vertical={false} />
+                <XAxis dataKey="pc" tick={{ fontSize: 9, fill: "#64748b" }} stroke="#1e293b" />
+                <YAxis tick={{ fontSize: 9, fill: "#475569" }} stroke="#1e293b" />
+                <Tooltip
+                  contentStyle={{ background: "#0f172a", border: "1px solid #334155", fontSize: 10, fontFamily: "monospace" }}
+                  formatter={(v, n, item) => [`λ = ${v.toFixed(3)} · cumulative ${item.payload.cumulative.toFixed(1)}%`,
+                    item.payload.retained ? "Retained" : "Residual"]} />
+                <ReferenceLine y={1} stroke="#334155" strokeDasharray="4 4" />
+                <Bar dataKey="eigenvalue" radius={[3, 3, 0, 0]}>
+                  {scree.map(entry => (
+                    <Cell key={entry.pc} fill={entry.retained ? "#4CC9F0" : "#334155"} opacity={0.85} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          <div style={{ fontSize: 10, color: "#334155", marginTop: 6, lineHeight: 1.6 }}>
+            Blue = retained (monitored by T²ₐ) | Gray = residual (monitored by SPE).
+            The dashed line marks λ = 1, the average variance of a standardized variable.
+          </div>
+        </div>
+
+        {/* Loadings */}
+        <div>
+          <div style={labelStyle}>Loadings  <span style={{ color: "#334155" }}>eigenvector weights per variable</span></div>
+          <div style={{ display: "grid", gridTemplateColumns: `28px repeat(${p}, 1fr)`, gap: 2, fontSize: 9, fontFamily: "monospace" }}>
+            <div />
+            {scree.map(s => (
+              <div key={s.pc} style={{ color: s.retained ? "#4CC9F0" : "#475569", textAlign: "center", fontWeight: 700 }}>{s.pc}</div>
+            ))}
+            {keys.map((k, i) => [
+              <div key={`${k}-label`} style={{ color: params[k].color, fontWeight: 700, alignSelf: "center" }}>{params[k].short}</div>,
+              ...preview.eigenvectors.map((vec, j) => {
+                const w = vec[i];
+                return (
+                  <div key={`${k}-${j}`} title={`${params[k].label} on PC${j + 1}: ${w.toFixed(3)}`} style={{
+                    background: w >= 0 ? `rgba(239,68,68,${Math.abs(w) * 0.8})` : `rgba(76,201,240,${Math.abs(w) * 0.8})`,
+                    color: Math.abs(w) > 0.5 ? "#f8fafc" : "#64748b",
+                    opacity: j < preview.a ? 1 : 0.45,
+                    textAlign: "center", padding: "5px 0", borderRadius: 2
+                  }}>{w.toFixed(2)}</div>
+                );
+              })
+            ])}
+          </div>
+          <div style={{ fontSize: 9, color: "#334155", marginTop: 4 }}>
+            Red = positive loading | Blue = negative loading | Faded = residual component
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── Variable Set Panel ──────────────────────────────────────────────────────
+// Edit the monitored variables as a table, then apply. Drafts are validated by
+// buildVariableSet(); applying restarts monitoring with the new set, persists
+// it in the browser, and recomputes the nominal T² UCL for the new p and α.
+const variableRows = ({ params }) => Object.entries(params).map(([key, def]) => ({
+  key, ...def, limitMode: def.sigmaMultiplier !== null ? "sigma" : "explicit",
+}));
+
+function VariableSetPanel({ variableSet, onApply }) {
+  const [rows, setRows] = useState(() => variableRows(variableSet));
+  const [alpha, setAlpha] = useState(variableSet.alpha);
+  const [message, setMessage] = useState(null);
+
+  const report = (ok, text) => setMessage({ ok, text });
+  const loadDraft = (set) => { setRows(variableRows(set)); setAlpha(set.alpha); };
+  const updateRow = (i, patch) => setRows(prev => prev.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  const addRow = () => setRows(prev => {
+    let n = prev.length + 1;
+    while (prev.some(r => r.key === `var_${n}`)) n += 1;
+    return [...prev, { key: `var_${n}`, label: `Variable ${n}`, short: `V${n}`, unit: "", mean: 0, std: 1,
+      limitMode: "sigma", sigmaMultiplier: 3, ucl: null, lcl: null, usl: null, lsl: null,
+      color: VARIABLE_COLORS[prev.length % VARIABLE_COLORS.length] }];
+  });
+
+  const build = () => buildVariableSet({
+    alpha: optionalNumber(alpha),
+    variables: rows.map(({ limitMode, ...r }) => ({
+      ...r,
+      sigmaMultiplier: limitMode === "sigma" ? r.sigmaMultiplier : null,
+      ucl: limitMode === "sigma" ? null : r.ucl,
+      lcl: limitMode === "sigma" ? null : r.lcl,
+    })),
+  });
+
+  const apply = () => {
+    try {
+      const next = build();
+      onApply(next);
+      loadDraft(next);
+      try {
+        storeVariableSet(next);
+        report(true, `Applied ${Object.keys(next.params).length} variables — monitoring restarted and saved for next session`);
+      } catch (err) {
+        report(true, `Applied ${Object.keys(next.params).length} variables — monitoring restarted (not saved: ${err.message})`);
+      }
+    } catch (err) {
+      report(false, err.message);
+    }
+  };
+
+  const exportDraft = () => {
+    try {
+      downloadJSON("variable-set.json", serializeVariableSet(build()));
+    } catch (err) {
+      report(false, err.message);
+    }
+  };
+
+  const importSet = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      loadDraft(deserializeVariableSet(JSON.parse(text)));
+      report(true, `Imported variable set from ${file.name} — review and apply`);
+    }).catch(err => report(false, err.message));
+  };
+
+  let preview = null;
+  try {
+    const set = build();
+    const p = Object.keys(set.params).length;
+    preview = { p, ucl: chiSquareQuantile(1 - set.alpha, p) };
+  } catch {
+    // invalid draft — the error is shown when applying
+  }
+
+  const cell = { padding: "3px 4px" };
+  const input = (i, field, width = 64, type = "number") => (
+    <input type={type} value={rows[i][field] ?? ""} style={{ ...INPUT_STYLE, width }}
+      onChange={e => updateRow(i, { [field]: e.target.value })} />
+  );
+
+  return (
+    <div>
+      <div style={{ overflowX: "auto", marginBottom: 10 }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10 }}>
+          <thead>
+            <tr style={{ color: "#334155", textAlign: "left" }}>
+              {["Key", "Label", "Short", "Unit", "Colour", "Mean μ", "σ", "Control limits", "", "", "LSL", "USL", ""].map((h, i) => (
+                <th key={i} style={{ fontWeight: 400, padding: "0 4px 4px" }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((r, i) => (
+              <tr key={i} style={{ background: i % 2 === 0 ? "#0f172a" : "transparent" }}>
+                <td style={cell}>{input(i, "key", 110, "text")}</td>
+                <td style={cell}>{input(i, "label", 110, "text")}</td>
+                <td style={cell}>{input(i, "short", 36, "text")}</td>
+                <td style={cell}>{input(i, "unit", 44, "text")}</td>
+                <td style={cell}>
+                  <input type="color" value={r.color} onChange={e => updateRow(i, { color: e.target.value })}
+                    style={{ width: 28, height: 20, padding: 0, border: "none", background: "none" }} />
+                </td>
+                <td style={cell}>{input(i, "mean")}</td>
+                <td style={cell}>{input(i, "std")}</td>
+                <td style={cell}>
+                  <select value={r.limitMode} style={{ ...INPUT_STYLE, width: 84 }}
+                    onChange={e => updateRow(i, { limitMode: e.target.value })}>
+                    <option value="sigma">μ ± Lσ</option>
+                    <option value="explicit">UCL / LCL</option>
+                  </select>
+                </td>
+                {r.limitMode === "sigma" ? [
+                  <td key="l" style={cell}>
+                    <span style={{ color: "#475569" }}>L </span>{input(i, "sigmaMultiplier", 40)}
+                  </td>,
+                  <td key="x" style={cell} />,
+                ] : [
+                  <td key="lcl" style={cell}><span style={{ color: "#475569" }}>LCL </span>{input(i, "lcl")}</td>,
+                  <td key="ucl" style={cell}><span style={{ color: "#475569" }}>UCL </span>{input(i, "ucl")}</td>,
+                ]}
+                <td style={cell}>{input(i, "lsl")}</td>
+                <td style={cell}>{input(i, "usl")}</td>
+                <td style={cell}>
+                  <button onClick={() => setRows(prev => prev.filter((_, j) => j !== i))} disabled={rows.length <= 2}
+                    title="Remove variable" style={{ ...ACTION_BUTTON_STYLE("#ef4444", rows.length > 2), padding: "2px 7px" }}>✕</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+        <button onClick={addRow} style={ACTION_BUTTON_STYLE("#4CC9F0")}>+ Add Variable</button>
+        <label style={{ color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center" }}>
+          T² α
+          <input type="number" step={0.005} min={0.001} max={0.2} value={alpha ?? ""} style={INPUT_STYLE}
+            onChange={e => setAlpha(e.target.value)} />
+        </label>
+        <span style={{ fontSize: 10, color: "#334155" }}>
+          {preview
+            ? `p = ${preview.p} → nominal UCL = χ²(1 − α; ${preview.p}) = ${preview.ucl.toFixed(3)}`
+            : "Draft is incomplete"}
+        </span>
+      </div>
+
+      <div style={{ fontSize: 10, color: "#334155", marginBottom: 10, lineHeight: 1.6 }}>
+        Keys identify variables in CSV headers, saved models and fault signatures. LSL / USL are the specification
+        limits, separate from the control limits: a value outside them raises an out-of-spec alarm and they set the
+        capability indices. Leave them empty when a variable has no specification, or fill in just one for a one-sided
+        spec. Applying restarts the monitor; a Phase I model is kept only if it covers exactly the same variables, and
+        fault modes whose driver is not monitored are hidden.
+      </div>
+
+      {message && (
+        <div style={{
+          background: message.ok ? "#0a2a1a" : "#2d0a0a", border: `1px solid ${message.ok ? "#10b981" : "#ef4444"}`,
+          borderRadius: 8, padding: "8px 12px", marginBottom: 12, fontSize: 11,
+          color: message.ok ? "#6ee7b7" : "#fca5a5"
+        }}>{message.ok ? "✓" : "⚠"} {message.text}</div>
+      )}
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", borderTop: "1px solid #1e293b", paddingTop: 12 }}>
+        <button onClick={apply} style={ACTION_BUTTON_STYLE("#00C9A7")}>✓ Apply Variable Set</button>
+        <button onClick={() => { loadDraft(variableSet); setMessage(null); }} style={ACTION_BUTTON_STYLE("#64748b")}>
+          ✕ Discard Changes
+        </button>
+        <button onClick={exportDraft} style={ACTION_BUTTON_STYLE("#4CC9F0")}>⬇ Export JSON</button>
+        <label style={ACTION_BUTTON_STYLE("#4CC9F0")}>
+          ⬆ Import JSON
+          <input type="file" accept=".json,application/json" hidden
+            onChange={e => { importSet(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+        <button onClick={() => { loadDraft(DEFAULT_VARIABLE_SET); report(true, "Default extrusion variables loaded — apply to use them"); }}
+          style={ACTION_BUTTON_STYLE("#f97316")}>↺ Load Defaults</button>
+      </div>
+    </div>
+  );
+}
+
+// ─── Recipe Panel ────────────────────────────────────────────────────────────
+// Edit the recipe book as drafts, save it, and switch the running line to a
+// saved recipe. Empty fields keep the variable set's value; "none" clears a
+// spec limit. A switch starts a changeover (see the Main Application).
+const RECIPE_DRAFT_FIELDS = [
+  ["mean", "Mean μ"], ["std", "σ"], ["sigmaMultiplier", "L"], ["lcl", "LCL"], ["ucl", "UCL"], ["lsl", "LSL"], ["usl", "USL"],
+];
+
+const recipeDrafts = recipes => recipes.map(r => ({
+  ...r,
+  values: Object.fromEntries(Object.entries(r.variables).map(([key, fields]) => [
+    key, Object.fromEntries(Object.entries(fields).map(([f, v]) => [f, v === null ? "none" : String(v)])),
+  ])),
+}));
+
+function RecipePanel({ recipes, active, variableSet, model, changeovers, changeoverSettings, readOnly, onApply, onSwitch }) {
+  const [drafts, setDrafts] = useState(() => recipeDrafts(recipes));
+  const [selected, setSelected] = useState(0);
+  const [message, setMessage] = useState(null);
+
+  const report = (ok, text) => setMessage({ ok, text });
+  const loadDraft = (next) => { setDrafts(recipeDrafts(next)); setSelected(0); };
+  const index = Math.min(selected, drafts.length - 1);
+  const draft = drafts[index];
+  const update = patch => setDrafts(prev => prev.map((r, i) => (i === index ? { ...r, ...patch } : r)));
+  const setField = (key, field, value) => update({ values: { ...draft.values, [key]: { ...draft.values[key], [field]: value } } });
+  const uniqueName = (base) => {
+    let name = base;
+    for (let n = 2; drafts.some(r => r.name.toLowerCase() === name.toLowerCase()); n += 1) name = `${base} ${n}`;
+    return name;
+  };
+  const append = (recipe) => { setDrafts(prev => [...prev, recipe]); setSelected(drafts.length); };
+
+  const build = () => {
+    const next = buildRecipeBook(drafts.map(({ values, ...r }) => ({
+      ...r,
+      variables: Object.fromEntries(Object.entries(values).map(([key, fields]) => [
+        key, Object.fromEntries(Object.entries(fields).map(([f, v]) => [f, v.trim().toLowerCase() === "none" ? null : v.trim()])),
+      ])),
+    })));
+    next.forEach(r => recipeModel(variableSet, r));
+    return next;
+  };
+
+  const save = () => {
+    try {
+      const next = build();
+      onApply(next);
+      setDrafts(recipeDrafts(next));
+      try {
+        storeRecipeBook(next);
+        report(true, `Saved ${next.length} recipes for next session`);
+      } catch (err) {
+        report(true, `Saved ${next.length} recipes for this session (not stored: ${err.message})`);
+      }
+    } catch (err) {
+      report(false, err.message);
+    }
+  };
+
+  const switchTo = (name) => {
+    try {
+      onSwitch(name);
+      report(true, `Switched to ${name} — changeover started`);
+    } catch (err) {
+      report(false, err.message);
+    }
+  };
+
+  const exportDraft = () => {
+    try {
+      downloadJSON("recipe-book.json", serializeRecipeBook(build()));
+    } catch (err) {
+      report(false, err.message);
+    }
+  };
+
+  const importBook = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      loadDraft(deserializeRecipeBook(JSON.parse(text)));
+      report(true, `Imported recipes from ${file.name} — review and save`);
+    }).catch(err => report(false, err.message));
+  };
+
+  const attachModel = () => {
+    update({ model: serializeModel(model) });
+    report(true, `Attached the active Phase I model (m = ${model.n}) to ${draft.name}, estimated under ${active ?? "the variable set"} — save to keep it`);
+  };
+
+  const cell = { padding: "3px 4px" };
+  const heading = { color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 8 };
+  const mode = CHANGEOVER_MODES.find(m => m.id === changeoverSettings.mode);
+
+  return (
+    <div>
+      <div style={{ fontSize: 11, color: "#94a3b8", marginBottom: 12 }}>
+        {active ? <>Running <span style={{ color: "#60a5fa", fontWeight: 700 }}>{active}</span></> : "No recipe — monitoring the variable set as configured"}
+        <span style={{ color: "#334155" }}>
+          {" "}· changeover grace {changeoverSettings.graceSamples} samples, alarms {mode.label} (Alarms → Alarm Settings)
+        </span>
+      </div>
+
+      <div style={{ display: "flex", flexDirection: "column", gap: 2, marginBottom: 12 }}>
+        {drafts.map((r, i) => {
+          const saved = recipes.find(s => s.name === r.name);
+          const changed = Object.keys(r.values).filter(k => Object.values(r.values[k]).some(v => v !== "") && variableSet.params[k]);
+          return (
+            <div key={i} onClick={() => setSelected(i)} style={{
+              display: "flex", gap: 12, alignItems: "center", padding: "5px 8px", borderRadius: 4, fontSize: 10, cursor: "pointer",
+              background: i === index ? "#1a2540" : i % 2 === 0 ? "#0c1428" : "transparent",
+            }}>
+              <span style={{ color: r.name === active ? "#60a5fa" : "#e2e8f0", fontWeight: 700, minWidth: 160 }}>
+                {r.name === active ? "● " : ""}{r.name}
+              </span>
+              <span style={{ color: "#64748b", flex: 1 }}>{r.description}</span>
+              <span style={{ color: "#475569", minWidth: 140 }}>
+                {changed.length ? changed.map(k => variableSet.params[k].short).join(" ") : "set values"}
+              </span>
+              <span style={{ color: "#475569", minWidth: 110 }}>{r.model ? `Phase I, m = ${r.model.n}` : "nominal model"}</span>
+              {!readOnly && (
+                <button onClick={(e) => { e.stopPropagation(); switchTo(r.name); }} disabled={!saved || r.name === active}
+                  title={saved ? "Switch the line to this recipe" : "Save the recipe first"}
+                  style={{ ...ACTION_BUTTON_STYLE("#60a5fa", !!saved && r.name !== active), padding: "2px 8px", fontSize: 9 }}>
+                  ⇄ Switch
+                </button>
+              )}
+            </div>
+          );
+        })}
+        {drafts.length === 0 && <div style={{ color: "#334155", fontSize: 11, padding: "8px 0" }}>No recipes</div>}
+      </div>
+
+      {draft && (
+        <div style={{ background: "#0f172a", borderRadius: 8, padding: "10px 12px", marginBottom: 10 }}>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 8 }}>
+            <label style={{ color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center" }}>
+              Name
+              <input value={draft.name} disabled={draft.name === active} style={{ ...INPUT_STYLE, width: 160 }}
+                title={draft.name === active ? "The running recipe cannot be renamed" : undefined}
+                onChange={e => update({ name: e.target.value })} />
+            </label>
+            <label style={{ color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center", flex: 1 }}>
+              Description
+              <input value={draft.description} style={{ ...INPUT_STYLE, width: "100%" }}
+                onChange={e => update({ description: e.target.value })} />
+            </label>
+          </div>
+          <div style={{ overflowX: "auto", marginBottom: 8 }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 10 }}>
+              <thead>
+                <tr style={{ color: "#334155", textAlign: "left" }}>
+                  {["Variable", ...RECIPE_DRAFT_FIELDS.map(([, h]) => h)].map(h => (
+                    <th key={h} style={{ fontWeight: 400, padding: "0 4px 4px" }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(variableSet.params).map(([key, cfg]) => (
+                  <tr key={key}>
+                    <td style={{ ...cell, color: cfg.color, fontWeight: 700 }}>{cfg.label}</td>
+                    {RECIPE_DRAFT_FIELDS.map(([field]) => (
+                      <td key={field} style={cell}>
+                        <input value={draft.values[key]?.[field] ?? ""} style={{ ...INPUT_STYLE, width: 64 }}
+                          placeholder={cfg[field] != null ? String(limitText(cfg[field])) : field === "usl" || field === "lsl" ? "none" : ""}
+                          onChange={e => setField(key, field, e.target.value)} />
+                      </td>
+                    ))}
+                  </tr>
                 ))}
-              </Bar>
-            </BarChart>
-          </ResponsiveContainer>
+              </tbody>
+            </table>
+          </div>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", fontSize: 10 }}>
+            <span style={{ color: "#475569" }}>
+              Model: {draft.model
+                ? `Phase I, m = ${draft.model.n}${draft.model.sourceName ? ` from ${draft.model.sourceName}` : ""}`
+                : "nominal — μ and σ above, no correlation"}
+            </span>
+            <button onClick={attachModel} disabled={model.source !== "phase1"}
+              title="Estimate it on the Phase I Model tab from samples of this recipe"
+              style={{ ...ACTION_BUTTON_STYLE("#00C9A7", model.source === "phase1"), padding: "2px 8px", fontSize: 9 }}>
+              🧮 Use Active Phase I Model
+            </button>
+            <button onClick={() => update({ model: null })} disabled={!draft.model}
+              style={{ ...ACTION_BUTTON_STYLE("#64748b", !!draft.model), padding: "2px 8px", fontSize: 9 }}>
+              ✕ Drop Model
+            </button>
+          </div>
         </div>
-        <div style={{ fontSize: 10, color: "#334155", marginTop: 6, lineHeight: 1.6 }}>
-          RBC measures how much T² drops if each variable is individually
-          reconstructed to its nominal value. Highest bar = primary fault driver.
+      )}
+
+      <div style={{ fontSize: 10, color: "#334155", marginBottom: 10, lineHeight: 1.6 }}>
+        A recipe overrides the variable set for one product; the placeholders show the values it keeps. Giving L derives
+        the control limits as μ ± Lσ, otherwise give LCL and UCL. Type "none" to drop a spec limit. Switching recipes does
+        not restart monitoring: the new limits and model apply from the next sample, and the changeover is logged. During
+        the grace period the line's move to the new setpoints is not diagnosed as a fault, and charts, run rules and
+        capability restart when it ends. A fault scenario's recipe events switch to the recipe of the same name.
+      </div>
+
+      {message && (
+        <div style={{
+          background: message.ok ? "#0a2a1a" : "#2d0a0a", border: `1px solid ${message.ok ? "#10b981" : "#ef4444"}`,
+          borderRadius: 8, padding: "8px 12px", marginBottom: 12, fontSize: 11,
+          color: message.ok ? "#6ee7b7" : "#fca5a5"
+        }}>{message.ok ? "✓" : "⚠"} {message.text}</div>
+      )}
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", borderTop: "1px solid #1e293b", paddingTop: 12, marginBottom: 16 }}>
+        <button onClick={() => append({ name: uniqueName("New Recipe"), description: "", values: {}, model: null })}
+          style={ACTION_BUTTON_STYLE("#4CC9F0")}>+ New Recipe</button>
+        <button onClick={() => append({ ...draft, name: uniqueName(`${draft.name} (copy)`) })} disabled={!draft}
+          style={ACTION_BUTTON_STYLE("#4CC9F0", !!draft)}>⧉ Clone</button>
+        <button onClick={() => setDrafts(prev => prev.filter((_, i) => i !== index))} disabled={!draft || draft.name === active}
+          title={draft?.name === active ? "The running recipe cannot be deleted" : undefined}
+          style={ACTION_BUTTON_STYLE("#ef4444", !!draft && draft.name !== active)}>✕ Delete</button>
+        <button onClick={save} style={ACTION_BUTTON_STYLE("#00C9A7")}>✓ Save Recipes</button>
+        <button onClick={() => { loadDraft(recipes); setMessage(null); }} style={ACTION_BUTTON_STYLE("#64748b")}>
+          ✕ Discard Changes
+        </button>
+        <button onClick={exportDraft} style={ACTION_BUTTON_STYLE("#4CC9F0")}>⬇ Export JSON</button>
+        <label style={ACTION_BUTTON_STYLE("#4CC9F0")}>
+          ⬆ Import JSON
+          <input type="file" accept=".json,application/json" hidden
+            onChange={e => { importBook(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+        <button onClick={() => { loadDraft(DEFAULT_RECIPE_BOOK); report(true, "Example recipes loaded — save to use them"); }}
+          style={ACTION_BUTTON_STYLE("#f97316")}>↺ Load Defaults</button>
+      </div>
+
+      <div style={heading}>Changeovers ({changeovers.length})</div>
+      {changeovers.length === 0 && <div style={{ color: "#334155", fontSize: 11 }}>No recipe changes in this run</div>}
+      {changeovers.map((c, i) => (
+        <div key={c.id} style={{
+          display: "flex", gap: 12, padding: "5px 8px", borderRadius: 4, fontSize: 10,
+          background: i % 2 === 0 ? "#0c1428" : "transparent",
+        }}>
+          <span style={{ color: "#334155", minWidth: 130, fontFamily: "monospace" }}>{sampleTimeLabel(c)}</span>
+          <span style={{ color: "#60a5fa", minWidth: 260 }}>🔄 {c.from ?? "variable set"} → {c.to}</span>
+          <span style={{ color: "#475569", minWidth: 80 }}>{c.source === "scenario" ? "scenario" : "operator"}</span>
+          <span style={{ color: "#64748b", flex: 1 }}>
+            {c.graceSamples} samples, alarms {CHANGEOVER_MODES.find(m => m.id === c.mode).label}
+          </span>
+          <span style={{ color: c.end != null ? "#475569" : "#60a5fa" }}>{c.end != null ? `ended t=${c.end}` : "in progress"}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ─── Fault Library Panel ─────────────────────────────────────────────────────
+// Edit the fault modes as drafts, then apply. Drafts are validated by
+// buildFaultLibrary(); applying hands the library to the injection buttons
+// and the diagnosis engine at once and persists it in the browser.
+const faultDrafts = library => library.map(f => ({
+  ...f, signature: { ...f.signature }, directions: { ...f.directions }, effects: { ...f.effects },
+  actionsText: f.actions.join("\n"),
+}));
+
+function FaultLibraryPanel({ library, params, onApply }) {
+  const [drafts, setDrafts] = useState(() => faultDrafts(library));
+  const [selected, setSelected] = useState(0);
+  const [message, setMessage] = useState(null);
+
+  const report = (ok, text) => setMessage({ ok, text });
+  const loadDraft = (faults) => { setDrafts(faultDrafts(faults)); setSelected(0); };
+  // A library applied elsewhere (an accepted learned signature) replaces the drafts
+  useEffect(() => { setDrafts(faultDrafts(library)); }, [library]);
+  const index = Math.min(selected, drafts.length - 1);
+  const draft = drafts[index];
+  const update = patch => setDrafts(prev => prev.map((f, i) => (i === index ? { ...f, ...patch } : f)));
+  const uniqueName = (base) => {
+    let name = base;
+    for (let n = 2; drafts.some(f => f.name.toLowerCase() === name.toLowerCase()); n += 1) name = `${base} ${n}`;
+    return name;
+  };
+  const append = (fault) => { setDrafts(prev => [...prev, fault]); setSelected(drafts.length); };
+  const addFault = () => {
+    const param = Object.keys(params)[0];
+    append({
+      name: uniqueName("New Fault"), param, delta: params[param].std * 4, duration: 6, severity: "MEDIUM",
+      profile: "step", effects: {},
+      color: VARIABLE_COLORS[drafts.length % VARIABLE_COLORS.length], signature: { [param]: 1 }, directions: {},
+      mechanism: "", actionsText: "", references: "", retired: false,
+    });
+  };
+  const cloneFault = () => append({
+    ...draft, name: uniqueName(`${draft.name} (copy)`), signature: { ...draft.signature }, directions: { ...draft.directions },
+    effects: { ...draft.effects }, retired: false,
+  });
+
+  const build = () => buildFaultLibrary(drafts.map(({ actionsText, ...f }) => ({ ...f, actions: actionsText.split("\n") })));
+
+  const apply = () => {
+    try {
+      const next = build();
+      onApply(next);
+      loadDraft(next);
+      const active = next.filter(f => !f.retired).length;
+      try {
+        storeFaultLibrary(next);
+        report(true, `Applied ${active} active fault modes — saved for next session`);
+      } catch (err) {
+        report(true, `Applied ${active} active fault modes (not saved: ${err.message})`);
+      }
+    } catch (err) {
+      report(false, err.message);
+    }
+  };
+
+  const exportDraft = () => {
+    try {
+      downloadJSON("fault-library.json", serializeFaultLibrary(build()));
+    } catch (err) {
+      report(false, err.message);
+    }
+  };
+
+  const importLibrary = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      loadDraft(deserializeFaultLibrary(JSON.parse(text)));
+      report(true, `Imported fault library from ${file.name} — review and apply`);
+    }).catch(err => report(false, err.message));
+  };
+
+  let problem = null;
+  try {
+    normalizeFaultMode({ ...draft, actions: [] }, index);
+  } catch (err) {
+    problem = err.message;
+  }
+
+  const signatureKeys = [...new Set([...Object.keys(params), ...Object.keys(draft.signature)])];
+  const effectKeys = [...new Set([...Object.keys(params), ...Object.keys(draft.effects)])].filter(k => k !== draft.param);
+  const signatureSum = Object.values(draft.signature).reduce((s, w) => s + (optionalNumber(w) || 0), 0);
+  const sumOk = Math.abs(signatureSum - 1) <= SIGNATURE_SUM_TOLERANCE;
+  const label = { color: "#475569", fontSize: 10, display: "flex", flexDirection: "column", gap: 3 };
+  const heading = { color: "#64748b", fontSize: 9, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 };
+  const field = (name, width, type = "text") => (
+    <input type={type} value={draft[name] ?? ""} style={{ ...INPUT_STYLE, width }} onChange={e => update({ [name]: e.target.value })} />
+  );
+
+  return (
+    <div>
+      <div style={{ display: "grid", gridTemplateColumns: "220px 1fr", gap: 16, marginBottom: 10 }}>
+        {/* Fault List */}
+        <div>
+          {drafts.map((f, i) => (
+            <div key={i} onClick={() => setSelected(i)} style={{
+              display: "flex", alignItems: "center", gap: 8, padding: "6px 10px", marginBottom: 4, cursor: "pointer",
+              background: i === index ? "#1a2540" : "#0f172a", borderRadius: 6, fontSize: 11,
+              border: `1px solid ${i === index ? `${f.color}66` : "#1e293b"}`, opacity: f.retired ? 0.5 : 1
+            }}>
+              <span style={{ width: 8, height: 8, borderRadius: "50%", background: f.color, flexShrink: 0 }} />
+              <span style={{ flex: 1, color: i === index ? "#e2e8f0" : "#94a3b8", textDecoration: f.retired ? "line-through" : "none" }}>
+                {f.name || "(unnamed)"}
+              </span>
+              <span style={{ fontSize: 8, color: f.retired ? "#475569" : SEVERITY_COLORS[f.severity] ?? "#475569" }}>
+                {f.retired ? "RETIRED" : f.severity}
+              </span>
+            </div>
+          ))}
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginTop: 8 }}>
+            <button onClick={addFault} style={ACTION_BUTTON_STYLE("#4CC9F0")}>+ New</button>
+            <button onClick={cloneFault} style={ACTION_BUTTON_STYLE("#4CC9F0")}>⧉ Clone</button>
+            <button onClick={() => update({ retired: !draft.retired })} style={ACTION_BUTTON_STYLE(draft.retired ? "#00C9A7" : "#f97316")}>
+              {draft.retired ? "↺ Restore" : "⏻ Retire"}
+            </button>
+          </div>
+        </div>
+
+        {/* Fault Editor */}
+        <div>
+          <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginBottom: 12 }}>
+            <label style={label}>Name{field("name", 150)}</label>
+            <label style={label}>Driver
+              <select value={draft.param} style={{ ...INPUT_STYLE, width: 130 }} onChange={e => update({ param: e.target.value })}>
+                {!params[draft.param] && <option value={draft.param}>{draft.param} (not monitored)</option>}
+                {Object.entries(params).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}
+              </select>
+            </label>
+            <label style={label}>Δ injected ({params[draft.param]?.unit ?? "units"}){field("delta", 70, "number")}</label>
+            <label style={label}>Duration (samples){field("duration", 60, "number")}</label>
+            <label style={label}>Profile
+              <select value={draft.profile ?? "step"} style={{ ...INPUT_STYLE, width: 140 }} onChange={e => update({ profile: e.target.value })}>
+                {FAULT_PROFILES.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+              </select>
+            </label>
+            <label style={label}>Severity
+              <select value={draft.severity} style={{ ...INPUT_STYLE, width: 90 }} onChange={e => update({ severity: e.target.value })}>
+                {FAULT_SEVERITIES.map(sev => <option key={sev} value={sev}>{sev}</option>)}
+              </select>
+            </label>
+            <label style={label}>Colour
+              <input type="color" value={draft.color} onChange={e => update({ color: e.target.value })}
+                style={{ width: 28, height: 20, padding: 0, border: "none", background: "none" }} />
+            </label>
+          </div>
+
+          <div style={heading}>Signature — expected share of the contribution pattern and direction of the deviation</div>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "flex-end", marginBottom: 6 }}>
+            {signatureKeys.map(k => (
+              <label key={k} style={label}>
+                <span style={{ color: params[k]?.color ?? "#475569" }}>{params[k]?.short ?? `${k} (not monitored)`}</span>
+                <input type="number" step={0.01} min={0} max={1} value={draft.signature[k] ?? ""} style={{ ...INPUT_STYLE, width: 58 }}
+                  onChange={e => update({ signature: { ...draft.signature, [k]: e.target.value } })} />
+                <select value={draft.directions[k] ?? ""} style={{ ...INPUT_STYLE, width: 58 }}
+                  onChange={e => update({ directions: { ...draft.directions, [k]: e.target.value } })}>
+                  <option value="">either</option>
+                  <option value="HIGH">↑ high</option>
+                  <option value="LOW">↓ low</option>
+                </select>
+              </label>
+            ))}
+            <button onClick={() => update({ signature: normalizeSignature(draft.signature) })} style={ACTION_BUTTON_STYLE("#A78BFA")}>
+              Σ Normalise
+            </button>
+            <span style={{ fontSize: 10, color: sumOk ? "#00C9A7" : "#f97316", fontFamily: "monospace" }}>
+              Σ = {signatureSum.toFixed(3)}
+            </span>
+          </div>
+
+          <div style={{ ...heading, marginTop: 10 }}>Coupled responses — σ each variable moves per σ of driver deviation (simulator only)</div>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "flex-end", marginBottom: 6 }}>
+            {effectKeys.map(k => (
+              <label key={k} style={label}>
+                <span style={{ color: params[k]?.color ?? "#475569" }}>{params[k]?.short ?? `${k} (not monitored)`}</span>
+                <input type="number" step={0.1} min={-MAX_EFFECT_GAIN} max={MAX_EFFECT_GAIN} value={draft.effects[k] ?? ""}
+                  style={{ ...INPUT_STYLE, width: 58 }} onChange={e => update({ effects: { ...draft.effects, [k]: e.target.value } })} />
+              </label>
+            ))}
+          </div>
+
+          <label style={{ ...label, marginTop: 10 }}>Root cause mechanism
+            <textarea value={draft.mechanism} rows={2} onChange={e => update({ mechanism: e.target.value })}
+              style={{ ...INPUT_STYLE, width: "100%", resize: "vertical", lineHeight: 1.5 }} />
+          </label>
+          <label style={{ ...label, marginTop: 10 }}>Corrective actions — one per line
+            <textarea value={draft.actionsText} rows={5} onChange={e => update({ actionsText: e.target.value })}
+              style={{ ...INPUT_STYLE, width: "100%", resize: "vertical", lineHeight: 1.5 }} />
+          </label>
+          <label style={{ ...label, marginTop: 10 }}>Standards / references
+            <input type="text" value={draft.references} onChange={e => update({ references: e.target.value })}
+              style={{ ...INPUT_STYLE, width: "100%" }} />
+          </label>
+          {problem && <div style={{ color: "#f97316", fontSize: 10, marginTop: 8 }}>⚠ {problem}</div>}
         </div>
       </div>
 
-      {/* Radar — Process State */}
-      <div style={{ gridColumn: "1 / -1" }}>
-        <div style={{ color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 8 }}>
-          Process State Radar  <span style={{ color: "#334155" }}>|z| normalized deviation from nominal</span>
-        </div>
-        <div style={{ height: 180 }}>
-          <ResponsiveContainer width="100%" height="100%">
-            <RadarChart data={contributions.map(c => ({ param: c.label, deviation: Math.abs(c.z), limit: 3 }))}>
-              <PolarGrid stroke="#1e293b" />
-              <PolarAngleAxis dataKey="param" tick={{ fontSize: 10, fill: "#64748b" }} />
-              <PolarRadiusAxis angle={30} domain={[0, 4]} tick={{ fontSize: 8, fill: "#334155" }} />
-              <Radar name="Current" dataKey="deviation" stroke="#4CC9F0" fill="#4CC9F0" fillOpacity={0.2} />
-              <Radar name="3σ Limit" dataKey="limit" stroke="#ef444455" fill="none" strokeDasharray="4 4" />
-              <Tooltip
-                contentStyle={{ background: "#0f172a", border: "1px solid #334155", fontSize: 10, fontFamily: "monospace" }}
-                formatter={(v) => [`|z| = ${v}`, "Std. Deviations"]}
-              />
-            </RadarChart>
-          </ResponsiveContainer>
-        </div>
+      <div style={{ fontSize: 10, color: "#334155", marginBottom: 10, lineHeight: 1.6 }}>
+        Applied changes take effect at once: the injection buttons, the hypothesis ranking, new alarm snapshots and
+        the open alarm episode use the new library. Retired fault modes stay in the library and its exports but are
+        neither injected nor ranked. Names must be unique — logged alarms and episodes refer to fault modes by name.
+      </div>
+
+      {message && (
+        <div style={{
+          background: message.ok ? "#0a2a1a" : "#2d0a0a", border: `1px solid ${message.ok ? "#10b981" : "#ef4444"}`,
+          borderRadius: 8, padding: "8px 12px", marginBottom: 12, fontSize: 11,
+          color: message.ok ? "#6ee7b7" : "#fca5a5"
+        }}>{message.ok ? "✓" : "⚠"} {message.text}</div>
+      )}
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", borderTop: "1px solid #1e293b", paddingTop: 12 }}>
+        <button onClick={apply} style={ACTION_BUTTON_STYLE("#00C9A7")}>✓ Apply Fault Library</button>
+        <button onClick={() => { loadDraft(library); setMessage(null); }} style={ACTION_BUTTON_STYLE("#64748b")}>
+          ✕ Discard Changes
+        </button>
+        <button onClick={exportDraft} style={ACTION_BUTTON_STYLE("#4CC9F0")}>⬇ Export JSON</button>
+        <label style={ACTION_BUTTON_STYLE("#4CC9F0")}>
+          ⬆ Import JSON
+          <input type="file" accept=".json,application/json" hidden
+            onChange={e => { importLibrary(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+        <button onClick={() => { loadDraft(DEFAULT_FAULT_LIBRARY); report(true, "Built-in fault library loaded — apply to use it"); }}
+          style={ACTION_BUTTON_STYLE("#f97316")}>↺ Load Defaults</button>
       </div>
     </div>
   );
 }
 
-// ─── Fault Diagnosis Panel ────────────────────────────────────────────────────
-function FaultDiagnosisPanel({ latestPoint, alarmLog }) {
-  const [expanded, setExpanded] = useState(null);
+// ─── Signature Calibration Panel ─────────────────────────────────────────────
+// Label cleared alarm episodes with the fault mode that caused them, collect
+// them in the calibration set, compare the learned signatures with the
+// library's and accept the ones that diagnose better.
+function SignatureCalibrationPanel({ episodes, library, params, examples, confirmations, source, onExamplesChange, onApplyLibrary }) {
+  const [labels, setLabels] = useState({});
+  const [message, setMessage] = useState(null);
 
-  if (!latestPoint) return (
-    <div style={{ color: "#334155", textAlign: "center", padding: "32px 0", fontSize: 12 }}>
-      Start the process to activate fault diagnosis
+  const report = (ok, text) => setMessage({ ok, text });
+  const names = library.filter(f => !f.retired).map(f => f.name);
+  const cleared = episodes.filter(e => e.clear);
+  const confirmedOf = e => confirmations.find(c => c.episode === e.id && names.includes(c.fault))?.fault;
+  const labelOf = e => labels[e.id] ?? confirmedOf(e) ?? (e.injected?.length === 1 && names.includes(e.injected[0]) ? e.injected[0] : "");
+  const collected = new Set(examples.map(ex => ex.id));
+  const addable = cleared.filter(e => labelOf(e) && !collected.has(e.id));
+  const addExamples = eps => onExamplesChange([...examples, ...eps.map(e => calibrationExample(e, labelOf(e), source))]);
+
+  const learned = learnSignatures(examples.filter(ex => names.includes(ex.fault)));
+  const accuracy = leaveOneOutAccuracy(examples, library);
+  const pct = (k, n) => (n ? `${((k / n) * 100).toFixed(0)}%` : "—");
+
+  const accept = (name) => {
+    try {
+      const signature = normalizeSignature(learned.get(name).signature);
+      const next = buildFaultLibrary(library.map(f => (f.name === name ? { ...f, signature } : f)));
+      onApplyLibrary(next);
+      try {
+        storeFaultLibrary(next);
+        report(true, `Learned signature accepted for ${name} — saved with the fault library`);
+      } catch (err) {
+        report(true, `Learned signature accepted for ${name} (not saved: ${err.message})`);
+      }
+    } catch (err) {
+      report(false, err.message);
+    }
+  };
+
+  const importSet = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      const imported = deserializeCalibrationSet(JSON.parse(text)).filter(ex => !collected.has(ex.id));
+      onExamplesChange([...examples, ...imported]);
+      report(true, `Added ${imported.length} examples from ${file.name}`);
+    }).catch(err => report(false, err.message));
+  };
+
+  const heading = { color: "#64748b", fontSize: 9, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 };
+  const faultColor = name => library.find(f => f.name === name)?.color ?? "#94a3b8";
+
+  return (
+    <div>
+      {/* Episode Labelling */}
+      <div style={heading}>Cleared episodes — label with the fault mode that caused them</div>
+      {cleared.length === 0 && (
+        <div style={{ color: "#334155", fontSize: 10, marginBottom: 10 }}>
+          No cleared alarm episodes in this session — inject faults in the simulator, replay labelled history or
+          import an incident bundle.
+        </div>
+      )}
+      <div style={{ maxHeight: 220, overflowY: "auto", marginBottom: 8 }}>
+        {cleared.map(e => (
+          <div key={e.id} style={{ display: "flex", gap: 12, alignItems: "center", padding: "4px 8px", fontSize: 10,
+            background: "#0c1428", borderRadius: 4, marginBottom: 3 }}>
+            <span style={{ color: "#64748b", fontFamily: "monospace", minWidth: 130 }}>{sampleTimeLabel(e.onset)}</span>
+            <span style={{ color: "#94a3b8", minWidth: 70 }}>{e.duration} samples</span>
+            <span style={{ color: "#475569", minWidth: 150 }}>top: {topFaultName(e) ?? "—"}</span>
+            <span style={{ color: "#475569", minWidth: 140 }}>injected: {e.injected?.join(", ") || "—"}</span>
+            <select value={labelOf(e)} disabled={collected.has(e.id)} style={{ ...INPUT_STYLE, width: 140 }}
+              onChange={ev => setLabels(prev => ({ ...prev, [e.id]: ev.target.value }))}>
+              <option value="">unlabelled</option>
+              {names.map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+            {collected.has(e.id)
+              ? <span style={{ color: "#00C9A7" }}>✓ in set</span>
+              : <button onClick={() => addExamples([e])} disabled={!labelOf(e)}
+                  style={{ ...ACTION_BUTTON_STYLE("#4CC9F0", !!labelOf(e)), padding: "2px 8px" }}>+ Add</button>}
+          </div>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 14 }}>
+        <button onClick={() => addExamples(addable)} disabled={!addable.length} style={ACTION_BUTTON_STYLE("#4CC9F0", addable.length > 0)}>
+          + Add All Labelled ({addable.length})
+        </button>
+        <span style={{ fontSize: 10, color: "#334155" }}>
+          Calibration set: {examples.length} example{examples.length === 1 ? "" : "s"}
+          {[...learned].map(([name, l]) => ` · ${name} ${l.n}`).join("")}
+        </span>
+      </div>
+
+      {/* Leave-One-Out Accuracy */}
+      <div style={heading}>Leave-one-out diagnosis accuracy</div>
+      {accuracy.n === 0 ? (
+        <div style={{ color: "#334155", fontSize: 10, marginBottom: 14 }}>Add labelled examples to score the library</div>
+      ) : (
+        <table style={{ borderCollapse: "collapse", fontSize: 10, marginBottom: 14 }}>
+          <thead>
+            <tr style={{ color: "#334155", textAlign: "left" }}>
+              {["Fault mode", "Examples", "Current signatures", "Learned signatures"].map(h => (
+                <th key={h} style={{ fontWeight: 400, padding: "0 16px 4px 0" }}>{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(accuracy.perFault).map(([name, a]) => (
+              <tr key={name}>
+                <td style={{ color: faultColor(name), padding: "2px 16px 2px 0" }}>{name}</td>
+                <td style={{ color: "#94a3b8", fontFamily: "monospace" }}>{a.n}</td>
+                <td style={{ color: "#94a3b8", fontFamily: "monospace" }}>{a.before}/{a.n} ({pct(a.before, a.n)})</td>
+                <td style={{ color: a.after >= a.before ? "#00C9A7" : "#f97316", fontFamily: "monospace" }}>{a.after}/{a.n} ({pct(a.after, a.n)})</td>
+              </tr>
+            ))}
+            <tr style={{ borderTop: "1px solid #1e293b", fontWeight: 700 }}>
+              <td style={{ color: "#e2e8f0", padding: "4px 16px 2px 0" }}>All</td>
+              <td style={{ color: "#e2e8f0", fontFamily: "monospace" }}>{accuracy.n}</td>
+              <td style={{ color: "#e2e8f0", fontFamily: "monospace" }}>{pct(accuracy.before, accuracy.n)}</td>
+              <td style={{ color: accuracy.after >= accuracy.before ? "#00C9A7" : "#f97316", fontFamily: "monospace" }}>
+                {pct(accuracy.after, accuracy.n)}
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+
+      {/* Learned vs Current Signatures */}
+      <div style={heading}>Learned signatures — mean share ± spread against the library</div>
+      {learned.size === 0 && <div style={{ color: "#334155", fontSize: 10, marginBottom: 10 }}>No fault mode has examples yet</div>}
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(300px, 1fr))", gap: 10, marginBottom: 10 }}>
+        {[...learned].map(([name, l]) => {
+          const current = library.find(f => f.name === name).signature;
+          const keys = [...new Set([...Object.keys(current), ...Object.keys(l.signature)])]
+            .sort((a, b) => (l.signature[b] ?? 0) - (l.signature[a] ?? 0));
+          return (
+            <div key={name} style={{ background: "#0f172a", border: `1px solid ${faultColor(name)}44`, borderRadius: 6, padding: "8px 10px" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6, fontSize: 11 }}>
+                <span style={{ color: faultColor(name), fontWeight: 700 }}>{name}</span>
+                <span style={{ color: "#475569", fontSize: 10 }}>
+                  n = {l.n} · cos = {signatureSimilarity(current, l.signature).toFixed(3)}
+                </span>
+              </div>
+              {keys.map(k => {
+                const cur = (current[k] ?? 0) * 100;
+                const mean = (l.signature[k] ?? 0) * 100;
+                const delta = mean - cur;
+                return (
+                  <div key={k} style={{ display: "grid", gridTemplateColumns: "40px 1fr 110px 50px", gap: 6, alignItems: "center", fontSize: 9, marginBottom: 2 }}>
+                    <span style={{ color: params[k]?.color ?? "#94a3b8", fontWeight: 700 }}>{params[k]?.short ?? k}</span>
+                    <div style={{ position: "relative", height: 8, background: "#1e293b", borderRadius: 2 }}>
+                      <div style={{ position: "absolute", height: "100%", width: `${mean}%`, background: params[k]?.color ?? "#94a3b8", opacity: 0.8, borderRadius: 2 }} />
+                      <div style={{ position: "absolute", left: `${cur}%`, top: -2, bottom: -2, width: 2, background: "#e2e8f0" }} title="Current signature" />
+                    </div>
+                    <span style={{ color: "#94a3b8", fontFamily: "monospace" }}>
+                      {mean.toFixed(1)} ± {((l.spread[k] ?? 0) * 100).toFixed(1)}% / {cur.toFixed(0)}%
+                    </span>
+                    <span style={{ color: Math.abs(delta) < 5 ? "#475569" : "#FFD166", fontFamily: "monospace", textAlign: "right" }}>
+                      {delta > 0 ? "+" : ""}{delta.toFixed(1)}
+                    </span>
+                  </div>
+                );
+              })}
+              <button onClick={() => accept(name)} style={{ ...ACTION_BUTTON_STYLE("#00C9A7"), marginTop: 6 }}>✓ Accept Learned Signature</button>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ fontSize: 10, color: "#334155", marginBottom: 10, lineHeight: 1.6 }}>
+        Episodes are labelled with their confirmed root cause, or else the injected fault mode; label other
+        replayed or imported episodes by hand. Each example is the episode's mean contribution profile. Bars show the learned mean share, the white
+        mark the current signature weight. The calibration set is saved in the browser.
+      </div>
+
+      {message && (
+        <div style={{
+          background: message.ok ? "#0a2a1a" : "#2d0a0a", border: `1px solid ${message.ok ? "#10b981" : "#ef4444"}`,
+          borderRadius: 8, padding: "8px 12px", marginBottom: 12, fontSize: 11,
+          color: message.ok ? "#6ee7b7" : "#fca5a5"
+        }}>{message.ok ? "✓" : "⚠"} {message.text}</div>
+      )}
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", borderTop: "1px solid #1e293b", paddingTop: 12 }}>
+        <button onClick={() => downloadJSON("calibration-set.json", serializeCalibrationSet(examples))} disabled={!examples.length}
+          style={ACTION_BUTTON_STYLE("#4CC9F0", examples.length > 0)}>⬇ Export Set</button>
+        <label style={ACTION_BUTTON_STYLE("#4CC9F0")}>
+          ⬆ Import Set
+          <input type="file" accept=".json,application/json" hidden
+            onChange={e => { importSet(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+        <button onClick={() => { onExamplesChange([]); report(true, "Calibration set cleared"); }} disabled={!examples.length}
+          style={ACTION_BUTTON_STYLE("#ef4444", examples.length > 0)}>✕ Clear Set</button>
+      </div>
     </div>
   );
+}
+
+// ─── Unexplained Alarms Panel ────────────────────────────────────────────────
+// Cleared episodes that no fault mode matches well enough, grouped by their
+// contribution pattern. A recurring group can be promoted into the library
+// as a new fault mode with the group's mean pattern as its signature.
+function UnexplainedAlarmsPanel({ episodes, library, params, minMatch, onApplyLibrary }) {
+  const [similarity, setSimilarity] = useState(DEFAULT_CLUSTER_SIMILARITY);
+  const [names, setNames] = useState({});
+  const [message, setMessage] = useState(null);
+
+  const report = (ok, text) => setMessage({ ok, text });
+  const cleared = episodes.filter(e => e.clear);
+  const unexplained = unexplainedEpisodes(episodes, library, minMatch);
+  const clusters = clusterEpisodes(unexplained, similarity);
+  const number = e => episodes.length - episodes.indexOf(e);
+  const defaultName = (i) => {
+    let n = i + 1;
+    while (library.some(f => f.name.toLowerCase() === `unknown pattern ${n}`)) n += 1;
+    return `Unknown Pattern ${n}`;
+  };
+
+  const promote = (cluster, i) => {
+    const name = (names[cluster.id] ?? defaultName(i)).trim();
+    try {
+      const next = buildFaultLibrary([...library, clusterFaultMode(cluster, params, name)]);
+      onApplyLibrary(next);
+      try {
+        storeFaultLibrary(next);
+        report(true, `Added "${name}" to the fault library — describe its mechanism and actions above`);
+      } catch (err) {
+        report(true, `Added "${name}" to the fault library (not saved: ${err.message})`);
+      }
+    } catch (err) {
+      report(false, err.message);
+    }
+  };
 
-  const contributions = computeContributions(latestPoint);
-  const diagnoses = diagnoseFault(contributions);
-  const top = diagnoses[0];
-  const isAnomalous = latestPoint.t2_anomaly;
+  const heading = { color: "#64748b", fontSize: 9, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 };
 
   return (
     <div>
-      {/* Confidence Ranking */}
-      <div style={{ color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 12 }}>
-        Fault Hypothesis Ranking  <span style={{ color: "#334155" }}>— cosine similarity to fault signature library</span>
+      <div style={{ display: "flex", gap: 12, alignItems: "center", flexWrap: "wrap", marginBottom: 10, fontSize: 10 }}>
+        <span style={{ color: "#94a3b8" }}>
+          {unexplained.length} of {cleared.length} cleared episode{cleared.length === 1 ? "" : "s"} below the {minMatch}% minimum match
+          {" "}in {clusters.length} cluster{clusters.length === 1 ? "" : "s"}
+        </span>
+        <label style={{ color: "#475569", display: "flex", gap: 4, alignItems: "center" }}>
+          cluster similarity ≥
+          <input type="number" step={0.05} min={0.5} max={0.99} value={similarity} style={{ ...INPUT_STYLE, width: 56 }}
+            onChange={e => { const v = optionalNumber(e.target.value); if (v !== null && v >= 0.5 && v <= 0.99) setSimilarity(v); }} />
+        </label>
       </div>
 
-      {!isAnomalous && (
-        <div style={{ background: "#0a2a1a", border: "1px solid #10b981", borderRadius: 8,
-          padding: "10px 14px", marginBottom: 12, fontSize: 11, color: "#6ee7b7" }}>
-          ✓ Process currently in statistical control — diagnosis scores reflect baseline noise pattern.
-          Inject a fault to see active diagnosis.
+      {clusters.length === 0 && (
+        <div style={{ color: "#334155", fontSize: 10, marginBottom: 10 }}>
+          Every cleared episode in this session matches a fault mode — nothing to cluster
         </div>
       )}
-
-      {diagnoses.map((d, i) => (
-        <div key={d.name} style={{ marginBottom: 8 }}>
-          <div
-            onClick={() => setExpanded(expanded === d.name ? null : d.name)}
-            style={{
-              display: "flex", alignItems: "center", gap: 10,
-              background: expanded === d.name ? "#1a2540" : "#0f172a",
-              border: `1px solid ${i === 0 && isAnomalous ? d.color : "#1e293b"}`,
-              borderRadius: 8, padding: "10px 14px", cursor: "pointer",
-              transition: "all 0.2s",
-              boxShadow: i === 0 && isAnomalous ? `0 0 12px ${d.color}33` : "none"
-            }}>
-            {/* Rank Badge */}
-            <div style={{
-              width: 22, height: 22, borderRadius: "50%", display: "flex", alignItems: "center",
-              justifyContent: "center", fontSize: 11, fontWeight: 800, flexShrink: 0,
-              background: i === 0 && isAnomalous ? d.color : "#1e293b",
-              color: i === 0 && isAnomalous ? "#fff" : "#475569"
-            }}>{i + 1}</div>
-
-            {/* Fault Name + Severity */}
-            <div style={{ flex: 1 }}>
-              <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-                <span style={{ color: i === 0 && isAnomalous ? d.color : "#94a3b8", fontWeight: 700, fontSize: 12 }}>
-                  {d.name}
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(320px, 1fr))", gap: 10, marginBottom: 10 }}>
+        {clusters.map((c, i) => {
+          const nearest = diagnoseFault(Object.entries(c.centroid).map(([key, v]) => ({ key, value: Math.abs(v), z: v })), library)[0];
+          const keys = Object.keys(c.centroid).sort((a, b) => Math.abs(c.centroid[b]) - Math.abs(c.centroid[a]));
+          return (
+            <div key={c.id} style={{ background: "#0f172a", border: `1px solid ${UNRECOGNISED_COLOR}44`, borderRadius: 6, padding: "8px 10px" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6, fontSize: 11 }}>
+                <span style={{ color: "#e2e8f0", fontWeight: 700 }}>
+                  Cluster {i + 1} — {c.members.length} episode{c.members.length === 1 ? "" : "s"}
                 </span>
-                <span style={{
-                  fontSize: 9, padding: "1px 6px", borderRadius: 3, fontWeight: 700, letterSpacing: 1,
-                  background: `${SEVERITY_COLORS[d.severity]}22`,
-                  color: SEVERITY_COLORS[d.severity],
-                  border: `1px solid ${SEVERITY_COLORS[d.severity]}44`
-                }}>{d.severity}</span>
+                <span style={{ color: "#475569", fontSize: 10 }}>cohesion {c.cohesion.toFixed(2)}</span>
               </div>
-              <div style={{ color: "#475569", fontSize: 10, marginTop: 2 }}>
-                Primary driver: <span style={{ color: PARAMS[d.param].color }}>{PARAMS[d.param].label}</span>
+              <div style={heading}>Mean signed contribution share</div>
+              {keys.map(k => {
+                const v = c.centroid[k] * 100;
+                return (
+                  <div key={k} style={{ display: "grid", gridTemplateColumns: "40px 1fr 60px", gap: 6, alignItems: "center", fontSize: 9, marginBottom: 2 }}>
+                    <span style={{ color: params[k]?.color ?? "#94a3b8", fontWeight: 700 }}>{params[k]?.short ?? k}</span>
+                    <div style={{ position: "relative", height: 8, background: "#1e293b", borderRadius: 2 }}>
+                      <div style={{ position: "absolute", left: "50%", top: -2, bottom: -2, width: 1, background: "#475569" }} />
+                      <div style={{
+                        position: "absolute", height: "100%", borderRadius: 2, opacity: 0.8, background: params[k]?.color ?? "#94a3b8",
+                        left: v < 0 ? `${50 + v / 2}%` : "50%", width: `${Math.abs(v) / 2}%`,
+                      }} />
+                    </div>
+                    <span style={{ color: "#94a3b8", fontFamily: "monospace", textAlign: "right" }}>
+                      {v < 0 ? "↓" : "↑"} {Math.abs(v).toFixed(1)}%
+                    </span>
+                  </div>
+                );
+              })}
+              <div style={{ color: "#475569", fontSize: 9, margin: "6px 0" }}>
+                Nearest fault mode: {nearest ? `${nearest.name} ${nearest.confidence}%` : "—"}
+              </div>
+              <div style={{ color: "#64748b", fontSize: 9, marginBottom: 6, lineHeight: 1.6 }}>
+                {c.members.map(e => `#${number(e)} ${sampleTimeLabel(e.onset)} (${e.duration})`).join(" · ")}
+              </div>
+              <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                <input type="text" value={names[c.id] ?? defaultName(i)} style={{ ...INPUT_STYLE, flex: 1 }}
+                  onChange={e => setNames(prev => ({ ...prev, [c.id]: e.target.value }))} />
+                <button onClick={() => promote(c, i)} style={ACTION_BUTTON_STYLE("#00C9A7")}>⇪ Promote to Fault Mode</button>
               </div>
             </div>
+          );
+        })}
+      </div>
 
-            {/* Confidence Bar */}
-            <div style={{ width: 120, textAlign: "right" }}>
-              <div style={{ color: i === 0 && isAnomalous ? d.color : "#475569", fontFamily: "monospace", fontSize: 13, fontWeight: 700 }}>
-                {d.confidence}%
+      <div style={{ fontSize: 10, color: "#334155", marginBottom: 10, lineHeight: 1.6 }}>
+        Episodes are rescored against the current library, so a promoted cluster drops out of this list. Bars point right for
+        variables that ran high and left for low. A promoted fault mode takes the cluster's mean pattern as its signature and
+        its signs as expected directions; its mechanism and actions are left for the engineer to fill in.
+      </div>
+
+      {message && (
+        <div style={{
+          background: message.ok ? "#0a2a1a" : "#2d0a0a", border: `1px solid ${message.ok ? "#10b981" : "#ef4444"}`,
+          borderRadius: 8, padding: "8px 12px", fontSize: 11,
+          color: message.ok ? "#6ee7b7" : "#fca5a5"
+        }}>{message.ok ? "✓" : "⚠"} {message.text}</div>
+      )}
+    </div>
+  );
+}
+
+// ─── Historian Replay Panel ──────────────────────────────────────────────────
+// Upload a timestamped historian export, map its columns to the monitored
+// variables, and load it as the data source in place of the simulator.
+function ReplayPanel({ params, replay, onLoad }) {
+  const [table, setTable] = useState(null);      // { name, delim, header, rows }
+  const [mapping, setMapping] = useState(null);  // { timestamp, columns } as column indices
+  const [message, setMessage] = useState(null);
+  const keys = Object.keys(params);
+
+  const report = (ok, text) => setMessage({ ok, text });
+
+  const loadCsv = (file) => {
+    if (!file) return;
+    file.text().then(text => {
+      const parsed = readCSVTable(text);
+      const guess = guessReplayMapping(parsed.header, params, loadReplayMapping());
+      setTable({ name: file.name, ...parsed });
+      setMapping(guess);
+      const open = keys.filter(k => guess.columns[k] < 0).length + (guess.timestamp < 0 ? 1 : 0);
+      report(true, `Read ${parsed.rows.length} rows × ${parsed.header.length} columns from ${file.name}` +
+        (open ? ` — ${open} column(s) still to map` : " — all columns mapped"));
+    }).catch(err => report(false, err.message));
+  };
+
+  const load = () => {
+    try {
+      const built = buildReplay(table, mapping, params);
+      onLoad({ name: table.name, ...built });
+      try {
+        storeReplayMapping(table.header, mapping);
+      } catch {
+        // mapping is only a convenience for the next upload
+      }
+      report(true, `Loaded ${built.samples.length} samples` +
+        (built.skipped ? ` (${built.skipped} incomplete rows skipped)` : "") + " — press ▶ PLAY to replay");
+    } catch (err) {
+      report(false, err.message);
+    }
+  };
+
+  const first = table?.rows[0] ?? [];
+  const columnSelect = (value, onChange) => (
+    <select value={value} onChange={e => onChange(parseInt(e.target.value, 10))} style={{ ...INPUT_STYLE, width: 220 }}>
+      <option value={-1}>— not mapped —</option>
+      {table.header.map((h, i) => <option key={i} value={i}>{h}{first[i] ? `  (${first[i]})` : ""}</option>)}
+    </select>
+  );
+  const span = replay && { start: replay.samples[0].time, end: replay.samples[replay.samples.length - 1].time };
+  const stamp = table && mapping.timestamp >= 0 ? parseTimestamp(first[mapping.timestamp]) : NaN;
+  const labelStyle = { color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 8 };
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+        <label style={ACTION_BUTTON_STYLE("#4CC9F0")}>
+          ⬆ Upload Historian CSV
+          <input type="file" accept=".csv,text/csv,text/plain" hidden
+            onChange={e => { loadCsv(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+        <button onClick={load} disabled={!table} style={ACTION_BUTTON_STYLE("#00C9A7", !!table)}>▶ Load Replay</button>
+      </div>
+
+      <div style={{ fontSize: 10, color: "#334155", marginBottom: 10, lineHeight: 1.6 }}>
+        One row per sample with a timestamp column (ISO 8601 such as 2026-02-20 14:03:05, or Unix epoch seconds /
+        milliseconds) and one column per monitored variable. Columns are matched by key, label or short code, or by
+        the mapping used last time; adjust any that are wrong before loading.
+      </div>
+
+      {message && (
+        <div style={{
+          background: message.ok ? "#0a2a1a" : "#2d0a0a", border: `1px solid ${message.ok ? "#10b981" : "#ef4444"}`,
+          borderRadius: 8, padding: "8px 12px", marginBottom: 12, fontSize: 11,
+          color: message.ok ? "#6ee7b7" : "#fca5a5"
+        }}>{message.ok ? "✓" : "⚠"} {message.text}</div>
+      )}
+
+      {/* Column Mapping */}
+      {table && (
+        <div style={{ marginBottom: 14 }}>
+          <div style={labelStyle}>Column Mapping — {table.name}</div>
+          <div style={{ display: "grid", gridTemplateColumns: "160px 230px 1fr", gap: "6px 10px", alignItems: "center", fontSize: 10 }}>
+            <span style={{ color: "#94a3b8" }}>Timestamp</span>
+            {columnSelect(mapping.timestamp, i => setMapping(prev => ({ ...prev, timestamp: i })))}
+            <span style={{ color: Number.isFinite(stamp) ? "#475569" : "#ef4444" }}>
+              {mapping.timestamp < 0 ? "required" : Number.isFinite(stamp) ? `first row → ${formatTimestamp(stamp)}` : "first row is not a readable timestamp"}
+            </span>
+            {keys.map(k => (
+              <Fragment key={k}>
+                <span style={{ color: params[k].color }}>{params[k].label} ({params[k].short})</span>
+                {columnSelect(mapping.columns[k], i => setMapping(prev => ({ ...prev, columns: { ...prev.columns, [k]: i } })))}
+                <span style={{ color: mapping.columns[k] < 0 ? "#ef4444" : "#475569" }}>
+                  {mapping.columns[k] < 0 ? "required" : `nominal ${params[k].mean} ${params[k].unit}`}
+                </span>
+              </Fragment>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Loaded Replay Summary */}
+      {replay && (
+        <>
+          <div style={labelStyle}>Loaded Replay — {replay.name}</div>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(4,1fr)", gap: 8 }}>
+            {[
+              { label: "Samples", val: replay.samples.length },
+              { label: "Start", val: formatTimestamp(span.start) },
+              { label: "End", val: formatTimestamp(span.end) },
+              { label: "Mean Interval", val: replay.samples.length > 1
+                ? `${((span.end - span.start) / (replay.samples.length - 1) / 1000).toFixed(1)} s` : "—" },
+            ].map(kpi => (
+              <div key={kpi.label} style={{ background: "#0f172a", borderRadius: 8, padding: "8px 12px" }}>
+                <div style={{ color: "#334155", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>{kpi.label}</div>
+                <div style={{ color: "#4CC9F0", fontSize: 13, fontWeight: 700, marginTop: 3, fontFamily: "monospace" }}>{kpi.val}</div>
               </div>
-              <div style={{ height: 4, background: "#1e293b", borderRadius: 2, marginTop: 4 }}>
-                <div style={{
-                  width: `${d.confidence}%`, height: "100%", borderRadius: 2,
-                  background: i === 0 && isAnomalous ? d.color : "#334155",
-                  transition: "width 0.6s ease"
-                }} />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Fault Scenario Panel ────────────────────────────────────────────────────
+// Load a scenario file (or the built-in example), check its timeline, and
+// play it as the data source. The current position marks the events passed.
+function ScenarioPanel({ params, library, scenario, position, onLoad }) {
+  const [message, setMessage] = useState(null);
+
+  const report = (ok, text) => setMessage({ ok, text });
+  const load = (obj, source) => {
+    const next = deserializeScenario(obj, library, params);
+    onLoad(next);
+    report(true, `Loaded "${next.name}" from ${source}: ${next.events.length} events over ${next.length} samples`);
+  };
+
+  const importScenario = (file) => {
+    if (!file) return;
+    file.text().then(text => load(JSON.parse(text), file.name)).catch(err => report(false, err.message));
+  };
+
+  const loadExample = () => {
+    try {
+      load(EXAMPLE_SCENARIO, "the built-in example");
+    } catch (err) {
+      report(false, `${err.message} — the example needs the built-in fault modes`);
+    }
+  };
+
+  const exportScenario = () => {
+    const slug = (scenario?.name ?? EXAMPLE_SCENARIO.name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+    downloadJSON(`${slug || "scenario"}.json`, scenario ? serializeScenario(scenario) : EXAMPLE_SCENARIO);
+  };
+
+  const labelStyle = { color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 8 };
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+        <label style={ACTION_BUTTON_STYLE("#4CC9F0")}>
+          ⬆ Load Scenario JSON
+          <input type="file" accept=".json,application/json" hidden
+            onChange={e => { importScenario(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+        <button onClick={loadExample} style={ACTION_BUTTON_STYLE("#00C9A7")}>📜 Load Example</button>
+        <button onClick={exportScenario} style={ACTION_BUTTON_STYLE("#4CC9F0")}>
+          ⬇ Export {scenario ? "Scenario" : "Example"} JSON
+        </button>
+      </div>
+
+      <div style={{ fontSize: 10, color: "#334155", marginBottom: 10, lineHeight: 1.6 }}>
+        A scenario fixes the seed, the number of samples, the noise and a timeline of events:{" "}
+        <span style={{ color: "#64748b" }}>{'{"t":40,"fault":"Die Wear","scale":1.2,"duration":12}'}</span> injects a
+        fault mode with Δ × scale at sample t, and{" "}
+        <span style={{ color: "#64748b" }}>{'{"t":140,"recipe":"Ø 12 mm","setpoints":{"line_speed":43.5}}'}</span>{" "}
+        moves the in-control level of the listed variables until the next recipe. Faults may overlap (at most{" "}
+        {MAX_SIMULTANEOUS_FAULTS} at once). The run is generated when the scenario starts or is reset, against the active
+        model, so every play gives the same samples; fault injection is off while it plays.
+      </div>
+
+      {message && (
+        <div style={{
+          background: message.ok ? "#0a2a1a" : "#2d0a0a", border: `1px solid ${message.ok ? "#10b981" : "#ef4444"}`,
+          borderRadius: 8, padding: "8px 12px", marginBottom: 12, fontSize: 11,
+          color: message.ok ? "#6ee7b7" : "#fca5a5"
+        }}>{message.ok ? "✓" : "⚠"} {message.text}</div>
+      )}
+
+      {scenario && (
+        <>
+          <div style={labelStyle}>Loaded Scenario — {scenario.name}</div>
+          {scenario.description && <div style={{ color: "#64748b", fontSize: 11, marginBottom: 8 }}>{scenario.description}</div>}
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(4,1fr)", gap: 8, marginBottom: 10 }}>
+            {[
+              { label: "Samples", val: scenario.length },
+              { label: "Seed", val: scenario.seed },
+              { label: "Noise Scale", val: `${scenario.noise.noiseScale} σ` },
+              { label: "Autocorrelation φ", val: scenario.noise.autocorrelation },
+            ].map(kpi => (
+              <div key={kpi.label} style={{ background: "#0f172a", borderRadius: 8, padding: "8px 12px" }}>
+                <div style={{ color: "#334155", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>{kpi.label}</div>
+                <div style={{ color: "#4CC9F0", fontSize: 15, fontWeight: 700, marginTop: 3, fontFamily: "monospace" }}>{kpi.val}</div>
               </div>
-            </div>
-            <span style={{ color: "#334155", fontSize: 12 }}>{expanded === d.name ? "▲" : "▼"}</span>
+            ))}
           </div>
+          <div style={{ display: "grid", gridTemplateColumns: "70px 1fr", gap: "4px 10px", fontSize: 11 }}>
+            {scenario.events.map((e, i) => {
+              const color = e.mode ? e.mode.color : "#FFD166";
+              return (
+                <Fragment key={i}>
+                  <span style={{ color: "#475569", fontFamily: "monospace", opacity: position >= e.t ? 0.5 : 1 }}>t={e.t}</span>
+                  <span style={{ color, opacity: position >= e.t ? 0.5 : 1 }}>
+                    {position >= e.t ? "✓ " : ""}{describeScenarioEvent(e, params)}
+                  </span>
+                </Fragment>
+              );
+            })}
+            {!scenario.events.length && <span style={{ color: "#475569", gridColumn: "1 / -1" }}>No events — an in-control run</span>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Replay Transport ────────────────────────────────────────────────────────
+// Play / pause, single step, seek and speed for a loaded historian replay or
+// fault scenario. Speed scales the real interval between samples (1× = as
+// recorded, or the simulator's interval for a scenario).
+function ReplayTransport({ title = "Replay", samples, detail, cursor, running, speed, onPlayPause, onStep, onSeek, onSpeedChange }) {
+  const n = samples.length;
+  const current = samples[Math.max(0, cursor - 1)];
+  const button = { ...ACTION_BUTTON_STYLE("#4CC9F0"), padding: "4px 10px" };
+  return (
+    <div style={{
+      display: "flex", gap: 8, alignItems: "center", marginBottom: 12, padding: "8px 12px",
+      background: "#0c1428", border: "1px solid #1e3a5f", borderRadius: 8, fontSize: 10
+    }}>
+      <span style={{ color: "#4CC9F0", letterSpacing: 2, textTransform: "uppercase", fontSize: 9 }}>{title}</span>
+      <button onClick={() => onSeek(0)} title="Back to start" style={button}>⏮</button>
+      <button onClick={onPlayPause} style={button}>{running ? "⏸" : "▶"}</button>
+      <button onClick={onStep} disabled={running || cursor >= n} title="Next sample"
+        style={{ ...ACTION_BUTTON_STYLE("#4CC9F0", !running && cursor < n), padding: "4px 10px" }}>⏭</button>
+      <input type="range" min={0} max={n} value={cursor} onChange={e => onSeek(parseInt(e.target.value, 10))}
+        style={{ flex: 1, accentColor: "#4CC9F0" }} />
+      {detail && <span style={{ color: "#64748b" }}>{detail}</span>}
+      <span style={{ color: "#94a3b8", fontFamily: "monospace", minWidth: 230, textAlign: "right" }}>
+        {cursor ? sampleTimeLabel({ t: cursor, time: current.time }) : "—"} · {cursor}/{n}
+      </span>
+      <select value={speed} onChange={e => onSpeedChange(Number(e.target.value))} style={{ ...INPUT_STYLE, width: 62 }}>
+        {REPLAY_SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+      </select>
+    </div>
+  );
+}
+
+// ─── Simulator Settings Panel ────────────────────────────────────────────────
+// Noise settings for the built-in simulator. They apply from the next sample,
+// without resetting the window, so their effect on the charts is visible.
+function SimulatorSettingsPanel({ settings, onApply }) {
+  const [draft, setDraft] = useState(settings);
+  const [error, setError] = useState(null);
+
+  const apply = () => {
+    try {
+      onApply(normalizeSimulatorSettings(draft));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const labelStyle = { color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center" };
+  const changed = Number(draft.noiseScale) !== settings.noiseScale || Number(draft.autocorrelation) !== settings.autocorrelation;
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+        <label style={labelStyle}>
+          Noise scale (× σ)
+          <input type="number" step={0.1} min={0} max={MAX_NOISE_SCALE} value={draft.noiseScale}
+            onChange={e => setDraft(prev => ({ ...prev, noiseScale: e.target.value }))} style={INPUT_STYLE} />
+        </label>
+        <label style={labelStyle}>
+          Autocorrelation φ
+          <input type="number" step={0.05} min={0} max={MAX_AUTOCORRELATION} value={draft.autocorrelation}
+            onChange={e => setDraft(prev => ({ ...prev, autocorrelation: e.target.value }))} style={INPUT_STYLE} />
+        </label>
+        <button onClick={apply} disabled={!changed} style={ACTION_BUTTON_STYLE("#00C9A7", changed)}>✓ Apply</button>
+        <button onClick={() => { setDraft(DEFAULT_SIMULATOR_SETTINGS); setError(null); onApply(DEFAULT_SIMULATOR_SETTINGS); }}
+          style={ACTION_BUTTON_STYLE("#64748b")}>↺ Defaults</button>
+      </div>
+
+      <div style={{ fontSize: 10, color: "#334155", lineHeight: 1.6 }}>
+        In-control samples are Gaussian with each variable's σ (and, with a Phase I model, its estimated correlations)
+        scaled by the noise scale. φ &gt; 0 makes the noise an AR(1) series, so consecutive samples drift together the
+        way a line with thermal inertia does — expect more run-rule and EWMA alarms, which assume independent samples.
+        Injected faults follow the profile and coupled effects set for each fault mode in the Fault Library tab;
+        up to {MAX_SIMULTANEOUS_FAULTS} faults can run at once.
+      </div>
+
+      {error && (
+        <div style={{
+          background: "#2d0a0a", border: "1px solid #ef4444", borderRadius: 8,
+          padding: "8px 12px", marginTop: 10, fontSize: 11, color: "#fca5a5"
+        }}>⚠ {error}</div>
+      )}
+    </div>
+  );
+}
+
+// ─── WebSocket Source Panel ──────────────────────────────────────────────────
+// Connect to a streaming gateway, or to the stand-in simulator server in
+// server/, and watch connection health while samples arrive.
+function WebSocketSourcePanel({ params, settings, status, onConnect, onDisconnect }) {
+  const [draft, setDraft] = useState(settings);
+  const [error, setError] = useState(null);
+
+  const connect = () => {
+    const staleAfterMs = Number(draft.staleAfterMs);
+    if (!/^wss?:\/\/\S+$/.test(draft.url)) { setError("URL must start with ws:// or wss://"); return; }
+    if (!(staleAfterMs >= 500)) { setError("Stale timeout must be at least 0.5 s"); return; }
+    setError(null);
+    onConnect({ ...draft, staleAfterMs });
+  };
+
+  const labelStyle = { color: "#475569", fontSize: 10, display: "flex", gap: 4, alignItems: "center" };
+  const connectionColor = { open: "#00C9A7", connecting: "#FFD166", reconnecting: "#f97316", closed: "#475569" };
+  const qualityColor = { bad: "#ef4444", uncertain: "#FFD166" };
+  const flagged = Object.entries(status?.quality ?? {}).filter(([k]) => params[k]);
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+        <label style={labelStyle}>
+          URL
+          <input type="text" value={draft.url} onChange={e => setDraft(prev => ({ ...prev, url: e.target.value.trim() }))}
+            style={{ ...INPUT_STYLE, width: 220 }} />
+        </label>
+        <label style={labelStyle}>
+          Stale after (s)
+          <input type="number" step={0.5} min={0.5} value={draft.staleAfterMs / 1000}
+            onChange={e => setDraft(prev => ({ ...prev, staleAfterMs: parseFloat(e.target.value) * 1000 }))} style={INPUT_STYLE} />
+        </label>
+        <label style={labelStyle}>
+          <input type="checkbox" checked={draft.controlMessages}
+            onChange={e => setDraft(prev => ({ ...prev, controlMessages: e.target.checked }))} />
+          Send variable set + fault injections
+        </label>
+        <button onClick={connect} style={ACTION_BUTTON_STYLE("#00C9A7")}>{status ? "↻ Reconnect" : "🔌 Connect"}</button>
+        {status && <button onClick={onDisconnect} style={ACTION_BUTTON_STYLE("#f97316")}>⏏ Disconnect</button>}
+      </div>
+
+      <div style={{ fontSize: 10, color: "#334155", marginBottom: 10, lineHeight: 1.6 }}>
+        The server sends one JSON message per sample —{" "}
+        <span style={{ color: "#64748b" }}>{'{"type":"sample","time":…,"values":{"barrel_temp":200.4,…}}'}</span> —
+        with every monitored variable; time is epoch ms / s or ISO 8601 and defaults to the receive time. An optional{" "}
+        <span style={{ color: "#64748b" }}>"quality"</span> object carries OPC-UA status code names per variable:
+        samples with a Bad variable are dropped, Uncertain ones are used. Lost connections are retried with exponential
+        backoff. Control messages (configure, inject) are for servers that accept them, such as{" "}
+        <span style={{ color: "#64748b" }}>node server/simulator-server.mjs</span> or the OPC-UA bridge{" "}
+        <span style={{ color: "#64748b" }}>node server/opcua-bridge.mjs</span>.
+      </div>
+
+      {error && (
+        <div style={{
+          background: "#2d0a0a", border: "1px solid #ef4444", borderRadius: 8,
+          padding: "8px 12px", marginBottom: 12, fontSize: 11, color: "#fca5a5"
+        }}>⚠ {error}</div>
+      )}
+
+      {status && (
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(5,1fr)", gap: 8 }}>
+          {[
+            { label: "Connection", val: (status.connection ?? "closed").toUpperCase(), color: connectionColor[status.connection] ?? "#475569" },
+            { label: "Samples", val: status.received ?? 0, color: status.stale ? "#f97316" : "#4CC9F0" },
+            { label: "Rejected", val: status.rejected ?? 0, color: status.rejected ? "#ef4444" : "#4CC9F0" },
+            { label: "Bad Quality", val: status.badQuality ?? 0, color: status.badQuality ? "#ef4444" : "#4CC9F0" },
+            { label: "Reconnects", val: status.attempt ?? 0, color: status.attempt ? "#f97316" : "#4CC9F0" },
+          ].map(kpi => (
+            <div key={kpi.label} style={{ background: "#0f172a", borderRadius: 8, padding: "8px 12px" }}>
+              <div style={{ color: "#334155", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>{kpi.label}</div>
+              <div style={{ color: kpi.color, fontSize: 15, fontWeight: 700, marginTop: 3, fontFamily: "monospace" }}>{kpi.val}</div>
+            </div>
+          ))}
+          {flagged.length > 0 && (
+            <div style={{ gridColumn: "1 / -1", fontSize: 10, display: "flex", gap: 12, flexWrap: "wrap" }}>
+              <span style={{ color: "#475569" }}>Quality:</span>
+              {flagged.map(([k, code]) => (
+                <span key={k} style={{ color: qualityColor[qualitySeverity(code)], fontFamily: "monospace" }}>
+                  {params[k].short} {code}
+                </span>
+              ))}
+            </div>
+          )}
+          {status.error && (
+            <div style={{ gridColumn: "1 / -1", fontSize: 10, color: "#f97316" }}>Last problem: {status.error}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Incident Export Panel ───────────────────────────────────────────────────
+// Download the current incident as CSV tables or a JSON bundle, or load a
+// bundle back for offline review.
+function IncidentExportPanel({ data, alarmLog, episodes, model, review, buildBundle, onImport, onCloseReview }) {
+  const [message, setMessage] = useState(null);
+
+  const report = (ok, text) => setMessage({ ok, text });
+  const stamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+  const snapshots = alarmSnapshots(alarmLog);
+
+  const exports = [
+    { label: "Alarm Log CSV", file: "alarm-log", enabled: alarmLog.length > 0, build: () => alarmLogCSV(alarmLog) },
+    { label: "Samples CSV", file: "samples", enabled: data.length > 0, build: () => samplesCSV(data, model) },
+    { label: "Contributions CSV", file: "contributions", enabled: snapshots.length > 0, build: () => contributionsCSV(snapshots) },
+    { label: "Hypotheses CSV", file: "hypotheses", enabled: snapshots.length > 0, build: () => hypothesesCSV(snapshots) },
+    { label: "Episodes CSV", file: "episodes", enabled: episodes.length > 0, build: () => episodesCSV(episodes, model) },
+  ];
+
+  const importBundle = (file) => {
+    if (!file) return;
+    file.text().then((text) => {
+      const bundle = readIncidentBundle(JSON.parse(text));
+      onImport({ ...bundle, name: file.name });
+      report(true, `Loaded ${bundle.data.length} samples and ${bundle.alarmLog.length} alarm events from ${file.name}`);
+    }).catch(err => report(false, err.message));
+  };
+
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+        {exports.map(x => (
+          <button key={x.file} disabled={!x.enabled} style={ACTION_BUTTON_STYLE("#4CC9F0", x.enabled)}
+            onClick={() => downloadFile(`${x.file}-${stamp()}.csv`, x.build(), "text/csv")}>⬇ {x.label}</button>
+        ))}
+        <div style={{ width: 1, height: 24, background: "#1e293b" }} />
+        <button disabled={!data.length} style={ACTION_BUTTON_STYLE("#00C9A7", data.length > 0)}
+          onClick={() => downloadJSON(`incident-${stamp()}.json`, buildBundle())}>⬇ Incident Bundle JSON</button>
+        <label style={ACTION_BUTTON_STYLE("#00C9A7")}>
+          ⬆ Import Bundle
+          <input type="file" accept=".json,application/json" hidden
+            onChange={e => { importBundle(e.target.files[0]); e.target.value = ""; }} />
+        </label>
+        {review && <button onClick={onCloseReview} style={ACTION_BUTTON_STYLE("#f97316")}>✕ Close Review</button>}
+      </div>
+
+      <div style={{ fontSize: 10, color: "#334155", marginBottom: 10, lineHeight: 1.6 }}>
+        Every alarm records a snapshot of its sample — trigger statistic against its UCL, T² contributions, RBC and
+        the ranked fault hypotheses — which the contributions and hypotheses tables list, one row per alarmed sample
+        and variable or hypothesis. The episodes table summarises each alarm episode for a shift handover. The samples
+        table has one column per variable key, so samples that carry timestamps (replayed or streamed) load back as a
+        historian replay. The bundle adds the variable set, model and chart settings; importing it
+        stops monitoring and shows the incident as it was monitored until the review is closed.
+      </div>
+
+      {message && (
+        <div style={{
+          background: message.ok ? "#0a2a1a" : "#2d0a0a", border: `1px solid ${message.ok ? "#10b981" : "#ef4444"}`,
+          borderRadius: 8, padding: "8px 12px", fontSize: 11,
+          color: message.ok ? "#6ee7b7" : "#fca5a5"
+        }}>{message.ok ? "✓" : "⚠"} {message.text}</div>
+      )}
+    </div>
+  );
+}
+
+// ─── Benchmark Panel ─────────────────────────────────────────────────────────
+// Runs the detection benchmark in slices between renders, with progress and
+// cancel, and shows in-control ARL, detection per fault mode and detector,
+// and the diagnosis confusion matrix. getConfig() is read when a run starts,
+// so the benchmark scores the settings active at that moment.
+const BENCHMARK_SLICE_MS = 40;
+
+function BenchmarkPanel({ library, getConfig }) {
+  const [draft, setDraft] = useState(DEFAULT_BENCHMARK_SETTINGS);
+  const [progress, setProgress] = useState(null);   // { done, total } while running
+  const [result, setResult] = useState(null);
+  const [message, setMessage] = useState(null);
+  const timerRef = useRef(null);
+  const cancelRef = useRef(null);
+
+  const report = (ok, text) => setMessage({ ok, text });
+  const stop = () => { clearTimeout(timerRef.current); timerRef.current = null; };
+  useEffect(() => stop, []);
+
+  const start = () => {
+    let benchmark;
+    try {
+      const settings = validateBenchmarkSettings(Object.fromEntries(Object.entries(draft).map(([k, v]) => [k, Number(v)])));
+      benchmark = createBenchmark(settings, getConfig());
+    } catch (err) {
+      report(false, err.message);
+      return;
+    }
+    setMessage(null);
+    setResult(null);
+    const began = Date.now();
+    const slice = () => {
+      const finished = benchmark.step(BENCHMARK_SLICE_MS);
+      setProgress(benchmark.progress());
+      if (!finished) {
+        timerRef.current = setTimeout(slice, 0);
+        return;
+      }
+      timerRef.current = null;
+      setProgress(null);
+      setResult(benchmark.result());
+      report(true, `Simulated ${benchmark.progress().total.toLocaleString()} samples in ${((Date.now() - began) / 1000).toFixed(1)} s`);
+    };
+    cancelRef.current = () => {
+      stop();
+      setProgress(null);
+      setResult(benchmark.result());
+      report(false, "Cancelled — the results cover the runs finished so far");
+    };
+    timerRef.current = setTimeout(slice, 0);
+  };
 
-          {/* Expanded Detail */}
-          {expanded === d.name && (
-            <div style={{
-              background: "#080e1a", border: `1px solid ${d.color}44`,
-              borderRadius: "0 0 8px 8px", padding: "14px 16px", marginTop: -4,
-              borderTop: "none"
-            }}>
-              {/* Mechanism */}
-              <div style={{ marginBottom: 12 }}>
-                <div style={{ color: d.color, fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 4 }}>
-                  Root Cause Mechanism
-                </div>
-                <div style={{ color: "#94a3b8", fontSize: 11, lineHeight: 1.7 }}>{d.mechanism}</div>
-              </div>
+  const stamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+  const faultColor = name => (name === NORMAL_CLASS ? NORMAL_CLASS_COLOR : library.find(f => f.name === name)?.color ?? "#94a3b8");
+  const num = (v, digits = 1) => (v == null ? "—" : v.toFixed(digits));
+  const pct = v => (v == null ? "—" : `${(v * 100).toFixed(0)}%`);
+  const heading = { color: "#64748b", fontSize: 9, letterSpacing: 1.5, textTransform: "uppercase", margin: "14px 0 6px" };
+  const th = { fontWeight: 400, padding: "0 14px 4px 0", textAlign: "left" };
+  const td = { padding: "2px 14px 2px 0", fontFamily: "monospace", color: "#94a3b8" };
+  const fields = [
+    { key: "inControlRuns", label: "In-control runs" },
+    { key: "inControlLength", label: "Samples per run" },
+    { key: "faultRuns", label: "Runs per fault mode" },
+    { key: "warmup", label: "Warm-up samples" },
+    { key: "horizon", label: "Detection horizon" },
+    { key: "seed", label: "Seed" },
+  ];
+  const running = progress !== null;
 
-              {/* Expected vs Observed Signature */}
-              <div style={{ marginBottom: 12 }}>
-                <div style={{ color: "#64748b", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 }}>
-                  Signature Comparison — Expected vs Observed
-                </div>
-                <div style={{ display: "grid", gridTemplateColumns: "repeat(6, 1fr)", gap: 4 }}>
-                  {PARAM_KEYS.map(k => {
-                    const expected = (d.signature[k] || 0) * 100;
-                    const total = contributions.reduce((s, c) => s + c.value, 0) || 1;
-                    const observed = (contributions.find(c => c.key === k)?.value / total) * 100 || 0;
-                    return (
-                      <div key={k} style={{ background: "#0f172a", borderRadius: 6, padding: "8px 6px", textAlign: "center" }}>
-                        <div style={{ color: PARAMS[k].color, fontSize: 9, fontWeight: 700, marginBottom: 4 }}>{PARAMS[k].short}</div>
-                        <div style={{ height: 40, display: "flex", alignItems: "flex-end", justifyContent: "center", gap: 3 }}>
-                          <div style={{ width: 8, background: "#334155", height: `${expected}%`, borderRadius: 2, minHeight: 2 }} title="Expected" />
-                          <div style={{ width: 8, background: PARAMS[k].color, height: `${Math.min(observed, 100)}%`, borderRadius: 2, minHeight: 2, opacity: 0.85 }} title="Observed" />
-                        </div>
-                        <div style={{ color: "#334155", fontSize: 8, marginTop: 3 }}>
-                          E:{expected.toFixed(0)}% O:{observed.toFixed(0)}%
-                        </div>
-                      </div>
-                    );
-                  })}
-                </div>
-                <div style={{ fontSize: 9, color: "#334155", marginTop: 4 }}>Gray = Expected signature | Colored = Observed contribution</div>
-              </div>
+  return (
+    <div>
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "flex-end", marginBottom: 10 }}>
+        {fields.map(f => (
+          <label key={f.key} style={{ color: "#475569", fontSize: 10, display: "flex", flexDirection: "column", gap: 3 }}>
+            {f.label}
+            <input type="number" min={BENCHMARK_LIMITS[f.key][0]} max={BENCHMARK_LIMITS[f.key][1]} value={draft[f.key]} disabled={running}
+              onChange={e => setDraft(prev => ({ ...prev, [f.key]: e.target.value }))} style={{ ...INPUT_STYLE, width: 90 }} />
+          </label>
+        ))}
+        {running
+          ? <button onClick={() => cancelRef.current()} style={ACTION_BUTTON_STYLE("#f97316")}>■ Cancel</button>
+          : <button onClick={start} style={ACTION_BUTTON_STYLE("#00C9A7")}>▶ Run Benchmark</button>}
+        <button onClick={() => downloadFile(`benchmark-${stamp()}.csv`, benchmarkCSV(result), "text/csv")} disabled={!result}
+          style={ACTION_BUTTON_STYLE("#4CC9F0", !!result)}>⬇ CSV</button>
+        <button onClick={() => downloadJSON(`benchmark-${stamp()}.json`, serializeBenchmark(result))} disabled={!result}
+          style={ACTION_BUTTON_STYLE("#4CC9F0", !!result)}>⬇ JSON</button>
+      </div>
 
-              {/* Corrective Actions */}
-              <div style={{ marginBottom: 10 }}>
-                <div style={{ color: "#64748b", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 6 }}>
-                  Recommended Corrective Actions
-                </div>
-                {d.actions.map((action, ai) => (
-                  <div key={ai} style={{ display: "flex", gap: 8, marginBottom: 5, alignItems: "flex-start" }}>
-                    <span style={{ color: d.color, fontWeight: 700, fontSize: 11, minWidth: 18, marginTop: 1 }}>{ai + 1}.</span>
-                    <span style={{ color: "#94a3b8", fontSize: 11, lineHeight: 1.5 }}>{action}</span>
-                  </div>
-                ))}
-              </div>
+      <div style={{ fontSize: 10, color: "#334155", marginBottom: 10, lineHeight: 1.6 }}>
+        Seeded simulated runs go through the same pipeline as live samples — the active model, chart types, run
+        rules, multivariate and PCA limits, fault library and diagnosis settings — with the Simulator Noise settings,
+        and nothing is drawn. In-control runs give each detector&apos;s ARL₀ and the share of samples it flags. Each
+        faulted run has the warm-up in control, then the fault mode with its profile and coupled effects; the delay
+        counts samples from the first faulty one to the first alarm within the horizon. The confusion matrix takes the
+        alarm snapshot at the trigger statistic&apos;s first alarm. The same seed and settings give the same results.
+      </div>
 
-              {/* Reference */}
-              <div style={{ borderTop: "1px solid #1e293b", paddingTop: 8 }}>
-                <span style={{ color: "#334155", fontSize: 9, letterSpacing: 1 }}>REFERENCE: </span>
-                <span style={{ color: "#475569", fontSize: 9 }}>{d.references}</span>
-              </div>
-            </div>
-          )}
+      {message && (
+        <div style={{
+          background: message.ok ? "#0a2a1a" : "#2d0a0a", border: `1px solid ${message.ok ? "#10b981" : "#ef4444"}`,
+          borderRadius: 8, padding: "8px 12px", marginBottom: 12, fontSize: 11,
+          color: message.ok ? "#6ee7b7" : "#fca5a5"
+        }}>{message.ok ? "✓" : "⚠"} {message.text}</div>
+      )}
+
+      {running && (
+        <div style={{ marginBottom: 12 }}>
+          <div style={{ height: 6, background: "#0f172a", borderRadius: 3, overflow: "hidden" }}>
+            <div style={{ width: `${(progress.done / progress.total) * 100}%`, height: "100%", background: "#00C9A7" }} />
+          </div>
+          <div style={{ color: "#475569", fontSize: 10, marginTop: 4, fontFamily: "monospace" }}>
+            {progress.done.toLocaleString()} / {progress.total.toLocaleString()} samples
+          </div>
         </div>
-      ))}
+      )}
 
-      {/* Alarm Summary */}
-      {alarmLog.length > 0 && (
-        <div style={{ marginTop: 16, background: "#0f172a", borderRadius: 8, padding: "10px 14px" }}>
-          <div style={{ color: "#475569", fontSize: 10, letterSpacing: 1.5, textTransform: "uppercase", marginBottom: 8 }}>
-            Alarm Event Log ({alarmLog.length})
+      {result && (
+        <>
+          <div style={{ color: "#475569", fontSize: 10, fontFamily: "monospace" }}>
+            {result.configuration.model === "phase1" ? "Phase I" : "Nominal"} model · α {result.configuration.alpha} ·
+            trigger {MULTIVARIATE_CHARTS.find(c => c.id === result.configuration.trigger)?.label} · ARL₀ target {result.configuration.arl0} ·
+            {" "}{result.configuration.engine === "bayes" ? "Bayesian" : "cosine"} ranking, min match {result.configuration.minMatch}% ·
+            noise {result.configuration.noise.noiseScale}σ, φ {result.configuration.noise.autocorrelation} · seed {result.settings.seed}
           </div>
-          <div style={{ maxHeight: 140, overflowY: "auto" }}>
-            {alarmLog.map((a, i) => (
-              <div key={a.id} style={{
-                display: "flex", gap: 12, padding: "5px 8px",
-                background: i % 2 === 0 ? "#0c1428" : "transparent", borderRadius: 4, fontSize: 10
-              }}>
-                <span style={{ color: "#334155", minWidth: 55, fontFamily: "monospace" }}>t={a.t}s</span>
-                <span style={{ color: "#ef4444", minWidth: 140 }}>⚠ {a.param}</span>
-                <span style={{ color: "#fca5a5", fontWeight: 700, fontFamily: "monospace" }}>{a.val}</span>
+
+          <div style={heading}>In control — {result.inControl[0]?.runs ?? 0} runs × {result.settings.inControlLength} samples</div>
+          <table style={{ borderCollapse: "collapse", fontSize: 10 }}>
+            <thead>
+              <tr style={{ color: "#334155" }}>
+                {["Detector", "Runs signalled", "ARL₀", "Design ARL₀", "False alarm rate"].map(h => <th key={h} style={th}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {result.inControl.map(d => {
+                const det = result.detectors.find(x => x.id === d.id);
+                const low = d.expectedArl0 && d.arl0 != null && d.arl0 < d.expectedArl0 * 0.8;
+                return (
+                  <tr key={d.id}>
+                    <td style={{ ...td, fontFamily: "inherit", color: det.trigger ? "#FFD166" : "#e2e8f0" }}>
+                      {det.label}{det.trigger ? " ★" : ""}
+                    </td>
+                    <td style={td}>{d.signalled}/{d.runs}</td>
+                    <td style={{ ...td, color: low ? "#f97316" : "#94a3b8" }}>{d.arl0 == null ? `> ${result.settings.inControlLength}` : num(d.arl0)}</td>
+                    <td style={td}>{num(d.expectedArl0)}</td>
+                    <td style={td}>{d.falseAlarmRate == null ? "—" : `${(d.falseAlarmRate * 100).toFixed(2)}%`}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {result.faults.length > 0 && (
+            <>
+              <div style={heading}>
+                Faulted — ARL₁ (samples) · median delay · detected within {result.settings.horizon} samples
               </div>
-            ))}
+              <table style={{ borderCollapse: "collapse", fontSize: 10 }}>
+                <thead>
+                  <tr style={{ color: "#334155" }}>
+                    <th style={th}>Fault mode</th>
+                    {result.detectors.map(d => <th key={d.id} style={{ ...th, color: d.trigger ? "#FFD166" : "#334155" }}>{d.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.faults.map(f => (
+                    <tr key={f.name}>
+                      <td style={{ ...td, fontFamily: "inherit", color: faultColor(f.name) }}>{f.name} <span style={{ color: "#334155" }}>({f.runs})</span></td>
+                      {f.detectors.map(d => (
+                        <td key={d.id} style={{ ...td, color: d.detectionRate >= 0.9 ? "#00C9A7" : d.detectionRate >= 0.5 ? "#FFD166" : "#f97316" }}>
+                          {num(d.arl1)} · {num(d.medianDelay)} · {pct(d.detectionRate)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          <div style={heading}>
+            Diagnosis confusion matrix — true fault (rows) vs top-ranked diagnosis at the first trigger alarm
+            {result.accuracy != null && <span style={{ color: "#00C9A7" }}> · accuracy {pct(result.accuracy)}</span>}
           </div>
-        </div>
+          <table style={{ borderCollapse: "collapse", fontSize: 10 }}>
+            <thead>
+              <tr style={{ color: "#334155" }}>
+                <th style={th}>True \ diagnosed</th>
+                {result.confusion.columns.map(c => <th key={c} style={{ ...th, color: faultColor(c), textAlign: "right" }}>{c}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {result.confusion.rows.map(row => {
+                const counts = result.confusion.counts[row];
+                const n = Object.values(counts).reduce((a, b) => a + b, 0);
+                return (
+                  <tr key={row}>
+                    <td style={{ ...td, fontFamily: "inherit", color: faultColor(row) }}>{row}</td>
+                    {result.confusion.columns.map(c => {
+                      const share = n ? counts[c] / n : 0;
+                      const correct = c === row || (row === IN_CONTROL_ROW && c === NOT_DETECTED);
+                      return (
+                        <td key={c} style={{
+                          ...td, textAlign: "right", padding: "2px 8px",
+                          color: counts[c] ? (correct ? "#00C9A7" : "#e2e8f0") : "#1e293b",
+                          background: counts[c] ? `${correct ? "#00C9A7" : "#f97316"}${Math.round(8 + share * 40).toString(16).padStart(2, "0")}` : "transparent",
+                        }}>{counts[c]}</td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </>
       )}
     </div>
   );
@@ -601,82 +7005,553 @@ function FaultDiagnosisPanel({ latestPoint, alarmLog }) {
 
 // ─── Main Application ─────────────────────────────────────────────────────────
 export default function ExtrusionAnomalyMonitor() {
+  const [variableSet, setVariableSet] = useState(() => loadStoredVariableSet() ?? DEFAULT_VARIABLE_SET);
+  const [recipeBook, setRecipeBook] = useState(() => loadStoredRecipeBook() ?? DEFAULT_RECIPE_BOOK);
+  const [activeRecipe, setActiveRecipe] = useState(null);   // recipe in force, null for the variable set as configured
+  const [changeovers, setChangeovers] = useState([]);       // recipe switches of this run, newest first
+  const [model, setModel] = useState(() => loadStoredModel(variableSet.params) ?? buildNominalModel(variableSet));
+  const [faultLibrary, setFaultLibrary] = useState(() => loadStoredFaultLibrary() ?? DEFAULT_FAULT_LIBRARY);
+  const [diagnosis, setDiagnosis] = useState(() => loadStoredDiagnosis() ?? DEFAULT_DIAGNOSIS);  // engine, bayes, confirmations
   const [data, setData] = useState([]);
   const [running, setRunning] = useState(false);
-  const [selectedParam, setSelectedParam] = useState("barrel_temp");
-  const [activeFault, setActiveFault] = useState(null);
-  const [faultCountdown, setFaultCountdown] = useState(0);
+  const [selectedParam, setSelectedParam] = useState(() => model.keys[0]);
   const [alarmLog, setAlarmLog] = useState([]);
   const [tickCount, setTickCount] = useState(0);
   const [injectingFault, setInjectingFault] = useState(null);
-  const [activeTab, setActiveTab] = useState("charts");  // charts | contribution | diagnosis
-  const timerRef = useRef(null);
+  const [activeTab, setActiveTab] = useState("charts");  // charts | contribution | diagnosis | alarms | capability | phase1 | pca | variables | recipes | faults | source | benchmark
+  const [ruleConfig, setRuleConfig] = useState(() => defaultRuleConfig(model.keys));
+  const [chartSettings, setChartSettings] = useState(() => defaultChartSettings(model.keys));
+  const [mvSettings, setMvSettings] = useState(() => withMultivariateLimits(DEFAULT_MULTIVARIATE_SETTINGS, model.keys.length));
+  const [pca, setPca] = useState(null);
+  const [alarmConfig, setAlarmConfig] = useState(() => defaultAlarmConfig(model.keys));
+  const [shelvedAlarms, setShelvedAlarms] = useState([]);
+  const [episodes, setEpisodes] = useState([]);
+  const [calibrationSet, setCalibrationSet] = useState(() => loadStoredCalibrationSet() ?? []);
+  const [sourceKind, setSourceKind] = useState("simulator");  // simulator | replay | scenario | websocket
+  const [sourceStatus, setSourceStatus] = useState({});      // latest sink.status() patches, merged
+  const [sourceEpoch, setSourceEpoch] = useState(0);         // bumped whenever the source object is replaced
+  const [replay, setReplay] = useState(null);                // loaded historian replay
+  const [replaySpeed, setReplaySpeed] = useState(1);         // also the speed of a scenario run
+  const [scenario, setScenario] = useState(null);            // loaded fault scenario
+  const [wsSettings, setWsSettings] = useState(WS_DEFAULT_SETTINGS);
+  const [simulatorSettings, setSimulatorSettings] = useState(DEFAULT_SIMULATOR_SETTINGS);
+  const [review, setReview] = useState(null);                // imported incident under offline review
   const tRef = useRef(0);
-  const faultRef = useRef(null);
-  const faultCdRef = useRef(0);
+  const variableSetRef = useRef(variableSet);
+  const modelRef = useRef(model);
+  const recipeBookRef = useRef(recipeBook);
+  const activeRecipeRef = useRef(activeRecipe);
+  const changeoversRef = useRef([]);
+  const faultLibraryRef = useRef(faultLibrary);
+  const diagnosisRef = useRef(diagnosis);
+  const ruleConfigRef = useRef(ruleConfig);
+  const chartSettingsRef = useRef(chartSettings);
+  const mvSettingsRef = useRef(mvSettings);
+  const pcaRef = useRef(pca);
+  const alarmConfigRef = useRef(alarmConfig);
+  const dataRef = useRef([]);
+  const simulatorSettingsRef = useRef(simulatorSettings);
+  const injectedRef = useRef([]);     // names of the faults the source is injecting, for episode labels
+  const sourceRef = useRef(null);
+  const scenarioRunRef = useRef(null);   // samples of the scenario being played
+  const runStartRef = useRef(null);      // { recipe, model } in force at the run's first sample
+  const alarmsRef = useRef(null);
+  if (!alarmsRef.current) alarmsRef.current = createAlarmManager(() => alarmConfigRef.current);
+  // What rankHypotheses() needs: the library, the engine and its settings,
+  // and the confirmed root-cause counts the Bayesian priors come from
+  const diagnosisConfig = useCallback(() => ({
+    library: faultLibraryRef.current,
+    engine: diagnosisRef.current.engine,
+    bayes: diagnosisRef.current.bayes,
+    minMatch: diagnosisRef.current.minMatch,
+    counts: confirmationCounts(diagnosisRef.current.confirmations),
+  }), []);
+  const episodesRef = useRef(null);
+  if (!episodesRef.current) episodesRef.current = createEpisodeTracker(diagnosisConfig);
 
-  const tick = useCallback(() => {
-    tRef.current += 1;
-    const t = tRef.current;
-
-    if (faultCdRef.current > 1) {
-      faultCdRef.current -= 1;
-      setFaultCountdown(faultCdRef.current);
-    } else if (faultCdRef.current === 1) {
-      faultCdRef.current = 0;
-      faultRef.current = null;
-      setActiveFault(null);
-      setFaultCountdown(0);
-    }
+  const syncAlarms = useCallback(() => {
+    setAlarmLog(alarmsRef.current.log());
+    setShelvedAlarms(alarmsRef.current.shelved());
+  }, []);
 
-    const pt = generatePoint(t, faultRef.current);
+  const syncChangeovers = useCallback(() => setChangeovers(changeoversRef.current.map(c => ({ ...c }))), []);
 
-    setData(prev => [...prev, pt].slice(-120));
+  // The live monitoring configuration, for benchmark runs
+  const benchmarkConfig = useCallback(() => ({
+    model: modelRef.current, pca: pcaRef.current, ruleConfig: ruleConfigRef.current,
+    chartSettings: chartSettingsRef.current, mvSettings: mvSettingsRef.current,
+    noise: simulatorSettingsRef.current, diagnosis: diagnosisConfig(),
+  }), [diagnosisConfig]);
 
-    const newAlarms = [];
-    PARAM_KEYS.forEach(k => {
-      if (pt[`${k}_anomaly`]) {
-        newAlarms.push({ t, param: PARAMS[k].label, val: fmt(pt[k], PARAMS[k].unit), id: `${t}-${k}` });
-      }
+  // Appends a point to the sample window after running it through the
+  // monitoring pipeline; its alarm conditions are evaluated and episodes
+  // tracked unless it is warm-up history. A sample inside a changeover's
+  // grace period is marked with the new recipe and scored on its own; its
+  // alarms follow the changeover settings, carry no diagnosis and open no
+  // episode. Monitoring then restarts from the first sample after it.
+  const ingest = useCallback((pt, log = true) => {
+    const co = changeoversRef.current[0];
+    const open = !!co && co.end == null && pt.t >= co.t;
+    const grace = open && pt.t < co.t + co.graceSamples;
+    if (grace) {
+      pt.changeover = co.to;
+      if (pt.t === co.t && pt.time != null) co.time = pt.time;
+    } else if (open) {
+      co.end = pt.t;
+      if (log) alarmsRef.current.endChangeover(pt);
+    }
+    const conditions = processSample(pt, grace ? [] : samplesSinceChangeover(dataRef.current), {
+      model: modelRef.current, pca: pcaRef.current, ruleConfig: ruleConfigRef.current,
+      chartSettings: chartSettingsRef.current, mvSettings: mvSettingsRef.current,
     });
-    if (pt.t2_anomaly) {
-      newAlarms.push({ t, param: "T² Multivariate", val: pt.t2.toFixed(2), id: `${t}-t2` });
+    dataRef.current = [...dataRef.current, pt].slice(-DATA_WINDOW);
+    if (co && (pt.t === co.t || pt.t === co.end)) syncChangeovers();
+    if (!log) return;
+    if (grace) {
+      alarmsRef.current.evaluate(pt, changeoverConditions(conditions, co), null);
+      syncAlarms();
+      return;
     }
-    if (newAlarms.length) {
-      setAlarmLog(prev => [...newAlarms, ...prev].slice(0, 80));
+    alarmsRef.current.evaluate(pt, conditions, () => diagnosisSnapshot(pt, modelRef.current, mvSettingsRef.current, diagnosisConfig()));
+    syncAlarms();
+    if (episodesRef.current.update(pt, conditions, modelRef.current, mvSettingsRef.current, injectedRef.current)) {
+      setEpisodes(episodesRef.current.list());
     }
-    setTickCount(t);
-  }, []);
+  }, [syncAlarms, syncChangeovers, diagnosisConfig]);
+
+  // Every source delivers into this sink. Samples are numbered in arrival
+  // order; a source going stale, or a variable going to Bad quality, raises
+  // a data-source alarm that returns when valid samples resume. A sample
+  // naming another recipe of the book switches the monitor to it first.
+  const sinkRef = useRef(null);
+  if (!sinkRef.current) {
+    sinkRef.current = {
+      sample(sample) {
+        if (tRef.current === 0) runStartRef.current = { recipe: activeRecipeRef.current, model: modelRef.current };
+        followRecipe(sample.recipe);
+        tRef.current += 1;
+        ingest(samplePoint(sample, tRef.current, modelRef.current));
+        setData(dataRef.current);
+        setTickCount(tRef.current);
+      },
+      status(patch) {
+        setSourceStatus(prev => ({ ...prev, ...patch }));
+        if (patch.faults) injectedRef.current = patch.faults.map(f => f.name);
+        if (patch.ended) setRunning(false);
+        const at = { t: tRef.current, time: Date.now() };
+        if ("stale" in patch) {
+          alarmsRef.current.raise("source:stale", patch.stale, { param: "Data Source", val: "STALE" }, at);
+        }
+        if (patch.quality) {
+          const { keys, params } = modelRef.current;
+          keys.forEach(k => alarmsRef.current.raise(`quality:${k}`, qualitySeverity(patch.quality[k]) === "bad",
+            { param: "Data Quality", val: `${params[k].short} ${patch.quality[k]}` }, at));
+        }
+        if ("stale" in patch || patch.quality) syncAlarms();
+      },
+    };
+  }
+
+  // A scenario's run is generated when it is loaded, against the active
+  // model, and kept: a reset replays the same samples even after the model
+  // has changed. Only a new variable set makes it generate afresh.
+  const scenarioSource = (next) => {
+    const kept = scenarioRunRef.current;
+    if (next || kept.keys.join() !== modelRef.current.keys.join()) {
+      scenarioRunRef.current = runScenario(next ?? scenario, modelRef.current);
+    }
+    return createScenarioSource(sinkRef.current, scenarioRunRef.current, replaySpeed);
+  };
+
+  const buildSource = (kind, set = variableSet) => {
+    if (kind === "replay") return createReplaySource(sinkRef.current, replay, replaySpeed);
+    if (kind === "scenario") return scenarioSource();
+    if (kind === "websocket") return createWebSocketSource(sinkRef.current, wsSettings, set);
+    return createSimulatorSource(sinkRef.current, () => modelRef.current, () => simulatorSettingsRef.current);
+  };
+  if (!sourceRef.current) sourceRef.current = buildSource("simulator");
+  // Replays and scenarios deliver a fixed sample sequence under a transport
+  const playback = sourceKind === "replay" || sourceKind === "scenario";
 
   useEffect(() => {
-    if (running) { timerRef.current = setInterval(tick, 800); }
-    else { clearInterval(timerRef.current); }
-    return () => clearInterval(timerRef.current);
-  }, [running, tick]);
+    if (!running) return undefined;
+    const source = sourceRef.current;
+    source.start();
+    return () => source.stop();
+  }, [running, sourceEpoch]);
 
   const injectFault = (fault) => {
-    faultRef.current = fault;
-    faultCdRef.current = fault.duration;
-    setActiveFault(fault);
-    setFaultCountdown(fault.duration);
+    sourceRef.current.inject(fault);
     setInjectingFault(fault.name);
     setTimeout(() => setInjectingFault(null), 800);
   };
 
-  const reset = () => {
-    setRunning(false); clearInterval(timerRef.current);
-    setData([]); setAlarmLog([]); setActiveFault(null);
-    setFaultCountdown(0); tRef.current = 0;
-    faultRef.current = null; faultCdRef.current = 0;
+  const applyPca = (next) => {
+    pcaRef.current = next;
+    setPca(next);
+  };
+
+  const applyModel = (next) => {
+    modelRef.current = next;
+    setModel(next);
+    if (pcaRef.current) applyPca(buildPcaModel(next, pcaRef.current.settings));
+  };
+
+  const applyActiveRecipe = (name) => {
+    activeRecipeRef.current = name;
+    setActiveRecipe(name);
+  };
+
+  // Switches to a saved recipe without restarting monitoring: its limits and
+  // model apply from the next sample, which starts a changeover with the
+  // grace settings of the moment. Uses refs only, since the sink calls it for
+  // a scenario's recipe events. Throws if the recipe does not fit the set.
+  const switchRecipe = (name, source = "operator") => {
+    const recipe = recipeBookRef.current.find(r => r.name === name);
+    if (!recipe) throw new Error(`No recipe named "${name}"`);
+    const next = recipeModel(variableSetRef.current, recipe);
+    const previous = modelRef.current;
+    applyModel(next);
+    sourceRef.current.changeover?.(previous);
+    const open = changeoversRef.current[0];
+    if (open && open.end == null) open.end = tRef.current;
+    const { graceSamples, mode } = alarmConfigRef.current.changeover;
+    changeoversRef.current = [{
+      id: `${tRef.current + 1}-${name}`, from: activeRecipeRef.current, to: name, t: tRef.current + 1,
+      switchedAt: new Date().toISOString(), graceSamples, mode, end: null, source,
+    }, ...changeoversRef.current].slice(0, CHANGEOVER_LOG_LIMIT);
+    applyActiveRecipe(name);
+    syncChangeovers();
+  };
+
+  // Whether a scenario sample's recipe is one to switch to
+  const followsRecipe = name => !!name && name !== activeRecipeRef.current && recipeBookRef.current.some(r => r.name === name);
+
+  // Switches to a scenario sample's recipe, as a recipe event does. A recipe
+  // that does not fit the variable set is reported on the scenario bar, and
+  // the run goes on under the recipe in force.
+  const followRecipe = (name) => {
+    if (!followsRecipe(name)) return;
+    try {
+      switchRecipe(name, "scenario");
+    } catch (err) {
+      recipeNotApplied(err);
+    }
+  };
+
+  const recipeNotApplied = err => sinkRef.current.status({ error: `${err.message} — not applied` });
+
+  // A scenario's recipe events leave the monitor on the last recipe played.
+  // Playing the run again, from the start or a seek, first goes back to the
+  // recipe and model in force when it started; a model applied by hand under
+  // the same recipe is kept.
+  const restoreRunStart = () => {
+    const start = runStartRef.current;
+    if (sourceKind !== "scenario" || !start || start.recipe === activeRecipeRef.current) return;
+    applyModel(start.model);
+    applyActiveRecipe(start.recipe);
+  };
+
+  // A saved recipe book applies at once; the recipe in force is re-applied in
+  // case it was edited, or dropped back to the variable set if it was deleted.
+  const applyRecipeBook = (next) => {
+    const set = variableSetRef.current;
+    const current = next.find(r => r.name === activeRecipeRef.current);
+    next.forEach(r => recipeModel(set, r));
+    recipeBookRef.current = next;
+    setRecipeBook(next);
+    if (current) applyModel(recipeModel(set, current));
+    else if (activeRecipeRef.current) {
+      applyActiveRecipe(null);
+      applyModel(buildNominalModel(set));
+    }
+  };
+
+  // An edited fault library applies from the next sample: injection buttons,
+  // live diagnosis, alarm snapshots and the open episode use it at once.
+  const applyFaultLibrary = (next) => {
+    faultLibraryRef.current = next;
+    setFaultLibrary(next);
+    if (!review) setEpisodes(episodesRef.current.list());
+  };
+
+  // Engine settings and confirmations are saved in the browser; like the
+  // library, they rank the open episode and new snapshots at once.
+  const updateDiagnosis = (patch) => {
+    const next = { ...diagnosisRef.current, ...patch };
+    diagnosisRef.current = next;
+    setDiagnosis(next);
+    if (!review) setEpisodes(episodesRef.current.list());
+    try {
+      storeDiagnosis(next);
+    } catch {
+      // storage full or unavailable — the settings last for this session
+    }
+  };
+
+  // An operator-confirmed root cause for an alarm (at its sample) or an
+  // episode replaces any earlier confirmation of the same one
+  const confirmRootCause = (fault, { t, time, episode }) => {
+    const others = diagnosisRef.current.confirmations.filter(c => (episode ? c.episode !== episode : c.episode || c.t !== t));
+    updateDiagnosis({
+      confirmations: [...others, { fault, t, ...(time != null && { time }), ...(episode && { episode }), confirmedAt: new Date().toISOString() }],
+    });
+  };
+
+  const updateCalibrationSet = (next) => {
+    setCalibrationSet(next);
+    try {
+      storeCalibrationSet(next);
+    } catch {
+      // storage full or unavailable — the set lasts for this session
+    }
+  };
+
+  const updateRuleConfig = (next) => {
+    ruleConfigRef.current = next;
+    setRuleConfig(next);
+  };
+
+  const updateMvSettings = (next) => {
+    const withLimits = withMultivariateLimits(next, modelRef.current.keys.length);
+    mvSettingsRef.current = withLimits;
+    setMvSettings(withLimits);
+  };
+
+  const updateChartSettings = (next) => {
+    chartSettingsRef.current = next;
+    setChartSettings(next);
+  };
+
+  const updateAlarmConfig = (next) => {
+    alarmConfigRef.current = next;
+    setAlarmConfig(next);
+  };
+
+  // Operator actions take effect at the latest sample
+  const alarmAction = (action) => {
+    action(alarmsRef.current, { t: tRef.current, time: dataRef.current[dataRef.current.length - 1]?.time });
+    syncAlarms();
+  };
+
+  // Stops monitoring and starts over on a fresh source of the given kind: the
+  // simulator loses any injected faults, a replay or scenario rewinds (a
+  // scenario to the recipe it started on), a WebSocket source reconnects
+  // with the current variable set.
+  const reset = (kind = sourceKind, source = buildSource(kind)) => {
+    restoreRunStart();
+    runStartRef.current = null;
+    setRunning(false);
+    sourceRef.current.stop();
+    sourceRef.current = source;
+    setSourceKind(kind);
+    setSourceStatus({});
+    injectedRef.current = [];
+    setSourceEpoch(e => e + 1);
+    dataRef.current = [];
+    alarmsRef.current = createAlarmManager(() => alarmConfigRef.current);
+    episodesRef.current = createEpisodeTracker(diagnosisConfig);
+    changeoversRef.current = [];
+    setData([]); setAlarmLog([]); setShelvedAlarms([]); setEpisodes([]); setChangeovers([]);
+    tRef.current = 0;
     setTickCount(0);
   };
 
+  // Seeking rebuilds the chart window from the samples before the new
+  // position, so EWMA / CUSUM states and run rules are warm; alarms raised
+  // while rebuilding are not logged and the log restarts at the seek point.
+  // A scenario's recipe is the one in force before the window, applied
+  // without a changeover, and recipe events inside it switch as in play.
+  const seekReplay = (index) => {
+    const samples = sourceKind === "scenario" ? scenarioRunRef.current.samples : replay.samples;
+    const start = Math.max(0, index - DATA_WINDOW);
+    restoreRunStart();
+    runStartRef.current ??= { recipe: activeRecipeRef.current, model: modelRef.current };
+    sinkRef.current.status({ error: null });
+    const inForce = samples[start - 1]?.recipe;
+    if (followsRecipe(inForce)) {
+      try {
+        applyModel(recipeModel(variableSetRef.current, recipeBookRef.current.find(r => r.name === inForce)));
+        applyActiveRecipe(inForce);
+      } catch (err) {
+        recipeNotApplied(err);
+      }
+    }
+    changeoversRef.current = [];
+    dataRef.current = [];
+    tRef.current = start;
+    samples.slice(start, index).forEach(sample => {
+      followRecipe(sample.recipe);
+      tRef.current += 1;
+      ingest(samplePoint(sample, tRef.current, modelRef.current), false);
+    });
+    syncChangeovers();
+    sourceRef.current.seek(index);
+    alarmsRef.current = createAlarmManager(() => alarmConfigRef.current);
+    episodesRef.current = createEpisodeTracker(diagnosisConfig);
+    setData(dataRef.current); setAlarmLog([]); setShelvedAlarms([]); setEpisodes([]);
+    setTickCount(index);
+  };
+
+  const toggleRunning = () => {
+    if (review) closeReview();
+    else if (!running && playback && sourceStatus.ended) seekReplay(0);
+    setRunning(r => !r);
+  };
+
+  const changeReplaySpeed = (next) => {
+    if (playback) sourceRef.current.setSpeed(next);
+    setReplaySpeed(next);
+  };
+
+  // A loaded replay replaces the simulator until another source is chosen;
+  // fault injection has no meaning against recorded data.
+  const loadReplay = (next) => {
+    leaveReview();
+    setReplay(next);
+    reset("replay", createReplaySource(sinkRef.current, next, replaySpeed));
+  };
+
+  // A loaded scenario plays in place of the simulator, from its first sample
+  const loadScenario = (next) => {
+    leaveReview();
+    setScenario(next);
+    restoreRunStart();
+    reset("scenario", scenarioSource(next));
+  };
+
+  const applySimulatorSettings = (settings) => {
+    simulatorSettingsRef.current = settings;
+    setSimulatorSettings(settings);
+  };
+
+  const connectWebSocket = (settings) => {
+    setWsSettings(settings);
+    reset("websocket", createWebSocketSource(sinkRef.current, settings, leaveReview()));
+    setRunning(true);
+  };
+
+  // Replaces the variable set, model and settings without persisting them
+  const applyConfiguration = (c) => {
+    variableSetRef.current = c.variableSet;
+    setVariableSet(c.variableSet);
+    applyActiveRecipe(c.recipe ?? null);
+    modelRef.current = c.model;
+    setModel(c.model);
+    if (c.faultLibrary) {
+      faultLibraryRef.current = c.faultLibrary;
+      setFaultLibrary(c.faultLibrary);
+    }
+    if (c.diagnosis) {
+      const { engine, bayes, minMatch } = c.diagnosis;
+      diagnosisRef.current = { ...diagnosisRef.current, engine, bayes, minMatch, window: c.diagnosis.window };
+      setDiagnosis(diagnosisRef.current);
+    }
+    applyPca(c.pca);
+    updateRuleConfig(c.ruleConfig);
+    updateChartSettings(c.chartSettings);
+    mvSettingsRef.current = c.mvSettings;
+    setMvSettings(c.mvSettings);
+    updateAlarmConfig(c.alarmConfig);
+    if (!c.variableSet.params[selectedParam]) setSelectedParam(c.model.keys[0]);
+  };
+
+  // An imported incident bundle stops monitoring and shows the recorded
+  // window, alarms and snapshots under the configuration they were monitored
+  // with. The configuration it replaced comes back when the review ends.
+  const importIncident = (bundle) => {
+    const previous = review?.previous ?? {
+      variableSet, recipe: activeRecipeRef.current, model: modelRef.current, faultLibrary: faultLibraryRef.current,
+      diagnosis: diagnosisRef.current,
+      ruleConfig: ruleConfigRef.current,
+      chartSettings: chartSettingsRef.current, mvSettings: mvSettingsRef.current, alarmConfig: alarmConfigRef.current,
+      pca: pcaRef.current,
+    };
+    reset();
+    applyConfiguration(bundle);
+    dataRef.current = bundle.data;
+    changeoversRef.current = bundle.changeovers;
+    setData(bundle.data); setAlarmLog(bundle.alarmLog); setEpisodes(bundle.episodes); setChangeovers(bundle.changeovers);
+    tRef.current = bundle.data[bundle.data.length - 1].t;
+    setTickCount(tRef.current);
+    setReview({ name: bundle.name, exportedAt: bundle.exportedAt, source: bundle.source, previous });
+  };
+
+  // Ends an offline review, if one is open, and returns the variable set
+  // the next source should be built for
+  const leaveReview = () => {
+    if (!review) return variableSet;
+    applyConfiguration(review.previous);
+    setReview(null);
+    return review.previous.variableSet;
+  };
+
+  const closeReview = () => reset(sourceKind, buildSource(sourceKind, leaveReview()));
+
+  // A new variable set restarts monitoring, since recorded samples, chart
+  // state and a loaded replay's column mapping belong to the old variables.
+  // It also leaves any recipe. A Phase I model survives only if it covers
+  // exactly the same variables and was not a recipe's; its UCL is recomputed
+  // for the new α.
+  const applyVariableSet = (next) => {
+    setReview(null);
+    const kind = playback ? "simulator" : sourceKind;
+    reset(kind, buildSource(kind, next));
+    if (sourceKind === "replay") setReplay(null);
+    variableSetRef.current = next;
+    setVariableSet(next);
+    let nextModel = buildNominalModel(next);
+    if (model.source === "phase1" && !activeRecipeRef.current) {
+      try {
+        const kept = deserializeModel(serializeModel(model), next.params);
+        nextModel = { ...kept, alpha: next.alpha, ucl: phaseIIUcl(kept.keys.length, kept.n, next.alpha) };
+      } catch {
+        // different variables — monitor against the new nominal model
+      }
+    }
+    applyActiveRecipe(null);
+    applyModel(nextModel);
+    updateRuleConfig(defaultRuleConfig(nextModel.keys, ruleConfigRef.current));
+    updateChartSettings(defaultChartSettings(nextModel.keys, chartSettingsRef.current));
+    updateMvSettings(mvSettingsRef.current);
+    updateAlarmConfig(defaultAlarmConfig(nextModel.keys, alarmConfigRef.current));
+    if (!next.params[selectedParam]) setSelectedParam(nextModel.keys[0]);
+  };
+
   const latest = data[data.length - 1];
-  const cfg = PARAMS[selectedParam];
+  const { keys, params } = model;
+  const cfg = params[selectedParam];
+  const faults = monitoredFaults(keys, faultLibrary);
+  const diagnosisView = {
+    library: faultLibrary, engine: diagnosis.engine, bayes: diagnosis.bayes, minMatch: diagnosis.minMatch, window: diagnosis.window,
+    counts: confirmationCounts(diagnosis.confirmations), confirmations: diagnosis.confirmations,
+  };
   const totalAlarms = alarmLog.length;
-  const alarmRate = data.length ? ((data.filter(d => d.t2_anomaly).length / data.length) * 100).toFixed(1) : "0.0";
-  const latestT2 = latest?.t2 ?? 0;
-  const isAnomalous = latest?.t2_anomaly ?? false;
+  const unacked = alarmLog.filter(a => a.state === "unack" || a.state === "rtnun").length;
+  const rate = alarmRate(alarmLog, latest);
+  const statistic = triggerStatistic(latest, mvSettings, model);
+  const latestT2 = statistic.value;
+  // Deviations while the line moves to a new recipe are expected
+  const changeover = latest?.changeover ? changeovers.find(c => c.to === latest.changeover && c.t <= latest.t) : null;
+  const graceLeft = changeover ? changeover.t + changeover.graceSamples - latest.t - 1 : 0;
+  const isAnomalous = statistic.anomaly && !changeover;
+  const outOfSpec = keys.filter(k => latest?.[`${k}_spec`]);
+  const explained = analysisPoint(latest, mvSettings, model);
+  // A remote simulator echoes only the fault's name, driver and Δ; colour and
+  // severity come from the library entry of the same name
+  const activeFaults = (sourceStatus.faults ?? [])
+    .filter(f => params[f.param])
+    .map(f => ({ color: "#f97316", ...faultLibrary.find(lib => lib.name === f.name), ...f }));
+  const position = latest?.time != null ? formatTimestamp(latest.time) : sourceKind === "simulator" || sourceKind === "scenario" ? `t=${tickCount}s` : "—";
+  const canInject = running && !!sourceRef.current.inject;
+  const sourceDown = running && sourceKind === "websocket" && (sourceStatus.stale || sourceStatus.connection !== "open");
+  const badTags = running && sourceKind === "websocket"
+    ? Object.keys(sourceStatus.quality ?? {}).filter(k => qualitySeverity(sourceStatus.quality[k]) === "bad" && params[k])
+    : [];
+  const badTagList = badTags.map(k => `${params[k].label} (${sourceStatus.quality[k]})`).join(", ");
+  const statusColor = !running ? "#475569" : sourceDown ? "#f97316" : changeover ? ALARM_CLASSES.changeover.color
+    : outOfSpec.length ? ALARM_CLASSES.spec.color
+    : isAnomalous ? "#ef4444" : "#00C9A7";
 
   const TAB_STYLE = (tab) => ({
     padding: "8px 16px", cursor: "pointer", fontSize: 11, fontWeight: 600,
@@ -709,69 +7584,156 @@ export default function ExtrusionAnomalyMonitor() {
         <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
           <div style={{
             width: 8, height: 8, borderRadius: "50%",
-            background: running ? (isAnomalous ? "#ef4444" : "#00C9A7") : "#334155",
-            boxShadow: running ? `0 0 10px ${isAnomalous ? "#ef4444" : "#00C9A7"}` : "none",
-            animation: running && isAnomalous ? "alarm-pulse 0.5s infinite" : running ? "pulse 1.2s infinite" : "none"
+            background: running ? statusColor : "#334155",
+            boxShadow: running ? `0 0 10px ${statusColor}` : "none",
+            animation: running && (isAnomalous || outOfSpec.length) && !sourceDown && !changeover ? "alarm-pulse 0.5s infinite" : running ? "pulse 1.2s infinite" : "none"
           }} />
-          <span style={{ color: running ? (isAnomalous ? "#ef4444" : "#00C9A7") : "#475569", fontSize: 11 }}>
-            {running ? (isAnomalous ? `⚠ ALARM  t=${tickCount}s` : `LIVE  t=${tickCount}s`) : "STOPPED"}
+          <span style={{ color: statusColor, fontSize: 11 }}>
+            {!running ? (review ? "OFFLINE REVIEW" : playback ? "PAUSED" : "STOPPED")
+              : sourceDown ? (sourceStatus.stale ? "⚠ STALE DATA" : `${(sourceStatus.connection ?? "connecting").toUpperCase()}…`)
+              : changeover ? `🔄 CHANGEOVER → ${changeover.to} (${graceLeft} left)  ${position}`
+              : outOfSpec.length ? `⛔ OUT OF SPEC  ${outOfSpec.map(k => params[k].short).join(" ")}  ${position}`
+              : isAnomalous ? `⚠ ALARM  ${position}`
+              : `${playback ? sourceKind.toUpperCase() : "LIVE"}  ${position}`}
           </span>
         </div>
       </div>
 
       {/* Controls */}
       <div style={{ display: "flex", gap: 8, marginBottom: 16, flexWrap: "wrap", alignItems: "center" }}>
-        <button onClick={() => setRunning(r => !r)} style={{
+        <button onClick={toggleRunning} style={{
           background: running ? "#2d0a0a" : "#031a10", color: running ? "#fca5a5" : "#6ee7b7",
           border: `1px solid ${running ? "#ef4444" : "#10b981"}`, borderRadius: 6,
           padding: "8px 16px", cursor: "pointer", fontSize: 11, letterSpacing: 1, fontWeight: 700, fontFamily: "inherit"
-        }}>{running ? "⏹ STOP" : "▶ START"}</button>
+        }}>{playback ? (running ? "⏸ PAUSE" : "▶ PLAY") : running ? "⏹ STOP" : "▶ START"}</button>
 
-        <button onClick={reset} style={{
+        <button onClick={() => (review ? closeReview() : reset())} style={{
           background: "#0f172a", color: "#475569", border: "1px solid #1e293b",
           borderRadius: 6, padding: "8px 12px", cursor: "pointer", fontSize: 11, fontFamily: "inherit"
         }}>↺ RESET</button>
 
+        <button onClick={() => alarmAction((m, at) => m.ackAll(at.t))} disabled={!unacked || !!review} style={{
+          background: unacked ? "#2d0a0a" : "#0f172a", color: unacked ? "#fca5a5" : "#334155",
+          border: `1px solid ${unacked ? "#ef4444" : "#1e293b"}`, borderRadius: 6,
+          padding: "8px 12px", cursor: unacked && !review ? "pointer" : "default", fontSize: 11, fontFamily: "inherit",
+          animation: unacked ? "pulse 1.2s infinite" : "none"
+        }}>🔔 ACK {unacked || ""}</button>
+
         <div style={{ width: 1, height: 24, background: "#1e293b" }} />
 
-        <span style={{ color: "#1e3a5f", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>INJECT FAULT:</span>
-        {FAULT_MODES.map(fault => (
-          <button key={fault.name} onClick={() => running && injectFault(fault)} disabled={!running} style={{
+        <span style={{ color: "#1e3a5f", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>
+          {sourceKind === "simulator" || canInject ? "INJECT FAULT:" : "INJECT FAULT (simulator only):"}
+        </span>
+        {faults.map(fault => (
+          <button key={fault.name} onClick={() => canInject && injectFault(fault)} disabled={!canInject}
+            title={`Runs alongside the fault already injected — at most ${MAX_SIMULTANEOUS_FAULTS} at once`} style={{
             background: injectingFault === fault.name ? `${fault.color}33` : "#0f172a",
-            color: injectingFault === fault.name ? fault.color : running ? "#64748b" : "#1e293b",
+            color: injectingFault === fault.name ? fault.color : canInject ? "#64748b" : "#1e293b",
             border: `1px solid ${injectingFault === fault.name ? fault.color : "#1e293b"}`,
-            borderRadius: 6, padding: "6px 10px", cursor: running ? "pointer" : "not-allowed",
+            borderRadius: 6, padding: "6px 10px", cursor: canInject ? "pointer" : "not-allowed",
             fontSize: 10, fontFamily: "inherit", transition: "all 0.2s"
           }}>{fault.name}</button>
         ))}
       </div>
 
-      {/* Active Fault Banner */}
-      {activeFault && (
+      {/* Historian Replay Transport */}
+      {sourceKind === "replay" && (
+        <ReplayTransport samples={replay.samples} cursor={sourceStatus.position ?? 0} running={running} speed={replaySpeed}
+          onPlayPause={toggleRunning} onStep={() => sourceRef.current.step()} onSeek={seekReplay}
+          onSpeedChange={changeReplaySpeed} />
+      )}
+      {sourceKind === "scenario" && (
+        <ReplayTransport title="Scenario" samples={scenarioRunRef.current.samples}
+          detail={`${scenario.name}${sourceStatus.recipe ? ` · recipe ${sourceStatus.recipe}` : ""}${sourceStatus.error ? ` · ⚠ ${sourceStatus.error}` : ""}`}
+          cursor={sourceStatus.position ?? 0} running={running} speed={replaySpeed}
+          onPlayPause={toggleRunning} onStep={() => sourceRef.current.step()} onSeek={seekReplay}
+          onSpeedChange={changeReplaySpeed} />
+      )}
+
+      {/* Offline Review Banner */}
+      {review && (
+        <div style={{
+          background: "#4CC9F011", border: "1px solid #4CC9F066", borderRadius: 8,
+          padding: "9px 14px", marginBottom: 12, fontSize: 11, color: "#4CC9F0",
+          display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12
+        }}>
+          <span style={{ fontWeight: 700 }}>
+            📂 OFFLINE REVIEW — {review.name}
+            &emsp;|&emsp; exported {review.exportedAt ? formatTimestamp(Date.parse(review.exportedAt)) : "—"}
+            &emsp;|&emsp; source: {review.source ?? "—"}
+          </span>
+          <button onClick={closeReview} style={ACTION_BUTTON_STYLE("#f97316")}>✕ Close Review</button>
+        </div>
+      )}
+
+      {/* Data Source Banner */}
+      {(sourceDown || badTags.length > 0) && (
+        <div style={{
+          background: "#f9731611", border: "1px solid #f9731666", borderRadius: 8,
+          padding: "9px 14px", marginBottom: 12, fontSize: 11, color: "#f97316",
+          display: "flex", justifyContent: "space-between", gap: 12
+        }}>
+          <span style={{ fontWeight: 700 }}>
+            {sourceStatus.stale
+              ? `⚠ STALE DATA — no valid sample since ${formatTimestamp(sourceStatus.lastSampleAt)}; alarms and diagnosis are frozen`
+              : sourceDown
+                ? `⚠ DATA SOURCE ${(sourceStatus.connection ?? "connecting").toUpperCase()} — ${wsSettings.url}`
+                : `⚠ BAD QUALITY — ${badTagList}; samples are dropped until it recovers`}
+          </span>
+          <span style={{ color: "#475569" }}>
+            {sourceStatus.retryIn ? `retry ${sourceStatus.attempt} in ${(sourceStatus.retryIn / 1000).toFixed(1)} s` : ""}
+            {sourceStatus.error ? ` · ${sourceStatus.error}` : ""}
+            {sourceDown && badTags.length > 0 ? ` · bad quality: ${badTagList}` : ""}
+          </span>
+        </div>
+      )}
+
+      {/* Recipe Changeover Banner */}
+      {changeover && (
         <div style={{
+          background: `${ALARM_CLASSES.changeover.color}11`, border: `1px solid ${ALARM_CLASSES.changeover.color}66`, borderRadius: 8,
+          padding: "9px 14px", marginBottom: 12, fontSize: 11, color: ALARM_CLASSES.changeover.color,
+          display: "flex", justifyContent: "space-between", gap: 12
+        }}>
+          <span style={{ fontWeight: 700 }}>
+            🔄 RECIPE CHANGEOVER: {changeover.from ?? "variable set"} → {changeover.to}
+            &emsp;|&emsp; alarms {CHANGEOVER_MODES.find(m => m.id === changeover.mode).label}, no fault diagnosis
+          </span>
+          <span style={{ color: "#475569" }}>{graceLeft} samples of grace left</span>
+        </div>
+      )}
+
+      {/* Active Fault Banner */}
+      {activeFaults.map(activeFault => (
+        <div key={activeFault.name} style={{
           background: `${activeFault.color}11`, border: `1px solid ${activeFault.color}66`,
           borderRadius: 8, padding: "9px 14px", marginBottom: 12,
           display: "flex", justifyContent: "space-between"
         }}>
           <span style={{ color: activeFault.color, fontSize: 11, fontWeight: 700 }}>
             ⚡ INJECTED FAULT: {activeFault.name.toUpperCase()}
-            &emsp;|&emsp; Driver: {PARAMS[activeFault.param].label}
-            &emsp;|&emsp; Δ = {activeFault.delta > 0 ? "+" : ""}{activeFault.delta}{PARAMS[activeFault.param].unit}
+            &emsp;|&emsp; Driver: {params[activeFault.param].label}
+            &emsp;|&emsp; Δ = {activeFault.delta > 0 ? "+" : ""}{activeFault.delta}{params[activeFault.param].unit}
+            &emsp;|&emsp; {FAULT_PROFILES.find(p => p.id === activeFault.profile)?.label ?? "Step"}
+            {Object.keys(activeFault.effects ?? {}).some(k => params[k]) && (
+              <>&emsp;|&emsp; Coupled: {Object.keys(activeFault.effects).filter(k => params[k]).map(k => params[k].short).join(", ")}</>
+            )}
             &emsp;|&emsp; Severity: {activeFault.severity}
           </span>
-          <span style={{ color: "#475569", fontSize: 11 }}>{faultCountdown} ticks left</span>
+          <span style={{ color: "#475569", fontSize: 11 }}>{activeFault.remaining} ticks left</span>
         </div>
-      )}
+      ))}
 
       {/* KPI Row */}
       <div style={{ display: "grid", gridTemplateColumns: "repeat(5,1fr)", gap: 8, marginBottom: 16 }}>
         {[
           { label: "Samples",     val: data.length,              color: "#4CC9F0" },
-          { label: "Alarm Events",val: totalAlarms,              color: totalAlarms > 0 ? "#ef4444" : "#00C9A7" },
-          { label: "Alarm Rate",  val: `${alarmRate}%`,          color: parseFloat(alarmRate) > 5 ? "#ef4444" : "#00C9A7" },
-          { label: "T² Score",    val: latestT2.toFixed(2),      color: isAnomalous ? "#ef4444" : "#A78BFA" },
-          { label: "Status",      val: isAnomalous ? "ALARM" : running ? "NORMAL" : "IDLE",
-            color: isAnomalous ? "#ef4444" : running ? "#00C9A7" : "#334155" },
+          { label: "Alarm Events",val: totalAlarms,              color: unacked > 0 ? "#ef4444" : totalAlarms > 0 ? "#f97316" : "#00C9A7" },
+          { label: "Alarm Rate",  val: `${rate}/10 min`,         color: rate >= 10 ? "#ef4444" : rate > 2 ? "#f97316" : "#00C9A7" },
+          { label: `${statistic.label} Score`, val: latestT2.toFixed(2), color: isAnomalous ? "#ef4444" : "#A78BFA" },
+          { label: "Status",      val: changeover ? "CHANGEOVER" : outOfSpec.length ? "OFF-SPEC" : isAnomalous ? "ALARM" : running ? "NORMAL" : "IDLE",
+            color: changeover ? ALARM_CLASSES.changeover.color : outOfSpec.length ? ALARM_CLASSES.spec.color
+              : isAnomalous ? "#ef4444" : running ? "#00C9A7" : "#334155" },
         ].map(kpi => (
           <div key={kpi.label} style={{ background: "#0c1428", border: "1px solid #1e293b", borderRadius: 8, padding: "10px 14px" }}>
             <div style={{ color: "#334155", fontSize: 9, letterSpacing: 2, textTransform: "uppercase" }}>{kpi.label}</div>
@@ -781,9 +7743,9 @@ export default function ExtrusionAnomalyMonitor() {
       </div>
 
       {/* Parameter Cards */}
-      <div style={{ display: "grid", gridTemplateColumns: "repeat(6, 1fr)", gap: 8, marginBottom: 16 }}>
-        {PARAM_KEYS.map(key => (
-          <ParamCard key={key} paramKey={key} data={data}
+      <div style={{ display: "grid", gridTemplateColumns: `repeat(${Math.min(keys.length, 6)}, 1fr)`, gap: 8, marginBottom: 16 }}>
+        {keys.map(key => (
+          <ParamCard key={key} paramKey={key} cfg={params[key]} data={data}
             isActive={selectedParam === key && activeTab === "charts"}
             onClick={() => { setSelectedParam(key); setActiveTab("charts"); }} />
         ))}
@@ -796,59 +7758,60 @@ export default function ExtrusionAnomalyMonitor() {
         <button onClick={() => setActiveTab("diagnosis")} style={TAB_STYLE("diagnosis")}>
           🧠 Fault Diagnosis {isAnomalous ? "⚠" : ""}
         </button>
+        <button onClick={() => setActiveTab("alarms")} style={TAB_STYLE("alarms")}>
+          🔔 Alarms {unacked ? `(${unacked})` : ""}
+        </button>
+        <button onClick={() => setActiveTab("capability")} style={TAB_STYLE("capability")}>
+          🎯 Capability {outOfSpec.length ? "⛔" : ""}
+        </button>
+        <button onClick={() => setActiveTab("phase1")} style={TAB_STYLE("phase1")}>
+          🧮 Phase I Model {model.source === "phase1" ? "●" : ""}
+        </button>
+        <button onClick={() => setActiveTab("pca")} style={TAB_STYLE("pca")}>
+          📐 PCA Model {pca ? "●" : ""}
+        </button>
+        <button onClick={() => setActiveTab("variables")} style={TAB_STYLE("variables")}>
+          ⚙ Variables ({keys.length})
+        </button>
+        <button onClick={() => setActiveTab("recipes")} style={TAB_STYLE("recipes")}>
+          🏷 Recipes {activeRecipe ? "●" : ""}
+        </button>
+        <button onClick={() => setActiveTab("faults")} style={TAB_STYLE("faults")}>
+          🧬 Fault Library ({faults.length})
+        </button>
+        <button onClick={() => setActiveTab("source")} style={TAB_STYLE("source")}>
+          🔌 Data Source {sourceKind !== "simulator" ? "●" : ""}
+        </button>
+        <button onClick={() => setActiveTab("benchmark")} style={TAB_STYLE("benchmark")}>📊 Benchmark</button>
       </div>
 
       {/* Tab: Control Charts */}
       {activeTab === "charts" && (
         <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
           {/* Univariate Chart */}
-          <SectionBox title="Control Chart" subtitle={cfg.label} titleColor={cfg.color}>
-            <div style={{ display: "flex", gap: 16, marginBottom: 8, fontSize: 10 }}>
-              {["UCL", "CL", "LCL"].map((l, i) => (
-                <span key={l} style={{ color: i === 1 ? "#475569" : "#ef4444" }}>
-                  {l} = {i === 0 ? cfg.ucl : i === 1 ? cfg.mean : cfg.lcl} {cfg.unit}
-                </span>
-              ))}
-              <span style={{ color: "#334155" }}>σ = {cfg.std} {cfg.unit} | Last 120 samples</span>
-            </div>
-            <ResponsiveContainer width="100%" height={200}>
-              <LineChart data={data} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
-                <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
-                <XAxis dataKey="t" stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} />
-                <YAxis stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} domain={[cfg.lcl - cfg.std * 2.5, cfg.ucl + cfg.std * 2.5]} />
-                <Tooltip contentStyle={{ background: "#0f172a", border: "1px solid #334155", fontSize: 10, fontFamily: "monospace" }}
-                  formatter={(v) => [fmt(v, cfg.unit), cfg.label]} labelFormatter={l => `t=${l}s`} />
-                <ReferenceLine y={cfg.ucl} stroke="#ef4444" strokeDasharray="4 4" label={{ value: "UCL", fill: "#ef4444", fontSize: 9, position: "insideTopRight" }} />
-                <ReferenceLine y={cfg.mean} stroke="#1e3a5f" strokeDasharray="4 4" label={{ value: "CL", fill: "#334155", fontSize: 9, position: "insideTopRight" }} />
-                <ReferenceLine y={cfg.lcl} stroke="#ef4444" strokeDasharray="4 4" label={{ value: "LCL", fill: "#ef4444", fontSize: 9, position: "insideBottomRight" }} />
-                <Line type="monotone" dataKey={selectedParam} stroke={cfg.color} strokeWidth={2}
-                  dot={(props) => {
-                    const { cx, cy, payload } = props;
-                    const anom = payload[`${selectedParam}_anomaly`];
-                    if (!anom) return <circle key={props.key} cx={cx} cy={cy} r={2} fill={cfg.color} opacity={0.6} />;
-                    return <g key={props.key}>
-                      <circle cx={cx} cy={cy} r={7} fill="#ef444422" stroke="#ef4444" strokeWidth={1.5} />
-                      <circle cx={cx} cy={cy} r={3} fill="#ef4444" />
-                    </g>;
-                  }}
-                  isAnimationActive={false} />
-              </LineChart>
-            </ResponsiveContainer>
+          <SectionBox title="Control Chart" titleColor={cfg.color}
+            subtitle={`${cfg.label} · ${CHART_TYPES.find(c => c.id === chartSettings[selectedParam].type).label}`}>
+            <UnivariateChart paramKey={selectedParam} cfg={cfg} data={data}
+              chartSettings={chartSettings} onChartSettingsChange={updateChartSettings}
+              ruleConfig={ruleConfig} onRuleConfigChange={updateRuleConfig} />
           </SectionBox>
 
           {/* T² Chart */}
           <SectionBox title="Hotelling T²" subtitle="Multivariate Control Chart" titleColor="#A78BFA">
             <div style={{ fontSize: 10, color: "#334155", marginBottom: 8 }}>
-              UCL = {T2_UCL} (χ², df=6, α=0.05) — Monitors all 6 parameters jointly. Detects correlated shifts invisible to univariate charts.
+              {model.source === "nominal"
+                ? `UCL = ${+model.ucl.toFixed(2)} (χ², df=${keys.length}, α=${model.alpha}) — Monitors all ${keys.length} parameters jointly. Detects correlated shifts invisible to univariate charts.`
+                : `UCL = ${model.ucl.toFixed(2)} (Phase II F limit, m=${model.n}, α=${model.alpha}) — Full Phase I covariance Σ̂; correlated shifts are scored against the estimated correlation structure.`}
             </div>
             <ResponsiveContainer width="100%" height={160}>
               <LineChart data={data} margin={{ top: 5, right: 10, bottom: 0, left: 0 }}>
                 <CartesianGrid stroke="#1e293b" strokeDasharray="3 3" />
-                <XAxis dataKey="t" stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} />
-                <YAxis stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} domain={[0, 35]} />
+                <XAxis {...timeAxisProps(data)} stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} />
+                <YAxis stroke="#334155" tick={{ fontSize: 9, fill: "#475569" }} domain={[0, Math.max(35, Math.ceil(model.ucl * 2.5))]} />
                 <Tooltip contentStyle={{ background: "#0f172a", border: "1px solid #334155", fontSize: 10, fontFamily: "monospace" }}
-                  formatter={(v) => [v.toFixed(3), "T²"]} labelFormatter={l => `t=${l}s`} />
-                <ReferenceLine y={T2_UCL} stroke="#ef4444" strokeDasharray="4 4" label={{ value: `UCL ${T2_UCL}`, fill: "#ef4444", fontSize: 9, position: "insideTopRight" }} />
+                  formatter={(v) => [v.toFixed(3), "T²"]} labelFormatter={timeTooltipLabel(data)} />
+                <ReferenceLine y={model.ucl} stroke="#ef4444" strokeDasharray="4 4" label={{ value: `UCL ${+model.ucl.toFixed(2)}`, fill: "#ef4444", fontSize: 9, position: "insideTopRight" }} />
+                {changeoverAreas(data)}
                 <Line type="monotone" dataKey="t2" stroke="#A78BFA" strokeWidth={2}
                   dot={(props) => {
                     const { cx, cy, payload } = props;
@@ -862,24 +7825,170 @@ export default function ExtrusionAnomalyMonitor() {
               </LineChart>
             </ResponsiveContainer>
           </SectionBox>
+
+          {/* MEWMA / MCUSUM Charts */}
+          <SectionBox title="Multivariate EWMA / CUSUM" subtitle="Small Persistent Shift Detection" titleColor="#A78BFA">
+            <MultivariateChartPanel data={data} settings={mvSettings} onSettingsChange={updateMvSettings} />
+          </SectionBox>
+
+          {/* PCA T²ₐ / SPE Charts */}
+          {pca && (
+            <SectionBox title="PCA Monitoring" subtitle="Retained-Space T² + SPE / Q Residual" titleColor="#F72585">
+              <PcaMonitoringCharts data={data} pca={pca} />
+            </SectionBox>
+          )}
         </div>
       )}
 
       {/* Tab: Contribution Analysis */}
       {activeTab === "contribution" && (
-        <SectionBox title="Explainability" subtitle="T² Decomposition + RBC Fault Isolation" titleColor="#4CC9F0">
-          <ContributionPanel latestPoint={latest} isAnomalous={isAnomalous} />
+        <SectionBox title="Explainability" subtitle={`${statistic.label} Decomposition + RBC Fault Isolation`} titleColor="#4CC9F0">
+          <ContributionPanel latestPoint={explained} rawPoint={latest} isAnomalous={isAnomalous}
+            model={model} statistic={statistic} pca={pca} />
         </SectionBox>
       )}
 
       {/* Tab: Fault Diagnosis */}
       {activeTab === "diagnosis" && (
-        <SectionBox
-          title="Fault Diagnosis Engine"
-          subtitle="Hypothesis Ranking · Mechanism · Corrective Actions"
-          titleColor={isAnomalous ? "#ef4444" : "#00C9A7"}
-        >
-          <FaultDiagnosisPanel latestPoint={latest} alarmLog={alarmLog} />
+        <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+          <SectionBox
+            title="Fault Diagnosis Engine"
+            subtitle="Hypothesis Ranking · Mechanism · Corrective Actions"
+            titleColor={isAnomalous ? "#ef4444" : "#00C9A7"}
+          >
+            <FaultDiagnosisPanel latestPoint={explained} rawPoint={latest} samples={samplesSinceChangeover(data)}
+              episodeOnset={episodes[0] && !episodes[0].clear ? episodes[0].onset.t : null} alarmLog={alarmLog}
+              model={model} diagnosis={diagnosisView} statistic={statistic} pca={pca} mvSettings={mvSettings}
+              falseAlarmRate={triggerFalseAlarmRate(mvSettings, model)} onDiagnosisChange={updateDiagnosis} onConfirm={confirmRootCause} />
+          </SectionBox>
+          <SectionBox title="Alarm Episodes" subtitle="Onset · Duration · Peak · Episode Diagnosis" titleColor="#A78BFA">
+            <AlarmEpisodePanel episodes={episodes} params={params} library={faultLibrary} currentT={tickCount}
+              confirmations={diagnosis.confirmations} onConfirm={confirmRootCause} />
+          </SectionBox>
+          <SectionBox title="Incident Export" subtitle="CSV Tables · JSON Bundle · Offline Review" titleColor="#4CC9F0">
+            <IncidentExportPanel data={data} alarmLog={alarmLog} episodes={episodes} model={model} review={review}
+              buildBundle={() => buildIncidentBundle({
+                variableSet, model, faultLibrary, diagnosis, ruleConfig, chartSettings, mvSettings, alarmConfig, pca, data, alarmLog, episodes,
+                sourceKind, recipe: activeRecipe, changeovers,
+              })}
+              onImport={importIncident} onCloseReview={closeReview} />
+          </SectionBox>
+        </div>
+      )}
+
+      {/* Tab: Alarms */}
+      {activeTab === "alarms" && (
+        <SectionBox title="Alarm Management" subtitle="ISA-18.2 States · Acknowledge · Shelve · Flood Suppression"
+          titleColor={unacked ? "#ef4444" : "#00C9A7"}>
+          <AlarmManagementPanel alarmLog={alarmLog} shelved={shelvedAlarms} config={alarmConfig}
+            onConfigChange={updateAlarmConfig} params={params} pca={pca} statistic={statistic} currentT={tickCount}
+            readOnly={!!review}
+            onAck={id => alarmAction((m, at) => m.ack(id, at.t))}
+            onAckAll={() => alarmAction((m, at) => m.ackAll(at.t))}
+            onShelve={point => alarmAction((m, at) => m.shelve(point, at))}
+            onUnshelve={point => alarmAction((m, at) => m.unshelve(point, at))} />
+        </SectionBox>
+      )}
+
+      {/* Tab: Capability */}
+      {activeTab === "capability" && (
+        <SectionBox title="Process Capability" subtitle="Cp · Cpk · Pp · Ppk · ppm Out of Spec" titleColor={ALARM_CLASSES.spec.color}>
+          <CapabilityPanel data={samplesSinceChangeover(data)} params={params} />
+        </SectionBox>
+      )}
+
+      {/* Tab: Phase I Model */}
+      {activeTab === "phase1" && (
+        <SectionBox title="Phase I Analysis" subtitle="In-Control Mean Vector + Covariance Estimation" titleColor="#00C9A7">
+          <PhaseIModelPanel model={model} samples={data} onApply={applyModel} />
+        </SectionBox>
+      )}
+
+      {/* Tab: PCA Model */}
+      {activeTab === "pca" && (
+        <SectionBox title="Principal Component Analysis" subtitle="Component Retention · Scree · Loadings" titleColor="#F72585">
+          <PcaModelPanel model={model} pca={pca} onApply={applyPca} />
+        </SectionBox>
+      )}
+
+      {/* Tab: Variable Set */}
+      {activeTab === "variables" && (
+        <SectionBox title="Variable Set" subtitle="Monitored Variables · Limits · T² α" titleColor="#FFD166">
+          <VariableSetPanel variableSet={variableSet} onApply={applyVariableSet} />
+        </SectionBox>
+      )}
+
+      {/* Tab: Recipes */}
+      {activeTab === "recipes" && (
+        <SectionBox title="Product Recipes" subtitle="Per-Product Limits · Recipe Switch · Changeover Log" titleColor="#60a5fa">
+          <RecipePanel recipes={recipeBook} active={activeRecipe} variableSet={variableSet} model={model}
+            changeovers={changeovers} changeoverSettings={alarmConfig.changeover} readOnly={!!review}
+            onApply={applyRecipeBook} onSwitch={switchRecipe} />
+        </SectionBox>
+      )}
+
+      {/* Tab: Fault Library */}
+      {activeTab === "faults" && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+          <SectionBox title="Fault Mode Library" subtitle="Signatures · Mechanisms · Corrective Actions" titleColor="#ef4444">
+            <FaultLibraryPanel library={faultLibrary} params={params} onApply={applyFaultLibrary} />
+          </SectionBox>
+          <SectionBox title="Signature Calibration" subtitle="Labelled Episodes · Learned Signatures · Leave-One-Out Accuracy" titleColor="#A78BFA">
+            <SignatureCalibrationPanel episodes={episodes} library={faultLibrary} params={params} examples={calibrationSet}
+              confirmations={diagnosis.confirmations}
+              source={review ? "incident" : sourceKind} onExamplesChange={updateCalibrationSet} onApplyLibrary={applyFaultLibrary} />
+          </SectionBox>
+          <SectionBox title="Unexplained Alarms" subtitle="Unrecognised Patterns · Clusters · Promote to Fault Mode" titleColor={UNRECOGNISED_COLOR}>
+            <UnexplainedAlarmsPanel episodes={episodes} library={faultLibrary} params={params} minMatch={diagnosis.minMatch}
+              onApplyLibrary={applyFaultLibrary} />
+          </SectionBox>
+        </div>
+      )}
+
+      {/* Tab: Data Source */}
+      {activeTab === "source" && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+          <SectionBox title="Data Source" subtitle="Simulator · Historian Replay · WebSocket Stream" titleColor="#4CC9F0">
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+              {[
+                { kind: "simulator", label: "🎲 Simulator", available: true },
+                { kind: "replay", label: `⏯ Replay${replay ? ` — ${replay.name}` : ""}`, available: !!replay },
+                { kind: "scenario", label: `📜 Scenario${scenario ? ` — ${scenario.name}` : ""}`, available: !!scenario },
+                { kind: "websocket", label: "🔌 WebSocket", available: false },
+              ].map(opt => (
+                <button key={opt.kind} onClick={() => opt.available && opt.kind !== sourceKind && reset(opt.kind, buildSource(opt.kind, leaveReview()))}
+                  disabled={!opt.available && opt.kind !== sourceKind}
+                  style={{
+                    ...ACTION_BUTTON_STYLE(sourceKind === opt.kind ? "#4CC9F0" : "#64748b", opt.available || opt.kind === sourceKind),
+                    background: sourceKind === opt.kind ? "#1e3a5f" : "#0f172a",
+                  }}>{opt.label}</button>
+              ))}
+              <span style={{ fontSize: 10, color: "#334155" }}>
+                Switching source resets the sample window and alarm log. Load a scenario or replay, or connect a stream below.
+              </span>
+            </div>
+          </SectionBox>
+          <SectionBox title="Fault Scenario" subtitle="Seeded Timeline · Overlapping Faults · Recipe Changes" titleColor="#4CC9F0">
+            <ScenarioPanel params={params} library={faultLibrary} scenario={scenario}
+              position={sourceKind === "scenario" ? sourceStatus.position ?? 0 : 0} onLoad={loadScenario} />
+          </SectionBox>
+          <SectionBox title="Historian Replay" subtitle="Timestamped CSV · Column Mapping · Playback" titleColor="#4CC9F0">
+            <ReplayPanel params={params} replay={replay} onLoad={loadReplay} />
+          </SectionBox>
+          <SectionBox title="WebSocket Stream" subtitle="Gateway Connection · Reconnect · Stale Detection" titleColor="#4CC9F0">
+            <WebSocketSourcePanel params={params} settings={wsSettings} status={sourceKind === "websocket" ? sourceStatus : null}
+              onConnect={connectWebSocket} onDisconnect={() => reset("simulator")} />
+          </SectionBox>
+          <SectionBox title="Simulator Noise" subtitle="Gaussian · AR(1) Autocorrelation" titleColor="#4CC9F0">
+            <SimulatorSettingsPanel settings={simulatorSettings} onApply={applySimulatorSettings} />
+          </SectionBox>
+        </div>
+      )}
+
+      {/* Tab: Benchmark */}
+      {activeTab === "benchmark" && (
+        <SectionBox title="Detection Benchmark" subtitle="In-Control ARL · Detection Delay · Diagnosis Confusion Matrix" titleColor="#FFD166">
+          <BenchmarkPanel library={faultLibrary} getConfig={benchmarkConfig} />
         </SectionBox>
       )}
 
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * SCORING CONSISTENCY CHECK — Extrusion Process Monitor
+ * ============================================================================
+ *
+ * The historian CLI's statistics (scoring.mjs) are a copy of the monitor's.
+ * This check scores one CSV with the CLI and with the monitor's own functions,
+ * read from extrusion-anomaly-v2.jsx, and compares every number, so the two
+ * cannot drift apart unnoticed. Run it after changing either. No
+ * dependencies; Node 18 or later.
+ *
+ *   node server/check-scoring.mjs [samples.csv] [--variables set.json] [--faults faults.json]
+ *                                 [--model phase1.json] [--min-match 60] [--map <key>=<header>]…
+ *
+ * The options are the CLI's. Without a CSV, a seeded run of the monitor's
+ * simulator with every active fault mode injected in turn is scored.
+ *
+ * Compared per sample: timestamp, T², the T² alarm, each variable's control
+ * and spec flags, contributions and RBC, the alarm and out-of-spec flags, the
+ * fault modes of an alarmed sample and the unrecognised flag.
+ *
+ * Exit status: 0 the CLI agrees with the monitor · 1 bad arguments or input ·
+ *              2 differences found
+ * ============================================================================
+ */
+
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { spawnSync } from "node:child_process";
+import { loadMonitor } from "./monitor-functions.mjs";
+import { DEFAULT_FAULT_LIBRARY_PATH, DEFAULT_MIN_MATCH, DEFAULT_VARIABLE_SET_PATH, readJson } from "./scoring.mjs";
+
+const CLI_PATH = new URL("./score-historian.mjs", import.meta.url);
+const EXIT_DIFFERENCES = 2;
+const TOLERANCE = 1e-3;        // the CLI rounds T², contributions and RBC to 4 decimals
+const MATCH_TOLERANCE = 0.1;   // match percentages are rounded to 0.1
+const SHOWN_DIFFERENCES = 20;
+const GENERATED = { seed: 20261018, inControl: 60, perFault: 40 };
+
+const MONITOR_NAMES = [
+  "deserializeVariableSet", "deserializeFaultLibrary", "deserializeModel", "buildNominalModel", "readCSVTable",
+  "guessReplayMapping", "buildReplay", "parseCell", "samplePoint", "computeT2", "computeContributions", "computeRBC",
+  "diagnoseFault", "assessMatch", "monitoredFaults", "createProcessSimulator", "mulberry32",
+];
+
+// ─── Command Line ────────────────────────────────────────────────────────────
+function parseArgs(argv) {
+  const options = {
+    input: null, variables: DEFAULT_VARIABLE_SET_PATH, faults: DEFAULT_FAULT_LIBRARY_PATH, model: null,
+    minMatch: DEFAULT_MIN_MATCH, columns: {}, cliArgs: [],
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (!flag.startsWith("--")) {
+      if (options.input) throw new Error(`Unexpected argument ${flag}`);
+      options.input = flag;
+      continue;
+    }
+    const value = argv[++i];
+    if (value === undefined) throw new Error(`${flag} needs a value`);
+    if (flag === "--variables") options.variables = value;
+    else if (flag === "--faults") options.faults = value;
+    else if (flag === "--model") options.model = value;
+    else if (flag === "--min-match") options.minMatch = parseFloat(value);
+    else if (flag === "--map") {
+      const eq = value.indexOf("=");
+      if (eq < 1) throw new Error("--map takes <key>=<CSV header>");
+      options.columns[value.slice(0, eq)] = value.slice(eq + 1);
+    } else throw new Error(`Unknown option ${flag}`);
+    options.cliArgs.push(flag, value);
+  }
+  return options;
+}
+
+// ─── Monitor ─────────────────────────────────────────────────────────────────
+// A seeded simulator run as a historian export: in-control samples, then
+// each monitored fault mode of the library for perFault samples
+function generateCSV(M, model, library) {
+  const simulated = M.createProcessSimulator(M.mulberry32(GENERATED.seed));
+  const faults = M.monitoredFaults(model.keys, library);
+  const start = Date.UTC(2026, 9, 1, 6);
+  const rows = [];
+  for (let t = 1; t <= GENERATED.inControl + faults.length * GENERATED.perFault; t++) {
+    const f = (t - 1 - GENERATED.inControl) / GENERATED.perFault;
+    if (Number.isInteger(f) && f >= 0) simulated.inject(faults[f]);
+    const { values } = simulated.next(model);
+    rows.push([new Date(start + t * 1000).toISOString(), ...model.keys.map(k => values[k])]);
+  }
+  return [["timestamp", ...model.keys], ...rows].map(r => r.join(",")).join("\n") + "\n";
+}
+
+// The monitor's view of the file: the replay's column mapping and parsing,
+// then per sample what the live pipeline and the alarm snapshot show
+function scoreWithMonitor(M, text, { set, library, model, minMatch, columns }) {
+  const table = M.readCSVTable(text);
+  const mapping = M.guessReplayMapping(table.header, set.params, { columns });
+  const samples = mapping.timestamp >= 0
+    ? M.buildReplay(table, mapping, set.params).samples
+    : table.rows
+      .map(cells => ({ values: Object.fromEntries(model.keys.map(k => [k, M.parseCell(cells[mapping.columns[k]], table.delim)])) }))
+      .filter(s => model.keys.every(k => Number.isFinite(s.values[k])));
+  return samples.map((sample, i) => {
+    const pt = M.samplePoint(sample, i + 1, model);
+    const contributions = M.computeContributions(pt, model);
+    const alarm = pt.t2_anomaly || pt.spec_alarm || model.keys.some(k => pt[`${k}_anomaly`]);
+    return {
+      time: sample.time != null ? new Date(sample.time).toISOString() : null,
+      t2: M.computeT2(pt, model),
+      t2Alarm: pt.t2_anomaly,
+      limits: Object.fromEntries(model.keys.map(k => [k, pt[`${k}_anomaly`]])),
+      specs: Object.fromEntries(model.keys.map(k => [k, pt[`${k}_spec`]])),
+      outOfSpec: pt.spec_alarm,
+      alarm,
+      contributions: Object.fromEntries(contributions.map(c => [c.key, c.value])),
+      rbc: Object.fromEntries(M.computeRBC(pt, model).map(r => [r.key, r.rbc])),
+      ranking: alarm ? M.diagnoseFault(contributions, library) : [],
+      unrecognised: alarm && M.assessMatch(contributions, { library, minMatch }).unrecognised,
+    };
+  });
+}
+
+function scoreWithCli(path, cliArgs) {
+  const run = spawnSync(process.execPath, [CLI_PATH.pathname, path, ...cliArgs, "--format", "json"], { encoding: "utf8" });
+  if (run.status === 1 || run.error) throw new Error(`score-historian.mjs failed: ${run.error?.message ?? run.stderr.trim()}`);
+  return JSON.parse(run.stdout);
+}
+
+// ─── Comparison ──────────────────────────────────────────────────────────────
+const near = (a, b, tol = TOLERANCE) => Math.abs(a - b) <= tol * Math.max(1, Math.abs(b));
+
+function compare(cli, monitor, keys) {
+  const differences = [];
+  const differ = (at, field, a, b) => differences.push(`${at}: ${field} CLI ${JSON.stringify(a)}, monitor ${JSON.stringify(b)}`);
+  if (cli.length !== monitor.length) differ("file", "samples", cli.length, monitor.length);
+  cli.slice(0, monitor.length).forEach((c, i) => {
+    const m = monitor[i];
+    const at = `sample ${i + 1} (row ${c.row})`;
+    if (c.time !== m.time) differ(at, "time", c.time, m.time);
+    if (!near(c.t2, m.t2)) differ(at, "T²", c.t2, m.t2);
+    ["t2Alarm", "outOfSpec", "alarm", "unrecognised"].forEach((f) => { if (c[f] !== m[f]) differ(at, f, c[f], m[f]); });
+    keys.forEach((k) => {
+      if (!!c.limits[k] !== m.limits[k]) differ(at, `${k} control limit`, c.limits[k], m.limits[k]);
+      if (c.specs[k] !== m.specs[k]) differ(at, `${k} spec limit`, c.specs[k], m.specs[k]);
+      if (!near(c.contributions[k], m.contributions[k])) differ(at, `${k} contribution`, c.contributions[k], m.contributions[k]);
+      if (!near(c.rbc[k], m.rbc[k])) differ(at, `${k} RBC`, c.rbc[k], m.rbc[k]);
+    });
+    // Equal matches may rank in either order, so each fault is checked
+    // against its own match in the monitor's ranking
+    const top = m.ranking.slice(0, 3);
+    const ranked = c.hypotheses.length === top.length && c.hypotheses.every((h, j) =>
+      near(h.confidence, top[j].confidence, MATCH_TOLERANCE)
+      && near(h.confidence, m.ranking.find(r => r.name === h.name)?.confidence ?? NaN, MATCH_TOLERANCE));
+    if (!ranked) {
+      differ(at, "diagnosis", c.hypotheses.map(h => `${h.name} ${h.confidence}`), top.map(h => `${h.name} ${h.confidence}`));
+    }
+  });
+  return differences;
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const M = loadMonitor(MONITOR_NAMES);
+  const set = M.deserializeVariableSet(readJson(options.variables));
+  const library = M.deserializeFaultLibrary(readJson(options.faults));
+  const model = options.model ? M.deserializeModel(readJson(options.model), set.params) : M.buildNominalModel(set);
+
+  let { input } = options;
+  const scratch = input ? null : mkdtempSync(join(tmpdir(), "check-scoring-"));
+  try {
+    if (!input) {
+      input = join(scratch, "generated.csv");
+      writeFileSync(input, generateCSV(M, model, library));
+    }
+    const text = readFileSync(input, "utf8");
+    const report = scoreWithCli(input, options.cliArgs);
+    const monitor = scoreWithMonitor(M, text, { set, library, model, minMatch: options.minMatch, columns: options.columns });
+    const differences = compare(report.samples, monitor, model.keys);
+    differences.slice(0, SHOWN_DIFFERENCES).forEach(d => console.error(d));
+    if (differences.length > SHOWN_DIFFERENCES) console.error(`… and ${differences.length - SHOWN_DIFFERENCES} more`);
+    console.error(
+      `compared ${report.samples.length} samples of ${options.input ?? "a generated run"} ` +
+      `(${report.summary.alarmed} alarmed) against the ${model.source} model: ` +
+      `${differences.length ? `${differences.length} differences` : "the CLI agrees with the monitor"}`,
+    );
+    return differences.length ? EXIT_DIFFERENCES : 0;
+  } finally {
+    if (scratch) rmSync(scratch, { recursive: true, force: true });
+  }
+}
+
+try {
+  process.exitCode = main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
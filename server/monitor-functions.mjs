@@ -0,0 +1,35 @@
+/**
+ * The monitor's own functions and constants, read from extrusion-anomaly-v2.jsx
+ * without React or a JSX compiler, so the scoring consistency check and the
+ * tests run against the monitor itself rather than a copy. Each top-level
+ * declaration starts at column 0; one that holds JSX does not parse as
+ * JavaScript and is left out, which only matters if a function used here
+ * calls it. Values come from another realm: compare them by value, not with
+ * assert.deepStrictEqual.
+ */
+
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+const MONITOR_PATH = new URL("../extrusion-anomaly-v2.jsx", import.meta.url);
+
+// Returns { name: value } for the given top-level names
+export function loadMonitor(names) {
+  const chunks = [];
+  readFileSync(MONITOR_PATH, "utf8").split("\n").forEach((line) => {
+    if (/^(import |(export default )?(async )?(function|const|let|class) )/.test(line)) chunks.push([]);
+    chunks[chunks.length - 1]?.push(line);
+  });
+  const code = chunks
+    .map(lines => lines.join("\n").replace(/^export default /, ""))
+    .filter((text) => {
+      if (text.startsWith("import ")) return false;
+      try {
+        new vm.Script(text);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+  return vm.runInNewContext(`${code.join("\n")}\n({ ${names.join(", ")} });`, {}, { filename: MONITOR_PATH.pathname });
+}
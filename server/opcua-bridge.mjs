@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * OPC-UA BRIDGE — Extrusion Process Monitor
+ * ============================================================================
+ *
+ * Subscribes to configured OPC-UA node IDs, maps them onto the monitor's
+ * variable keys with unit scaling, and serves the result to the browser
+ * monitor's WebSocket data source. Needs Node 18 or later and the node-opcua
+ * version pinned in server/package.json (npm install in server/).
+ *
+ *   node server/opcua-bridge.mjs [--config server/opcua-bridge.json]
+ *
+ * Configuration (opcua-bridge.json is set up for opcua-simulation-server.mjs):
+ *   endpoint            opc.tcp:// URL of the OPC-UA server
+ *   securityMode        None | Sign | SignAndEncrypt
+ *   securityPolicy      None | Basic256Sha256 | Aes128_Sha256_RsaOaep | …
+ *   user                { "userName", "password" }, or null for anonymous
+ *   port                WebSocket port the monitor connects to
+ *   intervalMs          sample period sent to the monitor
+ *   samplingIntervalMs  OPC-UA sampling interval requested per tag
+ *   tags                [{ key, nodeId, scale, offset }]; monitor value =
+ *                       tag value × scale + offset
+ *   fault               optional node IDs of a fault status (name, driver,
+ *                       delta, remaining) and an inject method (objectId,
+ *                       methodId), as published by the simulation server
+ *
+ * Tags are subscribed with report-on-change and held, and every intervalMs
+ * the latest value of every tag is sent as one sample, so the monitor keeps
+ * a fixed sample period whatever the tags' change rates. Each sample carries
+ * the OPC-UA status code name of every tag:
+ *
+ *   { "type": "sample", "time": <epoch ms>, "values": { <key>: <number|null>, … },
+ *     "quality": { <key>: "Good" | "UncertainLastUsableValue" | "BadSensorFailure" | …, … } }
+ *
+ * No samples are sent until every tag has reported once, nor while the
+ * OPC-UA connection is down (the client reconnects with backoff, and the
+ * monitor flags the stream as stale). Fault status and inject messages are
+ * relayed to the fault nodes when they are configured.
+ * ============================================================================
+ */
+
+import { readFileSync } from "node:fs";
+import {
+  OPCUAClient, ClientSubscription, ClientMonitoredItem, AttributeIds, TimestampsToReturn,
+  MessageSecurityMode, SecurityPolicy, UserTokenType, DataType, StatusCodes, resolveNodeId,
+} from "node-opcua";
+import { createStreamServer, log } from "./websocket.mjs";
+
+// ─── Configuration ───────────────────────────────────────────────────────────
+function loadConfig(path) {
+  const config = JSON.parse(readFileSync(path, "utf8"));
+  if (!/^opc\.tcp:\/\/\S+$/.test(config.endpoint ?? "")) throw new Error("endpoint must be an opc.tcp:// URL");
+  if (!(MessageSecurityMode[config.securityMode ?? "None"] > 0)) throw new Error(`unknown securityMode "${config.securityMode}"`);
+  if (!SecurityPolicy[config.securityPolicy ?? "None"]) throw new Error(`unknown securityPolicy "${config.securityPolicy}"`);
+  const port = config.port ?? 8765;
+  const intervalMs = config.intervalMs ?? 800;
+  if (!(port > 0 && port < 65536)) throw new Error("port must be 1–65535");
+  if (!(intervalMs >= 50)) throw new Error("intervalMs must be at least 50");
+  if (!Array.isArray(config.tags) || !config.tags.length) throw new Error("tags must list at least one tag");
+
+  const tags = config.tags.map(({ key, nodeId, scale = 1, offset = 0 }) => {
+    if (typeof key !== "string" || !key) throw new Error("every tag needs a key");
+    if (!Number.isFinite(scale) || scale === 0 || !Number.isFinite(offset)) {
+      throw new Error(`tag ${key}: scale must be a non-zero number and offset a number`);
+    }
+    return { key, nodeId: resolveNodeId(nodeId), scale, offset };
+  });
+  const duplicate = tags.find((t, i) => tags.findIndex(u => u.key === t.key) !== i);
+  if (duplicate) throw new Error(`tag key "${duplicate.key}" is mapped twice`);
+
+  return {
+    endpoint: config.endpoint,
+    securityMode: MessageSecurityMode[config.securityMode ?? "None"],
+    securityPolicy: SecurityPolicy[config.securityPolicy ?? "None"],
+    user: config.user ?? null,
+    port,
+    intervalMs,
+    samplingIntervalMs: config.samplingIntervalMs ?? Math.round(intervalMs / 4),
+    tags,
+    fault: config.fault ?? null,
+  };
+}
+
+// ─── OPC-UA Side ─────────────────────────────────────────────────────────────
+// Connects, retrying indefinitely, and subscribes to every tag plus the fault
+// status nodes. onTag(tag, dataValue) and onFault(field, value) receive changes.
+async function openOpcUa(config, { onTag, onFault, onLink }) {
+  const client = OPCUAClient.create({
+    applicationName: "ExtrusionMonitorBridge",
+    endpointMustExist: false,
+    securityMode: config.securityMode,
+    securityPolicy: config.securityPolicy,
+    keepSessionAlive: true,
+    connectionStrategy: { maxRetry: -1, initialDelay: 1000, maxDelay: 10000 },
+  });
+  client.on("backoff", (count, delay) => log(`OPC-UA connect attempt ${count + 1} failed, retrying in ${delay} ms`));
+  client.on("connection_lost", () => onLink(false));
+  client.on("connection_reestablished", () => onLink(true));
+
+  await client.connect(config.endpoint);
+  const session = await client.createSession(config.user
+    ? { type: UserTokenType.UserName, userName: config.user.userName, password: config.user.password }
+    : undefined);
+  onLink(true);
+
+  const subscription = ClientSubscription.create(session, {
+    requestedPublishingInterval: config.samplingIntervalMs,
+    requestedLifetimeCount: 1000,
+    requestedMaxKeepAliveCount: 20,
+    maxNotificationsPerPublish: 0,
+    publishingEnabled: true,
+    priority: 10,
+  });
+  const monitor = (nodeId, onChange) => {
+    const item = ClientMonitoredItem.create(subscription,
+      { nodeId, attributeId: AttributeIds.Value },
+      { samplingInterval: config.samplingIntervalMs, discardOldest: true, queueSize: 1 },
+      TimestampsToReturn.Both);
+    item.on("changed", onChange);
+    item.on("err", message => log(`cannot monitor ${nodeId.toString()}: ${message}`));
+  };
+  config.tags.forEach(tag => monitor(tag.nodeId, dataValue => onTag(tag, dataValue)));
+  ["name", "driver", "delta", "remaining"].forEach((field) => {
+    if (config.fault?.[field]) monitor(resolveNodeId(config.fault[field]), dataValue => onFault(field, dataValue.value.value));
+  });
+
+  return {
+    session,
+    async inject({ name, duration }) {
+      const result = await session.call({
+        objectId: resolveNodeId(config.fault.inject.objectId),
+        methodId: resolveNodeId(config.fault.inject.methodId),
+        inputArguments: [
+          { dataType: DataType.String, value: name },
+          { dataType: DataType.UInt32, value: duration ?? 0 },
+        ],
+      });
+      if (result.statusCode.value !== StatusCodes.Good.value) throw new Error(`InjectFault returned ${result.statusCode.name}`);
+    },
+    async close() {
+      await subscription.terminate().catch(() => {});
+      await session.close().catch(() => {});
+      await client.disconnect();
+    },
+  };
+}
+
+// ─── Bridge ──────────────────────────────────────────────────────────────────
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.length && (args[0] !== "--config" || args.length !== 2)) throw new Error("usage: opcua-bridge.mjs [--config file.json]");
+  const config = loadConfig(args[1] ?? new URL("./opcua-bridge.json", import.meta.url));
+  const latest = new Map();   // key → { value, quality }
+  const faultFields = {};
+  let linkUp = false;
+  let faultStatus = null;
+  let opcua = null;
+
+  // Fault status in the monitor's terms: driver node → variable key, delta
+  // in the monitor's units
+  const currentFault = () => {
+    const driver = faultFields.driver && config.tags.find(t => t.nodeId.toString() === resolveNodeId(faultFields.driver).toString());
+    if (!faultFields.name || !faultFields.remaining || !driver) return null;
+    return { name: faultFields.name, param: driver.key, delta: faultFields.delta * driver.scale, remaining: faultFields.remaining };
+  };
+
+  const stream = createStreamServer({
+    port: config.port,
+    name: "Extrusion OPC-UA bridge",
+    onConnect: conn => faultStatus && conn.send({ type: "status", fault: faultStatus }),
+    onMessage: async (conn, msg) => {
+      if (msg.type === "configure") {
+        const keys = (msg.variables?.variables ?? []).map(v => v.key);
+        const unmapped = keys.filter(k => !config.tags.some(t => t.key === k));
+        if (unmapped.length) {
+          log(`monitor variables not mapped to tags: ${unmapped.join(", ")}`);
+          conn.send({ type: "status", error: `bridge has no tag for ${unmapped.join(", ")}` });
+        }
+      } else if (msg.type === "inject") {
+        try {
+          if (!config.fault?.inject) throw new Error("the OPC-UA server has no fault injection method configured");
+          if (!opcua || !linkUp) throw new Error("OPC-UA connection is down");
+          await opcua.inject(msg.fault ?? {});
+          log(`injected ${msg.fault.name} via OPC-UA`);
+        } catch (err) {
+          log(`rejected inject: ${err.message}`);
+          conn.send({ type: "status", error: err.message });
+        }
+      }
+    },
+    onListening: () => log(`serving the monitor on ws://localhost:${config.port}`),
+  });
+
+  setInterval(() => {
+    if (!linkUp || latest.size < config.tags.length) return;
+    const values = {};
+    const quality = {};
+    config.tags.forEach(({ key }) => {
+      values[key] = latest.get(key).value;
+      quality[key] = latest.get(key).quality;
+    });
+    stream.broadcast({ type: "sample", time: Date.now(), values, quality });
+  }, config.intervalMs);
+
+  log(`connecting to ${config.endpoint}`);
+  opcua = await openOpcUa(config, {
+    onTag: ({ key, scale, offset }, dataValue) => {
+      const raw = dataValue.value.value;
+      const quality = dataValue.statusCode.name;
+      const previous = latest.get(key);
+      if (previous ? previous.quality !== quality : quality !== "Good") log(`${key} quality ${quality}`);
+      latest.set(key, { value: typeof raw === "number" ? parseFloat((raw * scale + offset).toPrecision(12)) : null, quality });
+    },
+    onFault: (field, value) => {
+      faultFields[field] = value;
+      const next = currentFault();
+      if (JSON.stringify(next) === JSON.stringify(faultStatus)) return;
+      faultStatus = next;
+      stream.broadcast({ type: "status", fault: faultStatus });
+    },
+    onLink: (up) => {
+      linkUp = up;
+      log(up ? `OPC-UA connected to ${config.endpoint}` : "OPC-UA connection lost, reconnecting");
+      if (!up) stream.broadcast({ type: "status", error: "bridge lost its OPC-UA connection" });
+    },
+  });
+
+  process.on("SIGINT", async () => {
+    await opcua.close();
+    process.exit(0);
+  });
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
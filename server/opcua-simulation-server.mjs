@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * OPC-UA SIMULATION SERVER — Extrusion Process Monitor
+ * ============================================================================
+ *
+ * Publishes the six extrusion tags over OPC-UA, in plant-style units, so the
+ * OPC-UA bridge can be tested end to end without plant access. Needs Node 18
+ * or later and the node-opcua version pinned in server/package.json (npm
+ * install in server/).
+ *
+ *   node server/opcua-simulation-server.mjs [--port 4840] [--interval 800]
+ *                                           [--variables set.json] [--faults faults.json]
+ *                                           [--noise 1] [--autocorrelation 0]
+ *
+ * Endpoint opc.tcp://localhost:<port>/UA/Extrusion, security mode None,
+ * anonymous access. Address space (namespace 1):
+ *
+ *   Objects/Extruder1                       ns=1;s=Extruder1
+ *     BarrelTemp     °C     AnalogItem       ns=1;s=Extruder1.BarrelTemp
+ *     ScrewSpeed     rpm    AnalogItem       ns=1;s=Extruder1.ScrewSpeed
+ *     MeltPressure   MPa    AnalogItem       ns=1;s=Extruder1.MeltPressure
+ *     LineSpeed      m/min  AnalogItem       ns=1;s=Extruder1.LineSpeed
+ *     DiePressure    MPa    AnalogItem       ns=1;s=Extruder1.DiePressure
+ *     WallThickness  µm     AnalogItem       ns=1;s=Extruder1.WallThickness
+ *     Fault
+ *       Name, Driver (tag NodeId), Delta (tag units), Remaining (samples) of
+ *       the most recently injected fault still in progress
+ *       InjectFault(Name: String, Duration: UInt32 — 0 for the library default)
+ *
+ * Pressures in MPa and wall thickness in µm differ from the monitor's bar and
+ * mm, so the bridge's unit scaling is exercised. Samples follow the monitor's
+ * nominal simulator (see simulated-process.mjs), and the injectable faults
+ * are the monitor's FAULT_MODES (fault-modes.json), with their profiles and
+ * coupled effects; two can run at once.
+ *
+ * Console commands, for exercising the bridge and the monitor:
+ *   inject <fault name>          e.g. inject Die Wear
+ *   bad <tag> [s]                publish BadSensorFailure on a tag (default 10 s)
+ *   uncertain <tag> [s]          publish UncertainLastUsableValue (value frozen)
+ *   faults                       list the fault library
+ *   quit
+ * ============================================================================
+ */
+
+import { createInterface } from "node:readline";
+import {
+  OPCUAServer, DataType, StatusCodes, Variant, standardUnits, makeEUInformation,
+} from "node-opcua";
+import {
+  DEFAULT_NOISE, DEFAULT_VARIABLE_SET_PATH, createProcess, readJson, simulatedVariables, validateFault, validateNoise,
+} from "./simulated-process.mjs";
+
+const log = (...args) => console.log(new Date().toISOString(), ...args);
+
+// Published tags. scale converts a tag value to the monitor's units
+// (monitor = tag × scale), the inverse of what the bridge applies.
+const TAGS = [
+  { key: "barrel_temp", browseName: "BarrelTemp", scale: 1, unit: standardUnits.degree_celsius, range: [0, 400] },
+  { key: "screw_speed", browseName: "ScrewSpeed", scale: 1, unit: standardUnits.revolutions_per_minute, range: [0, 200] },
+  { key: "melt_pressure", browseName: "MeltPressure", scale: 10, unit: standardUnits.megapascal, range: [0, 70] },
+  { key: "line_speed", browseName: "LineSpeed", scale: 1, unit: makeEUInformation("2X", "m/min", "metre per minute"), range: [0, 150] },
+  { key: "die_pressure", browseName: "DiePressure", scale: 10, unit: standardUnits.megapascal, range: [0, 70] },
+  { key: "wall_thickness", browseName: "WallThickness", scale: 0.001, unit: makeEUInformation("4H", "µm", "micrometre"), range: [0, 5000] },
+];
+
+const QUALITY_OVERRIDES = {
+  bad: StatusCodes.BadSensorFailure,
+  uncertain: StatusCodes.UncertainLastUsableValue,
+};
+
+// ─── Command Line ────────────────────────────────────────────────────────────
+function parseArgs(argv) {
+  const options = {
+    port: 4840,
+    interval: 800,
+    variables: DEFAULT_VARIABLE_SET_PATH,
+    faults: new URL("./fault-modes.json", import.meta.url),
+    ...DEFAULT_NOISE,
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === "--port") options.port = parseInt(value, 10);
+    else if (flag === "--interval") options.interval = parseInt(value, 10);
+    else if (flag === "--variables") options.variables = value;
+    else if (flag === "--noise") options.noiseScale = parseFloat(value);
+    else if (flag === "--autocorrelation") options.autocorrelation = parseFloat(value);
+    else if (flag === "--faults") options.faults = value;
+    else throw new Error(`Unknown option ${flag}`);
+  }
+  if (!(options.port > 0 && options.port < 65536)) throw new Error("--port must be 1–65535");
+  if (!(options.interval >= 50)) throw new Error("--interval must be at least 50 ms");
+  validateNoise(options);
+  return options;
+}
+
+// ─── Address Space ───────────────────────────────────────────────────────────
+function buildAddressSpace(server) {
+  const addressSpace = server.engine.addressSpace;
+  const namespace = addressSpace.getOwnNamespace();
+  const extruder = namespace.addObject({
+    organizedBy: addressSpace.rootFolder.objects,
+    browseName: "Extruder1",
+    nodeId: "s=Extruder1",
+  });
+
+  const tagNodes = {};
+  TAGS.forEach(({ key, browseName, unit, range }) => {
+    tagNodes[key] = namespace.addAnalogDataItem({
+      componentOf: extruder,
+      browseName,
+      nodeId: `s=Extruder1.${browseName}`,
+      dataType: "Double",
+      engineeringUnits: unit,
+      engineeringUnitsRange: { low: range[0], high: range[1] },
+    });
+  });
+
+  const faultFolder = namespace.addObject({ componentOf: extruder, browseName: "Fault", nodeId: "s=Extruder1.Fault" });
+  const faultVariable = (browseName, dataType, value) => namespace.addVariable({
+    componentOf: faultFolder,
+    browseName,
+    nodeId: `s=Extruder1.Fault.${browseName}`,
+    dataType,
+    value: { dataType: DataType[dataType], value },
+  });
+  const faultNodes = {
+    name: faultVariable("Name", "String", ""),
+    driver: faultVariable("Driver", "String", ""),
+    delta: faultVariable("Delta", "Double", 0),
+    remaining: faultVariable("Remaining", "UInt32", 0),
+  };
+  const injectMethod = namespace.addMethod(faultFolder, {
+    browseName: "InjectFault",
+    nodeId: "s=Extruder1.Fault.InjectFault",
+    inputArguments: [
+      { name: "Name", dataType: DataType.String, description: { text: "Fault mode name from the fault library" } },
+      { name: "Duration", dataType: DataType.UInt32, description: { text: "Samples; 0 uses the library duration" } },
+    ],
+    outputArguments: [],
+  });
+
+  return { namespaceIndex: namespace.index, tagNodes, faultNodes, injectMethod };
+}
+
+// ─── Server ──────────────────────────────────────────────────────────────────
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const variables = simulatedVariables(readJson(options.variables));
+  const missing = TAGS.filter(t => !variables.some(v => v.key === t.key));
+  if (missing.length) throw new Error(`variable set has no ${missing.map(t => t.key).join(", ")}`);
+  const faultLibrary = readJson(options.faults).faults.map(f => validateFault(f, variables));
+  const simulated = createProcess(variables, options);
+  const overrides = new Map();   // key → { statusCode, until }
+
+  const server = new OPCUAServer({
+    port: options.port,
+    resourcePath: "/UA/Extrusion",
+    buildInfo: { productName: "Extrusion OPC-UA Simulation Server", buildNumber: "1", buildDate: new Date() },
+  });
+  await server.initialize();
+  const { namespaceIndex, tagNodes, faultNodes, injectMethod } = buildAddressSpace(server);
+  const tagNodeId = key => `ns=${namespaceIndex};s=Extruder1.${TAGS.find(t => t.key === key).browseName}`;
+
+  const inject = (name, duration) => {
+    const fault = faultLibrary.find(f => f.name.toLowerCase() === name.toLowerCase());
+    if (!fault) throw new Error(`no fault mode named "${name}"`);
+    const next = validateFault({ ...fault, duration: duration || fault.duration }, variables);
+    simulated.inject(next);
+    log(`injected ${next.name} on ${next.param} (Δ ${next.delta} ${next.profile}, ${next.duration} samples)`);
+  };
+
+  injectMethod.bindMethod((inputArguments, context, callback) => {
+    try {
+      inject(inputArguments[0].value, inputArguments[1].value);
+      callback(null, { statusCode: StatusCodes.Good, outputArguments: [] });
+    } catch (err) {
+      log(`rejected InjectFault: ${err.message}`);
+      callback(null, { statusCode: StatusCodes.BadInvalidArgument, outputArguments: [] });
+    }
+  });
+
+  const publishFault = () => {
+    const fault = simulated.fault();
+    const scale = fault ? TAGS.find(t => t.key === fault.param).scale : 1;
+    const set = (node, dataType, value) => node.setValueFromSource(new Variant({ dataType, value }), StatusCodes.Good);
+    set(faultNodes.name, DataType.String, fault?.name ?? "");
+    set(faultNodes.driver, DataType.String, fault ? tagNodeId(fault.param) : "");
+    set(faultNodes.delta, DataType.Double, fault ? fault.delta / scale : 0);
+    set(faultNodes.remaining, DataType.UInt32, fault?.remaining ?? 0);
+  };
+
+  setInterval(() => {
+    const values = simulated.next();
+    const now = new Date();
+    TAGS.forEach(({ key, browseName, scale }) => {
+      const node = tagNodes[key];
+      const override = overrides.get(key);
+      if (override && now.getTime() > override.until) {
+        overrides.delete(key);
+        log(`${browseName} quality back to Good`);
+      }
+      const current = overrides.get(key);
+      // An overridden tag keeps its last value, as a PLC holding a failed input does
+      const value = current ? node.readValue().value.value : parseFloat((values[key] / scale).toPrecision(6));
+      node.setValueFromSource(new Variant({ dataType: DataType.Double, value }), current?.statusCode ?? StatusCodes.Good, now);
+    });
+    publishFault();
+  }, options.interval);
+
+  await server.start();
+  log(`serving ${TAGS.length} tags every ${options.interval} ms on ${server.getEndpointUrl()}`);
+
+  const shutdown = async () => {
+    await server.shutdown(1000);
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+
+  createInterface({ input: process.stdin }).on("line", (line) => {
+    const [cmd, ...rest] = line.trim().split(/\s+/);
+    try {
+      if (cmd === "inject") {
+        inject(rest.join(" "), 0);
+      } else if (cmd in QUALITY_OVERRIDES) {
+        const tag = TAGS.find(t => t.browseName.toLowerCase() === rest[0]?.toLowerCase() || t.key === rest[0]);
+        if (!tag) throw new Error(`no tag "${rest[0]}" — ${TAGS.map(t => t.browseName).join(", ")}`);
+        const seconds = parseFloat(rest[1]) || 10;
+        overrides.set(tag.key, { statusCode: QUALITY_OVERRIDES[cmd], until: Date.now() + seconds * 1000 });
+        log(`${tag.browseName} quality ${QUALITY_OVERRIDES[cmd].name} for ${seconds} s`);
+      } else if (cmd === "faults") {
+        faultLibrary.forEach(f => log(`${f.name}: ${f.param} Δ ${f.delta} ${f.profile} for ${f.duration} samples`));
+      } else if (cmd === "quit") {
+        shutdown();
+      } else if (cmd) {
+        throw new Error(`unknown command "${cmd}" — inject <fault> | bad <tag> [s] | uncertain <tag> [s] | faults | quit`);
+      }
+    } catch (err) {
+      log(err.message);
+    }
+  });
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * HISTORIAN SCORING CLI — Extrusion Process Monitor
+ * ============================================================================
+ *
+ * Scores a historian CSV export offline with the monitor's statistics (see
+ * scoring.mjs), for batch audits of past production runs and nightly QA
+ * jobs. No dependencies; Node 18 or later.
+ *
+ *   node server/score-historian.mjs <samples.csv> [--variables set.json] [--faults faults.json]
+ *                                   [--model phase1.json] [--min-match 60] [--map <key>=<header>]…
+ *                                   [--format csv|json] [--out report.csv] [--alarms-only]
+ *
+ * --variables  the variable set (Variables tab → Export JSON); defaults to
+ *              default-variable-set.json, the monitor's six built-in variables
+ * --faults     the fault library (Fault Library tab → Export JSON); defaults to
+ *              fault-modes.json, the monitor's built-in library
+ * --model      a Phase I model (Phase I Model tab → Export JSON); without one,
+ *              the nominal model of the variable set
+ * --map        the CSV header for a variable whose column is not named after
+ *              its key, label or short code; repeat for each such variable
+ * --format     csv (default, or from the --out extension) or json
+ * --out        the report file; standard output when omitted
+ *
+ * Per sample the report has T² and its UCL, a HIGH / LOW flag per variable
+ * outside its control limits and another outside its spec limits, and the T²
+ * contribution and RBC of each variable; an alarmed sample also has the three
+ * best-matching fault modes. A summary goes to standard error.
+ *
+ * Exit status: 0 no alarms · 1 bad arguments or input · 2 alarms found ·
+ *              3 a value out of specification (outranks 2, as in the monitor)
+ * ============================================================================
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import {
+  DEFAULT_FAULT_LIBRARY_PATH, DEFAULT_MIN_MATCH, DEFAULT_VARIABLE_SET_PATH, UNRECOGNISED_PATTERN,
+  nominalModel, readFaultLibrary, readHistorianCSV, readJson, readPhaseIModel, readVariableSet, scoreSample,
+} from "./scoring.mjs";
+
+const REPORT_FORMAT = "extrusion-scoring-report";
+const EXIT_ALARMS = 2;
+const EXIT_OUT_OF_SPEC = 3;
+
+// ─── Command Line ────────────────────────────────────────────────────────────
+function parseArgs(argv) {
+  const options = {
+    input: null, variables: DEFAULT_VARIABLE_SET_PATH, faults: DEFAULT_FAULT_LIBRARY_PATH, model: null,
+    minMatch: DEFAULT_MIN_MATCH, columns: {}, format: null, out: null, alarmsOnly: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === "--alarms-only") { options.alarmsOnly = true; continue; }
+    if (!flag.startsWith("--")) {
+      if (options.input) throw new Error(`Unexpected argument ${flag}`);
+      options.input = flag;
+      continue;
+    }
+    const value = argv[++i];
+    if (value === undefined) throw new Error(`${flag} needs a value`);
+    if (flag === "--variables") options.variables = value;
+    else if (flag === "--faults") options.faults = value;
+    else if (flag === "--model") options.model = value;
+    else if (flag === "--min-match") options.minMatch = parseFloat(value);
+    else if (flag === "--format") options.format = value;
+    else if (flag === "--out") options.out = value;
+    else if (flag === "--map") {
+      const eq = value.indexOf("=");
+      if (eq < 1) throw new Error("--map takes <key>=<CSV header>");
+      options.columns[value.slice(0, eq)] = value.slice(eq + 1);
+    } else throw new Error(`Unknown option ${flag}`);
+  }
+  if (!options.input) throw new Error("Usage: score-historian.mjs <samples.csv> [options] — see the header of this file");
+  if (!(options.minMatch >= 0 && options.minMatch <= 100)) throw new Error("--min-match must be 0–100 (%)");
+  options.format ??= options.out?.toLowerCase().endsWith(".json") ? "json" : "csv";
+  if (!["csv", "json"].includes(options.format)) throw new Error("--format must be csv or json");
+  return options;
+}
+
+// ─── Report ──────────────────────────────────────────────────────────────────
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const toCSV = rows => rows.map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+const isoTime = time => (time != null ? new Date(time).toISOString() : "");
+
+function reportCSV(scored, model) {
+  const { keys } = model;
+  return toCSV([
+    [
+      "row", "time", ...keys, "t2", "t2_ucl", "t2_alarm", ...keys.map(k => `${k}_limit`), ...keys.map(k => `${k}_spec`),
+      "out_of_spec", "alarm",
+      ...keys.map(k => `${k}_contribution`), ...keys.map(k => `${k}_rbc`),
+      "diagnosis_1", "match_1", "diagnosis_2", "match_2", "diagnosis_3", "match_3", "unrecognised",
+    ],
+    ...scored.map(({ row, time, values, score }) => [
+      row, isoTime(time), ...keys.map(k => values[k]), score.t2, parseFloat(model.ucl.toFixed(4)), score.t2Alarm ? 1 : 0,
+      ...keys.map(k => score.limits[k] ?? ""), ...keys.map(k => score.specs[k] ?? ""), score.outOfSpec ? 1 : 0, score.alarm ? 1 : 0,
+      ...keys.map(k => score.contributions[k]), ...keys.map(k => score.rbc[k]),
+      ...[0, 1, 2].flatMap(i => [score.hypotheses[i]?.name ?? "", score.hypotheses[i]?.confidence ?? ""]),
+      score.unrecognised ? 1 : 0,
+    ]),
+  ]);
+}
+
+function summarise(scored, skipped, model) {
+  const alarmed = scored.filter(s => s.score.alarm);
+  const diagnoses = {};
+  alarmed.forEach(({ score }) => {
+    const name = score.unrecognised ? UNRECOGNISED_PATTERN : score.hypotheses[0]?.name ?? UNRECOGNISED_PATTERN;
+    diagnoses[name] = (diagnoses[name] ?? 0) + 1;
+  });
+  return {
+    samples: scored.length,
+    skipped,
+    alarmed: alarmed.length,
+    t2Alarms: scored.filter(s => s.score.t2Alarm).length,
+    limitAlarms: Object.fromEntries(model.keys.map(k => [k, scored.filter(s => s.score.limits[k]).length])),
+    outOfSpec: scored.filter(s => s.score.outOfSpec).length,
+    specAlarms: Object.fromEntries(model.keys.map(k => [k, scored.filter(s => s.score.specs[k]).length])),
+    diagnoses,
+  };
+}
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const set = readVariableSet(readJson(options.variables));
+  const library = readFaultLibrary(readJson(options.faults));
+  const model = options.model ? readPhaseIModel(readJson(options.model), set.params) : nominalModel(set);
+  const { samples, skipped, timestampColumn } = readHistorianCSV(readFileSync(options.input, "utf8"), set.params, options.columns);
+
+  const scored = samples.map(s => ({ ...s, score: scoreSample(s.values, model, library, options.minMatch) }));
+  const summary = summarise(scored, skipped, model);
+  const written = options.alarmsOnly ? scored.filter(s => s.score.alarm) : scored;
+
+  const report = options.format === "json"
+    ? JSON.stringify({
+      format: REPORT_FORMAT, version: 1, createdAt: new Date().toISOString(),
+      input: options.input, timestampColumn,
+      model: { source: model.source, alpha: model.alpha, ucl: model.ucl, keys: model.keys },
+      minMatch: options.minMatch,
+      summary,
+      samples: written.map(({ row, time, values, score }) => ({ row, time: time != null ? isoTime(time) : null, values, ...score })),
+    }, null, 2) + "\n"
+    : reportCSV(written, model);
+  if (options.out) writeFileSync(options.out, report);
+  else process.stdout.write(report);
+
+  const top = Object.entries(summary.diagnoses).sort((a, b) => b[1] - a[1]).map(([name, n]) => `${name} ${n}`).join(", ");
+  console.error(
+    `scored ${summary.samples} samples (${summary.skipped} skipped) against the ${model.source} model: ` +
+    `${summary.alarmed} alarmed, ${summary.t2Alarms} over the T² UCL ${model.ucl.toFixed(2)}, ` +
+    `${summary.outOfSpec} out of spec${top ? ` — ${top}` : ""}`,
+  );
+  return summary.outOfSpec ? EXIT_OUT_OF_SPEC : summary.alarmed ? EXIT_ALARMS : 0;
+}
+
+try {
+  process.exitCode = main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
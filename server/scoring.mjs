@@ -0,0 +1,343 @@
+/**
+ * Offline scoring core for the historian CLI. Mirrors the monitor's variable
+ * set and fault library validation, nominal and Phase I models, Hotelling T²,
+ * the T² contributions Cᵢ = dᵢ·[Σ⁻¹d]ᵢ, RBC and the direction-aware cosine
+ * diagnosis, so a file scored here gives the numbers the monitor shows for
+ * the same samples. The monitor is a single file that has to run as a
+ * pasted-in App component, so this is a copy rather than a shared module:
+ * check-scoring.mjs scores the same CSV with both and fails on any
+ * difference, and is to be run after changing either. Run rules, EWMA/CUSUM,
+ * MEWMA/MCUSUM and PCA depend on the samples before each one and chart
+ * settings, and are left to the monitor.
+ */
+
+import { readFileSync } from "node:fs";
+
+export const readJson = path => JSON.parse(readFileSync(path, "utf8"));
+
+export const DEFAULT_VARIABLE_SET_PATH = new URL("./default-variable-set.json", import.meta.url);
+export const DEFAULT_FAULT_LIBRARY_PATH = new URL("./fault-modes.json", import.meta.url);
+export const DEFAULT_MIN_MATCH = 60;
+export const UNRECOGNISED_PATTERN = "Unrecognised pattern";
+const DEFAULT_ALPHA = 0.05;
+const SIGNATURE_SUM_TOLERANCE = 0.005;
+const TIMESTAMP_HEADERS = ["timestamp", "time", "datetime", "date", "ts", "zeit"];
+
+const optionalNumber = v => (v === null || v === undefined || v === "" ? null : Number(v));
+
+// ─── Configuration Files ─────────────────────────────────────────────────────
+// Variable set: control limits from ucl / lcl or μ ± Lσ, as the Variables tab,
+// and the optional spec limits usl / lsl
+export function readVariableSet(obj) {
+  if (obj?.format !== "extrusion-variable-set") throw new Error("Not a variable set file");
+  const alpha = obj.alpha ?? DEFAULT_ALPHA;
+  if (!Array.isArray(obj.variables) || obj.variables.length < 2) throw new Error("A variable set needs at least two variables");
+  if (!(alpha > 0 && alpha < 0.5)) throw new Error("α must be between 0 and 0.5");
+  const params = {};
+  obj.variables.forEach((def) => {
+    const { key } = def;
+    const where = `Variable "${key}"`;
+    if (params[key]) throw new Error(`Duplicate variable key "${key}"`);
+    const mean = optionalNumber(def.mean);
+    const std = optionalNumber(def.std);
+    if (!Number.isFinite(mean)) throw new Error(`${where}: mean must be a number`);
+    if (!(std > 0)) throw new Error(`${where}: σ must be positive`);
+    const L = optionalNumber(def.sigmaMultiplier);
+    const ucl = L !== null ? mean + L * std : optionalNumber(def.ucl);
+    const lcl = L !== null ? mean - L * std : optionalNumber(def.lcl);
+    if (!Number.isFinite(ucl) || !Number.isFinite(lcl) || !(ucl > mean && lcl < mean)) {
+      throw new Error(`${where}: control limits must bracket the mean (give UCL/LCL or a σ multiplier)`);
+    }
+    const usl = optionalNumber(def.usl);
+    const lsl = optionalNumber(def.lsl);
+    if ([usl, lsl].some(v => v !== null && !Number.isFinite(v))) throw new Error(`${where}: spec limits must be numbers`);
+    if (usl !== null && lsl !== null && !(usl > lsl)) throw new Error(`${where}: USL must be above LSL`);
+    params[key] = { label: String(def.label || key), short: String(def.short || key.slice(0, 2).toUpperCase()), mean, std, ucl, lcl, usl, lsl };
+  });
+  return { alpha, params };
+}
+
+// Fault library: only what diagnosis needs. Retired fault modes are not ranked.
+export function readFaultLibrary(obj) {
+  if (obj?.format !== "extrusion-fault-modes") throw new Error("Not a fault library file");
+  if (!Array.isArray(obj.faults) || !obj.faults.length) throw new Error("A fault library needs at least one fault mode");
+  return obj.faults.map((f, i) => {
+    const name = String(f.name ?? "").trim();
+    if (!name) throw new Error(`Fault mode ${i + 1}: name is required`);
+    const signature = Object.fromEntries(Object.entries(f.signature ?? {}).filter(([, w]) => w > 0));
+    const sum = Object.values(signature).reduce((s, w) => s + w, 0);
+    if (Math.abs(sum - 1) > SIGNATURE_SUM_TOLERANCE) {
+      throw new Error(`Fault mode "${name}": signature weights sum to ${sum.toFixed(3)} — they must sum to 1`);
+    }
+    return { name, param: f.param, signature, directions: f.directions ?? {}, retired: !!f.retired };
+  });
+}
+
+// ─── Monitoring Model ────────────────────────────────────────────────────────
+function dot(a, b) {
+  return a.reduce((s, x, i) => s + x * b[i], 0);
+}
+
+function matVec(A, v) {
+  return A.map(row => dot(row, v));
+}
+
+// Gauss–Jordan elimination with partial pivoting
+function matInverse(A) {
+  const n = A.length;
+  const tol = 1e-12 * Math.max(...A.map((row, i) => Math.abs(row[i])), Number.MIN_VALUE);
+  const M = A.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) {
+      if (Math.abs(M[r][c]) > Math.abs(M[pivot][c])) pivot = r;
+    }
+    if (Math.abs(M[pivot][c]) < tol) {
+      throw new Error("Covariance matrix is singular — check for constant or perfectly collinear columns");
+    }
+    [M[c], M[pivot]] = [M[pivot], M[c]];
+    const d = M[c][c];
+    for (let j = 0; j < 2 * n; j++) M[c][j] /= d;
+    for (let r = 0; r < n; r++) {
+      const f = M[r][c];
+      if (r === c || !f) continue;
+      for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[c][j];
+    }
+  }
+  return M.map(row => row.slice(n));
+}
+
+// Lanczos ln Γ(x) and the regularized lower incomplete gamma P(a, x), for the
+// χ² quantile of the nominal model's UCL (Numerical Recipes §6.1–6.2)
+function lnGamma(x) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  let ser = 1.000000000190015;
+  c.forEach(ci => { y += 1; ser += ci / y; });
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+function gammaInc(a, x) {
+  if (x <= 0) return 0;
+  const lnFront = -x + a * Math.log(x) - lnGamma(a);
+  if (x < a + 1) {
+    let ap = a;
+    let del = 1 / a;
+    let sum = del;
+    for (let n = 0; n < 500 && Math.abs(del) > Math.abs(sum) * 3e-14; n++) {
+      ap += 1;
+      del *= x / ap;
+      sum += del;
+    }
+    return sum * Math.exp(lnFront);
+  }
+  const TINY = 1e-30;
+  let b = x + 1 - a;
+  let c = 1 / TINY;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i <= 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = b + an / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 3e-14) break;
+  }
+  return 1 - Math.exp(lnFront) * h;
+}
+
+function chiSquareQuantile(prob, df) {
+  let lo = 0;
+  let hi = Math.max(100, df * 10);
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (gammaInc(df / 2, mid / 2) < prob) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+function finalizeModel(model, params) {
+  return {
+    ...model,
+    params,
+    keys: Object.keys(params),
+    std: model.cov.map((row, i) => Math.sqrt(row[i])),
+    covInv: matInverse(model.cov),
+  };
+}
+
+// μ and σ from the variable set, diagonal Σ, χ²(1 − α; p) UCL
+export function nominalModel({ params, alpha }) {
+  const keys = Object.keys(params);
+  return finalizeModel({
+    source: "nominal",
+    mean: keys.map(k => params[k].mean),
+    cov: keys.map((k, i) => keys.map((_, j) => (i === j ? params[k].std ** 2 : 0))),
+    alpha,
+    ucl: chiSquareQuantile(1 - alpha, keys.length),
+  }, params);
+}
+
+// A Phase I model export (Phase I Model tab → Export JSON), reordered to the
+// variable set. It keeps the Phase II UCL it was estimated with.
+export function readPhaseIModel(obj, params) {
+  if (obj?.format !== "extrusion-phase1-model") throw new Error("Not a Phase I model file");
+  if (obj.version !== 1) throw new Error(`Unsupported Phase I model version ${obj.version}`);
+  const setKeys = Object.keys(params);
+  const idx = setKeys.map(k => obj.keys.indexOf(k));
+  const missing = setKeys.filter((k, i) => idx[i] < 0);
+  if (missing.length) throw new Error(`Model does not cover parameter(s): ${missing.join(", ")}`);
+  const extra = obj.keys.filter(k => !params[k]);
+  if (extra.length) throw new Error(`Model has parameter(s) not in the variable set: ${extra.join(", ")}`);
+  if (!(obj.ucl > 0)) throw new Error("Model has no T² UCL");
+  return finalizeModel({
+    source: "phase1",
+    mean: idx.map(i => obj.mean[i]),
+    cov: idx.map(i => idx.map(j => obj.cov[i][j])),
+    n: obj.n,
+    alpha: obj.alpha,
+    ucl: obj.ucl,
+  }, params);
+}
+
+// ─── Historian CSV ───────────────────────────────────────────────────────────
+// Splits a CSV export into a header and cell rows. The delimiter is
+// auto-detected (comma, semicolon, tab); quotes around cells are stripped.
+function readCSVTable(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (lines.length < 2) throw new Error("CSV has no data rows");
+  const delim = [";", "\t"].reduce((best, d) =>
+    lines[0].split(d).length > lines[0].split(best).length ? d : best, ",");
+  const clean = s => s.trim().replace(/^"|"$/g, "");
+  return {
+    delim,
+    header: lines[0].split(delim).map(clean),
+    rows: lines.slice(1).map(line => line.split(delim).map(clean)),
+  };
+}
+
+// Semicolon-delimited exports may use decimal commas
+const parseCell = (cell = "", delim) => parseFloat(delim === ";" ? cell.replace(",", ".") : cell);
+
+// ISO 8601 (local time without an offset) or a Unix epoch in s or ms
+function parseTimestamp(cell = "") {
+  const s = cell.trim();
+  if (/^\d+(\.\d+)?$/.test(s)) {
+    const n = Number(s);
+    return n < 1e11 ? n * 1000 : n;
+  }
+  return Date.parse(s.replace(/^(\d{4}-\d{2}-\d{2}) (?=\d)/, "$1T"));
+}
+
+const normHeader = s => String(s).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Reads a historian CSV export into samples { row, time, values }. Columns
+ * are matched to variables by key, label or short code, as for a Phase I
+ * upload, unless columns names the header for a key. A timestamp column is
+ * optional; with one, rows with an unreadable timestamp are skipped and the
+ * samples are sorted by time, as for a replay. Rows with a missing or
+ * non-numeric value are skipped. row is the 1-based data row in the file.
+ */
+export function readHistorianCSV(text, params, columns = {}) {
+  const keys = Object.keys(params);
+  const { delim, header, rows } = readCSVTable(text);
+  const unknown = Object.keys(columns).filter(k => !params[k]);
+  if (unknown.length) throw new Error(`--map names unknown variable(s): ${unknown.join(", ")}`);
+  const colIndex = {};
+  keys.forEach(k => {
+    colIndex[k] = columns[k] != null
+      ? header.indexOf(columns[k])
+      : header.findIndex(h => [k, params[k].label, params[k].short].some(n => normHeader(n) === normHeader(h)));
+  });
+  const missing = keys.filter(k => colIndex[k] < 0);
+  if (missing.length) throw new Error(`CSV is missing column(s): ${missing.map(k => columns[k] ?? k).join(", ")}`);
+  const timestamp = header.findIndex(h => TIMESTAMP_HEADERS.includes(normHeader(h)));
+
+  const samples = [];
+  let skipped = 0;
+  rows.forEach((cells, i) => {
+    const time = timestamp >= 0 ? parseTimestamp(cells[timestamp]) : null;
+    const values = {};
+    keys.forEach(k => { values[k] = parseCell(cells[colIndex[k]], delim); });
+    if (time !== null && !Number.isFinite(time)) skipped += 1;
+    else if (keys.every(k => Number.isFinite(values[k]))) samples.push({ row: i + 1, time, values });
+    else skipped += 1;
+  });
+  if (!samples.length) throw new Error("No complete rows to score");
+  if (timestamp >= 0) samples.sort((a, b) => a.time - b.time);
+  return { samples, skipped, timestampColumn: timestamp >= 0 ? header[timestamp] : null };
+}
+
+// ─── Scoring ─────────────────────────────────────────────────────────────────
+// Cᵢ = (xᵢ − μᵢ) · [Σ⁻¹(x − μ)]ᵢ sums to T²; RBCᵢ = [Σ⁻¹d]ᵢ² / [Σ⁻¹]ᵢᵢ. The
+// diagnosis is the monitor's diagnoseFault(): cosine similarity of the
+// contribution shares to each signature, with variables that moved against
+// a signature's expected direction counted negatively.
+function diagnose(contributions, library) {
+  const total = contributions.reduce((s, c) => s + Math.max(0, c.value), 0) || 1;
+  const keys = contributions.map(c => c.key);
+  return library.filter(f => !f.retired && keys.includes(f.param)).map((fault) => {
+    let dotSum = 0, magFault = 0, magObs = 0;
+    contributions.forEach(({ key, value, z }) => {
+      const fo = fault.signature[key] || 0;
+      const ob = Math.max(0, value) / total;
+      const expected = fault.directions[key];
+      const against = expected && Math.sign(z) && Math.sign(z) !== (expected === "HIGH" ? 1 : -1);
+      dotSum += (against ? -1 : 1) * fo * ob;
+      magFault += fo * fo;
+      magObs += ob * ob;
+    });
+    const similarity = magFault && magObs ? Math.max(0, dotSum / (Math.sqrt(magFault) * Math.sqrt(magObs))) : 0;
+    return { name: fault.name, confidence: parseFloat((similarity * 100).toFixed(1)) };
+  }).sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Scores one sample: T² against the model's UCL, each variable against its
+ * control limits (HIGH above the UCL, LOW below the LCL) and its spec limits
+ * (HIGH above the USL, LOW below the LSL) and the contribution and RBC of
+ * each variable. A sample alarms when T² or any variable is out of limits.
+ * As in the monitor, only an alarmed sample is diagnosed: it gets the three
+ * best-matching fault modes, and is an unrecognised pattern when the best
+ * match is below minMatch.
+ */
+export function scoreSample(values, model, library, minMatch = DEFAULT_MIN_MATCH) {
+  const d = model.keys.map((k, i) => values[k] - model.mean[i]);
+  const w = matVec(model.covInv, d);
+  const t2 = dot(d, w);
+  const contributions = model.keys.map((key, i) => ({
+    key, value: parseFloat((d[i] * w[i]).toFixed(4)), z: parseFloat((d[i] / model.std[i]).toFixed(3)),
+  }));
+  const limits = Object.fromEntries(model.keys.map((k) => {
+    const { ucl, lcl } = model.params[k];
+    return [k, values[k] > ucl ? "HIGH" : values[k] < lcl ? "LOW" : null];
+  }));
+  const specs = Object.fromEntries(model.keys.map((k) => {
+    const { usl, lsl } = model.params[k];
+    return [k, usl !== null && values[k] > usl ? "HIGH" : lsl !== null && values[k] < lsl ? "LOW" : null];
+  }));
+  const t2Alarm = t2 > model.ucl;
+  const outOfSpec = Object.values(specs).some(Boolean);
+  const alarm = t2Alarm || outOfSpec || Object.values(limits).some(Boolean);
+  const hypotheses = alarm ? diagnose(contributions, library).slice(0, 3) : [];
+  return {
+    t2: parseFloat(t2.toFixed(4)),
+    t2Alarm,
+    limits,
+    specs,
+    outOfSpec,
+    alarm,
+    contributions: Object.fromEntries(contributions.map(c => [c.key, c.value])),
+    rbc: Object.fromEntries(model.keys.map((k, i) => [k, parseFloat(((w[i] * w[i]) / model.covInv[i][i]).toFixed(4))])),
+    hypotheses,
+    unrecognised: alarm && (hypotheses[0]?.confidence ?? 0) < minMatch,
+  };
+}
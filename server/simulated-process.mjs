@@ -0,0 +1,110 @@
+/**
+ * Simulated extrusion process shared by the stand-in servers. Mirrors the
+ * monitor's built-in simulator: Gaussian noise with σ × noiseScale on every
+ * variable, optionally AR(1)-autocorrelated, and up to two injected faults at
+ * once. A fault moves its driver by Δ·profile·U(0.75, 1.25) for duration − 1
+ * samples and each coupled variable by gain × the driver's deviation in σ.
+ * Values are in the variable set's engineering units.
+ */
+
+import { readFileSync } from "node:fs";
+
+export const readJson = path => JSON.parse(readFileSync(path, "utf8"));
+
+export const DEFAULT_VARIABLE_SET_PATH = new URL("./default-variable-set.json", import.meta.url);
+
+// Reads the keys, means and σ the simulator needs from a variable set export.
+// The monitor validates the full definition; this only guards the simulator.
+export function simulatedVariables(set) {
+  if (!Array.isArray(set?.variables) || set.variables.length < 2) {
+    throw new Error("variable set needs a variables array with at least two entries");
+  }
+  return set.variables.map(({ key, mean, std }) => {
+    if (typeof key !== "string" || !Number.isFinite(mean) || !(std > 0)) {
+      throw new Error(`variable ${JSON.stringify(key)} needs a numeric mean and a positive std`);
+    }
+    return { key, mean, std };
+  });
+}
+
+export const DEFAULT_NOISE = { noiseScale: 1, autocorrelation: 0 };
+export const FAULT_PROFILES = ["step", "ramp", "drift", "intermittent", "oscillation"];
+const MAX_SIMULTANEOUS_FAULTS = 2;
+const INTERMITTENT_SWITCH = 0.35;
+const OSCILLATION_PERIOD = 4;
+const MAX_EFFECT_GAIN = 5;   // |σ of response per σ of driver deviation|, as in the monitor
+
+const gaussian = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+
+// Fraction of Δ applied n samples into a fault at progress p, as in the monitor
+const PROFILE_SHAPES = {
+  step: () => 1,
+  ramp: ({ p }) => p,
+  drift: ({ p }) => (1 - Math.exp(-3 * p)) / (1 - Math.exp(-3)),
+  intermittent: ({ on }) => (on ? 1 : 0),
+  oscillation: ({ n }) => 0.5 * (1 + Math.cos(2 * Math.PI * n / OSCILLATION_PERIOD)),
+};
+
+// Mirrors the monitor's built-in simulator, including its fault countdown.
+// fault() is the most recently injected fault in progress, faults() all of them.
+export function createProcess(variables, { noiseScale, autocorrelation } = DEFAULT_NOISE) {
+  const std = Object.fromEntries(variables.map(v => [v.key, v.std]));
+  let faults = [];
+  let noise = variables.map(() => gaussian());
+  const status = f => ({ name: f.name, param: f.param, delta: f.delta, profile: f.profile, effects: f.effects, remaining: f.remaining });
+  return {
+    variables,
+    inject(next) {
+      faults = [...faults.filter(f => f.name !== next.name && f.remaining > 1), { ...next, remaining: next.duration, on: true }]
+        .slice(-MAX_SIMULTANEOUS_FAULTS);
+    },
+    fault: () => (faults.length ? status(faults[faults.length - 1]) : null),
+    faults: () => faults.map(status),
+    next() {
+      faults = faults
+        .map(f => ({
+          ...f,
+          remaining: f.remaining - 1,
+          on: f.profile === "intermittent" && f.remaining < f.duration && Math.random() < INTERMITTENT_SWITCH ? !f.on : f.on,
+        }))
+        .filter(f => f.remaining > 0);
+      noise = noise.map(prev => autocorrelation * prev + Math.sqrt(1 - autocorrelation ** 2) * gaussian());
+      const offsets = {};
+      faults.forEach(f => {
+        const n = f.duration - f.remaining - 1;
+        const offset = f.delta * PROFILE_SHAPES[f.profile]({ n, p: (n + 1) / Math.max(f.duration - 1, 1), on: f.on })
+          * (0.75 + Math.random() * 0.5);
+        offsets[f.param] = (offsets[f.param] ?? 0) + offset;
+        Object.entries(f.effects).forEach(([key, gain]) => {
+          if (std[key]) offsets[key] = (offsets[key] ?? 0) + gain * (offset / std[f.param]) * std[key];
+        });
+      });
+      const values = {};
+      variables.forEach(({ key, mean, std: sd }, i) => {
+        values[key] = parseFloat((mean + noise[i] * noiseScale * sd + (offsets[key] ?? 0)).toFixed(3));
+      });
+      return values;
+    },
+  };
+}
+
+export function validateNoise({ noiseScale, autocorrelation }) {
+  if (!(noiseScale >= 0 && noiseScale <= 5)) throw new Error("--noise must be 0–5 (× σ)");
+  if (!(autocorrelation >= 0 && autocorrelation <= 0.95)) throw new Error("--autocorrelation must be 0–0.95");
+  return { noiseScale, autocorrelation };
+}
+
+export function validateFault(fault, variables) {
+  if (typeof fault?.name !== "string") throw new Error("fault needs a name");
+  if (!variables.some(v => v.key === fault.param)) throw new Error(`fault driver "${fault.param}" is not simulated`);
+  if (!Number.isFinite(fault.delta)) throw new Error("fault delta must be a number");
+  if (!(Number.isInteger(fault.duration) && fault.duration >= 2)) throw new Error("fault duration must be an integer ≥ 2");
+  const profile = fault.profile ?? "step";
+  if (!FAULT_PROFILES.includes(profile)) throw new Error(`fault profile must be one of ${FAULT_PROFILES.join(", ")}`);
+  const effects = {};
+  Object.entries(fault.effects ?? {}).forEach(([key, gain]) => {
+    if (!(Number.isFinite(gain) && Math.abs(gain) <= MAX_EFFECT_GAIN)) throw new Error(`coupled gain for "${key}" must be a number within ±${MAX_EFFECT_GAIN}`);
+    if (key !== fault.param && variables.some(v => v.key === key)) effects[key] = gain;
+  });
+  return { name: fault.name, param: fault.param, delta: fault.delta, duration: fault.duration, profile, effects };
+}
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * STAND-IN STREAMING SERVER — Extrusion Process Monitor
+ * ============================================================================
+ *
+ * Streams simulated extrusion samples over WebSocket using the message schema
+ * of the monitor's WebSocket data source, so the browser monitor can be wired
+ * to a gateway-shaped feed and tested fully offline. No dependencies; Node 18
+ * or later.
+ *
+ *   node server/simulator-server.mjs [--port 8765] [--interval 800] [--variables set.json]
+ *                                    [--noise 1] [--autocorrelation 0]
+ *
+ * The variable set defaults to default-variable-set.json (the monitor's six
+ * built-in parameters, in the Variables tab's JSON export format). A monitor
+ * connecting with control messages enabled replaces it with its own set.
+ * Samples follow the monitor's nominal simulator (see simulated-process.mjs):
+ * --noise scales the Gaussian σ and --autocorrelation sets the AR(1) φ.
+ *
+ * Messages (one JSON object per text frame):
+ *   server → monitor  { "type": "sample", "time": <epoch ms>, "values": { <key>: <number>, … } }
+ *                     { "type": "status", "faults": [{ "name", "param", "delta", "profile", "effects", "remaining" }, …],
+ *                       "fault": <the most recent of faults> | null }
+ *                     { "type": "status", "error": "<why a control message was rejected>" }
+ *   monitor → server  { "type": "configure", "variables": <variable set JSON> }
+ *                     { "type": "inject", "fault": { "name", "param", "delta", "duration", "profile"?, "effects"? } }
+ *
+ * Console commands, for exercising the monitor's connection handling:
+ *   stall <s>   keep connections open but send nothing for s seconds
+ *   drop        close every connection (the monitor reconnects with backoff)
+ *   quit
+ * ============================================================================
+ */
+
+import { createInterface } from "node:readline";
+import { createStreamServer, log } from "./websocket.mjs";
+import {
+  DEFAULT_NOISE, DEFAULT_VARIABLE_SET_PATH, createProcess, readJson, simulatedVariables, validateFault, validateNoise,
+} from "./simulated-process.mjs";
+
+// ─── Command Line ────────────────────────────────────────────────────────────
+function parseArgs(argv) {
+  const options = { port: 8765, interval: 800, variables: DEFAULT_VARIABLE_SET_PATH, ...DEFAULT_NOISE };
+  for (let i = 0; i < argv.length; i += 2) {
+    const [flag, value] = [argv[i], argv[i + 1]];
+    if (flag === "--port") options.port = parseInt(value, 10);
+    else if (flag === "--interval") options.interval = parseInt(value, 10);
+    else if (flag === "--variables") options.variables = value;
+    else if (flag === "--noise") options.noiseScale = parseFloat(value);
+    else if (flag === "--autocorrelation") options.autocorrelation = parseFloat(value);
+    else throw new Error(`Unknown option ${flag}`);
+  }
+  if (!(options.port > 0 && options.port < 65536)) throw new Error("--port must be 1–65535");
+  if (!(options.interval >= 50)) throw new Error("--interval must be at least 50 ms");
+  validateNoise(options);
+  return options;
+}
+
+// ─── Server ──────────────────────────────────────────────────────────────────
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  let process_ = createProcess(simulatedVariables(readJson(options.variables)), options);
+  let stalledUntil = 0;
+  let faultWasActive = false;
+
+  const handleMessage = (conn, msg) => {
+    try {
+      if (msg.type === "configure") {
+        process_ = createProcess(simulatedVariables(msg.variables), options);
+        log(`configured ${process_.variables.length} variables: ${process_.variables.map(v => v.key).join(", ")}`);
+      } else if (msg.type === "inject") {
+        const fault = validateFault(msg.fault, process_.variables);
+        process_.inject(fault);
+        log(`injected ${fault.name} on ${fault.param} (Δ ${fault.delta} ${fault.profile}, ${fault.duration} samples)`);
+      }
+    } catch (err) {
+      log(`rejected ${msg.type}: ${err.message}`);
+      conn.send({ type: "status", error: err.message });
+    }
+  };
+
+  const stream = createStreamServer({
+    port: options.port,
+    name: "Extrusion simulator stream",
+    onMessage: handleMessage,
+    onListening: () => log(`streaming ${process_.variables.length} variables every ${options.interval} ms on ws://localhost:${options.port}`),
+  });
+
+  setInterval(() => {
+    const values = process_.next();
+    if (Date.now() < stalledUntil) return;
+    stream.broadcast({ type: "sample", time: Date.now(), values });
+    const faults = process_.faults();
+    if (faults.length || faultWasActive) stream.broadcast({ type: "status", faults, fault: process_.fault() });
+    faultWasActive = faults.length > 0;
+  }, options.interval);
+
+  createInterface({ input: process.stdin }).on("line", (line) => {
+    const [cmd, arg] = line.trim().split(/\s+/);
+    if (cmd === "stall") {
+      const seconds = parseFloat(arg) || 10;
+      stalledUntil = Date.now() + seconds * 1000;
+      log(`stalling for ${seconds} s`);
+    } else if (cmd === "drop") {
+      stream.dropAll();
+      log("dropped all connections");
+    } else if (cmd === "quit") {
+      process.exit(0);
+    } else if (cmd) {
+      log(`unknown command "${cmd}" — stall <s> | drop | quit`);
+    }
+  });
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
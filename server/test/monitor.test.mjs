@@ -0,0 +1,167 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadMonitor } from "../monitor-functions.mjs";
+
+const M = loadMonitor([
+  "RUN_RULES", "normalizeSimulatorSettings", "deserializeScenario", "runScenario", "EXAMPLE_SCENARIO", "DEFAULT_VARIABLE_SET",
+  "DEFAULT_FAULT_LIBRARY", "DEFAULT_RECIPE_BOOK", "buildNominalModel", "serializeModel", "buildRecipeBook", "recipeModel",
+  "deserializeModel", "createOnsetDetector", "summariseBenchmark",
+  "buildIncidentBundle", "readIncidentBundle", "withMultivariateLimits", "DEFAULT_MULTIVARIATE_SETTINGS", "DEFAULT_DIAGNOSIS", "NORMAL_CLASS", "UNRECOGNISED_PATTERN", "NOT_DETECTED",
+]);
+const { params } = M.DEFAULT_VARIABLE_SET;
+const nominal = M.buildNominalModel(M.DEFAULT_VARIABLE_SET);
+// Values from the monitor are from another realm, so they are compared as JSON
+const json = v => JSON.parse(JSON.stringify(v));
+
+const scenario = (events, extra = {}) => ({ format: "extrusion-fault-scenario", version: 1, seed: 7, length: 100, events, ...extra });
+const load = obj => M.deserializeScenario(obj, M.DEFAULT_FAULT_LIBRARY, params);
+
+// ─── Run rules ───────────────────────────────────────────────────────────────
+const rule = id => M.RUN_RULES.find(r => r.id === id).test;
+
+test("N5 counts points beyond 2σ on the side of the last point", () => {
+  const n5 = rule("N5");
+  assert.equal(n5([0, 2.5, 2.5]), true);
+  assert.equal(n5([-2.5, 0, -2.5]), true);
+  assert.equal(n5([2.5, 2.5, -2.5]), false);
+  assert.equal(n5([0, 0, 2.5]), false);
+  assert.equal(n5([2.5, 2.5, 0.5]), false, "the last point has to be beyond 2σ itself");
+});
+
+test("N6 counts points beyond 1σ on the side of the last point", () => {
+  const n6 = rule("N6");
+  assert.equal(n6([-1.5, -1.5, 0, -1.5, -1.5]), true);
+  assert.equal(n6([1.5, 1.5, 1.5, 1.5, -1.5]), false);
+  assert.equal(n6([1.5, 1.5, -1.5, -1.5, 1.5]), false);
+  assert.equal(n6([1.5, 1.5, 1.5, 1.5, 0.5]), false);
+});
+
+// ─── Simulator settings ──────────────────────────────────────────────────────
+test("normalizeSimulatorSettings defaults missing fields and bounds the rest", () => {
+  assert.deepEqual(json(M.normalizeSimulatorSettings({})), { noiseScale: 1, autocorrelation: 0 });
+  assert.deepEqual(json(M.normalizeSimulatorSettings({ noiseScale: "2", autocorrelation: 0.5 })), { noiseScale: 2, autocorrelation: 0.5 });
+  assert.throws(() => M.normalizeSimulatorSettings({ noiseScale: "" }), /Noise scale must be between 0 and 5/);
+  assert.throws(() => M.normalizeSimulatorSettings({ noiseScale: 5.5 }), /Noise scale/);
+  assert.throws(() => M.normalizeSimulatorSettings({ autocorrelation: 0.96 }), /Autocorrelation φ must be between 0 and 0.95/);
+});
+
+test("a scenario's noise settings are validated the same way", () => {
+  assert.throws(() => load(scenario([], { noise: { noiseScale: -1 } })), /^Error: noise: Noise scale/);
+});
+
+// ─── Fault scenarios ─────────────────────────────────────────────────────────
+test("a scenario generates the same run every time", () => {
+  const loaded = load(M.EXAMPLE_SCENARIO);
+  const first = M.runScenario(loaded, nominal);
+  assert.equal(first.samples.length, 260);
+  assert.equal(JSON.stringify(M.runScenario(loaded, nominal)), JSON.stringify(first));
+});
+
+test("a third overlapping fault is rejected, naming the event", () => {
+  const events = [{ t: 10, fault: "Die Wear" }, { t: 11, fault: "Temp Spike" }, { t: 12, fault: "Pressure Surge" }];
+  assert.throws(() => load(scenario(events)), /Event 3: "Pressure Surge" at t=12 would be fault 3 in progress \(with Die Wear, Temp Spike\)/);
+});
+
+test("events are checked in time order, whatever their order in the file", () => {
+  const events = [{ t: 12, fault: "Pressure Surge" }, { t: 10, fault: "Die Wear" }, { t: 11, fault: "Temp Spike" }];
+  assert.throws(() => load(scenario(events)), /Event 1: "Pressure Surge"/);
+});
+
+test("a fault no longer counts on the sample after its last active one", () => {
+  const events = [{ t: 10, fault: "Die Wear" }, { t: 11, fault: "Temp Spike", duration: 2 }, { t: 12, fault: "Pressure Surge" }];
+  const loaded = load(scenario(events));
+  const { samples } = M.runScenario(loaded, nominal);
+  assert.deepEqual(json(samples[10].faults.map(f => f.name)), ["Die Wear", "Temp Spike"]);
+  assert.deepEqual(json(samples[11].faults.map(f => f.name)), ["Die Wear", "Pressure Surge"], "Die Wear keeps running");
+  const later = events.map(e => (e.fault === "Temp Spike" ? { ...e, duration: 3 } : e));
+  assert.throws(() => load(scenario(later)), /Event 3: "Pressure Surge" at t=12 would be fault 3/);
+});
+
+test("a fault re-injected by name replaces itself rather than counting twice", () => {
+  const events = [{ t: 10, fault: "Die Wear" }, { t: 11, fault: "Temp Spike" }, { t: 12, fault: "Temp Spike", duration: 20 }];
+  assert.equal(load(scenario(events)).events.length, 3);
+});
+
+// ─── Phase I models ──────────────────────────────────────────────────────────
+const phaseI = { ...json(M.serializeModel(nominal)), source: "phase1", n: 50 };
+
+test("a Phase I model file reads back in any key order", () => {
+  const reversed = { ...phaseI, keys: [...phaseI.keys].reverse(), mean: [...phaseI.mean].reverse() };
+  reversed.cov = phaseI.cov.map((_, i, cov) => cov.map((__, j) => cov[cov.length - 1 - i][cov.length - 1 - j]));
+  const model = M.deserializeModel(reversed, params);
+  assert.deepEqual(json(model.keys), phaseI.keys);
+  assert.deepEqual(json(model.mean), phaseI.mean);
+  assert.equal(model.format, undefined);
+});
+
+test("a Phase I model file of another format version is refused", () => {
+  assert.throws(() => M.deserializeModel({ ...phaseI, version: 2 }, params), /Unsupported Phase I model version 2/);
+  assert.throws(() => M.deserializeModel({ ...phaseI, version: undefined }, params), /Unsupported Phase I model version/);
+  assert.throws(() => M.deserializeModel(null, params), /Not a Phase I model file/);
+});
+
+// ─── Recipes ─────────────────────────────────────────────────────────────────
+
+test("a recipe's own model gets the Phase II UCL for its sample count", () => {
+  const [recipe] = M.buildRecipeBook([{ name: "Ø 12 mm jacket", variables: {}, model: phaseI }]);
+  const { ucl } = M.recipeModel(M.DEFAULT_VARIABLE_SET, recipe);
+  assert.ok(Number.isFinite(ucl) && ucl > nominal.ucl);
+});
+
+test("a recipe model without a Phase I sample count above its variables is rejected", () => {
+  [null, undefined, 6, 12.5].forEach((n) => {
+    assert.throws(() => M.buildRecipeBook([{ name: "r", variables: {}, model: { ...phaseI, n } }]), /Phase I sample count n/);
+  });
+});
+
+test("a recipe whose model does not fit the variable set fails to switch to, with its name", () => {
+  const keys = phaseI.keys.map(k => (k === "barrel_temp" ? "zone_1_temp" : k));
+  const [recipe] = M.buildRecipeBook([{ name: "Ø 12 mm jacket", variables: {}, model: { ...phaseI, keys } }]);
+  assert.throws(() => M.recipeModel(M.DEFAULT_VARIABLE_SET, recipe), /^Error: Recipe "Ø 12 mm jacket": Model does not cover parameter\(s\): barrel_temp/);
+});
+
+test("the default recipes fit the default variable set", () => {
+  M.DEFAULT_RECIPE_BOOK.forEach(recipe => assert.ok(M.recipeModel(M.DEFAULT_VARIABLE_SET, recipe).ucl > 0));
+});
+
+// ─── Onsets ──────────────────────────────────────────────────────────────────
+test("an onset is the first of two samples beyond ±2σ on the same side", () => {
+  const detector = M.createOnsetDetector(["a", "b"]);
+  [[0, 2.5], [-2.1, 2.6], [2.2, 0], [-3, 3], [-3, 3]].forEach(([a, b], i) => detector.push({ t: i + 1 }, { a, b }));
+  assert.deepEqual(json(detector.onsets()), [
+    { key: "b", t: 1, z: 2.5, direction: "HIGH" },
+    { key: "a", t: 4, z: -3, direction: "LOW" },
+  ]);
+});
+
+// ─── Incident bundles ────────────────────────────────────────────────────────
+test("an incident bundle carries the MEWMA and MCUSUM limits it was monitored with", () => {
+  const mvSettings = { ...json(M.withMultivariateLimits(M.DEFAULT_MULTIVARIATE_SETTINGS, nominal.keys.length)), mewmaH: 17.5 };
+  const bundle = json(M.buildIncidentBundle({
+    variableSet: M.DEFAULT_VARIABLE_SET, model: nominal, faultLibrary: M.DEFAULT_FAULT_LIBRARY, diagnosis: M.DEFAULT_DIAGNOSIS,
+    ruleConfig: {}, chartSettings: {}, mvSettings, alarmConfig: {}, pca: null,
+    data: [{ t: 1, ...Object.fromEntries(nominal.keys.map((k, i) => [k, nominal.mean[i]])) }],
+    alarmLog: [], episodes: [], sourceKind: "simulator",
+  }));
+  assert.deepEqual(bundle.settings.multivariate, mvSettings);
+  assert.deepEqual(json(M.readIncidentBundle(bundle).mvSettings), mvSettings);
+  const { mewmaH, mcusumH, ...older } = mvSettings;
+  const recalibrated = json(M.readIncidentBundle({ ...bundle, settings: { ...bundle.settings, multivariate: older } }).mvSettings);
+  assert.ok(recalibrated.mewmaH > 0 && recalibrated.mewmaH !== mewmaH && recalibrated.mcusumH === mcusumH);
+});
+
+// ─── Benchmark ───────────────────────────────────────────────────────────────
+test("the confusion matrix has a Normal / unknown column with the Bayesian ranking", () => {
+  const faults = M.DEFAULT_FAULT_LIBRARY.slice(0, 2);
+  const records = [faults[0].name, M.NORMAL_CLASS, "Retired fault", null].map(diagnosis => ({
+    fault: faults[0].name, length: 40, first: {}, flagged: {}, diagnosis,
+  }));
+  const summarise = engine => json(M.summariseBenchmark(records, {
+    settings: {}, detectors: [], faults,
+    config: { model: nominal, mvSettings: {}, diagnosis: { engine, minMatch: 60 }, pca: null, noise: null },
+  }).confusion);
+  const bayes = summarise("bayes");
+  assert.deepEqual(bayes.columns, [...faults.map(f => f.name), M.NORMAL_CLASS, M.UNRECOGNISED_PATTERN, M.NOT_DETECTED]);
+  assert.deepEqual(Object.values(bayes.counts[faults[0].name]), [1, 0, 1, 1, 1]);
+  assert.ok(!summarise("cosine").columns.includes(M.NORMAL_CLASS));
+});
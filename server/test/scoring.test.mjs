@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import {
+  DEFAULT_FAULT_LIBRARY_PATH, DEFAULT_VARIABLE_SET_PATH, nominalModel, readFaultLibrary, readHistorianCSV, readJson,
+  readPhaseIModel, readVariableSet, scoreSample,
+} from "../scoring.mjs";
+
+const set = readVariableSet(readJson(DEFAULT_VARIABLE_SET_PATH));
+const library = readFaultLibrary(readJson(DEFAULT_FAULT_LIBRARY_PATH));
+const model = nominalModel(set);
+const means = Object.fromEntries(model.keys.map(k => [k, set.params[k].mean]));
+const sigma = (k, n) => set.params[k].mean + n * set.params[k].std;
+
+test("readVariableSet derives control limits from a σ multiplier", () => {
+  const file = readJson(DEFAULT_VARIABLE_SET_PATH);
+  const { params } = readVariableSet({ ...file, variables: file.variables.map(v => ({ ...v, sigmaMultiplier: 2 })) });
+  assert.equal(params.barrel_temp.ucl, 206);
+  assert.equal(params.barrel_temp.lcl, 194);
+});
+
+test("readVariableSet rejects limits that do not bracket the mean", () => {
+  const file = readJson(DEFAULT_VARIABLE_SET_PATH);
+  const variables = file.variables.map((v, i) => (i ? v : { ...v, ucl: v.mean - 1 }));
+  assert.throws(() => readVariableSet({ ...file, variables }), /control limits must bracket the mean/);
+});
+
+test("readFaultLibrary rejects a signature that does not sum to 1", () => {
+  const file = readJson(DEFAULT_FAULT_LIBRARY_PATH);
+  const faults = file.faults.map((f, i) => (i ? f : { ...f, signature: { die_pressure: 0.5 } }));
+  assert.throws(() => readFaultLibrary({ ...file, faults }), /must sum to 1/);
+});
+
+test("the nominal model's UCL is the χ² quantile", () => {
+  assert.ok(Math.abs(model.ucl - 12.5916) < 1e-4);
+});
+
+test("readPhaseIModel refuses a model file of another format version", () => {
+  const file = { format: "extrusion-phase1-model", version: 2, keys: model.keys, mean: model.mean, cov: model.cov, n: 50, ucl: 14 };
+  assert.throws(() => readPhaseIModel(file, set.params), /Unsupported Phase I model version 2/);
+  assert.equal(readPhaseIModel({ ...file, version: 1 }, set.params).ucl, 14);
+});
+
+test("a sample on the means is quiet and not diagnosed", () => {
+  const score = scoreSample(means, model, library);
+  assert.equal(score.t2, 0);
+  assert.equal(score.alarm, false);
+  assert.deepEqual(score.hypotheses, []);
+  assert.equal(score.unrecognised, false);
+});
+
+test("an in-control sample off the means is not diagnosed either", () => {
+  const score = scoreSample({ ...means, die_pressure: sigma("die_pressure", -1.5) }, model, library);
+  assert.equal(score.alarm, false);
+  assert.deepEqual(score.hypotheses, []);
+});
+
+test("contributions sum to T², and a die pressure drop is diagnosed as Die Wear", () => {
+  const values = {
+    ...means, die_pressure: sigma("die_pressure", -5), melt_pressure: sigma("melt_pressure", 2), wall_thickness: sigma("wall_thickness", -1.5),
+  };
+  const score = scoreSample(values, model, library);
+  const total = Object.values(score.contributions).reduce((s, c) => s + c, 0);
+  assert.ok(Math.abs(total - score.t2) < 1e-3);
+  assert.equal(score.t2Alarm, true);
+  assert.equal(score.limits.die_pressure, "LOW");
+  assert.equal(score.specs.die_pressure, "LOW");
+  assert.equal(score.outOfSpec, true);
+  assert.equal(score.hypotheses.length, 3);
+  assert.equal(score.hypotheses[0].name, "Die Wear");
+  assert.equal(scoreSample(values, model, library, 95).unrecognised, true);
+});
+
+test("readHistorianCSV sorts by time, skips incomplete rows and reads decimal commas", () => {
+  const header = "Zeit;Barrel Temp;SS;melt_pressure;line_speed;die_pressure;wall_thickness";
+  const text = [
+    header,
+    "2026-10-01 06:00:02;201;85;280;45;180;1,21",
+    "2026-10-01 06:00:01;200;85;280;45;180;1,2",
+    "2026-10-01 06:00:03;200;;280;45;180;1,2",
+    "not a time;200;85;280;45;180;1,2",
+  ].join("\n");
+  const { samples, skipped, timestampColumn } = readHistorianCSV(text, set.params);
+  assert.equal(timestampColumn, "Zeit");
+  assert.equal(skipped, 2);
+  assert.deepEqual(samples.map(s => s.row), [2, 1]);
+  assert.equal(samples[1].values.wall_thickness, 1.21);
+});
+
+test("readHistorianCSV maps a column by header name", () => {
+  const text = "barrel_temp,screw_speed,melt_pressure,line_speed,die_pressure,WT-301\n200,85,280,45,180,1.2\n";
+  assert.throws(() => readHistorianCSV(text, set.params), /missing column/);
+  const { samples } = readHistorianCSV(text, set.params, { wall_thickness: "WT-301" });
+  assert.equal(samples[0].values.wall_thickness, 1.2);
+});
+
+test("the CLI scores a simulated run exactly as the monitor does", () => {
+  const run = spawnSync(process.execPath, [new URL("../check-scoring.mjs", import.meta.url).pathname], { encoding: "utf8" });
+  assert.equal(run.status, 0, run.stderr);
+  assert.match(run.stderr, /the CLI agrees with the monitor/);
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createProcess, readJson, DEFAULT_VARIABLE_SET_PATH, simulatedVariables, validateFault, validateNoise } from "../simulated-process.mjs";
+
+const variables = simulatedVariables(readJson(DEFAULT_VARIABLE_SET_PATH));
+const QUIET = { noiseScale: 0, autocorrelation: 0 };
+const dieWear = { name: "Die Wear", param: "die_pressure", delta: -28, duration: 5, effects: { melt_pressure: 0.4 } };
+
+test("validateFault fills in the profile and keeps coupled effects on other simulated variables", () => {
+  const fault = validateFault({ ...dieWear, effects: { melt_pressure: 0.4, die_pressure: 2, unknown: 1 } }, variables);
+  assert.deepEqual(fault, { ...dieWear, profile: "step", effects: { melt_pressure: 0.4 } });
+  assert.deepEqual(validateFault({ ...dieWear, effects: { melt_pressure: -5 } }, variables).effects, { melt_pressure: -5 });
+});
+
+test("validateFault rejects what the simulator cannot run", () => {
+  const bad = [
+    [{ ...dieWear, name: 7 }, /needs a name/],
+    [{ ...dieWear, param: "nozzle" }, /not simulated/],
+    [{ ...dieWear, delta: "big" }, /delta must be a number/],
+    [{ ...dieWear, duration: 1 }, /integer ≥ 2/],
+    [{ ...dieWear, duration: 4.5 }, /integer ≥ 2/],
+    [{ ...dieWear, profile: "square" }, /profile must be one of/],
+    [{ ...dieWear, effects: { melt_pressure: NaN } }, /coupled gain for "melt_pressure"/],
+    [{ ...dieWear, effects: { melt_pressure: 5.5 } }, /coupled gain for "melt_pressure" must be a number within ±5/],
+    [{ ...dieWear, effects: { melt_pressure: "0.4" } }, /coupled gain for "melt_pressure"/],
+  ];
+  bad.forEach(([fault, message]) => assert.throws(() => validateFault(fault, variables), message));
+});
+
+test("validateNoise bounds the noise scale and φ", () => {
+  assert.deepEqual(validateNoise({ noiseScale: 2, autocorrelation: 0.5 }), { noiseScale: 2, autocorrelation: 0.5 });
+  assert.throws(() => validateNoise({ noiseScale: 6, autocorrelation: 0 }), /--noise/);
+  assert.throws(() => validateNoise({ noiseScale: 1, autocorrelation: 1 }), /--autocorrelation/);
+});
+
+test("createProcess without noise stays on the means", () => {
+  const values = createProcess(variables, QUIET).next();
+  variables.forEach(({ key, mean }) => assert.equal(values[key], mean));
+});
+
+test("a step fault moves its driver for duration − 1 samples, and its coupled variable with it", () => {
+  const process = createProcess(variables, QUIET);
+  process.inject(validateFault(dieWear, variables));
+  const shifts = Array.from({ length: 6 }, () => process.next()).map(v => [v.die_pressure - 180, v.melt_pressure - 280]);
+  shifts.slice(0, 4).forEach(([driver, coupled]) => {
+    assert.ok(driver <= -28 * 0.75 && driver >= -28 * 1.25, `driver shift ${driver}`);
+    assert.ok(coupled < 0, "melt pressure follows the die pressure drop");
+  });
+  assert.deepEqual(shifts.slice(4), [[0, 0], [0, 0]]);
+  assert.equal(process.fault(), null);
+});
+
+test("createProcess keeps at most two faults, dropping the oldest", () => {
+  const process = createProcess(variables, QUIET);
+  ["A", "B", "C"].forEach(name => process.inject(validateFault({ ...dieWear, name, duration: 20 }, variables)));
+  assert.deepEqual(process.faults().map(f => f.name), ["B", "C"]);
+  process.inject(validateFault({ ...dieWear, name: "B", duration: 20 }, variables));
+  assert.deepEqual(process.faults().map(f => f.name), ["C", "B"], "a fault re-injected by name replaces itself");
+});
+
+test("a fault on its last count makes room without dropping an older one", () => {
+  const process = createProcess(variables, QUIET);
+  process.inject(validateFault({ ...dieWear, name: "A", duration: 20 }, variables));
+  process.inject(validateFault({ ...dieWear, name: "B", duration: 2 }, variables));
+  process.next();
+  process.inject(validateFault({ ...dieWear, name: "C", duration: 20 }, variables));
+  assert.deepEqual(process.faults().map(f => f.name), ["A", "C"]);
+});
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { decodeFrames, MAX_MESSAGE_BYTES, openConnection } from "../websocket.mjs";
+
+const MASK = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+
+// A client frame: always masked, as RFC 6455 requires of clients
+function clientFrame(payload, { fin = true, opcode = 0x1 } = {}) {
+  const data = Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0, 0x80 | data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.from([0, 0x80 | 126, 0, 0]);
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  return Buffer.concat([header, MASK, data.map((b, i) => b ^ MASK[i & 3])]);
+}
+
+// Records what openConnection writes; "data" events feed it
+function fakeSocket() {
+  const socket = new EventEmitter();
+  socket.written = [];
+  socket.write = (buf) => { socket.written.push(buf); };
+  socket.end = (buf) => { socket.ended = buf; };
+  socket.destroy = () => {};
+  return socket;
+}
+
+function connect() {
+  const socket = fakeSocket();
+  const messages = [];
+  openConnection(socket, text => messages.push(text), () => {});
+  return { socket, messages };
+}
+
+const closeCode = socket => socket.ended?.readUInt16BE(2);
+
+test("decodeFrames unmasks a client frame", () => {
+  const { frames, rest } = decodeFrames(clientFrame('{"type":"configure"}'));
+  assert.equal(frames.length, 1);
+  assert.equal(frames[0].fin, true);
+  assert.equal(frames[0].opcode, 0x1);
+  assert.equal(frames[0].payload.toString(), '{"type":"configure"}');
+  assert.equal(rest.length, 0);
+});
+
+test("decodeFrames reads 16- and 64-bit lengths", () => {
+  ["x".repeat(300), "y".repeat(70000)].forEach((text) => {
+    const { frames } = decodeFrames(clientFrame(text));
+    assert.equal(frames[0].payload.toString(), text);
+  });
+});
+
+test("decodeFrames leaves an incomplete frame for the next chunk", () => {
+  const buf = Buffer.concat([clientFrame("first"), clientFrame("second")]);
+  const { frames, rest } = decodeFrames(buf.subarray(0, buf.length - 3));
+  assert.deepEqual(frames.map(f => f.payload.toString()), ["first"]);
+  const { frames: more } = decodeFrames(Buffer.concat([rest, buf.subarray(buf.length - 3)]));
+  assert.deepEqual(more.map(f => f.payload.toString()), ["second"]);
+});
+
+test("a fragmented message is delivered once, whole", () => {
+  const { socket, messages } = connect();
+  socket.emit("data", clientFrame('{"type":', { fin: false }));
+  assert.deepEqual(messages, []);
+  socket.emit("data", Buffer.concat([clientFrame('"inject"', { fin: false, opcode: 0x0 }), clientFrame("}", { opcode: 0x0 })]));
+  assert.deepEqual(messages, ['{"type":"inject"}']);
+});
+
+test("a ping is answered with a pong carrying its payload", () => {
+  const { socket } = connect();
+  socket.emit("data", clientFrame("hi", { opcode: 0x9 }));
+  assert.deepEqual([...socket.written[0]], [0x8a, 2, ...Buffer.from("hi")]);
+});
+
+test("a single frame over the size limit closes the connection with 1009", () => {
+  const { socket, messages } = connect();
+  socket.emit("data", clientFrame("x".repeat(MAX_MESSAGE_BYTES + 1)));
+  assert.equal(closeCode(socket), 1009);
+  assert.deepEqual(messages, []);
+});
+
+test("fragments adding up to more than the size limit close the connection with 1009", () => {
+  const { socket, messages } = connect();
+  const chunk = "x".repeat(60000);
+  socket.emit("data", clientFrame(chunk, { fin: false }));
+  let sent = chunk.length;
+  while (!socket.ended && sent <= MAX_MESSAGE_BYTES) {
+    socket.emit("data", clientFrame(chunk, { fin: false, opcode: 0x0 }));
+    sent += chunk.length;
+  }
+  assert.equal(closeCode(socket), 1009);
+  assert.ok(sent > MAX_MESSAGE_BYTES);
+  socket.emit("data", clientFrame("}", { opcode: 0x0 }));
+  assert.deepEqual(messages, []);
+});
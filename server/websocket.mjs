@@ -0,0 +1,183 @@
+/**
+ * Minimal WebSocket stream server shared by the stand-in simulator and the
+ * OPC-UA bridge. Implements just enough of RFC 6455 for the monitor's
+ * WebSocket data source: unfragmented server frames, masked (optionally
+ * fragmented) client frames, ping / pong and close. No dependencies.
+ */
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+export const MAX_MESSAGE_BYTES = 1 << 20;
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+export const log = (...args) => console.log(new Date().toISOString(), ...args);
+
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(len, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(len), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Splits the complete frames off the front of buf; the rest waits for more data
+export function decodeFrames(buf) {
+  const frames = [];
+  let offset = 0;
+  while (buf.length - offset >= 2) {
+    const b0 = buf[offset];
+    const b1 = buf[offset + 1];
+    let len = b1 & 0x7f;
+    let pos = offset + 2;
+    if (len === 126) {
+      if (buf.length < pos + 2) break;
+      len = buf.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buf.length < pos + 8) break;
+      len = Number(buf.readBigUInt64BE(pos));
+      pos += 8;
+    }
+    const maskLen = b1 & 0x80 ? 4 : 0;
+    if (buf.length < pos + maskLen + len) break;
+    const mask = buf.subarray(pos, pos + maskLen);
+    const payload = Buffer.from(buf.subarray(pos + maskLen, pos + maskLen + len));
+    if (maskLen) for (let i = 0; i < len; i++) payload[i] ^= mask[i & 3];
+    frames.push({ fin: (b0 & 0x80) !== 0, opcode: b0 & 0x0f, payload });
+    offset = pos + maskLen + len;
+  }
+  return { frames, rest: buf.subarray(offset) };
+}
+
+// Wraps an upgraded socket; onMessage receives each complete text message.
+// A message over MAX_MESSAGE_BYTES, in one frame or across fragments, closes
+// the connection with 1009.
+export function openConnection(socket, onMessage, onClose) {
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;
+  let closed = false;
+
+  const conn = {
+    send(obj) {
+      if (!closed) socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(obj))));
+    },
+    close(code = 1000, reason = "") {
+      if (closed) return;
+      const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+      payload.writeUInt16BE(code, 0);
+      payload.write(reason, 2);
+      socket.end(encodeFrame(OPCODES.close, payload));
+      closed = true;
+    },
+  };
+
+  socket.on("data", (chunk) => {
+    if (closed) return;
+    buffered = Buffer.concat([buffered, chunk]);
+    if (buffered.length > MAX_MESSAGE_BYTES) {
+      conn.close(1009, "message too big");
+      return;
+    }
+    const { frames, rest } = decodeFrames(buffered);
+    buffered = rest;
+    frames.forEach(({ fin, opcode, payload }) => {
+      if (closed) return;
+      if (opcode === OPCODES.close) conn.close();
+      else if (opcode === OPCODES.ping) socket.write(encodeFrame(OPCODES.pong, payload));
+      else if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+        fragmentBytes += payload.length;
+        if (fragmentBytes > MAX_MESSAGE_BYTES) {
+          fragments = [];
+          conn.close(1009, "message too big");
+          return;
+        }
+        fragments.push(payload);
+        if (fin) {
+          const text = Buffer.concat(fragments).toString("utf8");
+          fragments = [];
+          fragmentBytes = 0;
+          onMessage(text);
+        }
+      }
+    });
+  });
+  socket.on("close", () => {
+    closed = true;
+    onClose();
+  });
+  socket.on("error", () => socket.destroy());
+  return conn;
+}
+
+/**
+ * Listens for monitor connections on port. onMessage(conn, msg) receives each
+ * parsed JSON message and onConnect(conn) each new connection; a message that
+ * is not JSON is logged and dropped. Exits the process if the port is taken.
+ */
+export function createStreamServer({ port, name, onMessage = () => {}, onConnect = () => {}, onListening = () => {} }) {
+  const clients = new Set();
+
+  const server = createServer((req, res) => {
+    res.writeHead(426, { "Content-Type": "text/plain" });
+    res.end(`${name} — connect with a WebSocket client.\n`);
+  });
+
+  server.on("upgrade", (req, socket) => {
+    const key = req.headers["sec-websocket-key"];
+    if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+    socket.write([
+      "HTTP/1.1 101 Switching Protocols",
+      "Upgrade: websocket",
+      "Connection: Upgrade",
+      `Sec-WebSocket-Accept: ${accept}`,
+      "", "",
+    ].join("\r\n"));
+    const peer = `${socket.remoteAddress}:${socket.remotePort}`;
+    const conn = openConnection(socket, (text) => {
+      let msg;
+      try {
+        msg = JSON.parse(text);
+      } catch {
+        log("ignored non-JSON message");
+        return;
+      }
+      onMessage(conn, msg);
+    }, () => {
+      clients.delete(conn);
+      log(`${peer} disconnected (${clients.size} connected)`);
+    });
+    clients.add(conn);
+    log(`${peer} connected (${clients.size} connected)`);
+    onConnect(conn);
+  });
+
+  server.on("error", (err) => {
+    console.error(`Cannot listen on port ${port}: ${err.message}`);
+    process.exit(1);
+  });
+  server.listen(port, onListening);
+
+  return {
+    broadcast: msg => clients.forEach(c => c.send(msg)),
+    dropAll(code = 1012, reason = "server dropped connection") {
+      clients.forEach(c => c.close(code, reason));
+    },
+  };
+}